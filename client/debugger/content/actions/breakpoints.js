@@ -8,9 +8,11 @@ const promise = require('devtools/sham/promise');
 const { Task } = require('devtools/sham/task');
 const { asPaused, rdpInvoke } = require('../utils');
 const { PROMISE } = require('devtools/client/shared/redux/middleware/promise');
+const { THREAD_CLIENT } = require('../middleware/thread-client');
 const {
   getSource, getBreakpoint, getBreakpoints, makeLocationId
 } = require('../queries');
+const { getSavedBreakpoints } = require('../persistence');
 
 // Because breakpoints are just simple data structures, we still need
 // a way to lookup the actual client instance to talk to the server.
@@ -52,8 +54,8 @@ function addBreakpoint(location, condition) {
       type: constants.ADD_BREAKPOINT,
       breakpoint: bp,
       condition: condition,
-      [PROMISE]: Task.spawn(function*() {
-        let sourceClient = gThreadClient.source(
+      [THREAD_CLIENT]: client => Task.spawn(function*() {
+        let sourceClient = client.source(
           getSource(getState(), bp.location.actor)
         );
         let [response, bpClient] = yield rdpInvoke(sourceClient, sourceClient.setBreakpoint, {
@@ -101,13 +103,15 @@ function _removeOrDisableBreakpoint(location, isDisabled) {
       throw new Error('attempt to remove unsaved breakpoint');
     }
 
-    let bpClient = getBreakpointClient(bp.actor);
+    // A disabled breakpoint is already removed from the server.
+    let bpClient = bp.disabled ? null : getBreakpointClient(bp.actor);
 
     return dispatch({
       type: constants.REMOVE_BREAKPOINT,
       breakpoint: bp,
       disabled: isDisabled,
-      [PROMISE]: rdpInvoke(bpClient, bpClient.remove)
+      [PROMISE]: bpClient ? rdpInvoke(bpClient, bpClient.remove)
+                          : promise.resolve()
     });
   }
 }
@@ -142,14 +146,23 @@ function setBreakpointCondition(location, condition) {
       throw new Error("breakpoint must be saved");
     }
 
+    if (bp.disabled) {
+      // The condition is set on the server when enabling the breakpoint.
+      return dispatch({
+        type: constants.SET_BREAKPOINT_CONDITION,
+        breakpoint: bp,
+        condition: condition
+      });
+    }
+
     let bpClient = getBreakpointClient(bp.actor);
 
     return dispatch({
       type: constants.SET_BREAKPOINT_CONDITION,
       breakpoint: bp,
       condition: condition,
-      [PROMISE]: Task.spawn(function*() {
-        let newClient = yield bpClient.setCondition(gThreadClient, condition);
+      [THREAD_CLIENT]: client => Task.spawn(function*() {
+        let newClient = yield bpClient.setCondition(client, condition);
 
         // Remove the old instance and save the new one
         setBreakpointClient(bpClient.actor, null);
@@ -161,11 +174,43 @@ function setBreakpointCondition(location, condition) {
   };
 }
 
+/**
+ * Set the saved breakpoints of a new source again, as they were when the
+ * source was last loaded.
+ */
+function restoreBreakpoints(source) {
+  return (dispatch, getState) => {
+    if (!source.url) {
+      return;
+    }
+
+    getSavedBreakpoints().forEach(saved => {
+      if (saved.url !== source.url) {
+        return;
+      }
+
+      const location = { actor: source.actor, line: saved.line };
+      if (saved.column) {
+        location.column = saved.column;
+      }
+      if (getBreakpoint(getState(), location)) {
+        return;
+      }
+
+      const added = dispatch(addBreakpoint(location, saved.condition));
+      if (added && saved.disabled) {
+        added.then(() => dispatch(disableBreakpoint(location)));
+      }
+    });
+  };
+}
+
 module.exports = {
   enableBreakpoint,
   addBreakpoint,
   disableBreakpoint,
   removeBreakpoint,
   removeAllBreakpoints,
-  setBreakpointCondition
+  setBreakpointCondition,
+  restoreBreakpoints
 }
@@ -7,6 +7,7 @@ const constants = require("../constants");
 const Task = require('devtools/sham/task');
 const { rdpInvoke, asPaused } = require("../utils");
 const { reportException } = require("devtools/shared/DevToolsUtils");
+const { THREAD_CLIENT } = require("../middleware/thread-client");
 
 const FETCH_EVENT_LISTENERS_DELAY = 200; // ms
 
@@ -32,26 +33,21 @@ function fetchEventListeners() {
 
       dispatch({
         type: constants.FETCH_EVENT_LISTENERS,
-        status: "begin"
-      });
-
-      asPaused(gThreadClient, _getListeners).then(listeners => {
-        // Notify that event listeners were fetched and shown in the view,
-        // and callback to resume the active thread if necessary.
-        window.emit(EVENTS.EVENT_LISTENERS_FETCHED);
-
-        dispatch({
-          type: constants.FETCH_EVENT_LISTENERS,
-          status: "done",
-          listeners: listeners
-        });
+        [THREAD_CLIENT]: client => {
+          return asPaused(client, () => _getListeners(client)).then(listeners => {
+            // Notify that event listeners were fetched and shown in the view,
+            // and callback to resume the active thread if necessary.
+            window.emit(EVENTS.EVENT_LISTENERS_FETCHED);
+            return listeners;
+          });
+        }
       });
     });
   };
 }
 
-const _getListeners = Task.async(function*() {
-  const response = yield rdpInvoke(gThreadClient, gThreadClient.eventListeners);
+const _getListeners = Task.async(function*(client) {
+  const response = yield rdpInvoke(client, client.eventListeners);
 
   // Make sure all the listeners are sorted by the event type, since
   // they"re not guaranteed to be clustered together.
@@ -65,7 +61,7 @@ const _getListeners = Task.async(function*() {
     if (fetchedDefinitions.has(listener.function.actor)) {
       definitionSite = fetchedDefinitions.get(listener.function.actor);
     } else if (listener.function.class == "Function") {
-      definitionSite = yield _getDefinitionSite(listener.function);
+      definitionSite = yield _getDefinitionSite(client, listener.function);
       if (!definitionSite) {
         // We don"t know where this listener comes from so don"t show it in
         // the UI as breaking on it doesn"t work (bug 942899).
@@ -82,8 +78,8 @@ const _getListeners = Task.async(function*() {
   return listeners;
 });
 
-const _getDefinitionSite = Task.async(function*(aFunction) {
-  const grip = gThreadClient.pauseGrip(aFunction);
+const _getDefinitionSite = Task.async(function*(client, aFunction) {
+  const grip = client.pauseGrip(aFunction);
   let response;
 
   try {
@@ -101,14 +97,15 @@ const _getDefinitionSite = Task.async(function*(aFunction) {
 function updateEventBreakpoints(eventNames) {
   return dispatch => {
     setNamedTimeout("event-breakpoints-update", 0, () => {
-      gThreadClient.pauseOnDOMEvents(eventNames, function() {
-        // Notify that event breakpoints were added/removed on the server.
-        window.emit(EVENTS.EVENT_BREAKPOINTS_UPDATED);
-
-        dispatch({
-          type: constants.UPDATE_EVENT_BREAKPOINTS,
-          eventNames: eventNames
-        });
+      dispatch({
+        type: constants.UPDATE_EVENT_BREAKPOINTS,
+        eventNames: eventNames,
+        [THREAD_CLIENT]: client => {
+          return rdpInvoke(client, client.pauseOnDOMEvents, eventNames).then(() => {
+            // Notify that event breakpoints were added/removed on the server.
+            window.emit(EVENTS.EVENT_BREAKPOINTS_UPDATED);
+          });
+        }
       });
     });
   }
@@ -1,5 +1,8 @@
 const breakpoints = require('./breakpoints');
 const sources = require('./sources');
+const pause = require('./pause');
+const watchExpressions = require('./watch-expressions');
 // const eventListeners = require('./event-listeners');
 
-module.exports = Object.assign({}, breakpoints, sources);
+module.exports = Object.assign({}, breakpoints, sources, pause,
+                               watchExpressions);
@@ -0,0 +1,278 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+const constants = require('../constants');
+const { Task } = require('devtools/sham/task');
+const { EnvironmentClient } = require('devtools/shared/client/main');
+const { rdpInvoke } = require('../utils');
+const { THREAD_CLIENT } = require('../middleware/thread-client');
+const {
+  getSource, getSourceByURL, getScopes, getObjectProperties
+} = require('../queries');
+const { selectSource } = require('./sources');
+const { evaluateWatchExpressions } = require('./watch-expressions');
+
+// The number of frames fetched when pausing.
+const FRAMES_MAX = 100;
+
+/**
+ * Handler for the thread client's "paused" notification.
+ */
+function paused(packet) {
+  return dispatch => {
+    dispatch({
+      type: constants.PAUSED,
+      why: packet.why,
+      frame: packet.frame
+    });
+
+    return dispatch(loadFrames()).then(frames => {
+      if (frames && frames.length) {
+        dispatch(selectFrame(frames[0]));
+      }
+    });
+  };
+}
+
+/**
+ * Handler for the thread client's "resumed" notification. Frames, scopes and
+ * the objects in them only live as long as the pause.
+ */
+function resumed() {
+  return {
+    type: constants.RESUMED
+  };
+}
+
+/**
+ * Send a command to the thread: "resume", "interrupt", "stepIn", "stepOver"
+ * or "stepOut". Its effects come back as "paused" and "resumed"
+ * notifications.
+ */
+function command(type) {
+  return {
+    type: constants.COMMAND,
+    command: type,
+    [THREAD_CLIENT]: client => rdpInvoke(client, client[type])
+  };
+}
+
+function resume() {
+  return command("resume");
+}
+
+function interrupt() {
+  return command("interrupt");
+}
+
+function stepIn() {
+  return command("stepIn");
+}
+
+function stepOver() {
+  return command("stepOver");
+}
+
+function stepOut() {
+  return command("stepOut");
+}
+
+/**
+ * Set whether the thread pauses when exceptions are thrown, and if so
+ * whether it ignores the caught ones.
+ */
+function pauseOnExceptions(shouldPauseOnExceptions,
+                           shouldIgnoreCaughtExceptions) {
+  return {
+    type: constants.PAUSE_ON_EXCEPTIONS,
+    shouldPauseOnExceptions: shouldPauseOnExceptions,
+    shouldIgnoreCaughtExceptions: shouldIgnoreCaughtExceptions,
+    [THREAD_CLIENT]: client => rdpInvoke(client, client.pauseOnExceptions,
+                                         shouldPauseOnExceptions,
+                                         shouldIgnoreCaughtExceptions)
+  };
+}
+
+function loadFrames() {
+  return {
+    type: constants.LOAD_FRAMES,
+    [THREAD_CLIENT]: client => Task.spawn(function*() {
+      let response = yield rdpInvoke(client, client.getFrames, 0, FRAMES_MAX);
+      return response.frames;
+    })
+  };
+}
+
+/**
+ * Returns the source of a frame's location. Valence gives the URL of the
+ * source rather than the source itself when connected to Chrome.
+ */
+function getFrameSource(state, frame) {
+  let where = frame.where || {};
+  if (where.source) {
+    return getSource(state, where.source.actor);
+  }
+  if (where.url) {
+    return getSourceByURL(state, where.url);
+  }
+  if (frame.source && frame.source.actor) {
+    return getSource(state, frame.source.actor);
+  }
+  return null;
+}
+
+/**
+ * Show the location of a frame in the editor, its scopes and the values of
+ * the watch expressions in it.
+ */
+function selectFrame(frame) {
+  return (dispatch, getState) => {
+    dispatch({
+      type: constants.SELECT_FRAME,
+      frame: frame
+    });
+
+    let source = getFrameSource(getState(), frame);
+    if (source) {
+      dispatch(selectSource(source, { line: frame.where.line }));
+    }
+
+    dispatch(evaluateWatchExpressions());
+    return dispatch(loadScopes(frame));
+  };
+}
+
+function getScopeLabel(environment, isInnermost) {
+  switch (environment.type) {
+  case "function": {
+    let fn = environment.function || {};
+    return fn.displayName || fn.name || (isInnermost ? "Local" : "Closure");
+  }
+  case "block":
+    return "Block";
+  case "with":
+    return "With";
+  default:
+    // Only the global scope is an object scope with no parent in Firefox,
+    // but Valence only knows about the innermost scope, as an object scope.
+    return environment.parent || isInnermost ? "Local" : "Global";
+  }
+}
+
+/**
+ * Turn the bindings of a function or block environment into a list of
+ * { name, value } variables, arguments first.
+ */
+function getBindingVariables(bindings) {
+  let variables = [];
+  for (let arg of bindings.arguments || []) {
+    let name = Object.keys(arg)[0];
+    variables.push({ name, value: arg[name].value });
+  }
+  let names = Object.keys(bindings.variables || {});
+  for (let name of names) {
+    variables.push({ name, value: bindings.variables[name].value });
+  }
+  return variables;
+}
+
+/**
+ * Load the scope chain of a frame, as a list of scopes with a |label| and
+ * either the |variables| of a function or block scope, or the |object|
+ * whose properties are the variables of an object or with scope.
+ */
+function loadScopes(frame) {
+  return (dispatch, getState) => {
+    if (getScopes(getState(), frame.actor)) {
+      return;
+    }
+
+    return dispatch({
+      type: constants.LOAD_SCOPES,
+      frame: frame,
+      [THREAD_CLIENT]: threadClient => Task.spawn(function*() {
+        let scopes = [];
+        let environment = frame.environment;
+
+        while (environment) {
+          let isInnermost = scopes.length == 0;
+          let scope = {
+            actor: environment.actor || environment.actorID,
+            type: environment.type,
+            label: getScopeLabel(environment, isInnermost),
+            variables: null,
+            object: null
+          };
+
+          if (environment.type == "function" || environment.type == "block") {
+            let bindings = environment.bindings;
+            if (!bindings) {
+              let client = new EnvironmentClient(threadClient.client,
+                                                 environment);
+              bindings = (yield rdpInvoke(client, client.getBindings)).bindings;
+            }
+            scope.variables = getBindingVariables(bindings);
+          } else {
+            scope.object = environment.object;
+          }
+
+          if (isInnermost && frame.this) {
+            scope.variables = scope.variables || [];
+            scope.variables.push({ name: "this", value: frame.this });
+          }
+
+          scopes.push(scope);
+          environment = environment.parent;
+        }
+
+        return scopes;
+      })
+    });
+  };
+}
+
+/**
+ * Load the own properties and prototype of an object in a scope, to show
+ * them when the object is expanded.
+ */
+function loadObjectProperties(grip) {
+  return (dispatch, getState) => {
+    if (getObjectProperties(getState(), grip.actor)) {
+      return;
+    }
+
+    return dispatch({
+      type: constants.LOAD_OBJECT_PROPERTIES,
+      grip: grip,
+      [THREAD_CLIENT]: threadClient => Task.spawn(function*() {
+        let client = threadClient.pauseGrip(grip);
+        let response = yield rdpInvoke(client,
+                                       client.getPrototypeAndProperties);
+        return {
+          ownProperties: response.ownProperties || {},
+          safeGetterValues: response.safeGetterValues || {},
+          prototype: response.prototype || null
+        };
+      })
+    });
+  };
+}
+
+module.exports = {
+  paused,
+  resumed,
+  command,
+  resume,
+  interrupt,
+  stepIn,
+  stepOver,
+  stepOut,
+  pauseOnExceptions,
+  loadFrames,
+  selectFrame,
+  loadScopes,
+  loadObjectProperties,
+  getFrameSource
+};
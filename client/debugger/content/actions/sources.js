@@ -9,15 +9,13 @@ const { Task } = require('devtools/sham/task');
 const { rdpInvoke } = require('../utils');
 const { dumpn } = require("devtools/shared/DevToolsUtils");
 const { PROMISE, HISTOGRAM_ID } = require('devtools/client/shared/redux/middleware/promise');
+const { THREAD_CLIENT } = require('../middleware/thread-client');
 const { getSource, getSourceText } = require('../queries');
+const { restoreBreakpoints } = require('./breakpoints');
 
 const NEW_SOURCE_IGNORED_URLS = ["debugger eval code", "XStringBundle"];
 const FETCH_SOURCE_RESPONSE_DELAY = 200; // ms
 
-function getSourceClient(source) {
-  return gThreadClient.source(source);
-}
-
 /**
  * Handler for the debugger client's unsolicited newSource notification.
  */
@@ -31,23 +29,24 @@ function newSource(source) {
     // Signal that a new source has been added.
     // window.emit(EVENTS.NEW_SOURCE);
 
-    return dispatch({
+    dispatch({
       type: constants.ADD_SOURCE,
       source: source
     });
+
+    return dispatch(restoreBreakpoints(source));
   };
 }
 
 function selectSource(source, opts) {
   return (dispatch, getState) => {
-    if (!gThreadClient) {
-      // No connection, do nothing. This happens when the debugger is
-      // shut down too fast and it tries to display a default source.
+    source = getSource(getState(), source.actor);
+    if (!source) {
+      // The source is gone. This happens when the debugger is shut down
+      // or navigates too fast and it tries to display a default source.
       return;
     }
 
-    source = getSource(getState(), source.actor);
-
     // Make sure to start a request to load the source text.
     dispatch(loadSourceText(source));
 
@@ -62,8 +61,8 @@ function selectSource(source, opts) {
 function loadSources() {
   return {
     type: constants.LOAD_SOURCES,
-    [PROMISE]: Task.spawn(function*() {
-      let response = yield rdpInvoke(gThreadClient, gThreadClient.getSources);
+    [THREAD_CLIENT]: client => Task.spawn(function*() {
+      let response = yield rdpInvoke(client, client.getSources);
 
       // Top-level breakpoints may pause the entire loading process
       // because scripts are executed as they are loaded, so the
@@ -99,12 +98,11 @@ function loadSources() {
  *          [aSource, error].
  */
 function blackbox(source, shouldBlackBox) {
-  const client = getSourceClient(source);
-
   return {
     type: constants.BLACKBOX,
     source: source,
-    [PROMISE]: Task.spawn(function*() {
+    [THREAD_CLIENT]: threadClient => Task.spawn(function*() {
+      const client = threadClient.source(source);
       yield rdpInvoke(client,
                       shouldBlackBox ? client.blackBox : client.unblackBox);
       return {
@@ -127,13 +125,13 @@ function blackbox(source, shouldBlackBox) {
  */
 function togglePrettyPrint(source) {
   return (dispatch, getState) => {
-    const sourceClient = getSourceClient(source);
     const wantPretty = !source.isPrettyPrinted;
 
     return dispatch({
       type: constants.TOGGLE_PRETTY_PRINT,
       source: source,
-      [PROMISE]: Task.spawn(function*() {
+      [THREAD_CLIENT]: client => Task.spawn(function*() {
+        const sourceClient = client.source(source);
         let response;
 
         // Only attempt to pretty print JavaScript sources.
@@ -178,12 +176,12 @@ function loadSourceText(source) {
       return promise.resolve(textInfo);
     }
 
-    let sourceClient = getSourceClient(source);
-
     return dispatch({
       type: constants.LOAD_SOURCE_TEXT,
       source: source,
-      [PROMISE]: Task.spawn(function*() {
+      [THREAD_CLIENT]: client => Task.spawn(function*() {
+        const sourceClient = client.source(source);
+
         // let transportType = gClient.localTransport ? "_LOCAL" : "_REMOTE";
         // let histogramId = "DEVTOOLS_DEBUGGER_DISPLAY_SOURCE" + transportType + "_MS";
         // let histogram = Services.telemetry.getHistogramById(histogramId);
@@ -0,0 +1,105 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+const constants = require('../constants');
+const promise = require('devtools/sham/promise');
+const { Task } = require('devtools/sham/task');
+const { THREAD_CLIENT } = require('../middleware/thread-client');
+const { getSelectedFrame, getWatchExpressions } = require('../queries');
+const { getSavedWatchExpressions } = require('../persistence');
+
+/**
+ * Evaluate an expression in a frame with the console actor, which unlike
+ * the thread's "clientEvaluate" doesn't resume the debuggee.
+ */
+function evaluateInFrame(consoleClient, expression, frame) {
+  const deferred = promise.defer();
+  consoleClient.evaluateJS(expression, response => {
+    if (response.error) {
+      deferred.reject(new Error(response.error + ": " + response.message));
+      return;
+    }
+    if (response.exceptionMessage) {
+      deferred.resolve({ exception: response.exceptionMessage });
+    }
+    else {
+      deferred.resolve({ value: response.result });
+    }
+  }, { frameActor: frame.actor });
+  return deferred.promise;
+}
+
+/**
+ * Evaluate the watch expressions in the selected frame, when paused.
+ */
+function evaluateWatchExpressions() {
+  return (dispatch, getState) => {
+    const frame = getSelectedFrame(getState());
+    const expressions = getWatchExpressions(getState());
+    if (!frame || !expressions.length) {
+      return;
+    }
+
+    return dispatch({
+      type: constants.EVALUATE_WATCH_EXPRESSIONS,
+      frame: frame,
+      [THREAD_CLIENT]: (client, consoleClient) => Task.spawn(function*() {
+        const values = {};
+        for (let expression of expressions) {
+          values[expression] = yield evaluateInFrame(consoleClient,
+                                                     expression, frame);
+        }
+        return values;
+      })
+    });
+  };
+}
+
+function addWatchExpression(expression) {
+  return dispatch => {
+    dispatch({
+      type: constants.ADD_WATCH_EXPRESSION,
+      expression: expression
+    });
+    return dispatch(evaluateWatchExpressions());
+  };
+}
+
+function updateWatchExpression(index, expression) {
+  return dispatch => {
+    dispatch({
+      type: constants.UPDATE_WATCH_EXPRESSION,
+      index: index,
+      expression: expression
+    });
+    return dispatch(evaluateWatchExpressions());
+  };
+}
+
+function removeWatchExpression(index) {
+  return {
+    type: constants.REMOVE_WATCH_EXPRESSION,
+    index: index
+  };
+}
+
+/**
+ * Add the watch expressions saved when the debugger was last used.
+ */
+function restoreWatchExpressions() {
+  return dispatch => {
+    getSavedWatchExpressions().forEach(expression => {
+      dispatch(addWatchExpression(expression));
+    });
+  };
+}
+
+module.exports = {
+  evaluateWatchExpressions,
+  addWatchExpression,
+  updateWatchExpression,
+  removeWatchExpression,
+  restoreWatchExpressions
+};
@@ -0,0 +1,128 @@
+const React = require("react");
+const { bindActionCreators } = require("redux");
+const { connect } = require("react-redux");
+const { parse: parseURL } = require("url");
+const queries = require("../queries");
+const breakpointActions = require("../actions/breakpoints");
+const sourcesActions = require("../actions/sources");
+const dom = React.DOM;
+
+function getBreakpointLabel(source, bp) {
+  const url = source && source.url ? source.url : "";
+  const paths = (parseURL(url).pathname || "").split("/");
+  return (paths[paths.length - 1] || url) + ":" + bp.location.line;
+}
+
+/**
+ * A breakpoint of the list: a checkbox to enable or disable it, its
+ * location, which shows it in the editor when clicked, and its condition,
+ * edited by clicking it.
+ */
+const Breakpoint = React.createClass({
+  getInitialState: function() {
+    return { editing: false };
+  },
+
+  toggle: function() {
+    const { bp } = this.props;
+    if(bp.disabled) {
+      this.props.enableBreakpoint(bp.location);
+    }
+    else {
+      this.props.disableBreakpoint(bp.location);
+    }
+  },
+
+  onConditionKeyDown: function(e) {
+    if(e.key === "Enter") {
+      const condition = e.target.value.trim() || undefined;
+      if(condition !== this.props.bp.condition) {
+        this.props.setBreakpointCondition(this.props.bp.location, condition);
+      }
+      this.setState({ editing: false });
+    }
+    else if(e.key === "Escape") {
+      this.setState({ editing: false });
+    }
+  },
+
+  render: function() {
+    const { bp, source } = this.props;
+    let condition;
+
+    if(this.state.editing) {
+      condition = dom.input({
+        className: "breakpoint-condition",
+        defaultValue: bp.condition || "",
+        placeholder: "Condition",
+        autoFocus: true,
+        onKeyDown: this.onConditionKeyDown,
+        onBlur: () => this.setState({ editing: false })
+      });
+    }
+    else {
+      condition = dom.span({
+        className: "breakpoint-condition" + (bp.condition ? "" : " empty"),
+        title: "Edit the condition",
+        onClick: () => this.setState({ editing: true })
+      }, bp.condition || "Add condition");
+    }
+
+    return dom.li(
+      { className: "breakpoint" + (bp.disabled ? " disabled" : "") },
+      dom.div(
+        { className: "breakpoint-header" },
+        dom.input({ type: "checkbox",
+                    checked: !bp.disabled,
+                    disabled: bp.loading,
+                    onChange: this.toggle }),
+        dom.span({ className: "breakpoint-location",
+                   onClick: () => this.props.selectSource(source, {
+                     line: bp.location.line
+                   }) },
+                 getBreakpointLabel(source, bp)),
+        dom.button({ className: "breakpoint-remove devtools-button",
+                     title: "Remove the breakpoint",
+                     disabled: bp.loading,
+                     onClick: () => this.props.removeBreakpoint(bp.location) },
+                   "×")
+      ),
+      condition
+    );
+  }
+});
+
+const Breakpoints = React.createClass({
+  render: function() {
+    const { breakpoints, state } = this.props;
+
+    return dom.div(
+      { className: "breakpoints" },
+      dom.h4(null, "Breakpoints"),
+      !breakpoints.length ?
+        dom.div({ className: "pane-info" }, "No breakpoints") :
+        dom.ul(
+          null,
+          breakpoints.map(bp => {
+            return React.createElement(Breakpoint, Object.assign({}, this.props, {
+              key: queries.makeLocationId(bp.location),
+              bp,
+              source: queries.getSource(state, bp.location.actor)
+            }));
+          })
+        )
+    );
+  }
+});
+
+module.exports = connect(
+  state => ({
+    breakpoints: queries.getBreakpoints(state),
+    state: state
+  }),
+  dispatch => bindActionCreators(
+    Object.assign({ selectSource: sourcesActions.selectSource },
+                  breakpointActions),
+    dispatch
+  )
+)(Breakpoints);
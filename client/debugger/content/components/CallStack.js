@@ -0,0 +1,62 @@
+const React = require("react");
+const { bindActionCreators } = require("redux");
+const { connect } = require("react-redux");
+const { parse: parseURL } = require("url");
+const queries = require("../queries");
+const pauseActions = require("../actions/pause");
+const dom = React.DOM;
+
+function getFrameName(frame) {
+  const callee = frame.callee;
+  if(callee) {
+    return callee.userDisplayName || callee.displayName || callee.name ||
+           "(anonymous)";
+  }
+  return "(" + frame.type + ")";
+}
+
+function getFrameLocation(frame) {
+  const where = frame.where || {};
+  const url = where.url || (where.source && where.source.url) || "";
+  const paths = (parseURL(url).pathname || "").split("/");
+  const file = paths[paths.length - 1] || url;
+  return file + ":" + where.line;
+}
+
+const CallStack = React.createClass({
+  render: function() {
+    const { frames, selectedFrame } = this.props;
+
+    return dom.div(
+      { className: "call-stack" },
+      dom.h4(null, "Call Stack"),
+      !frames ?
+        dom.div({ className: "pane-info" },
+                this.props.isPaused ? "Loading..." : "Not paused") :
+        dom.ul(
+          null,
+          frames.map(frame => {
+            return dom.li({
+              key: frame.actor,
+              onClick: () => this.props.selectFrame(frame),
+              className: selectedFrame === frame ? "selected" : ""
+            },
+            dom.span({ className: "frame-name" }, getFrameName(frame)),
+            dom.span({ className: "frame-location" }, getFrameLocation(frame)));
+          })
+        )
+    );
+  }
+});
+
+module.exports = connect(
+  state => ({
+    isPaused: queries.isPaused(state),
+    frames: queries.getFrames(state),
+    selectedFrame: queries.getSelectedFrame(state)
+  }),
+  dispatch => bindActionCreators(
+    { selectFrame: pauseActions.selectFrame },
+    dispatch
+  )
+)(CallStack);
@@ -5,6 +5,10 @@ const sourcesActions = require("../actions/sources");
 const Toolbar = React.createFactory(require('./Toolbar'));
 const Sources = React.createFactory(require('./Sources'));
 const Editor = React.createFactory(require('./Editor'));
+const WatchExpressions = React.createFactory(require('./WatchExpressions'));
+const Breakpoints = React.createFactory(require('./Breakpoints'));
+const CallStack = React.createFactory(require('./CallStack'));
+const Scopes = React.createFactory(require('./Scopes'));
 const dom = React.DOM;
 
 const Debugger = React.createClass({
@@ -23,7 +27,15 @@ const Debugger = React.createClass({
         Sources(),
         Editor({
           content: 'hola'
-        })
+        }),
+        dom.div(
+          { className: 'vbox sidebar',
+            style: { flex: '0 0 300px', overflow: 'auto' }},
+          WatchExpressions(),
+          Breakpoints(),
+          CallStack(),
+          Scopes()
+        )
       )
     );
   }
@@ -52,7 +52,11 @@ const Editor = React.createClass({
     this._editor.on("gutterClick", (ev, line, button) => {
       const source = this.props.selectedSource;
       const location = { actor: source.actor, line: line + 1 };
-      if(queries.getBreakpoint(this.props.state, location)) {
+      const bp = queries.getBreakpoint(this.props.state, location);
+      if(bp && bp.disabled) {
+        this.props.enableBreakpoint(location);
+      }
+      else if(bp) {
         this.props.removeBreakpoint(location);
       }
       else {
@@ -92,13 +96,14 @@ const Editor = React.createClass({
       this._currentText = null;
     }
     else {
-      if(this._currentText !== sourceText) {
+      const textChanged = this._currentText !== sourceText;
+      if(textChanged) {
         this._editor.setText(sourceText.text);
         this._currentText = sourceText;
       }
 
       this.props.breakpoints.map(bp => {
-        if(this.props.selectedSource &&
+        if(this.props.selectedSource && !bp.disabled &&
            this.props.selectedSource.actor === bp.location.actor) {
           this._editor.addBreakpoint(bp.location.line - 1);
         }
@@ -107,10 +112,17 @@ const Editor = React.createClass({
       const opts = this.props.selectedSourceOpts || {};
       if(opts.line) {
         this._editor.setDebugLocation(opts.line - 1);
+
+        // Scroll to the location when it changes, like when selecting
+        // another frame, but not on every update.
+        if(textChanged || this._currentOpts !== opts) {
+          this._editor.alignLine(opts.line - 1, "center");
+        }
       }
       else {
         this._editor.clearDebugLocation();
       }
+      this._currentOpts = opts;
 
     }
   },
@@ -0,0 +1,111 @@
+const React = require("react");
+const { bindActionCreators } = require("redux");
+const { connect } = require("react-redux");
+const queries = require("../queries");
+const pauseActions = require("../actions/pause");
+const { VariableList, ObjectProperties } = require("./Variables");
+const dom = React.DOM;
+
+/**
+ * A scope of the selected frame. Function and block scopes list their
+ * variables, object scopes (like the global scope) list the properties
+ * of their object once expanded. Only the innermost scope is expanded at
+ * first.
+ */
+const Scope = React.createClass({
+  getInitialState: function() {
+    return { expanded: this.props.isInnermost };
+  },
+
+  componentWillMount: function() {
+    if(this.state.expanded && this.props.scope.object) {
+      this.props.loadObjectProperties(this.props.scope.object);
+    }
+  },
+
+  toggle: function() {
+    const expanded = !this.state.expanded;
+    if(expanded && this.props.scope.object) {
+      this.props.loadObjectProperties(this.props.scope.object);
+    }
+    this.setState({ expanded });
+  },
+
+  render: function() {
+    const { scope, loadObjectProperties } = this.props;
+    let content = null;
+
+    if(this.state.expanded) {
+      content = [];
+      if(scope.variables) {
+        content.push(VariableList({ key: "variables",
+                                    variables: scope.variables,
+                                    loadObjectProperties }));
+      }
+      if(scope.object) {
+        content.push(ObjectProperties({ key: "object",
+                                        object: scope.object }));
+      }
+    }
+
+    return dom.li(
+      { className: "scope" },
+      dom.div(
+        { className: "scope-label", onClick: this.toggle },
+        dom.span({ className: "arrow" +
+                              (this.state.expanded ? " expanded" : "") }),
+        scope.label
+      ),
+      content
+    );
+  }
+});
+
+const Scopes = React.createClass({
+  render: function() {
+    const { selectedFrame, scopes } = this.props;
+    let content;
+
+    if(!selectedFrame) {
+      content = dom.div({ className: "pane-info" }, "Not paused");
+    }
+    else if(!scopes) {
+      content = dom.div({ className: "pane-info" }, "Loading...");
+    }
+    else {
+      content = dom.ul(
+        null,
+        scopes.map((scope, i) => {
+          return React.createElement(Scope, {
+            // Scopes are kept when selecting another frame, so make sure
+            // their expanded state isn't.
+            key: selectedFrame.actor + ":" + i,
+            scope,
+            isInnermost: i === 0,
+            loadObjectProperties: this.props.loadObjectProperties
+          });
+        })
+      );
+    }
+
+    return dom.div(
+      { className: "scopes" },
+      dom.h4(null, "Scopes"),
+      content
+    );
+  }
+});
+
+module.exports = connect(
+  state => {
+    const selectedFrame = queries.getSelectedFrame(state);
+    return {
+      selectedFrame,
+      scopes: selectedFrame ? queries.getScopes(state, selectedFrame.actor) : null
+    };
+  },
+  dispatch => bindActionCreators(
+    { loadObjectProperties: pauseActions.loadObjectProperties },
+    dispatch
+  )
+)(Scopes);
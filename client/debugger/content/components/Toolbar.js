@@ -2,49 +2,62 @@ const React = require("react");
 const { connect } = require("react-redux");
 const { bindActionCreators } = require("redux");
 const sourcesActions = require("../actions/sources");
+const pauseActions = require("../actions/pause");
 const queries = require("../queries");
 const dom = React.DOM;
 
-function resume() {
-  gThreadClient.resume();
-}
-
-function pause() {
-  gThreadClient.interrupt();
-}
+const PAUSE_REASONS = {
+  breakpoint: "Paused on breakpoint",
+  exception: "Paused on exception",
+  debuggerStatement: "Paused on debugger statement",
+  interrupted: "Paused",
+  resumeLimit: "Paused after stepping",
+  pauseOnDOMEvents: "Paused on event listener",
+  clientEvaluated: "Paused after evaluation"
+};
 
-function stepIn() {
-  gThreadClient.stepIn();
+function getPauseReason(pauseInfo) {
+  if(!pauseInfo || !pauseInfo.why) {
+    return null;
+  }
+  return PAUSE_REASONS[pauseInfo.why.type] || "Paused";
 }
 
-function stepOver() {
-  gThreadClient.stepOver();
-}
+/**
+ * The pause on exceptions states the button cycles through, as the
+ * arguments of the pauseOnExceptions action.
+ */
+const EXCEPTION_STATES = [
+  { label: "Don't pause on exceptions", args: [false, true] },
+  { label: "Pause on all exceptions", args: [true, false] },
+  { label: "Pause on uncaught exceptions", args: [true, true] }
+];
 
-function stepOut() {
-  gThreadClient.stepOut();
+function getExceptionState({ shouldPauseOnExceptions,
+                             shouldIgnoreCaughtExceptions }) {
+  if(!shouldPauseOnExceptions) {
+    return 0;
+  }
+  return shouldIgnoreCaughtExceptions ? 2 : 1;
 }
 
 const Toolbar = React.createClass({
-  componentDidMount: function() {
-    gThreadClient.addListener("paused", () => {
-      this.forceUpdate();
-    });
-
-    gThreadClient.addListener("resumed", () => {
-      this.forceUpdate();
-    });
-  },
-
   render: function() {
-    const isPaused = gThreadClient.state === "paused";
+    const { isPaused, pendingCommand, pauseInfo } = this.props;
     const clearEditor = func => {
       return () => {
-        this.props.selectSource(this.props.selectedSource);
+        if(this.props.selectedSource) {
+          this.props.selectSource(this.props.selectedSource);
+        }
         func();
       }
     };
 
+    const exceptionState = getExceptionState(this.props.pauseOnExceptions);
+    const nextExceptionState =
+      EXCEPTION_STATES[(exceptionState + 1) % EXCEPTION_STATES.length];
+    const reason = isPaused ? getPauseReason(pauseInfo) : null;
+
     return dom.div(
       { className: 'toolbar',
         style: { flex: '0 25px' } },
@@ -52,24 +65,44 @@ const Toolbar = React.createClass({
         dom.button({ key: "resume",
                      className: "devtools-button resume",
                      checked: true,
-                     onClick: clearEditor(resume) }) :
+                     disabled: !!pendingCommand,
+                     onClick: clearEditor(this.props.resume) }) :
         dom.button({ key: "pause",
                      className: "devtools-button pause",
-                     onClick: clearEditor(pause) }),
+                     disabled: !!pendingCommand,
+                     onClick: clearEditor(this.props.interrupt) }),
       dom.button({ className: "devtools-button stepIn",
-                   onClick: clearEditor(stepIn) }),
+                   disabled: !isPaused || !!pendingCommand,
+                   onClick: clearEditor(this.props.stepIn) }),
       dom.button({ className: "devtools-button stepOver",
-                   onClick: clearEditor(stepOver) }),
+                   disabled: !isPaused || !!pendingCommand,
+                   onClick: clearEditor(this.props.stepOver) }),
       dom.button({ className: "devtools-button stepOut",
-                   onClick: clearEditor(stepOut) })
+                   disabled: !isPaused || !!pendingCommand,
+                   onClick: clearEditor(this.props.stepOut) }),
+      dom.button({ className: "devtools-button pause-on-exceptions",
+                   title: nextExceptionState.label,
+                   "data-state": exceptionState,
+                   onClick: () => {
+                     this.props.pauseOnExceptions(...nextExceptionState.args);
+                   } },
+                 EXCEPTION_STATES[exceptionState].label),
+      reason ? dom.span({ className: "pause-reason" }, reason) : null
     )
   }
 });
 
 module.exports = connect(
-  state => ({ selectedSource: queries.getSelectedSource(state) }),
+  state => ({
+    selectedSource: queries.getSelectedSource(state),
+    isPaused: queries.isPaused(state),
+    pauseInfo: queries.getPause(state),
+    pendingCommand: queries.getPendingCommand(state),
+    pauseOnExceptions: queries.getPauseOnExceptions(state)
+  }),
   dispatch => bindActionCreators(
-    { selectSource: sourcesActions.selectSource },
+    Object.assign({ selectSource: sourcesActions.selectSource },
+                  pauseActions),
     dispatch
   )
 )(Toolbar);
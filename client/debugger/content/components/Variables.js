@@ -0,0 +1,139 @@
+const React = require("react");
+const { bindActionCreators } = require("redux");
+const { connect } = require("react-redux");
+const queries = require("../queries");
+const pauseActions = require("../actions/pause");
+const dom = React.DOM;
+
+function isExpandable(value) {
+  return value && typeof value === "object" && value.type === "object";
+}
+
+function getValueText(value) {
+  if(value === null || typeof value !== "object") {
+    return typeof value === "string" ? JSON.stringify(value) : String(value);
+  }
+
+  switch(value.type) {
+  case "undefined":
+  case "null":
+  case "Infinity":
+  case "-Infinity":
+  case "NaN":
+  case "-0":
+    return value.type;
+  case "longString":
+    return JSON.stringify(value.initial + "…");
+  case "symbol":
+    return "Symbol(" + (value.name || "") + ")";
+  case "object":
+    if(value.class === "Function") {
+      return "function " + (value.displayName || value.name || "") + "()";
+    }
+    return value.class;
+  }
+  return value.type;
+}
+
+/**
+ * A variable or property, that can be expanded to show the properties
+ * of its value when it is an object.
+ */
+const Variable = React.createClass({
+  getInitialState: function() {
+    return { expanded: false };
+  },
+
+  toggle: function() {
+    const expanded = !this.state.expanded;
+    if(expanded) {
+      this.props.loadObjectProperties(this.props.value);
+    }
+    this.setState({ expanded });
+  },
+
+  render: function() {
+    const { name, value } = this.props;
+    const expandable = isExpandable(value);
+
+    return dom.li(
+      { className: "variable" },
+      dom.div(
+        { className: "variable-label",
+          onClick: expandable ? this.toggle : null },
+        dom.span({ className: "arrow" + (expandable ? "" : " hidden") +
+                              (this.state.expanded ? " expanded" : "") }),
+        dom.span({ className: "variable-name" }, name),
+        dom.span({ className: "variable-value" }, getValueText(value))
+      ),
+      expandable && this.state.expanded ?
+        ObjectProperties({ object: value }) :
+        null
+    );
+  }
+});
+
+/**
+ * The properties of an object, and its prototype, once they are loaded.
+ */
+const ObjectProperties = React.createFactory(connect(
+  (state, props) => ({
+    properties: queries.getObjectProperties(state, props.object.actor)
+  }),
+  dispatch => bindActionCreators(
+    { loadObjectProperties: pauseActions.loadObjectProperties },
+    dispatch
+  )
+)(React.createClass({
+  render: function() {
+    const properties = this.props.properties;
+    if(!properties) {
+      return dom.div({ className: "pane-info" }, "Loading...");
+    }
+
+    const variables = [];
+    const own = properties.ownProperties;
+    Object.keys(own).sort().forEach(name => {
+      const desc = own[name];
+      // Accessors are shown with the value of their getter when it is
+      // known to be safe to call.
+      let value = desc.value;
+      if(!("value" in desc)) {
+        const safe = properties.safeGetterValues[name];
+        value = safe ? safe.getterValue : { type: "undefined" };
+      }
+      variables.push({ name, value });
+    });
+    if(properties.prototype) {
+      variables.push({ name: "__proto__", value: properties.prototype });
+    }
+
+    return VariableList({
+      variables,
+      loadObjectProperties: this.props.loadObjectProperties
+    });
+  }
+})));
+
+const VariableList = React.createFactory(React.createClass({
+  render: function() {
+    return dom.ul(
+      { className: "variables" },
+      this.props.variables.map(({ name, value }) => {
+        return React.createElement(Variable, {
+          key: name,
+          name,
+          value,
+          loadObjectProperties: this.props.loadObjectProperties
+        });
+      })
+    );
+  }
+}));
+
+module.exports = {
+  Variable,
+  VariableList,
+  ObjectProperties,
+  getValueText
+};
@@ -0,0 +1,123 @@
+const React = require("react");
+const { bindActionCreators } = require("redux");
+const { connect } = require("react-redux");
+const queries = require("../queries");
+const watchExpressionActions = require("../actions/watch-expressions");
+const pauseActions = require("../actions/pause");
+const { Variable } = require("./Variables");
+const dom = React.DOM;
+
+/**
+ * A watch expression, with its value in the selected frame when paused.
+ * Double-clicking it edits it; emptying it removes it.
+ */
+const WatchExpression = React.createClass({
+  getInitialState: function() {
+    return { editing: false };
+  },
+
+  onKeyDown: function(e) {
+    if(e.key === "Enter") {
+      this.props.updateWatchExpression(this.props.index,
+                                       e.target.value.trim());
+      this.setState({ editing: false });
+    }
+    else if(e.key === "Escape") {
+      this.setState({ editing: false });
+    }
+  },
+
+  renderValue: function() {
+    const { expression, value } = this.props;
+
+    if(!value) {
+      return dom.div({ className: "variable-label" },
+                     dom.span({ className: "arrow hidden" }),
+                     dom.span({ className: "variable-name" }, expression),
+                     dom.span({ className: "variable-value unavailable" },
+                              "<not available>"));
+    }
+    if("exception" in value) {
+      return dom.div({ className: "variable-label" },
+                     dom.span({ className: "arrow hidden" }),
+                     dom.span({ className: "variable-name" }, expression),
+                     dom.span({ className: "variable-value exception" },
+                              value.exception));
+    }
+    return dom.ul(
+      { className: "variables" },
+      React.createElement(Variable, {
+        name: expression,
+        value: value.value,
+        loadObjectProperties: this.props.loadObjectProperties
+      })
+    );
+  },
+
+  render: function() {
+    const { expression, index } = this.props;
+
+    return dom.li(
+      { className: "watch-expression",
+        onDoubleClick: () => this.setState({ editing: true }) },
+      this.state.editing ?
+        dom.input({ className: "watch-expression-input",
+                    defaultValue: expression,
+                    autoFocus: true,
+                    onKeyDown: this.onKeyDown,
+                    onBlur: () => this.setState({ editing: false }) }) :
+        this.renderValue(),
+      dom.button({ className: "watch-expression-remove devtools-button",
+                   title: "Remove the watch expression",
+                   onClick: () => this.props.removeWatchExpression(index) },
+                 "×")
+    );
+  }
+});
+
+const WatchExpressions = React.createClass({
+  onKeyDown: function(e) {
+    if(e.key === "Enter" && e.target.value.trim()) {
+      this.props.addWatchExpression(e.target.value.trim());
+      e.target.value = "";
+    }
+  },
+
+  render: function() {
+    const { expressions, values } = this.props;
+
+    return dom.div(
+      { className: "watch-expressions" },
+      dom.h4(null, "Watch Expressions"),
+      dom.ul(
+        null,
+        expressions.map((expression, index) => {
+          return React.createElement(WatchExpression, {
+            key: index + ":" + expression,
+            index,
+            expression,
+            value: values[expression],
+            updateWatchExpression: this.props.updateWatchExpression,
+            removeWatchExpression: this.props.removeWatchExpression,
+            loadObjectProperties: this.props.loadObjectProperties
+          });
+        })
+      ),
+      dom.input({ className: "watch-expression-input",
+                  placeholder: "Add watch expression",
+                  onKeyDown: this.onKeyDown })
+    );
+  }
+});
+
+module.exports = connect(
+  state => ({
+    expressions: queries.getWatchExpressions(state),
+    values: queries.getWatchExpressionValues(state)
+  }),
+  dispatch => bindActionCreators(
+    Object.assign({ loadObjectProperties: pauseActions.loadObjectProperties },
+                  watchExpressionActions),
+    dispatch
+  )
+)(WatchExpressions);
@@ -21,3 +21,18 @@ exports.LOAD_SOURCE_TEXT = 'LOAD_SOURCE_TEXT';
 exports.SELECT_SOURCE = 'SELECT_SOURCE';
 exports.UNLOAD = 'UNLOAD';
 exports.RELOAD = 'RELOAD';
+
+exports.PAUSED = 'PAUSED';
+exports.RESUMED = 'RESUMED';
+exports.LOAD_FRAMES = 'LOAD_FRAMES';
+exports.SELECT_FRAME = 'SELECT_FRAME';
+exports.LOAD_SCOPES = 'LOAD_SCOPES';
+exports.LOAD_OBJECT_PROPERTIES = 'LOAD_OBJECT_PROPERTIES';
+
+exports.ADD_WATCH_EXPRESSION = 'ADD_WATCH_EXPRESSION';
+exports.UPDATE_WATCH_EXPRESSION = 'UPDATE_WATCH_EXPRESSION';
+exports.REMOVE_WATCH_EXPRESSION = 'REMOVE_WATCH_EXPRESSION';
+exports.EVALUATE_WATCH_EXPRESSIONS = 'EVALUATE_WATCH_EXPRESSIONS';
+
+exports.COMMAND = 'COMMAND';
+exports.PAUSE_ON_EXCEPTIONS = 'PAUSE_ON_EXCEPTIONS';
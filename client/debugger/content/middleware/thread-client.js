@@ -0,0 +1,37 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+const { entries, toObject } = require("devtools/shared/DevToolsUtils");
+const { PROMISE } = require('devtools/client/shared/redux/middleware/promise');
+const THREAD_CLIENT = exports.THREAD_CLIENT = "@@dispatch/thread-client";
+
+/**
+ * A middleware giving actions the clients of the thread the store debugs,
+ * instead of them using globals, so that several debuggers can live side by
+ * side and the clients can be mocked in tests.
+ *
+ * The THREAD_CLIENT field of an action is a function called with the thread
+ * client and the console client of the same target. The action is then
+ * dispatched again with the promise it returns as its PROMISE field, or as
+ * is if it doesn't return one.
+ */
+function threadClient(client, consoleClient) {
+  return ({ dispatch, getState }) => next => action => {
+    if (!(THREAD_CLIENT in action)) {
+      return next(action);
+    }
+
+    const request = action[THREAD_CLIENT];
+    action = toObject(entries(action).filter(pair => pair[0] !== THREAD_CLIENT));
+
+    const result = request(client, consoleClient);
+    if (result && typeof result.then === "function") {
+      action[PROMISE] = result;
+    }
+    return dispatch(action);
+  };
+}
+
+exports.threadClient = threadClient;
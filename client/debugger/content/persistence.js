@@ -0,0 +1,128 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+const prefs = require('devtools/sham/services/prefs');
+const constants = require('./constants');
+const { getSource, getSources, getBreakpoints } = require('./queries');
+
+const BREAKPOINTS_PREF = "devtools.debugger.breakpoints";
+const WATCH_EXPRESSIONS_PREF = "devtools.debugger.watch-expressions";
+const PAUSE_ON_EXCEPTIONS_PREF = "devtools.debugger.pause-on-exceptions";
+const IGNORE_CAUGHT_EXCEPTIONS_PREF = "devtools.debugger.ignore-caught-exceptions";
+
+// The actions after which the breakpoints or watch expressions are saved.
+const BREAKPOINT_ACTIONS = [
+  constants.ADD_BREAKPOINT,
+  constants.REMOVE_BREAKPOINT,
+  constants.SET_BREAKPOINT_CONDITION
+];
+const WATCH_EXPRESSION_ACTIONS = [
+  constants.ADD_WATCH_EXPRESSION,
+  constants.UPDATE_WATCH_EXPRESSION,
+  constants.REMOVE_WATCH_EXPRESSION
+];
+
+function readList(pref) {
+  try {
+    const list = JSON.parse(prefs.getCharPref(pref) || "[]");
+    return Array.isArray(list) ? list : [];
+  }
+  catch(e) {
+    return [];
+  }
+}
+
+/**
+ * Returns the saved breakpoints, as { url, line, column, condition,
+ * disabled } objects. They are saved by URL rather than source actor, so
+ * that they can be set again on the sources of the next page load.
+ */
+function getSavedBreakpoints() {
+  return readList(BREAKPOINTS_PREF);
+}
+
+function getSavedWatchExpressions() {
+  return readList(WATCH_EXPRESSIONS_PREF);
+}
+
+/**
+ * Returns the saved pause on exceptions settings, as the arguments of the
+ * pauseOnExceptions action.
+ */
+function getSavedPauseOnExceptions() {
+  return [
+    prefs.getBoolPref(PAUSE_ON_EXCEPTIONS_PREF),
+    prefs.getBoolPref(IGNORE_CAUGHT_EXCEPTIONS_PREF)
+  ];
+}
+
+function saveBreakpoints(state) {
+  // Only the breakpoints of the sources loaded are known from the state,
+  // the ones of other pages are kept as they were.
+  const sources = getSources(state);
+  const loadedURLs = new Set(Object.keys(sources).map(k => sources[k].url));
+  const saved = getSavedBreakpoints().filter(bp => !loadedURLs.has(bp.url));
+
+  getBreakpoints(state).forEach(bp => {
+    const source = getSource(state, bp.location.actor);
+    if (!source || !source.url) {
+      return;
+    }
+    saved.push({
+      url: source.url,
+      line: bp.location.line,
+      column: bp.location.column,
+      condition: bp.condition,
+      disabled: !!bp.disabled
+    });
+  });
+
+  prefs.setCharPref(BREAKPOINTS_PREF, JSON.stringify(saved));
+}
+
+function saveWatchExpressions(state) {
+  prefs.setCharPref(WATCH_EXPRESSIONS_PREF,
+                    JSON.stringify(state.watchExpressions.expressions));
+}
+
+function savePauseOnExceptions(state) {
+  prefs.setBoolPref(PAUSE_ON_EXCEPTIONS_PREF,
+                    state.pause.shouldPauseOnExceptions);
+  prefs.setBoolPref(IGNORE_CAUGHT_EXCEPTIONS_PREF,
+                    state.pause.shouldIgnoreCaughtExceptions);
+}
+
+/**
+ * A middleware saving the breakpoints, watch expressions and pause on
+ * exceptions settings to the prefs when they change, so that they survive
+ * reloading the page or the toolbox.
+ */
+function persist({ dispatch, getState }) {
+  return next => action => {
+    const result = next(action);
+
+    if (action.status !== 'start' && action.status !== 'error') {
+      if (BREAKPOINT_ACTIONS.indexOf(action.type) != -1) {
+        saveBreakpoints(getState());
+      }
+      else if (WATCH_EXPRESSION_ACTIONS.indexOf(action.type) != -1) {
+        saveWatchExpressions(getState());
+      }
+      else if (action.type === constants.PAUSE_ON_EXCEPTIONS &&
+               action.status === 'done') {
+        savePauseOnExceptions(getState());
+      }
+    }
+
+    return result;
+  };
+}
+
+module.exports = {
+  getSavedBreakpoints,
+  getSavedWatchExpressions,
+  getSavedPauseOnExceptions,
+  persist
+};
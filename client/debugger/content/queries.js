@@ -51,6 +51,53 @@ function getBreakpoint(state, location) {
   return state.breakpoints.breakpoints[makeLocationId(location)];
 }
 
+function getPause(state) {
+  return state.pause.pauseInfo;
+}
+
+function isPaused(state) {
+  return state.pause.isPaused;
+}
+
+function getPendingCommand(state) {
+  return state.pause.command;
+}
+
+function getPauseOnExceptions(state) {
+  return {
+    shouldPauseOnExceptions: state.pause.shouldPauseOnExceptions,
+    shouldIgnoreCaughtExceptions: state.pause.shouldIgnoreCaughtExceptions
+  };
+}
+
+function getFrames(state) {
+  return state.pause.frames;
+}
+
+function getSelectedFrame(state) {
+  const { frames, selectedFrame } = state.pause;
+  if (!frames) {
+    return null;
+  }
+  return frames.find(frame => frame.actor === selectedFrame) || null;
+}
+
+function getScopes(state, frameActor) {
+  return state.pause.scopes[frameActor];
+}
+
+function getObjectProperties(state, actor) {
+  return state.pause.objects[actor];
+}
+
+function getWatchExpressions(state) {
+  return state.watchExpressions.expressions;
+}
+
+function getWatchExpressionValues(state) {
+  return state.watchExpressions.values;
+}
+
 function makeLocationId(location) {
   return location.actor + ':' + location.line.toString();
 }
@@ -66,5 +113,15 @@ module.exports = {
   getSourceText,
   getBreakpoint,
   getBreakpoints,
+  getPause,
+  isPaused,
+  getPendingCommand,
+  getPauseOnExceptions,
+  getFrames,
+  getSelectedFrame,
+  getScopes,
+  getObjectProperties,
+  getWatchExpressions,
+  getWatchExpressionValues,
   makeLocationId
 };
@@ -102,7 +102,13 @@ function update(state = initialState, action, emitChange) {
     const id = makeLocationId(action.breakpoint.location);
     const bp = state.breakpoints[id];
 
-    if (action.status === 'start') {
+    if (!action.status) {
+      // The condition of a disabled breakpoint only changes locally.
+      return mergeIn(state, ['breakpoints', id], {
+        condition: action.condition
+      });
+    }
+    else if (action.status === 'start') {
       return mergeIn(state, ['breakpoints', id], {
         loading: true,
         condition: action.condition
@@ -120,7 +126,13 @@ function update(state = initialState, action, emitChange) {
       return deleteIn(state, ['breakpoints', id]);
     }
     break;
-  }}
+  }
+
+  case constants.UNLOAD:
+    // The breakpoints are set again on the sources of the next page
+    // from the saved ones.
+    return initialState;
+  }
 
   return state;
 }
@@ -16,18 +16,23 @@ const initialState = {
 function update(state = initialState, action, emit) {
   switch(action.type) {
   case constants.UPDATE_EVENT_BREAKPOINTS:
-    state.activeEventNames = action.eventNames;
-    emit("activeEventNames", state.activeEventNames);
+    if (action.status === "done") {
+      state.activeEventNames = action.eventNames;
+      emit("activeEventNames", state.activeEventNames);
+    }
     break;
   case constants.FETCH_EVENT_LISTENERS:
-    if (action.status === "begin") {
+    if (action.status === "start") {
       state.fetchingListeners = true;
     }
     else if (action.status === "done") {
       state.fetchingListeners = false;
-      state.listeners = action.listeners;
+      state.listeners = action.value;
       emit("event-listeners", state.listeners);
     }
+    else if (action.status === "error") {
+      state.fetchingListeners = false;
+    }
     break;
   }
 
@@ -6,11 +6,15 @@
 const eventListeners = require('./event-listeners');
 const sources = require('./sources');
 const breakpoints = require('./breakpoints');
+const pause = require('./pause');
+const watchExpressions = require('./watch-expressions');
 const asyncRequests = require('./async-requests');
 
 module.exports = {
   eventListeners,
   sources,
   breakpoints,
+  pause,
+  watchExpressions,
   asyncRequests
 };
@@ -0,0 +1,103 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+const constants = require('../constants');
+const Immutable = require('devtools/client/shared/vendor/seamless-immutable');
+const { setIn } = require('../utils');
+
+const initialState = Immutable({
+  isPaused: false,
+  pauseInfo: null,
+  // The command sent to the thread and not answered yet, if any.
+  command: null,
+  shouldPauseOnExceptions: false,
+  shouldIgnoreCaughtExceptions: true,
+  frames: null,
+  selectedFrame: null,
+  // The scopes of the frames, by frame actor.
+  scopes: {},
+  // The properties of the objects expanded in the scopes, by object actor.
+  objects: {}
+});
+
+function update(state = initialState, action, emitChange) {
+  switch(action.type) {
+  case constants.PAUSED:
+    state = _resetPause(state).merge({
+      isPaused: true,
+      pauseInfo: { why: action.why, frame: action.frame }
+    });
+    emitChange('paused', state.pauseInfo);
+    return state;
+
+  case constants.RESUMED:
+    emitChange('resumed', null);
+    return _resetPause(state);
+
+  case constants.COMMAND:
+    if (action.status === 'start') {
+      return state.merge({ command: action.command });
+    }
+    return state.merge({ command: null });
+
+  case constants.PAUSE_ON_EXCEPTIONS:
+    if (action.status === 'done') {
+      state = state.merge({
+        shouldPauseOnExceptions: action.shouldPauseOnExceptions,
+        shouldIgnoreCaughtExceptions: action.shouldIgnoreCaughtExceptions
+      });
+      emitChange('pause-on-exceptions', state);
+      return state;
+    }
+    break;
+
+  case constants.LOAD_FRAMES:
+    // The frames of a previous pause may come back after resuming.
+    if (action.status === 'done' && state.isPaused) {
+      state = state.merge({ frames: action.value });
+      emitChange('frames', state.frames);
+      return state;
+    }
+    break;
+
+  case constants.SELECT_FRAME:
+    emitChange('frame-selected', action.frame);
+    return state.merge({ selectedFrame: action.frame.actor });
+
+  case constants.LOAD_SCOPES:
+    if (action.status === 'done' && state.isPaused) {
+      state = setIn(state, ['scopes', action.frame.actor], action.value);
+      emitChange('scopes', state.scopes[action.frame.actor]);
+      return state;
+    }
+    break;
+
+  case constants.LOAD_OBJECT_PROPERTIES:
+    if (action.status === 'done' && state.isPaused) {
+      state = setIn(state, ['objects', action.grip.actor], action.value);
+      emitChange('object-properties', state.objects[action.grip.actor]);
+      return state;
+    }
+    break;
+
+  case constants.UNLOAD:
+    return _resetPause(state);
+  }
+
+  return state;
+}
+
+/**
+ * Forget everything about the current pause, but not the settings of the
+ * thread.
+ */
+function _resetPause(state) {
+  return initialState.merge({
+    shouldPauseOnExceptions: state.shouldPauseOnExceptions,
+    shouldIgnoreCaughtExceptions: state.shouldIgnoreCaughtExceptions
+  });
+}
+
+module.exports = update;
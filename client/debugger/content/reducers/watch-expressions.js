@@ -0,0 +1,73 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+const constants = require('../constants');
+const Immutable = require('devtools/client/shared/vendor/seamless-immutable');
+
+const initialState = Immutable({
+  expressions: [],
+  // The frame the values were evaluated in.
+  frame: null,
+  // The values of the expressions, by expression, as { value } or
+  // { exception } objects.
+  values: {}
+});
+
+function update(state = initialState, action, emitChange) {
+  switch(action.type) {
+  case constants.ADD_WATCH_EXPRESSION:
+    if (!action.expression ||
+        state.expressions.indexOf(action.expression) != -1) {
+      return state;
+    }
+    state = state.merge({
+      expressions: [...state.expressions, action.expression]
+    });
+    emitChange('watch-expressions', state.expressions);
+    return state;
+
+  case constants.UPDATE_WATCH_EXPRESSION: {
+    const expressions = [...state.expressions];
+    if (action.expression) {
+      expressions[action.index] = action.expression;
+    }
+    else {
+      expressions.splice(action.index, 1);
+    }
+    state = state.merge({ expressions });
+    emitChange('watch-expressions', state.expressions);
+    return state;
+  }
+
+  case constants.REMOVE_WATCH_EXPRESSION: {
+    const expressions = [...state.expressions];
+    expressions.splice(action.index, 1);
+    state = state.merge({ expressions });
+    emitChange('watch-expressions', state.expressions);
+    return state;
+  }
+
+  case constants.EVALUATE_WATCH_EXPRESSIONS:
+    if (action.status === 'start') {
+      return state.merge({ frame: action.frame.actor });
+    }
+    // Ignore the values of a frame that isn't selected anymore.
+    else if (action.status === 'done' && state.frame === action.frame.actor) {
+      state = state.merge({ values: action.value });
+      emitChange('watch-expression-values', state.values);
+      return state;
+    }
+    break;
+
+  case constants.RESUMED:
+  case constants.UNLOAD:
+    // Watch expressions are kept across pages, but not their values.
+    return state.merge({ frame: null, values: {} });
+  }
+
+  return state;
+}
+
+module.exports = update;
@@ -6,10 +6,9 @@ const ReactDOM = require("react-dom");
 const Provider = React.createFactory(require("react-redux").Provider);
 
 // Used to create the Redux store
-const createStore = require("devtools/client/shared/redux/create-store")({
-  getTargetClient: () => DebuggerController.client,
-  log: false
-});
+const { persist, getSavedPauseOnExceptions } = require("./content/persistence");
+const { threadClient } = require("./content/middleware/thread-client");
+const createStore = require("devtools/client/shared/redux/create-store");
 const {
   makeStateBroadcaster,
   enhanceStoreWithBroadcaster,
@@ -33,13 +32,19 @@ const Debugger = React.createFactory(require('./content/components/Debugger'));
 
 // Global store
 
-function initializeStore() {
+function initializeStore(thread, consoleClient) {
   const broadcaster = makeStateBroadcaster(() => true);
   const reducer = combineBroadcastingReducers(
     reducers,
     broadcaster.emitChange
   );
-  let store = createStore((state, action) => {
+  // Actions get the clients from the store rather than globals. Watch
+  // expressions are evaluated by the console, which doesn't resume the
+  // thread like its "clientEvaluate" requests.
+  let store = createStore({
+    middleware: [threadClient(thread, consoleClient), persist],
+    log: false
+  })((state, action) => {
     if (action.seqId &&
         (action.status === 'done' || action.status === 'error') &&
         state && state.asyncRequests.indexOf(action.seqId) === -1) {
@@ -60,10 +65,11 @@ function render() {
 
 // Events
 
-function onConnect(thread) {
-  initializeStore();
+function onConnect(thread, consoleClient) {
+  initializeStore(thread, consoleClient);
   const {
-    selectSource, newSource, fetchEventListeners, loadSources
+    newSource, fetchEventListeners, loadSources, paused, resumed, resume,
+    pauseOnExceptions, restoreWatchExpressions
   } = bindActionCreators(actions, gStore.dispatch);
 
   thread.addListener("newSource", (event, packet) => {
@@ -71,23 +77,25 @@ function onConnect(thread) {
   });
 
   thread.addListener("paused", (event, packet) => {
-    if(packet.frame && packet.frame.where) {
-      let source;
-      if(packet.frame.where.url) {
-        // When using Valence to connect with Chrome, we get back a
-        // URL instead of a source for some reason
-        source = queries.getSourceByURL(gStore.getState(), packet.frame.where.url)
-      }
-      else {
-        source = packet.frame.where.source;
-      }
+    // Selecting the top frame shows its location in the editor.
+    paused(packet);
+  });
 
-      selectSource(source, {
-        line: packet.frame.where.line
-      })
-    }
+  thread.addListener("resumed", () => {
+    resumed();
   });
 
+  const [shouldPauseOnExceptions, shouldIgnoreCaughtExceptions] =
+    getSavedPauseOnExceptions();
+  if (shouldPauseOnExceptions) {
+    pauseOnExceptions(shouldPauseOnExceptions, shouldIgnoreCaughtExceptions);
+  }
+
+  if (thread.paused) {
+    resume();
+  }
+
+  restoreWatchExpressions();
   loadSources();
   render();
 }
@@ -121,13 +129,7 @@ function connect(target) {
         reject(new Error("Couldn't attach to thread: " + aResponse.error));
         return;
       }
-      window.gThreadClient = aThreadClient;
-      onConnect(gThreadClient);
-
-      if (aThreadClient.paused) {
-        aThreadClient.resume();
-      }
-
+      onConnect(aThreadClient, target.activeConsole);
       resolve();
     });
   });
@@ -9,6 +9,8 @@ const { Cc, Ci, Cu, Cr } = require("devtools/sham/chrome");
 const promise = require("devtools/sham/promise");
 const EventEmitter = require("devtools/shared/event-emitter");
 const DevToolsUtils = require("devtools/shared/DevToolsUtils");
+const queries = require("./content/queries");
+const actions = require("./content/actions");
 
 function DebuggerPanel(iframeWindow, toolbox) {
   this.panelWin = iframeWindow;
@@ -83,6 +85,14 @@ DebuggerPanel.prototype = {
     return this._toolbox.target;
   },
 
+  /**
+   * Whether the thread of the target is paused.
+   */
+  get isPaused() {
+    let store = this.panelWin.gStore;
+    return !!store && queries.isPaused(store.getState());
+  },
+
   destroy: function() {
     // Make sure this panel is not already destroyed.
     // if (this._destroyer) {
@@ -123,6 +133,23 @@ DebuggerPanel.prototype = {
     return dispatch(actions.blackbox(source, flag))
   },
 
+  /**
+   * Show a source in the editor, scrolled to a line. The source is added
+   * first if the debugger hasn't heard of it yet, as happens for sources
+   * found by other tools before the debugger loaded them.
+   *
+   * @param object source
+   *        The source form.
+   * @param number line
+   */
+  selectSource: function(source, line) {
+    const store = this.panelWin.gStore;
+    if (!queries.getSource(store.getState(), source.actor)) {
+      store.dispatch(actions.newSource(source));
+    }
+    return store.dispatch(actions.selectSource(source, { line }));
+  },
+
   handleHostChanged: function() {
     // this._view.handleHostChanged(this._toolbox.hostType);
   },
@@ -12,6 +12,8 @@ var osString = "Darwin";
 var InspectorPanel = require("devtools/client/inspector/inspector-panel").InspectorPanel;
 var WebConsolePanel = require("devtools/client/webconsole/panel").WebConsolePanel;
 var DebuggerPanel = require("devtools/client/debugger/panel").DebuggerPanel;
+var RDPMonitorPanel = require("devtools/client/rdpmonitor/panel").RDPMonitorPanel;
+var PromisesPanel = require("devtools/client/promisedebugger/promise-panel").PromisesPanel;
 
 // loader.lazyGetter(this, "OptionsPanel", () => require("devtools/client/framework/toolbox-options").OptionsPanel);
 // loader.lazyGetter(this, "WebConsolePanel", () => require("devtools/client/webconsole/panel").WebConsolePanel);
@@ -23,6 +25,8 @@ var toolboxStrings = new L10N(require("l10n/toolbox.properties"));
 var webConsoleStrings = new L10N(require("l10n/webconsole.properties"));
 var inspectorStrings = new L10N(require("l10n/inspector.properties"));
 var debuggerStrings = new L10N(require("l10n/debugger.properties"));
+var rdpMonitorStrings = new L10N(require("l10n/rdpmonitor.properties"));
+var promiseDebuggerStrings = new L10N(require("l10n/promisedebugger.properties"));
 
 var Tools = {};
 exports.Tools = Tools;
@@ -150,11 +154,53 @@ Tools.jsdebugger = {
   }
 };
 
+Tools.rdpmonitor = {
+  id: "rdpmonitor",
+  ordinal: 4,
+  icon: "../themes/images/tool-network.svg",
+  invertIconForLightTheme: true,
+  url: "../rdpmonitor/rdpmonitor.xhtml",
+  label: l10n("rdpmonitor.label", rdpMonitorStrings),
+  panelLabel: l10n("rdpmonitor.panelLabel", rdpMonitorStrings),
+  tooltip: l10n("rdpmonitor.tooltip", rdpMonitorStrings),
+  inMenu: true,
+
+  isTargetSupported: function(target) {
+    return true;
+  },
+
+  build: function(iframeWindow, toolbox) {
+    return new RDPMonitorPanel(iframeWindow, toolbox);
+  }
+};
+
+Tools.promisedebugger = {
+  id: "promisedebugger",
+  ordinal: 5,
+  icon: "../themes/images/tool-debugger.svg",
+  invertIconForLightTheme: true,
+  url: "../promisedebugger/promise-debugger.xhtml",
+  label: l10n("promisedebugger.label", promiseDebuggerStrings),
+  panelLabel: l10n("promisedebugger.panelLabel", promiseDebuggerStrings),
+  tooltip: l10n("promisedebugger.tooltip", promiseDebuggerStrings),
+  inMenu: true,
+
+  isTargetSupported: function(target) {
+    return target.hasActor("promises");
+  },
+
+  build: function(iframeWindow, toolbox) {
+    return new PromisesPanel(iframeWindow, toolbox);
+  }
+};
+
 var defaultTools = [
   Tools.options,
   Tools.webConsole,
   Tools.inspector,
   Tools.jsdebugger,
+  Tools.rdpmonitor,
+  Tools.promisedebugger,
 ];
 
 exports.defaultTools = defaultTools;
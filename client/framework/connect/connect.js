@@ -6,244 +6,293 @@
 
 "use strict";
 
-const { Cu } = require("devtools/sham/chrome");
+/**
+ * The connection screen: lists the servers the tools can connect to, the
+ * default ones `gulp start` serves and the ones added by the user, probes
+ * them for their tabs, workers, add-ons and processes, and opens a toolbox
+ * on the one chosen.
+ *
+ * With ?record, the sessions with the servers are recorded, and can be
+ * downloaded from the toolbox. Recordings are played back from here too, by
+ * picking their file or adding their URL as a server.
+ */
 
-const { XPCOMUtils } = require("devtools/sham/xpcomutils");
-const { Services } = require("devtools/sham/services");
-const { Task } = require("devtools/sham/task");
-const { gDevTools } = require("devtools/client/framework/gDevTools");
-var L10N = require("devtools/sham/l10n");
-var {TargetFactory} = require("devtools/client/framework/target");
-var {Toolbox} = require("devtools/client/framework/toolbox")
-var promise = require("devtools/sham/promise");
-var {DebuggerClient} = require("devtools/shared/client/main");
+const L10N = require("devtools/sham/l10n");
+const { loadRecording } = require("devtools/shared/transport/recording");
+const { Toolbox } = require("devtools/client/framework/toolbox");
+const endpoints = require("devtools/client/framework/connect/endpoints");
 
-var gClient;
-var gConnectionTimeout;
+const strings = new L10N(require("l10n/connection-screen.properties"));
 
-window.l10n = Services.strings.createBundle('l10n/connection-screen.properties');
+// The order the kinds of targets are listed in.
+const TARGET_KINDS = ["tab", "worker", "addon", "process"];
 
-/**
- * Once DOM is ready, we prefil the host/port inputs with
- * pref-stored values.
- */
-window.addEventListener("DOMContentLoaded", function onDOMReady() {
-  window.removeEventListener("DOMContentLoaded", onDOMReady, true);
-  let host = Services.prefs.getCharPref("devtools.debugger.remote-host");
-  let port = Services.prefs.getIntPref("devtools.debugger.remote-port");
+// The tool the toolbox opens with, by kind of target.
+const DEFAULT_TOOLS = {
+  tab: "inspector",
+  worker: "webconsole",
+  addon: "jsdebugger",
+  process: "webconsole"
+};
 
-  if (host) {
-    document.getElementById("host").value = host;
-  }
+const $ = selector => document.querySelector(selector);
 
-  if (port) {
-    document.getElementById("port").value = port;
-  }
+// The clients connected to the RDP servers while they are listed, to open a
+// toolbox on their targets without connecting again. Endpoint URL => client.
+var gClients = new Map();
+
+// The "replay" endpoints of the recordings picked with the file input.
+var gReplays = [];
 
-  let form = document.querySelector("#connection-form form");
-  form.addEventListener("submit", function() {
-    window.submit().catch(e => {
-      console.error(e);
-      // Bug 921850: catch rare exception from DebuggerClient.socketConnect
-      showError("unexpected");
+window.addEventListener("DOMContentLoaded", function onDOMReady() {
+  window.removeEventListener("DOMContentLoaded", onDOMReady, true);
+
+  $("#refresh").addEventListener("click", () => showEndpoints());
+  $("#endpoint-type").addEventListener("change", () => {
+    let type = $("#endpoint-type").value;
+    $("#endpoint-url").placeholder = type == "replay" ?
+      location.origin + "/rdp-recording.json" :
+      endpoints.getDefaultEndpoints().find(e => e.type == type).url;
+  });
+  $("#add-endpoint-form").addEventListener("submit", e => {
+    e.preventDefault();
+    let url = $("#endpoint-url").value.trim();
+    endpoints.saveEndpoint({
+      type: $("#endpoint-type").value,
+      url: url,
+      name: $("#endpoint-name").value.trim() || url
     });
+    $("#endpoint-url").value = $("#endpoint-name").value = "";
+    showEndpoints();
   });
-}, true);
-
-/**
- * Called when the "connect" button is clicked.
- */
-var submit = Task.async(function*() {
-  // Show the "connecting" screen
-  document.body.classList.add("connecting");
+  $("#replay-file").addEventListener("change", () => {
+    let file = $("#replay-file").files[0];
+    if (!file) {
+      return;
+    }
+    loadRecording(file).then(recording => {
+      gReplays.push({
+        type: "replay",
+        url: file.name,
+        name: file.name,
+        recording: recording
+      });
+      $("#replay-file").value = "";
+      showEndpoints();
+    }, e => showError(strings.formatStringFromName("replayFailed",
+                                                   [e.message || e], 1)));
+  });
+  window.addEventListener("unload", () => closeClients());
 
-  let host = document.getElementById("host").value;
-  let port = document.getElementById("port").value;
+  showRecentConnections();
+  showEndpoints();
+}, true);
 
-  // Save the host/port values
-  try {
-    Services.prefs.setCharPref("devtools.debugger.remote-host", host);
-    Services.prefs.setIntPref("devtools.debugger.remote-port", port);
-  } catch(e) {
-    // Fails in e10s mode, but not a critical feature.
+function closeClients(except) {
+  for (let client of gClients.values()) {
+    if (client !== except) {
+      client.close();
+    }
   }
+  gClients.clear();
+}
 
-  // Initiate the connection
-  let transport = yield DebuggerClient.socketConnect({ host, port });
-  gClient = new DebuggerClient(transport);
-  let delay = Services.prefs.getIntPref("devtools.debugger.remote-timeout");
-  gConnectionTimeout = setTimeout(handleConnectionTimeout, delay);
-  let response = yield clientConnect();
-  yield onConnectionReady(...response);
-});
-
-function clientConnect() {
-  let deferred = promise.defer();
-  gClient.connect((...args) => deferred.resolve(args));
-  return deferred.promise;
+function showError(message) {
+  document.body.classList.remove("connecting");
+  $("#error").textContent = message;
 }
 
 /**
- * Connection is ready. List actors and build buttons.
+ * Returns the default endpoints followed by the ones added by the user and
+ * the recordings picked.
  */
-var onConnectionReady = Task.async(function*(aType, aTraits) {
-  clearTimeout(gConnectionTimeout);
-
-  let deferred = promise.defer();
-  gClient.listAddons(deferred.resolve);
-  let response = yield deferred.promise;
-
-  let parent = document.getElementById("addonActors")
-  if (!response.error && response.addons.length > 0) {
-    // Add one entry for each add-on.
-    for (let addon of response.addons) {
-      if (!addon.debuggable) {
-        continue;
-      }
-      buildAddonLink(addon, parent);
+function getEndpoints() {
+  let list = endpoints.getDefaultEndpoints();
+  for (let endpoint of endpoints.getSavedEndpoints()) {
+    if (!list.some(e => endpoints.isSameEndpoint(e, endpoint))) {
+      endpoint.saved = true;
+      list.push(endpoint);
     }
   }
-  else {
-    // Hide the section when there are no add-ons
-    parent.previousElementSibling.remove();
-    parent.remove();
+  let record = endpoints.isRecordingRequested();
+  for (let endpoint of list) {
+    endpoint.record = record;
   }
+  return list.concat(gReplays);
+}
 
-  deferred = promise.defer();
-  gClient.listTabs(deferred.resolve);
-  response = yield deferred.promise;
-
-  parent = document.getElementById("tabActors");
-
-  // Add Global Process debugging...
-  let globals = Cu.cloneInto(response, {});
-  delete globals.tabs;
-  delete globals.selected;
-  // ...only if there are appropriate actors (a 'from' property will always
-  // be there).
-
-  // Add one entry for each open tab.
-  for (let i = 0; i < response.tabs.length; i++) {
-    buildTabLink(response.tabs[i], parent, i == response.selected);
+function showRecentConnections() {
+  let list = $("#recent-list");
+  list.innerHTML = "";
+
+  let recent = endpoints.getRecentConnections();
+  $("#recent-connections").hidden = !recent.length;
+  for (let { endpoint, target } of recent) {
+    let link = createTargetLink(target);
+    link.textContent += " — " + endpoint.name;
+    link.addEventListener("click", e => {
+      e.preventDefault();
+      reopen(endpoint, target);
+    });
+    let item = document.createElement("li");
+    item.appendChild(link);
+    list.appendChild(item);
   }
+}
 
-  let gParent = document.getElementById("globalActors");
-
-  // Build the Remote Process button
-  // If Fx<39, tab actors were used to be exposed on RootActor
-  // but in Fx>=39, chrome is debuggable via getProcess() and ChromeActor
-  if (globals.consoleActor || gClient.mainRoot.traits.allowChromeProcess) {
-    let a = document.createElement("a");
-    a.onclick = function() {
-      if (gClient.mainRoot.traits.allowChromeProcess) {
-        gClient.getProcess()
-               .then(aResponse => {
-                 openToolbox(aResponse.form, true);
-               });
-      } else if (globals.consoleActor) {
-        openToolbox(globals, true, "webconsole", false);
-      }
+/**
+ * List the endpoints, and probe them all at once.
+ */
+function showEndpoints() {
+  closeClients();
+  let container = $("#endpoint-list");
+  container.innerHTML = "";
+
+  for (let endpoint of getEndpoints()) {
+    let node = document.createElement("div");
+    node.className = "endpoint";
+    node.setAttribute("status", "probing");
+
+    let header = document.createElement("div");
+    header.className = "endpoint-header";
+    let name = document.createElement("span");
+    name.className = "endpoint-name";
+    name.textContent = endpoint.name;
+    let url = document.createElement("span");
+    url.className = "endpoint-url";
+    url.textContent = endpoint.url;
+    let status = document.createElement("span");
+    status.className = "endpoint-status";
+    status.textContent = strings.GetStringFromName("probing");
+    header.append(name, url, status);
+
+    if (endpoint.saved) {
+      let remove = document.createElement("button");
+      remove.textContent = strings.GetStringFromName("removeEndpoint");
+      remove.addEventListener("click", () => {
+        endpoints.removeEndpoint(endpoint);
+        showEndpoints();
+      });
+      header.appendChild(remove);
     }
-    a.title = a.textContent = window.l10n.GetStringFromName("mainProcess");
-    a.className = "remote-process";
-    a.href = "#";
-    gParent.appendChild(a);
-  }
-  // Move the selected tab on top
-  let selectedLink = parent.querySelector("a.selected");
-  if (selectedLink) {
-    parent.insertBefore(selectedLink, parent.firstChild);
-  }
 
-  document.body.classList.remove("connecting");
-  document.body.classList.add("actors-mode");
-
-  // Ensure the first link is focused
-  let firstLink = parent.querySelector("a:first-of-type");
-  if (firstLink) {
-    firstLink.focus();
+    let targets = document.createElement("div");
+    targets.className = "endpoint-targets";
+    node.append(header, targets);
+    container.appendChild(node);
+
+    probe(endpoint).then(list => {
+      node.setAttribute("status", "connected");
+      status.textContent = list.length ? "" :
+                           strings.GetStringFromName("noTargets");
+      showTargets(endpoint, list, targets);
+    }, e => {
+      node.setAttribute("status", "error");
+      status.textContent = strings.formatStringFromName("unreachable",
+        [e.message || e.error || e], 1);
+    });
   }
-});
+}
 
 /**
- * Build one button for an add-on actor.
+ * List the targets of an endpoint, keeping the client connected to it if any.
  */
-function buildAddonLink(addon, parent) {
-  let a = document.createElement("a");
-  a.onclick = function() {
-    openToolbox(addon, true, "jsdebugger", false);
+async function probe(endpoint) {
+  if (endpoint.type == "chrome") {
+    return endpoints.probe(endpoint);
   }
-
-  a.textContent = addon.name;
-  a.title = addon.id;
-  a.href = "#";
-
-  parent.appendChild(a);
+  let client = await endpoints.connect(endpoint);
+  // The servers may have been probed again meanwhile.
+  if (gClients.has(endpoint.url)) {
+    gClients.get(endpoint.url).close();
+  }
+  gClients.set(endpoint.url, client);
+  return endpoints.probe(endpoint, client);
 }
 
-/**
- * Build one button for a tab actor.
- */
-function buildTabLink(tab, parent, selected) {
-  let a = document.createElement("a");
-  a.onclick = function() {
-    openToolbox(tab);
-  }
+function createTargetLink(target) {
+  let link = document.createElement("a");
+  link.href = "#";
+  link.className = "target";
+  link.setAttribute("kind", target.kind);
+  link.textContent = target.name;
+  link.title = target.url;
+  return link;
+}
 
-  a.textContent = tab.title;
-  a.title = tab.url;
-  if (!a.textContent) {
-    a.textContent = tab.url;
-  }
-  a.href = "#";
+function showTargets(endpoint, targets, container) {
+  for (let kind of TARGET_KINDS) {
+    let ofKind = targets.filter(target => target.kind == kind);
+    if (!ofKind.length) {
+      continue;
+    }
 
-  if (selected) {
-    a.classList.add("selected");
+    let heading = document.createElement("p");
+    heading.textContent = strings.GetStringFromName("targetKind." + kind);
+    let list = document.createElement("ul");
+    list.className = "targets";
+
+    // The selected tab first.
+    ofKind.sort((a, b) => !!b.selected - !!a.selected);
+    for (let target of ofKind) {
+      let link = createTargetLink(target);
+      if (target.selected) {
+        link.classList.add("selected");
+      }
+      link.addEventListener("click", e => {
+        e.preventDefault();
+        openToolbox(endpoint, target);
+      });
+      let item = document.createElement("li");
+      item.appendChild(link);
+      list.appendChild(item);
+    }
+    container.append(heading, list);
   }
-
-  parent.appendChild(a);
 }
 
 /**
- * An error occured. Let's show it and return to the first screen.
+ * Open a recent connection again, if its target is still there.
  */
-function showError(type) {
-  document.body.className = "error";
-  let activeError = document.querySelector(".error-message.active");
-  if (activeError) {
-    activeError.classList.remove("active");
-  }
-  activeError = document.querySelector(".error-" + type);
-  if (activeError) {
-    activeError.classList.add("active");
+async function reopen(endpoint, recent) {
+  document.body.classList.add("connecting");
+  try {
+    let targets = await probe(endpoint);
+    let target = endpoints.findTarget(targets, recent);
+    if (!target) {
+      showError(strings.formatStringFromName("targetNotFound",
+                                             [recent.name], 1));
+      return;
+    }
+    await openToolbox(endpoint, target);
+  } catch (e) {
+    showError(strings.formatStringFromName("connectionFailed",
+                                           [e.message || e.error || e], 1));
   }
 }
 
 /**
- * Connection timeout.
+ * Replace the connection screen with a toolbox for a target of an endpoint.
  */
-function handleConnectionTimeout() {
-  showError("timeout");
-}
+async function openToolbox(endpoint, target) {
+  document.body.classList.add("connecting");
+  try {
+    let client = gClients.get(endpoint.url) ||
+                 await endpoints.connect(endpoint);
+    let toolboxTarget = await endpoints.getTarget(endpoint, client, target);
+    closeClients(client);
+    // Picked recordings can't be opened again from their name.
+    if (!gReplays.includes(endpoint)) {
+      endpoints.addRecentConnection(endpoint, target);
+    }
 
-/**
- * The user clicked on one of the buttons.
- * Opens the toolbox.
- */
-function openToolbox(form, chrome=false, tool="webconsole", isTabActor) {
-  let options = {
-    form: form,
-    client: gClient,
-    chrome: chrome,
-    isTabActor: isTabActor
-  };
-  TargetFactory.forRemoteTab(options).then((target) => {
-    let hostType = Toolbox.HostType.WINDOW;
-    gDevTools.showToolbox(target, tool, hostType).then((toolbox) => {
-      toolbox.once("destroyed", function() {
-        gClient.close();
-      });
-    }, console.error.bind(console));
-    window.close();
-  }, console.error.bind(console));
+    document.body.className = "toolbox-mode";
+    let toolbox = new Toolbox(toolboxTarget, DEFAULT_TOOLS[target.kind],
+                              Toolbox.HostType.BOTTOM);
+    await toolbox.open();
+  } catch (e) {
+    console.error(e);
+    showError(strings.formatStringFromName("connectionFailed",
+                                           [e.message || e.error || e], 1));
+  }
 }
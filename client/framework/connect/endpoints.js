@@ -0,0 +1,484 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * The servers the tools connect to, or endpoints, and the targets they
+ * debug.
+ *
+ * An endpoint is an object with:
+ *   type (string): "rdp" for a server speaking the remote debugging protocol
+ *     through the WebSocket proxy, like Firefox or the Valence add-on,
+ *     "chrome" for Chrome, debugged by Valence in the page through the
+ *     /json list of its targets, or "replay" for a recorded session played
+ *     back as if it came from a server.
+ *   url (string): The ws:// URL of the proxy, the http:// URL the /json
+ *     list of Chrome is under, or the URL the recording is fetched from.
+ *   name (string): What the user calls the endpoint.
+ *   record (boolean): Whether to record the sessions with the endpoint, see
+ *     getSessionRecording.
+ *   recording (object): The recording of a "replay" endpoint, once loaded.
+ *     See shared/transport/recording.js.
+ *
+ * A target is an object with:
+ *   kind (string): "tab", "worker", "addon" or "process".
+ *   name (string): The title of the tab, the name of the add-on...
+ *   url (string): The URL of the tab or worker, or the ID of the add-on.
+ *   selected (boolean): Whether it is the selected tab.
+ *   form (object): The form of the actor, for RDP endpoints.
+ *   index (number): The index of the target in the /json list, for Chrome
+ *     endpoints.
+ */
+
+const { Services } = require("devtools/sham/services");
+const { DebuggerClient } = require("devtools/shared/client/main");
+const { DebuggerTransport } = require("devtools/shared/transport/transport");
+const {
+  RecordingTransport,
+  ReplayTransport,
+  saveRecording
+} = require("devtools/shared/transport/recording");
+const { TargetFactory } = require("devtools/client/framework/target");
+const L10N = require("devtools/sham/l10n");
+
+const strings = new L10N(require("l10n/connection-screen.properties"));
+
+// The ports of the WebSocket proxies `gulp start` runs, to Firefox and to
+// the Valence add-on.
+const FIREFOX_WS_PORT = 9000;
+const VALENCE_WS_PORT = 9001;
+// The path `gulp start` proxies the /json list of Chrome under.
+const CHROME_TAB_LIST_PATH = "/chrome-tab-list";
+
+// The localStorage keys the endpoints added by the user and the recent
+// connections are kept under.
+const SAVED_ENDPOINTS_KEY = "devtools.connect.endpoints";
+const RECENT_CONNECTIONS_KEY = "devtools.connect.recent";
+// The number of recent connections remembered.
+const RECENT_CONNECTIONS_MAX = 10;
+// The name of the file recordings are downloaded as.
+const RECORDING_FILE_NAME = "rdp-recording.json";
+
+// The kinds of the targets in the /json list of Chrome, by type. The other
+// types, like "page" and "iframe", are tabs.
+const CHROME_TARGET_KINDS = {
+  "service_worker": "worker",
+  "shared_worker": "worker",
+  "worker": "worker",
+  "background_page": "addon"
+};
+
+/**
+ * Returns the endpoints `gulp start` serves, on the host of the page.
+ */
+function getDefaultEndpoints(hostname = location.hostname,
+                             port = location.port) {
+  return [{
+    type: "rdp",
+    url: "ws://" + hostname + ":" + FIREFOX_WS_PORT,
+    name: "Firefox"
+  }, {
+    type: "rdp",
+    url: "ws://" + hostname + ":" + VALENCE_WS_PORT,
+    name: "Valence add-on"
+  }, {
+    type: "chrome",
+    url: "http://" + hostname + ":" + port + CHROME_TAB_LIST_PATH,
+    name: "Chrome"
+  }];
+}
+
+/**
+ * Returns the endpoint given by the query string of a page, or null if there
+ * is none. The endpoint is given by either:
+ *   ?wsPort=9000: The port of a WebSocket proxy on the host of the page.
+ *   ?ws=ws://host:port: The URL of a WebSocket proxy.
+ *   ?chrome=http://host:port/path: The URL the /json list of Chrome is
+ *     under, proxied by the host of the page by default.
+ *   ?replay=http://host/recording.json: The URL of a recorded session to
+ *     play back. Sessions are played back the way they were recorded, so
+ *     this replays sessions recorded with ?record on the same page.
+ */
+function getEndpointFromQuery(search = location.search,
+                              hostname = location.hostname) {
+  let params = new URLSearchParams(search);
+  if (params.has("wsPort")) {
+    return {
+      type: "rdp",
+      url: "ws://" + hostname + ":" + params.get("wsPort"),
+      name: hostname + ":" + params.get("wsPort")
+    };
+  }
+  if (params.get("ws")) {
+    return { type: "rdp", url: params.get("ws"), name: params.get("ws") };
+  }
+  if (params.has("chrome")) {
+    let url = params.get("chrome") ||
+              getDefaultEndpoints(hostname).find(e => e.type == "chrome").url;
+    return { type: "chrome", url: url, name: "Chrome" };
+  }
+  if (params.get("replay")) {
+    let url = params.get("replay");
+    return { type: "replay", url: url, name: url };
+  }
+  return null;
+}
+
+/**
+ * Returns whether the query string of a page asks for the sessions with the
+ * endpoints to be recorded, with ?record.
+ */
+function isRecordingRequested(search = location.search) {
+  return new URLSearchParams(search).has("record");
+}
+
+function isSameEndpoint(a, b) {
+  return a.type == b.type && a.url == b.url;
+}
+
+// The RecordingTransport of the clients connected to endpoints recording
+// their sessions.
+const recorders = new WeakMap();
+
+function createTransport(endpoint) {
+  let transport;
+  if (endpoint.type == "replay") {
+    transport = new ReplayTransport(endpoint.recording);
+  } else if (endpoint.type == "chrome") {
+    // Connect to Chrome through Valence. The list of tabs is fetched over
+    // http, so it has to be proxied to be same-origin, but Valence then
+    // connects directly to their WebSockets.
+    let Valence = require("devtools/valence/lib/chromium/server");
+    transport = Valence.connect(endpoint.url);
+  } else {
+    let socket = new WebSocket(endpoint.url);
+    transport = new DebuggerTransport(socket);
+  }
+  return endpoint.record ? new RecordingTransport(transport) : transport;
+}
+
+/**
+ * Fetch the recording of a "replay" endpoint, unless it is already loaded.
+ */
+function fetchRecording(endpoint) {
+  if (endpoint.type != "replay" || endpoint.recording) {
+    return Promise.resolve();
+  }
+  return fetch(endpoint.url).then(response => {
+    if (!response.ok) {
+      throw new Error("Could not fetch " + endpoint.url + ": " +
+                      response.status);
+    }
+    return response.json();
+  }).then(recording => {
+    endpoint.recording = recording;
+  });
+}
+
+/**
+ * Connect a client to an endpoint.
+ *
+ * @returns a promise resolved with the DebuggerClient once connected, or
+ *          rejected if the endpoint doesn't answer in time.
+ */
+function connect(endpoint) {
+  return fetchRecording(endpoint).then(() => connectClient(endpoint));
+}
+
+function connectClient(endpoint) {
+  let transport = createTransport(endpoint);
+  let client = new DebuggerClient(transport);
+  if (transport instanceof RecordingTransport) {
+    recorders.set(client, transport);
+  }
+  let delay = Services.prefs.getIntPref("devtools.debugger.remote-timeout");
+
+  return new Promise((resolve, reject) => {
+    let timeout = setTimeout(() => {
+      client.close();
+      reject(new Error("Timed out connecting to " + endpoint.url));
+    }, delay);
+    client.addOneTimeListener("closed", () => {
+      clearTimeout(timeout);
+      reject(new Error("Could not connect to " + endpoint.url));
+    });
+
+    client.connect().then(() => {
+      clearTimeout(timeout);
+      resolve(client);
+    }, e => {
+      clearTimeout(timeout);
+      reject(e);
+    });
+  });
+}
+
+/**
+ * Returns the recording of the session of a client connected to an endpoint
+ * with the record option, or null if it isn't recorded.
+ */
+function getSessionRecording(client) {
+  let recorder = recorders.get(client);
+  return recorder ? recorder.getRecording() : null;
+}
+
+/**
+ * Offer the recording of the session of a client for download, to play it
+ * back later with a "replay" endpoint.
+ */
+function saveSessionRecording(client) {
+  let recording = getSessionRecording(client);
+  if (recording) {
+    saveRecording(recording, RECORDING_FILE_NAME);
+  }
+}
+
+/**
+ * Fetch the /json list of the targets of Chrome, like Valence does.
+ */
+function requestChromeTargets(url) {
+  let { requestTabs } = require("devtools/valence/lib/chromium/root");
+  return requestTabs(url + "/json").then(list => {
+    let selected = list.findIndex(json => json.type == "page");
+    return list.map((json, index) => ({
+      kind: CHROME_TARGET_KINDS[json.type] || "tab",
+      name: json.title || json.url,
+      url: json.url,
+      selected: index == selected,
+      index: index
+    }));
+  });
+}
+
+/**
+ * List the targets of a connected RDP client. Servers not supporting add-ons
+ * or workers answer with an error, in which case there are none.
+ */
+function listRDPTargets(client) {
+  let root = client.mainRoot;
+  let tabs = root.listTabs();
+  let addons = root.listAddons().then(r => r.addons, () => []);
+  let workers = root.listWorkers().then(r => r.workers, () => []);
+
+  let lists = [tabs, addons, workers];
+  return Promise.all(lists).then(([tabs, addons, workers]) => {
+    let targets = tabs.tabs.map((form, i) => ({
+      kind: "tab",
+      name: form.title || form.url,
+      url: form.url,
+      selected: i == tabs.selected,
+      form: form
+    }));
+    for (let form of workers) {
+      targets.push({ kind: "worker", name: form.url, url: form.url, form });
+    }
+    for (let form of addons.filter(addon => addon.debuggable)) {
+      targets.push({ kind: "addon", name: form.name, url: form.id, form });
+    }
+    // Firefox 39 and later debug the main process with getProcess, older
+    // versions with the global actors of the root.
+    if (root.traits.allowChromeProcess || tabs.consoleActor) {
+      let form = Object.assign({}, tabs);
+      delete form.tabs;
+      delete form.selected;
+      targets.push({
+        kind: "process",
+        name: strings.GetStringFromName("mainProcess"),
+        url: "",
+        form: form
+      });
+    }
+    return targets;
+  });
+}
+
+/**
+ * List the targets of an endpoint.
+ *
+ * @param object endpoint
+ * @param DebuggerClient client
+ *        A client connected to the endpoint, if any. Chrome endpoints are
+ *        probed without connecting.
+ * @returns a promise resolved with the targets, or rejected if the endpoint
+ *          can't be reached.
+ */
+function probe(endpoint, client) {
+  if (endpoint.type == "chrome") {
+    return requestChromeTargets(endpoint.url);
+  }
+  if (client) {
+    return listRDPTargets(client);
+  }
+  return connect(endpoint).then(client => {
+    let close = () => client.close();
+    return listRDPTargets(client).then(targets => {
+      close();
+      return targets;
+    }, e => {
+      close();
+      throw e;
+    });
+  });
+}
+
+/**
+ * Returns the toolbox target for a target of an endpoint.
+ *
+ * @param object endpoint
+ * @param DebuggerClient client
+ *        A client connected to the endpoint.
+ * @param object target
+ *        The target, as listed by probe.
+ * @returns a promise resolved with the Target.
+ */
+function getTarget(endpoint, client, target) {
+  if (endpoint.type == "chrome") {
+    // Valence lists the tab actors in the order of the /json list, which may
+    // have changed since it was probed.
+    return client.listTabs().then(response => {
+      let form = response.tabs[target.index];
+      if (!form || form.title != target.name) {
+        form = response.tabs.find(tab => tab.title == target.name);
+      }
+      if (!form) {
+        throw new Error("The target isn't open anymore: " + target.name);
+      }
+      return TargetFactory.forRemoteTab({ form, client, chrome: false });
+    });
+  }
+
+  switch (target.kind) {
+    case "worker":
+      return new Promise((resolve, reject) => {
+        client.attachWorker(target.form.actor, (response, workerClient) => {
+          if (response.error) {
+            reject(response);
+            return;
+          }
+          resolve(TargetFactory.forWorker(workerClient));
+        });
+      });
+    case "addon":
+      return TargetFactory.forRemoteTab({
+        form: target.form,
+        client: client,
+        chrome: true,
+        isTabActor: false
+      });
+    case "process":
+      if (!client.mainRoot.traits.allowChromeProcess) {
+        return TargetFactory.forRemoteTab({
+          form: target.form,
+          client: client,
+          chrome: true,
+          isTabActor: false
+        });
+      }
+      return client.getProcess().then(response => {
+        return TargetFactory.forRemoteTab({
+          form: response.form,
+          client: client,
+          chrome: true
+        });
+      });
+    default:
+      return TargetFactory.forRemoteTab({
+        form: target.form,
+        client: client,
+        chrome: false
+      });
+  }
+}
+
+function readStorage(key) {
+  try {
+    let value = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(value) ? value : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.error("Could not save the connections", e);
+  }
+}
+
+/**
+ * Returns the endpoints added by the user.
+ */
+function getSavedEndpoints() {
+  return readStorage(SAVED_ENDPOINTS_KEY);
+}
+
+/**
+ * Add an endpoint to the saved ones, replacing any with the same type and
+ * URL.
+ */
+function saveEndpoint(endpoint) {
+  let endpoints = getSavedEndpoints().filter(e => !isSameEndpoint(e, endpoint));
+  endpoints.push({
+    type: endpoint.type,
+    url: endpoint.url,
+    name: endpoint.name
+  });
+  writeStorage(SAVED_ENDPOINTS_KEY, endpoints);
+}
+
+function removeEndpoint(endpoint) {
+  let endpoints = getSavedEndpoints().filter(e => !isSameEndpoint(e, endpoint));
+  writeStorage(SAVED_ENDPOINTS_KEY, endpoints);
+}
+
+/**
+ * Returns the recent connections, most recent first, as objects with the
+ * endpoint and the { kind, name, url } of the target.
+ */
+function getRecentConnections() {
+  return readStorage(RECENT_CONNECTIONS_KEY);
+}
+
+function addRecentConnection(endpoint, target) {
+  let connection = {
+    endpoint: { type: endpoint.type, url: endpoint.url, name: endpoint.name },
+    target: { kind: target.kind, name: target.name, url: target.url }
+  };
+  let connections = getRecentConnections().filter(c => {
+    return !isSameEndpoint(c.endpoint, endpoint) ||
+           c.target.kind != target.kind || c.target.url != target.url;
+  });
+  connections.unshift(connection);
+  writeStorage(RECENT_CONNECTIONS_KEY,
+               connections.slice(0, RECENT_CONNECTIONS_MAX));
+}
+
+/**
+ * Returns the target of a recent connection among the targets listed by
+ * probe, or null if it isn't there anymore.
+ */
+function findTarget(targets, recent) {
+  return targets.find(t => t.kind == recent.kind && t.url == recent.url) ||
+         targets.find(t => t.kind == recent.kind && t.name == recent.name) ||
+         null;
+}
+
+exports.getDefaultEndpoints = getDefaultEndpoints;
+exports.getEndpointFromQuery = getEndpointFromQuery;
+exports.isRecordingRequested = isRecordingRequested;
+exports.isSameEndpoint = isSameEndpoint;
+exports.connect = connect;
+exports.getSessionRecording = getSessionRecording;
+exports.saveSessionRecording = saveSessionRecording;
+exports.probe = probe;
+exports.getTarget = getTarget;
+exports.findTarget = findTarget;
+exports.getSavedEndpoints = getSavedEndpoints;
+exports.saveEndpoint = saveEndpoint;
+exports.removeEndpoint = removeEndpoint;
+exports.getRecentConnections = getRecentConnections;
+exports.addRecentConnection = addRecentConnection;
@@ -37,8 +37,14 @@ var toolboxStrings = (name, ...args) => {
     return null;
   }
 };
-let { DebuggerClient } = require("devtools/shared/client/main");
-let { DebuggerTransport } = require("devtools/shared/transport/transport");
+let {
+  getDefaultEndpoints,
+  getEndpointFromQuery,
+  isRecordingRequested,
+  connect,
+  getSessionRecording,
+  saveSessionRecording
+} = require("devtools/client/framework/connect/endpoints");
 let { TargetFactory } = require("devtools/client/framework/target");
 const { getHighlighterUtils } = require("devtools/client/framework/toolbox-highlighter-utils");
 const { Hosts } = require("devtools/client/framework/toolbox-hosts");
@@ -82,24 +88,15 @@ const ToolboxButtons = exports.ToolboxButtons = [
 ];
 
 /**
- *
+ * Connect to the endpoint given by the query string of the page, Firefox
+ * through the WebSocket proxy by default, and return the target of its
+ * selected tab. See getEndpointFromQuery for the parameters, and
+ * isRecordingRequested to record the session.
  */
 exports.getWSTarget = function() {
-  let transport;
-  if (false) {
-    // Connect to chromium.  Need to fetch the tab list since it's over
-    // http and not same-origin, but will connect directly to the web
-    // socket.
-    let Valence = require("devtools/valence/lib/chromium/server");
-    transport = Valence.connect(`http://${window.location.hostname}:8081/chrome-tab-list`);
-  } else {
-    // Connect to firefox through the websocket proxy.
-    let socket = new WebSocket(`ws://${window.location.hostname}:9000`);
-    transport = new DebuggerTransport(socket);
-  }
-
-  let client = new DebuggerClient(transport);
-  return client.connect().then(() => {
+  let endpoint = getEndpointFromQuery() || getDefaultEndpoints()[0];
+  endpoint.record = isRecordingRequested();
+  return connect(endpoint).then(client => {
     return client.listTabs().then(response => {
       let tab = response.tabs[response.selected];
       let options = { form: tab, client, chrome: false };
@@ -509,7 +506,7 @@ Toolbox.prototype = {
       // If the debugger is paused, don't let the ESC key stop any pending
       // navigation.
       let jsdebugger = this.getPanel("jsdebugger");
-      if (jsdebugger && jsdebugger.panelWin.gThreadClient.state == "paused") {
+      if (jsdebugger && jsdebugger.isPaused) {
         e.preventDefault();
       }
     }
@@ -909,6 +906,9 @@ Toolbox.prototype = {
     if (!this.target.isAddon) {
       this._buildPickerButton();
     }
+    if (getSessionRecording(this.target.client)) {
+      this._buildSaveRecordingButton();
+    }
 
     this.setToolboxButtonsVisibility();
 
@@ -956,6 +956,25 @@ Toolbox.prototype = {
     this._pickerButton.addEventListener("click", this._togglePicker, false);
   },
 
+  /**
+   * Add a button downloading the recording of the session, when the
+   * connection is recorded.
+   */
+  _buildSaveRecordingButton: function() {
+    let button = this.doc.createElement("button");
+    button.id = "command-button-save-recording";
+    button.className = "command-button devtools-button";
+    button.textContent = toolboxStrings("saveRecordingButton.label");
+    button.setAttribute("tooltiptext",
+                        toolboxStrings("saveRecordingButton.tooltip"));
+    button.addEventListener("click", () => {
+      saveSessionRecording(this.target.client);
+    });
+
+    let container = this.doc.querySelector("#toolbox-buttons");
+    container.appendChild(button);
+  },
+
   /**
    * Apply the current cache setting from devtools.cache.disabled to this
    * toolbox's tab.
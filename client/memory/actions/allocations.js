@@ -3,7 +3,21 @@
  * You can obtain one at http://mozilla.org/MPL/2.0/. */
 "use strict";
 
-const { actions, ALLOCATION_RECORDING_OPTIONS } = require("../constants");
+const {
+  actions,
+  ALLOCATION_RECORDING_OPTIONS,
+  TIMELINE_ALLOCATION_RECORDING_OPTIONS
+} = require("../constants");
+
+/**
+ * Returns the options to record allocations with in the given state: the
+ * allocations log is only drained while the timeline records.
+ */
+const getAllocationRecordingOptions = function (state) {
+  return state.timeline.recording
+    ? TIMELINE_ALLOCATION_RECORDING_OPTIONS
+    : ALLOCATION_RECORDING_OPTIONS;
+};
 
 exports.toggleRecordingAllocationStacks = function (front) {
   return function* (dispatch, getState) {
@@ -12,9 +26,29 @@ exports.toggleRecordingAllocationStacks = function (front) {
     if (getState().recordingAllocationStacks) {
       yield front.stopRecordingAllocations();
     } else {
-      yield front.startRecordingAllocations(ALLOCATION_RECORDING_OPTIONS);
+      const options = getAllocationRecordingOptions(getState());
+      yield front.startRecordingAllocations(options);
     }
 
     dispatch({ type: actions.TOGGLE_RECORD_ALLOCATION_STACKS_END });
   };
 };
+
+/**
+ * Record allocations again with the options of the current state, as the
+ * timeline starts or stops while allocation stacks are recorded.
+ *
+ * @param {MemoryFront} front
+ */
+exports.restartRecordingAllocations = function (front) {
+  return function (dispatch, getState) {
+    const { recording, togglingInProgress } = getState().allocations;
+    if (!recording || togglingInProgress) {
+      return Promise.resolve();
+    }
+
+    const options = getAllocationRecordingOptions(getState());
+    return front.stopRecordingAllocations()
+      .then(() => front.startRecordingAllocations(options));
+  };
+};
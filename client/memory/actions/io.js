@@ -8,14 +8,20 @@ const { snapshotState: states, actions } = require("../constants");
 const { immutableUpdate, L10N, openFilePicker, createSnapshot } = require("../utils");
 const { readSnapshot, takeCensus, selectSnapshot } = require("./snapshot");
 const { OS } = require("devtools/sham/osfile");
+const { isV8HeapSnapshotPath } = require("devtools/shared/heapsnapshot/V8HeapSnapshot");
 const VALID_EXPORT_STATES = [states.SAVED, states.READ, states.SAVING_CENSUS, states.SAVED_CENSUS];
 
+const FIREFOX_SNAPSHOT_FILTER = [L10N.getStr("snapshot.io.filter"), "*.fxsnapshot"];
+const V8_SNAPSHOT_FILTER = [L10N.getStr("snapshot.io.filter.v8"), "*.heapsnapshot"];
+
 exports.pickFileAndExportSnapshot = function (snapshot) {
   return function* (dispatch, getState) {
     let outputFile = yield openFilePicker({
       title: L10N.getFormatStr("snapshot.io.save.window"),
       defaultName: OS.Path.basename(snapshot.path),
-      filters: [[L10N.getFormatStr("snapshot.io.filter"), "*.fxsnapshot"]],
+      // Snapshots are exported as is, in the format they were read from.
+      filters: [isV8HeapSnapshotPath(snapshot.path) ? V8_SNAPSHOT_FILTER
+                                                    : FIREFOX_SNAPSHOT_FILTER],
       mode: "save",
     });
 
@@ -50,7 +56,7 @@ const pickFileAndImportSnapshotAndCensus = exports.pickFileAndImportSnapshotAndC
   return function* (dispatch, getState) {
     let input = yield openFilePicker({
       title: L10N.getFormatStr("snapshot.io.import.window"),
-      filters: [[L10N.getFormatStr("snapshot.io.filter"), "*.fxsnapshot"]],
+      filters: [FIREFOX_SNAPSHOT_FILTER, V8_SNAPSHOT_FILTER],
       mode: "open",
     });
 
@@ -62,6 +68,13 @@ const pickFileAndImportSnapshotAndCensus = exports.pickFileAndImportSnapshotAndC
   };
 };
 
+/**
+ * Import the heap snapshot at the given path, either a Firefox one or a V8
+ * `.heapsnapshot` saved by Chrome or Node, and take its census.
+ *
+ * @param {HeapAnalysesClient} heapWorker
+ * @param {String} path
+ */
 const importSnapshotAndCensus = exports.importSnapshotAndCensus = function (heapWorker, path) {
   return function* (dispatch, getState) {
     const snapshot = immutableUpdate(createSnapshot(), {
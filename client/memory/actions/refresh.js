@@ -4,7 +4,11 @@
 "use strict";
 
 const { refreshDiffing } = require("./diffing");
-const { refreshSelectedCensus } = require("./snapshot");
+const {
+  refreshSelectedCensus,
+  refreshSelectedDominatorTree
+} = require("./snapshot");
+const { viewState } = require("../constants");
 
 /**
  * Refresh the main thread's data from the heap analyses worker, if needed.
@@ -15,6 +19,8 @@ exports.refresh = function (heapWorker) {
   return function* (dispatch, getState) {
     if (getState().diffing) {
       yield dispatch(refreshDiffing(heapWorker));
+    } else if (getState().view === viewState.DOMINATOR_TREE) {
+      yield dispatch(refreshSelectedDominatorTree(heapWorker));
     } else {
       yield dispatch(refreshSelectedCensus(heapWorker));
     }
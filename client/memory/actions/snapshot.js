@@ -4,8 +4,19 @@
 "use strict";
 
 const { assert, reportException } = require("devtools/shared/DevToolsUtils");
-const { censusIsUpToDate, getSnapshot, breakdownEquals, createSnapshot } = require("../utils");
-const { actions, snapshotState: states } = require("../constants");
+const {
+  censusIsUpToDate,
+  getSnapshot,
+  breakdownEquals,
+  createSnapshot,
+  snapshotIsRead
+} = require("../utils");
+const {
+  actions,
+  snapshotState: states,
+  viewState,
+  DOMINATOR_TREE_LABEL_BREAKDOWN
+} = require("../constants");
 const { toggleDiffing } = require("./diffing");
 
 /**
@@ -26,6 +37,7 @@ const takeSnapshotAndCensus = exports.takeSnapshotAndCensus = function (front, h
     yield dispatch(readSnapshot(heapWorker, id));
     if (getSnapshot(getState(), id).state === states.READ) {
       yield dispatch(takeCensus(heapWorker, id));
+      yield dispatch(refreshSelectedDominatorTree(heapWorker));
     }
   };
 };
@@ -44,7 +56,11 @@ const selectSnapshotAndRefresh = exports.selectSnapshotAndRefresh = function (he
     }
 
     dispatch(selectSnapshot(id));
-    yield dispatch(refreshSelectedCensus(heapWorker));
+    if (getState().view === viewState.DOMINATOR_TREE) {
+      yield dispatch(refreshSelectedDominatorTree(heapWorker));
+    } else {
+      yield dispatch(refreshSelectedCensus(heapWorker));
+    }
   };
 };
 
@@ -62,7 +78,7 @@ const takeSnapshot = exports.takeSnapshot = function (front) {
 
     const snapshot = createSnapshot();
     const id = snapshot.id;
-    dispatch({ type: actions.TAKE_SNAPSHOT_START, snapshot });
+    dispatch({ type: actions.TAKE_SNAPSHOT_START, snapshot, time: Date.now() });
     dispatch(selectSnapshot(id));
 
     let path;
@@ -196,6 +212,181 @@ const refreshSelectedCensus = exports.refreshSelectedCensus = function (heapWork
   };
 };
 
+/**
+ * Compute the dominator tree of a snapshot in the worker.
+ *
+ * @param {HeapAnalysesClient} heapWorker
+ * @param {snapshotId} id
+ *
+ * @returns {DominatorTreeId|null}
+ */
+const computeDominatorTree = exports.computeDominatorTree = function (heapWorker, id) {
+  return function *(dispatch, getState) {
+    const snapshot = getSnapshot(getState(), id);
+    assert(snapshotIsRead(snapshot),
+      `Can only compute the dominator tree of read snapshots, found ${snapshot.state}`);
+    assert(!snapshot.dominatorTree,
+      "Should only compute the dominator tree of a snapshot once");
+
+    dispatch({ type: actions.COMPUTE_DOMINATOR_TREE_START, id });
+
+    let dominatorTreeId;
+    try {
+      dominatorTreeId = yield heapWorker.computeDominatorTree(snapshot.path);
+    } catch (error) {
+      reportException("computeDominatorTree", error);
+      dispatch({ type: actions.DOMINATOR_TREE_ERROR, id, error });
+      return null;
+    }
+
+    dispatch({ type: actions.COMPUTE_DOMINATOR_TREE_END, id, dominatorTreeId });
+    return dominatorTreeId;
+  };
+};
+
+/**
+ * Fetch the first levels of the computed dominator tree of a snapshot.
+ *
+ * @param {HeapAnalysesClient} heapWorker
+ * @param {snapshotId} id
+ */
+const fetchDominatorTree = exports.fetchDominatorTree = function (heapWorker, id) {
+  return function *(dispatch, getState) {
+    const { dominatorTree } = getSnapshot(getState(), id);
+    assert(dominatorTree && dominatorTree.dominatorTreeId !== undefined,
+      "Can only fetch a dominator tree once computed");
+
+    dispatch({ type: actions.FETCH_DOMINATOR_TREE_START, id });
+
+    let root;
+    try {
+      root = yield heapWorker.getDominatorTree({
+        dominatorTreeId: dominatorTree.dominatorTreeId,
+        breakdown: DOMINATOR_TREE_LABEL_BREAKDOWN,
+      });
+    } catch (error) {
+      reportException("fetchDominatorTree", error);
+      dispatch({ type: actions.DOMINATOR_TREE_ERROR, id, error });
+      return;
+    }
+
+    dispatch({ type: actions.FETCH_DOMINATOR_TREE_END, id, root });
+  };
+};
+
+/**
+ * Compute the dominator tree of a snapshot and fetch its first levels.
+ *
+ * @param {HeapAnalysesClient} heapWorker
+ * @param {snapshotId} id
+ */
+const computeAndFetchDominatorTree = exports.computeAndFetchDominatorTree = function (heapWorker, id) {
+  return function *(dispatch, getState) {
+    const dominatorTreeId = yield dispatch(computeDominatorTree(heapWorker, id));
+    if (dominatorTreeId === null) {
+      return;
+    }
+    yield dispatch(fetchDominatorTree(heapWorker, id));
+  };
+};
+
+/**
+ * Fetch more of the children of a node of the dominator tree of a snapshot,
+ * after those already fetched.
+ *
+ * @param {HeapAnalysesClient} heapWorker
+ * @param {snapshotId} id
+ * @param {DominatorTreeNode} node
+ */
+const fetchImmediatelyDominated = exports.fetchImmediatelyDominated = function (heapWorker, id, node) {
+  return function *(dispatch, getState) {
+    const { dominatorTree } = getSnapshot(getState(), id);
+    assert(dominatorTree && dominatorTree.root,
+      "Can only fetch the children of nodes of a fetched dominator tree");
+
+    dispatch({ type: actions.FETCH_IMMEDIATELY_DOMINATED_START, id });
+
+    let response;
+    try {
+      response = yield heapWorker.getImmediatelyDominated({
+        dominatorTreeId: dominatorTree.dominatorTreeId,
+        nodeId: node.nodeId,
+        breakdown: DOMINATOR_TREE_LABEL_BREAKDOWN,
+        startIndex: node.children ? node.children.length : 0,
+      });
+    } catch (error) {
+      reportException("fetchImmediatelyDominated", error);
+      dispatch({ type: actions.DOMINATOR_TREE_ERROR, id, error });
+      return;
+    }
+
+    dispatch({
+      type: actions.FETCH_IMMEDIATELY_DOMINATED_END,
+      id,
+      path: response.path,
+      nodes: response.nodes,
+      moreChildrenAvailable: response.moreChildrenAvailable,
+    });
+  };
+};
+
+/**
+ * Focus a node of the dominator tree of a snapshot, and fetch the shortest
+ * paths retaining it.
+ *
+ * @param {HeapAnalysesClient} heapWorker
+ * @param {snapshotId} id
+ * @param {DominatorTreeNode} node
+ */
+const focusDominatorTreeNodeAndFetchRetainingPaths = exports.focusDominatorTreeNodeAndFetchRetainingPaths = function (heapWorker, id, node) {
+  return function *(dispatch, getState) {
+    const { dominatorTree } = getSnapshot(getState(), id);
+    const nodeId = node.nodeId;
+    if (dominatorTree.focused === nodeId) {
+      return;
+    }
+
+    dispatch({ type: actions.FOCUS_DOMINATOR_TREE_NODE, id, nodeId });
+    dispatch({ type: actions.FETCH_RETAINING_PATHS_START, id, nodeId });
+
+    let root;
+    try {
+      root = yield heapWorker.getRetainingPaths({
+        dominatorTreeId: dominatorTree.dominatorTreeId,
+        nodeId,
+        breakdown: DOMINATOR_TREE_LABEL_BREAKDOWN,
+      });
+    } catch (error) {
+      reportException("focusDominatorTreeNodeAndFetchRetainingPaths", error);
+      dispatch({ type: actions.RETAINING_PATHS_ERROR, id, nodeId, error });
+      return;
+    }
+
+    dispatch({ type: actions.FETCH_RETAINING_PATHS_END, id, nodeId, root });
+  };
+};
+
+/**
+ * Compute and fetch the dominator tree of the selected snapshot, if it
+ * hasn't been already and the dominator tree is shown.
+ *
+ * @param {HeapAnalysesClient} heapWorker
+ */
+const refreshSelectedDominatorTree = exports.refreshSelectedDominatorTree = function (heapWorker) {
+  return function *(dispatch, getState) {
+    if (getState().view !== viewState.DOMINATOR_TREE) {
+      return;
+    }
+
+    // Snapshots still being saved or read will get their dominator tree
+    // computed by the takeSnapshotAndCensus task action once read.
+    let snapshot = getState().snapshots.find(s => s.selected);
+    if (snapshot && snapshotIsRead(snapshot) && !snapshot.dominatorTree) {
+      yield dispatch(computeAndFetchDominatorTree(heapWorker, snapshot.id));
+    }
+  };
+};
+
 /**
  * Select the snapshot with the given id.
  *
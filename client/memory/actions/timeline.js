@@ -0,0 +1,92 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this file,
+ * You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+const { reportException } = require("devtools/shared/DevToolsUtils");
+const { actions, TIMELINE_MEASURE_INTERVAL } = require("../constants");
+const { restartRecordingAllocations } = require("./allocations");
+
+/**
+ * The event listeners and measurement timer of the timeline recording for
+ * each MemoryFront, so that it can be stopped.
+ */
+const recordings = new WeakMap();
+
+/**
+ * Start recording the timeline: the heap size is measured at regular
+ * intervals, and the garbage collections and allocations the MemoryFront
+ * reports are recorded as they happen. Allocations are only reported while
+ * allocation stacks are recorded, which they are with
+ * TIMELINE_ALLOCATION_RECORDING_OPTIONS while the timeline records.
+ *
+ * @param {MemoryFront} front
+ */
+const startTimeline = exports.startTimeline = function (front) {
+  return function (dispatch, getState) {
+    if (getState().timeline.recording) {
+      return;
+    }
+
+    dispatch({ type: actions.START_TIMELINE, time: Date.now() });
+
+    const recording = {
+      timer: null,
+      onGarbageCollection: data => {
+        dispatch({ type: actions.TIMELINE_GARBAGE_COLLECTION, time: Date.now(), data });
+      },
+      onAllocations: data => {
+        dispatch({
+          type: actions.TIMELINE_ALLOCATIONS,
+          time: Date.now(),
+          count: data.allocations.length,
+        });
+      },
+    };
+
+    const measure = () => {
+      front.measure().then(measurement => {
+        if (recordings.get(front) !== recording) {
+          return;
+        }
+        dispatch({ type: actions.TIMELINE_MEASUREMENT, time: Date.now(), measurement });
+        recording.timer = setTimeout(measure, TIMELINE_MEASURE_INTERVAL);
+      }, error => {
+        reportException("startTimeline", error);
+        dispatch(stopTimeline(front));
+      });
+    };
+
+    front.on("garbage-collection", recording.onGarbageCollection);
+    front.on("allocations", recording.onAllocations);
+    recordings.set(front, recording);
+    measure();
+    dispatch(restartRecordingAllocations(front)).then(null, error => {
+      reportException("startTimeline", error);
+    });
+  };
+};
+
+/**
+ * Stop recording the timeline, keeping what was recorded so far.
+ *
+ * @param {MemoryFront} front
+ */
+const stopTimeline = exports.stopTimeline = function (front) {
+  return function (dispatch, getState) {
+    const recording = recordings.get(front);
+    if (recording) {
+      recordings.delete(front);
+      clearTimeout(recording.timer);
+      front.off("garbage-collection", recording.onGarbageCollection);
+      front.off("allocations", recording.onAllocations);
+    }
+
+    if (getState().timeline.recording) {
+      dispatch({ type: actions.STOP_TIMELINE });
+      dispatch(restartRecordingAllocations(front)).then(null, error => {
+        reportException("stopTimeline", error);
+      });
+    }
+  };
+};
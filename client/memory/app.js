@@ -11,9 +11,17 @@ const { selectSnapshotForDiffingAndRefresh, toggleDiffing } = require("./actions
 const { toggleInvertedAndRefresh } = require("./actions/inverted");
 const { setFilterStringAndRefresh } = require("./actions/filter");
 const { pickFileAndExportSnapshot, pickFileAndImportSnapshotAndCensus } = require("./actions/io");
-const { selectSnapshotAndRefresh, takeSnapshotAndCensus } = require("./actions/snapshot");
+const {
+  selectSnapshotAndRefresh,
+  takeSnapshotAndCensus,
+  fetchImmediatelyDominated,
+  focusDominatorTreeNodeAndFetchRetainingPaths
+} = require("./actions/snapshot");
+const { startTimeline, stopTimeline } = require("./actions/timeline");
+const { changeViewAndRefresh } = require("./actions/view");
 const { breakdownNameToSpec, getBreakdownDisplayData } = require("./utils");
 const Toolbar = createFactory(require("./components/toolbar"));
+const Timeline = createFactory(require("./components/timeline"));
 const List = createFactory(require("./components/list"));
 const SnapshotListItem = createFactory(require("./components/snapshot-list-item"));
 const HeapView = createFactory(require("./components/heap"));
@@ -53,7 +61,9 @@ const App = createClass({
       inverted,
       toolbox,
       filter,
-      diffing
+      diffing,
+      view,
+      timeline
     } = this.props;
 
     const selectedSnapshot = snapshots.find(s => s.selected);
@@ -82,7 +92,20 @@ const App = createClass({
           setFilterString: filterString =>
             dispatch(setFilterStringAndRefresh(filterString, heapWorker)),
           diffing,
-          onToggleDiffing: () => dispatch(toggleDiffing())
+          onToggleDiffing: () => dispatch(toggleDiffing()),
+          view,
+          onViewChange: newView =>
+            dispatch(changeViewAndRefresh(newView, heapWorker)),
+        }),
+
+        Timeline({
+          timeline,
+          allocations,
+          snapshots,
+          onStartTimeline: () => dispatch(startTimeline(front)),
+          onStopTimeline: () => dispatch(stopTimeline(front)),
+          onTakeSnapshotClick: () => dispatch(takeSnapshotAndCensus(front, heapWorker)),
+          onSelectSnapshot: id => dispatch(selectSnapshotAndRefresh(heapWorker, id)),
         }),
 
         dom.div({ id: "memory-tool-container" },
@@ -98,7 +121,12 @@ const App = createClass({
             snapshot: selectedSnapshot,
             diffing,
             onSnapshotClick: () => dispatch(takeSnapshotAndCensus(front, heapWorker)),
-            toolbox
+            toolbox,
+            view,
+            onLoadMoreDominatedNodes: (snapshot, node) =>
+              dispatch(fetchImmediatelyDominated(heapWorker, snapshot.id, node)),
+            onFocusDominatorTreeNode: (snapshot, node) =>
+              dispatch(focusDominatorTreeNodeAndFetchRetainingPaths(heapWorker, snapshot.id, node)),
           })
         )
       )
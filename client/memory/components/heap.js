@@ -6,12 +6,24 @@ const { DOM: dom, createClass, PropTypes, createFactory } = require("devtools/cl
 const { assert, safeErrorString } = require("devtools/shared/DevToolsUtils");
 const Tree = createFactory(require("devtools/client/shared/components/tree"));
 const TreeItem = createFactory(require("./tree-item"));
-const { getStatusTextFull, L10N } = require("../utils");
-const { snapshotState: states, diffingState } = require("../constants");
+const {
+  getStatusTextFull,
+  getDominatorTreeStatusText,
+  snapshotIsRead,
+  L10N
+} = require("../utils");
+const {
+  snapshotState: states,
+  diffingState,
+  dominatorTreeState,
+  viewState
+} = require("../constants");
 const { snapshot: snapshotModel, diffingModel } = require("../models");
 // If HEAP_TREE_ROW_HEIGHT changes, be sure to change `var(--heap-tree-row-height)`
 // in `devtools/client/themes/memory.css`
 const HEAP_TREE_ROW_HEIGHT = 14;
+// Keep in sync with the indentation of TreeItem.
+const INDENT = 10;
 
 /**
  * Creates a hash map mapping node IDs to its parent node.
@@ -79,6 +91,195 @@ function createTreeProperties(census, toolbox, diffing) {
   };
 }
 
+/**
+ * Creates a hash map mapping the node ids of a dominator tree to their parent
+ * node.
+ *
+ * @param {DominatorTreeNode} node
+ * @param {Object<NodeId, DominatorTreeNode>} aggregator
+ *
+ * @return {Object<NodeId, DominatorTreeNode>}
+ */
+function createDominatorTreeParentMap(node, aggregator=Object.create(null)) {
+  for (let child of (node.children || [])) {
+    aggregator[child.nodeId] = node;
+    createDominatorTreeParentMap(child, aggregator);
+  }
+
+  return aggregator;
+}
+
+/**
+ * Creates properties to be passed into the Tree component showing a
+ * dominator tree. Nodes with children that haven't been fetched get a last
+ * placeholder child, which fetches more of them when clicked.
+ *
+ * @param {dominatorTreeModel} dominatorTree
+ * @param {Object} toolbox
+ * @param {Function} onLoadMoreChildren
+ *        Called with a node to fetch more of its children.
+ * @param {Function} onFocus
+ *        Called with the node focused.
+ * @return {Object}
+ */
+function createDominatorTreeProperties(dominatorTree, toolbox,
+                                       onLoadMoreChildren, onFocus) {
+  const root = dominatorTree.root;
+  const map = createDominatorTreeParentMap(root);
+  const isFetching =
+    dominatorTree.state === dominatorTreeState.INCREMENTAL_FETCHING;
+
+  const getPercentBytes = root.retainedSize === 0
+    ? _ => 0
+    : bytes => (bytes / root.retainedSize) * 100;
+
+  const loadMoreChildren = node => {
+    if (!isFetching && node.moreChildrenAvailable) {
+      onLoadMoreChildren(node);
+    }
+  };
+
+  return {
+    autoExpandDepth: 1,
+    getParent: node => node.placeholderFor || map[node.nodeId] || null,
+    getChildren: node => {
+      if (node.placeholderFor) {
+        return [];
+      }
+      const children = node.children || [];
+      return node.moreChildrenAvailable
+        ? children.concat({ placeholderFor: node })
+        : children;
+    },
+    renderItem: (item, depth, focused, arrow, expanded) => {
+      if (item.placeholderFor) {
+        const label = isFetching || !item.placeholderFor.children
+          ? L10N.getStr("dominatorTree.loadingChildren")
+          : L10N.getStr("dominatorTree.moreChildren");
+        return dom.div({
+          className: `heap-tree-item dominator-tree-placeholder ${focused ? "focused" : ""}`,
+        },
+          dom.span({
+            className: "heap-tree-item-field heap-tree-item-name",
+            style: { marginLeft: depth * INDENT },
+          }, label)
+        );
+      }
+
+      return new TreeItem({
+        toolbox,
+        item,
+        depth,
+        focused,
+        arrow,
+        expanded,
+        getPercentBytes,
+        dominatorTree: true,
+      });
+    },
+    getRoots: () => [root],
+    getKey: node => node.placeholderFor
+      ? `placeholder-${node.placeholderFor.nodeId}`
+      : node.nodeId,
+    itemHeight: HEAP_TREE_ROW_HEIGHT,
+    onExpand: node => {
+      if (!node.placeholderFor && !node.children) {
+        loadMoreChildren(node);
+      }
+    },
+    onFocus: node => {
+      if (node.placeholderFor) {
+        loadMoreChildren(node.placeholderFor);
+      } else {
+        onFocus(node);
+      }
+    },
+  };
+}
+
+/**
+ * Creates properties to be passed into the Tree component showing the
+ * retaining paths of a node of a dominator tree.
+ *
+ * @param {Object} retainingPaths
+ *        The root of the tree of retainers, see
+ *        DominatorTreeNode.getRetainingPaths.
+ * @param {DominatorTreeNode} dominatorTreeRoot
+ * @param {Object} toolbox
+ * @return {Object}
+ */
+function createRetainingPathsProperties(retainingPaths, dominatorTreeRoot,
+                                        toolbox) {
+  const map = createParentMap(retainingPaths);
+
+  const getPercentBytes = dominatorTreeRoot.retainedSize === 0
+    ? _ => 0
+    : bytes => (bytes / dominatorTreeRoot.retainedSize) * 100;
+
+  return {
+    autoExpandDepth: Infinity,
+    getParent: node => map[node.id] || null,
+    getChildren: node => node.children,
+    renderItem: (item, depth, focused, arrow, expanded) =>
+      new TreeItem({
+        toolbox,
+        item,
+        depth,
+        focused,
+        arrow,
+        expanded,
+        getPercentBytes,
+        dominatorTree: true,
+      }),
+    getRoots: () => [retainingPaths],
+    getKey: node => node.id,
+    itemHeight: HEAP_TREE_ROW_HEIGHT,
+    reuseCachedTraversal: _ => true,
+  };
+}
+
+/**
+ * Renders the pane showing the retaining paths of the node focused in a
+ * dominator tree.
+ *
+ * @param {dominatorTreeModel} dominatorTree
+ * @param {Object} toolbox
+ * @return {ReactElement}
+ */
+function renderRetainingPaths(dominatorTree, toolbox) {
+  const { retainingPaths } = dominatorTree;
+
+  let content;
+  if (!retainingPaths) {
+    content = dom.span({ className: "retaining-paths-status" },
+                       L10N.getStr("retainingPaths.prompt"));
+  } else if (retainingPaths.error) {
+    content = [
+      dom.span({ className: "retaining-paths-status error" },
+               L10N.getStr("retainingPaths.error")),
+      dom.pre({}, safeErrorString(retainingPaths.error))
+    ];
+  } else if (!retainingPaths.root) {
+    content = dom.span({ className: "retaining-paths-status devtools-throbber" },
+                       L10N.getStr("retainingPaths.loading"));
+  } else {
+    // Key the tree by the node so that a fresh tree, expanded anew, is
+    // rendered for each node focused.
+    content = Tree(Object.assign({ key: retainingPaths.nodeId },
+                                 createRetainingPathsProperties(retainingPaths.root,
+                                                                dominatorTree.root,
+                                                                toolbox)));
+  }
+
+  return dom.div({ className: "retaining-paths" },
+    dom.div({ className: "header" },
+      dom.span({ className: "retaining-paths-header" },
+               L10N.getStr("retainingPaths.header"))
+    ),
+    content
+  );
+}
+
 /**
  * Main view for the memory tool -- contains several panels for different states;
  * an initial state of only a button to take a snapshot, loading states, and the
@@ -93,10 +294,18 @@ const Heap = module.exports = createClass({
     snapshot: snapshotModel,
     toolbox: PropTypes.object.isRequired,
     diffing: diffingModel,
+    view: PropTypes.string.isRequired,
+    onLoadMoreDominatedNodes: PropTypes.func.isRequired,
+    onFocusDominatorTreeNode: PropTypes.func.isRequired,
   },
 
   render() {
-    let { snapshot, diffing, onSnapshotClick, toolbox } = this.props;
+    let { snapshot, diffing, onSnapshotClick, toolbox, view } = this.props;
+
+    if (!diffing && view === viewState.DOMINATOR_TREE && snapshot
+        && snapshotIsRead(snapshot) && snapshot.dominatorTree) {
+      return this.renderDominatorTree(snapshot.dominatorTree);
+    }
 
     let census;
     let state;
@@ -196,6 +405,73 @@ const Heap = module.exports = createClass({
     let pane = dom.div({ className: "heap-view-panel", "data-state": state },
                        ...content);
 
+    return (
+      dom.div({ id: "heap-view", "data-state": state }, pane)
+    );
+  },
+
+  /**
+   * Render the dominator tree of the selected snapshot, as far as it has been
+   * fetched, along with the retaining paths of its focused node.
+   *
+   * @param {dominatorTreeModel} dominatorTree
+   */
+  renderDominatorTree(dominatorTree) {
+    let {
+      snapshot,
+      toolbox,
+      onLoadMoreDominatedNodes,
+      onFocusDominatorTreeNode,
+    } = this.props;
+    const state = dominatorTree.state;
+
+    let content;
+    switch (state) {
+      case dominatorTreeState.COMPUTING:
+      case dominatorTreeState.COMPUTED:
+      case dominatorTreeState.FETCHING:
+        content = [dom.span({ className: "snapshot-status devtools-throbber" },
+                            getDominatorTreeStatusText(state))];
+        break;
+
+      case dominatorTreeState.ERROR:
+        content = [
+          dom.span({ className: "snapshot-status error" },
+                   getDominatorTreeStatusText(state)),
+          dom.pre({}, safeErrorString(dominatorTree.error))
+        ];
+        break;
+
+      case dominatorTreeState.LOADED:
+      case dominatorTreeState.INCREMENTAL_FETCHING:
+        content = [
+          dom.div({ className: "dominator-tree" },
+            dom.div({ className: "header" },
+              dom.span({ className: "heap-tree-item-retained-size" }, L10N.getStr("heapview.field.retainedSize")),
+              dom.span({ className: "heap-tree-item-shallow-size" }, L10N.getStr("heapview.field.shallowSize")),
+              dom.span({ className: "heap-tree-item-name" }, L10N.getStr("heapview.field.name"))
+            ),
+            Tree(createDominatorTreeProperties(
+              dominatorTree,
+              toolbox,
+              node => onLoadMoreDominatedNodes(snapshot, node),
+              node => onFocusDominatorTreeNode(snapshot, node)
+            ))
+          ),
+          renderRetainingPaths(dominatorTree, toolbox)
+        ];
+        break;
+
+      default:
+        assert(false, `Unexpected dominator tree state: ${state}`);
+    }
+
+    let pane = dom.div({
+      className: "heap-view-panel",
+      "data-state": state,
+      "data-view": viewState.DOMINATOR_TREE,
+    }, ...content);
+
     return (
       dom.div({ id: "heap-view", "data-state": state }, pane)
     );
@@ -0,0 +1,277 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this file,
+ * You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const { DOM: dom, createClass, PropTypes } = require("devtools/client/shared/vendor/react");
+const { Heritage } = require("devtools/client/shared/widgets/ViewHelpers");
+const LineGraphWidget = require("devtools/client/shared/widgets/LineGraphWidget");
+const { colorUtils } = require("devtools/shared/css-color");
+const { getColor, getTheme } = require("devtools/client/shared/theme");
+const { L10N } = require("../utils");
+const models = require("../models");
+
+const GRAPH_HEIGHT = 40; // px
+const GRAPH_DAMPEN_VALUES = 0.95;
+const GC_MARKER_WIDTH = 1; // px
+const SNAPSHOT_MARKER_WIDTH = 3; // px
+// How far from a snapshot marker a click still selects its snapshot.
+const SNAPSHOT_MARKER_CLICK_DISTANCE = 5; // px
+
+/**
+ * A line graph of the timeline, with the garbage collections and the
+ * snapshots taken while recording drawn as vertical markers over it.
+ *
+ * @param {DOMNode} parent
+ * @param {String} metric
+ * @param {String} mainColor
+ *        The name of the theme color of the graph.
+ */
+function TimelineGraph(parent, metric, mainColor) {
+  LineGraphWidget.call(this, parent, { metric, avg: false });
+  this.mainColor = mainColor;
+  this.gcEvents = [];
+  this.snapshots = [];
+  this.selectedSnapshotId = null;
+  this.setTheme(getTheme());
+}
+
+TimelineGraph.prototype = Heritage.extend(LineGraphWidget.prototype, {
+  fixedHeight: GRAPH_HEIGHT,
+  dampenValuesFactor: GRAPH_DAMPEN_VALUES,
+  selectionEnabled: false,
+  withTooltipArrows: false,
+  withFixedTooltipPositions: true,
+
+  /**
+   * Update the styling of the graph for the given theme, "light" or "dark".
+   */
+  setTheme(theme) {
+    let mainColor = getColor(this.mainColor, theme);
+    this.backgroundColor = getColor("body-background", theme);
+    this.strokeColor = mainColor;
+    this.backgroundGradientStart = colorUtils.setAlpha(mainColor, 0.2);
+    this.backgroundGradientEnd = colorUtils.setAlpha(mainColor, 0.2);
+    this.maximumLineColor = colorUtils.setAlpha(mainColor, 0.4);
+    this.minimumLineColor = colorUtils.setAlpha(mainColor, 0.9);
+    this.gcMarkerColor = colorUtils.setAlpha(getColor("graphs-orange", theme), 0.6);
+    this.snapshotMarkerColor = getColor("graphs-purple", theme);
+    this.selectedSnapshotMarkerColor = getColor("highlight-red", theme);
+  },
+
+  /**
+   * Set the data of the graph along with its markers, once it is ready.
+   *
+   * @param {Object} timeline
+   *        The timeline state. @see models.timeline
+   * @param {Array} data
+   *        The points of the graph.
+   * @param {snapshotId|null} selectedSnapshotId
+   */
+  setTimelineData(timeline, data, selectedSnapshotId) {
+    this.dataDuration = getTimelineDuration(timeline);
+    this.gcEvents = timeline.gcEvents;
+    this.snapshots = timeline.snapshots;
+    this.selectedSnapshotId = selectedSnapshotId;
+    return this.setDataWhenReady(data);
+  },
+
+  /**
+   * Get the snapshot whose marker is under the cursor, if any.
+   *
+   * @returns {Object|null}
+   *          The timeline's snapshot entry. @see models.timeline
+   */
+  getSnapshotAtCursor() {
+    let { x } = this.getCursor();
+    if (x == null) {
+      return null;
+    }
+
+    let maxDistance = SNAPSHOT_MARKER_CLICK_DISTANCE * this._pixelRatio;
+    let closest = null;
+    for (let snapshot of this.snapshots) {
+      let distance = Math.abs(this._deltaToX(snapshot.delta) - x);
+      if (distance <= maxDistance) {
+        maxDistance = distance;
+        closest = snapshot;
+      }
+    }
+    return closest;
+  },
+
+  /**
+   * Draw the markers over the line graph.
+   * @see LineGraphWidget.prototype.buildGraphImage
+   */
+  buildGraphImage() {
+    let canvas = LineGraphWidget.prototype.buildGraphImage.call(this);
+    let ctx = canvas.getContext("2d");
+    let height = this._height;
+
+    ctx.setLineDash([]);
+    ctx.strokeStyle = this.gcMarkerColor;
+    ctx.lineWidth = GC_MARKER_WIDTH * this._pixelRatio;
+    ctx.beginPath();
+    for (let { delta } of this.gcEvents) {
+      let x = this._deltaToX(delta);
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+    }
+    ctx.stroke();
+
+    ctx.lineWidth = SNAPSHOT_MARKER_WIDTH * this._pixelRatio;
+    for (let { id, delta } of this.snapshots) {
+      let x = this._deltaToX(delta);
+      ctx.strokeStyle = id === this.selectedSnapshotId
+        ? this.selectedSnapshotMarkerColor
+        : this.snapshotMarkerColor;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+
+    return canvas;
+  },
+
+  /**
+   * Map a time since the timeline started to a position on the canvas.
+   */
+  _deltaToX(delta) {
+    return (delta - this.dataOffsetX) * this.dataScaleX;
+  },
+});
+
+/**
+ * The duration of the recorded timeline, in ms: up to its latest event.
+ */
+function getTimelineDuration(timeline) {
+  let lastDelta = points => points.length ? points[points.length - 1].delta : 0;
+  return Math.max(1,
+                  lastDelta(timeline.heapSize),
+                  lastDelta(timeline.allocationRate),
+                  lastDelta(timeline.gcEvents),
+                  lastDelta(timeline.snapshots));
+}
+
+/**
+ * A live timeline of the heap size, allocation rate and garbage collections,
+ * on which the snapshots taken while recording are pinned.
+ */
+const Timeline = module.exports = createClass({
+  displayName: "timeline",
+
+  propTypes: {
+    timeline: models.timeline.isRequired,
+    allocations: models.allocations.isRequired,
+    snapshots: PropTypes.arrayOf(models.snapshot).isRequired,
+    onStartTimeline: PropTypes.func.isRequired,
+    onStopTimeline: PropTypes.func.isRequired,
+    onTakeSnapshotClick: PropTypes.func.isRequired,
+    onSelectSnapshot: PropTypes.func.isRequired,
+  },
+
+  componentDidMount() {
+    this._heapSizeGraph = new TimelineGraph(this.refs.heapSize,
+                                            L10N.getStr("timeline.heapSize.metric"),
+                                            "graphs-blue");
+    this._allocationRateGraph = new TimelineGraph(this.refs.allocationRate,
+                                                  L10N.getStr("timeline.allocationRate.metric"),
+                                                  "graphs-green");
+
+    this._heapSizeGraph.on("mouseup", this._onGraphMouseUp);
+    this._allocationRateGraph.on("mouseup", this._onGraphMouseUp);
+
+    this._updateGraphs();
+  },
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.timeline !== this.props.timeline ||
+        prevProps.snapshots !== this.props.snapshots) {
+      this._updateGraphs();
+    }
+  },
+
+  componentWillUnmount() {
+    this._heapSizeGraph.off("mouseup", this._onGraphMouseUp);
+    this._allocationRateGraph.off("mouseup", this._onGraphMouseUp);
+    this._heapSizeGraph.destroy();
+    this._allocationRateGraph.destroy();
+    this._heapSizeGraph = this._allocationRateGraph = null;
+  },
+
+  _updateGraphs() {
+    let { timeline, snapshots } = this.props;
+    if (timeline.startTime === null) {
+      return;
+    }
+
+    let selected = snapshots.find(s => s.selected);
+    let selectedId = selected ? selected.id : null;
+    this._heapSizeGraph.setTimelineData(timeline, timeline.heapSize, selectedId);
+    this._allocationRateGraph.setTimelineData(timeline, timeline.allocationRate, selectedId);
+  },
+
+  /**
+   * Select the snapshot whose marker was clicked, if any.
+   */
+  _onGraphMouseUp() {
+    let snapshot = this._heapSizeGraph.getSnapshotAtCursor() ||
+                   this._allocationRateGraph.getSnapshotAtCursor();
+    if (snapshot && this.props.snapshots.some(s => s.id === snapshot.id)) {
+      this.props.onSelectSnapshot(snapshot.id);
+    }
+  },
+
+  render() {
+    let {
+      timeline,
+      allocations,
+      onStartTimeline,
+      onStopTimeline,
+      onTakeSnapshotClick,
+    } = this.props;
+
+    // Allocations are only reported while their stacks are recorded.
+    let showAllocationsHint = timeline.recording && !allocations.recording &&
+                              !timeline.allocationRate.length;
+
+    return (
+      dom.div({ id: "memory-timeline" },
+        dom.div({ className: "timeline-controls" },
+          dom.button({
+            id: "toggle-timeline",
+            className: "devtools-button",
+            "data-recording": timeline.recording,
+            onClick: timeline.recording ? onStopTimeline : onStartTimeline,
+          }, L10N.getStr(timeline.recording ? "timeline.stop" : "timeline.start")),
+
+          dom.button({
+            className: "devtools-button timeline-take-snapshot",
+            disabled: !timeline.recording,
+            title: L10N.getStr("timeline.takeSnapshot.tooltip"),
+            onClick: onTakeSnapshotClick,
+          }, L10N.getStr("take-snapshot"))
+        ),
+
+        dom.div({ className: "timeline-graphs" },
+          dom.div({ className: "timeline-graph" },
+            dom.span({ className: "timeline-graph-label" },
+                     L10N.getStr("timeline.heapSize")),
+            dom.div({ className: "timeline-graph-canvas", ref: "heapSize" })
+          ),
+          dom.div({ className: "timeline-graph" },
+            dom.span({ className: "timeline-graph-label" },
+                     L10N.getStr("timeline.allocationRate")),
+            // The graph's frame is added to this node, outside of React.
+            dom.div({ className: "timeline-graph-canvas", ref: "allocationRate" }),
+            showAllocationsHint
+              ? dom.span({ className: "timeline-graph-hint" },
+                         L10N.getStr("timeline.allocationRate.hint"))
+              : null
+          )
+        )
+      )
+    );
+  },
+});
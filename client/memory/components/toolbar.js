@@ -5,6 +5,7 @@
 const { DOM: dom, createClass, PropTypes } = require("devtools/client/shared/vendor/react");
 const { L10N } = require("../utils");
 const models = require("../models");
+const { viewState } = require("../constants");
 
 const Toolbar = module.exports = createClass({
   displayName: "toolbar",
@@ -24,6 +25,8 @@ const Toolbar = module.exports = createClass({
     setFilterString: PropTypes.func.isRequired,
     diffing: models.diffingModel,
     onToggleDiffing: PropTypes.func.isRequired,
+    view: PropTypes.string.isRequired,
+    onViewChange: PropTypes.func.isRequired,
   },
 
   render() {
@@ -41,8 +44,14 @@ const Toolbar = module.exports = createClass({
       snapshots,
       diffing,
       onToggleDiffing,
+      view,
+      onViewChange,
     } = this.props;
 
+    // The census options don't apply to the dominator tree, and diffing only
+    // compares censuses.
+    const isCensusView = !!diffing || view === viewState.CENSUS;
+
     return (
       dom.div({ className: "devtools-toolbar" },
         dom.div({ className: "toolbar-group" },
@@ -71,11 +80,28 @@ const Toolbar = module.exports = createClass({
         ),
 
         dom.div({ className: "toolbar-group" },
+          dom.label({ className: "view-by" },
+            L10N.getStr("toolbar.view"),
+            dom.select({
+              id: "select-view",
+              className: "select-view",
+              value: isCensusView ? viewState.CENSUS : viewState.DOMINATOR_TREE,
+              disabled: !!diffing,
+              onChange: e => onViewChange(e.target.value),
+            },
+              dom.option({ value: viewState.CENSUS },
+                         L10N.getStr("toolbar.view.census")),
+              dom.option({ value: viewState.DOMINATOR_TREE },
+                         L10N.getStr("toolbar.view.dominators"))
+            )
+          ),
+
           dom.label({ className: "breakdown-by" },
             L10N.getStr("toolbar.breakdownBy"),
             dom.select({
               id: "select-breakdown",
               className: "select-breakdown",
+              disabled: !isCensusView,
               onChange: e => onBreakdownChange(e.target.value),
             }, ...breakdowns.map(({ name, displayName }) => dom.option({ key: name, value: name }, displayName)))
           ),
@@ -85,6 +111,7 @@ const Toolbar = module.exports = createClass({
               id: "invert-tree-checkbox",
               type: "checkbox",
               checked: inverted,
+              disabled: !isCensusView,
               onChange: onToggleInverted,
             }),
             L10N.getStr("checkbox.invertTree")
@@ -108,6 +135,7 @@ const Toolbar = module.exports = createClass({
             type: "search",
             className: "devtools-searchinput",
             placeholder: L10N.getStr("filter.placeholder"),
+            disabled: !isCensusView,
             onChange: event => setFilterString(event.target.value),
             value: !!filterString ? filterString : undefined,
           })
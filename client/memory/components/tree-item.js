@@ -3,12 +3,14 @@
  * You can obtain one at http://mozilla.org/MPL/2.0/. */
 
 const { isSavedFrame } = require("devtools/shared/DevToolsUtils");
+const { isV8SavedFrame } = require("devtools/shared/heapsnapshot/V8HeapSnapshot");
 const { DOM: dom, createClass, createFactory, PropTypes } = require("devtools/client/shared/vendor/react");
 const { L10N } = require("../utils");
 const FrameView = createFactory(require("./frame"));
 
 const INDENT = 10;
 const MAX_SOURCE_LENGTH = 200;
+const LABEL_SEPARATOR = " › ";
 
 
 /**
@@ -46,6 +48,10 @@ const TreeItem = module.exports = createClass({
   },
 
   render() {
+    if (this.props.dominatorTree) {
+      return this.renderDominatorTreeNode();
+    }
+
     let {
       item,
       depth,
@@ -89,8 +95,50 @@ const TreeItem = module.exports = createClass({
     );
   },
 
+  /**
+   * Render a DominatorTreeNode, or a node of the tree of its retaining paths,
+   * where `getPercentBytes` is relative to the retained size of the root of
+   * the dominator tree.
+   */
+  renderDominatorTreeNode() {
+    let { item, depth, arrow, focused, toolbox, getPercentBytes } = this.props;
+
+    const retainedSize = this.formatNumber(false, item.retainedSize);
+    const percentRetainedSize =
+      this.formatPercent(false, getPercentBytes(item.retainedSize));
+
+    const shallowSize = this.formatNumber(false, item.shallowSize);
+    const percentShallowSize =
+      this.formatPercent(false, getPercentBytes(item.shallowSize));
+
+    const label = [];
+    if (item.edge) {
+      label.push(dom.span({ className: "heap-tree-item-edge" },
+                          L10N.getFormatStr("tree-item.edge", item.edge)));
+    }
+    item.label.forEach((piece, i) => {
+      if (i > 0) {
+        label.push(LABEL_SEPARATOR);
+      }
+      label.push(this.toLabel(piece, toolbox));
+    });
+
+    return dom.div({ className: `heap-tree-item ${focused ? "focused" : ""}` },
+      dom.span({ className: "heap-tree-item-field heap-tree-item-retained-size" },
+               dom.span({ className: "heap-tree-number" }, retainedSize),
+               dom.span({ className: "heap-tree-percent" }, percentRetainedSize)),
+      dom.span({ className: "heap-tree-item-field heap-tree-item-shallow-size" },
+               dom.span({ className: "heap-tree-number" }, shallowSize),
+               dom.span({ className: "heap-tree-percent" }, percentShallowSize)),
+      dom.span({ className: "heap-tree-item-field heap-tree-item-name", style: { marginLeft: depth * INDENT }},
+        arrow,
+        ...label
+      )
+    );
+  },
+
   toLabel(name, toolbox) {
-    if (isSavedFrame(name)) {
+    if (isSavedFrame(name) || isV8SavedFrame(name)) {
       return FrameView({ frame: name, toolbox });
     }
 
@@ -10,6 +10,17 @@ exports.ALLOCATION_RECORDING_OPTIONS = {
   maxLogLength: 1
 };
 
+// The options allocations are recorded with while the timeline records too:
+// the allocations log is drained every second, for the allocation rate.
+exports.TIMELINE_ALLOCATION_RECORDING_OPTIONS = {
+  probability: 1,
+  maxLogLength: 125000,
+  drainAllocationsTimeout: 1000
+};
+
+// How often the timeline measures the heap size, in ms.
+exports.TIMELINE_MEASURE_INTERVAL = 1000;
+
 /*** Actions ******************************************************************/
 
 const actions = exports.actions = {};
@@ -69,6 +80,43 @@ actions.SNAPSHOT_ERROR = "snapshot-error";
 // Fired when there is a new filter string set.
 actions.SET_FILTER_STRING = "set-filter-string";
 
+// Fired to switch between the census and the dominator tree of snapshots.
+actions.CHANGE_VIEW = "change-view";
+
+// When the dominator tree of a heap snapshot is being computed in the worker.
+actions.COMPUTE_DOMINATOR_TREE_START = "compute-dominator-tree-start";
+actions.COMPUTE_DOMINATOR_TREE_END = "compute-dominator-tree-end";
+
+// When the first levels of a dominator tree are being fetched.
+actions.FETCH_DOMINATOR_TREE_START = "fetch-dominator-tree-start";
+actions.FETCH_DOMINATOR_TREE_END = "fetch-dominator-tree-end";
+
+// When more children of a node of a dominator tree are being fetched.
+actions.FETCH_IMMEDIATELY_DOMINATED_START = "fetch-immediately-dominated-start";
+actions.FETCH_IMMEDIATELY_DOMINATED_END = "fetch-immediately-dominated-end";
+
+// Fired when there is an error computing or fetching a dominator tree.
+actions.DOMINATOR_TREE_ERROR = "dominator-tree-error";
+
+// Fired when a node of a dominator tree is focused.
+actions.FOCUS_DOMINATOR_TREE_NODE = "focus-dominator-tree-node";
+
+// When the shortest paths retaining the focused node of a dominator tree are
+// being computed.
+actions.FETCH_RETAINING_PATHS_START = "fetch-retaining-paths-start";
+actions.FETCH_RETAINING_PATHS_END = "fetch-retaining-paths-end";
+actions.RETAINING_PATHS_ERROR = "retaining-paths-error";
+
+// Fired to start or stop the live memory timeline.
+actions.START_TIMELINE = "start-timeline";
+actions.STOP_TIMELINE = "stop-timeline";
+
+// Fired with the data recorded by the timeline: heap size measurements, and
+// the "garbage-collection" and "allocations" events of the MemoryFront.
+actions.TIMELINE_MEASUREMENT = "timeline-measurement";
+actions.TIMELINE_GARBAGE_COLLECTION = "timeline-garbage-collection";
+actions.TIMELINE_ALLOCATIONS = "timeline-allocations";
+
 /*** Breakdowns ***************************************************************/
 
 const COUNT = { by: "count", count: true, bytes: true };
@@ -108,6 +156,26 @@ const breakdowns = exports.breakdowns = {
   },
 };
 
+// The breakdown labelling the nodes of dominator trees, by the census of each
+// node alone.
+exports.DOMINATOR_TREE_LABEL_BREAKDOWN = {
+  by: "coarseType",
+  objects: OBJECT_CLASS,
+  strings: COUNT,
+  scripts: INTERNAL_TYPE,
+  other: INTERNAL_TYPE,
+};
+
+/*** Views ********************************************************************/
+
+const viewState = exports.viewState = Object.create(null);
+
+// The census of the selected snapshot, or the difference between two.
+viewState.CENSUS = "view-state-census";
+
+// The dominator tree of the selected snapshot.
+viewState.DOMINATOR_TREE = "view-state-dominator-tree";
+
 /*** Snapshot States **********************************************************/
 
 const snapshotState = exports.snapshotState = {};
@@ -155,3 +223,21 @@ diffingState.TOOK_DIFF = "diffing-state-took-diff";
 
 // An error occurred while computing the diff.
 diffingState.ERROR = "diffing-state-error";
+
+/*** Dominator Tree States ****************************************************/
+
+/*
+ * Various states the dominator tree of a snapshot can be in.
+ *
+ *     COMPUTING -> COMPUTED -> FETCHING -> LOADED <--> INCREMENTAL_FETCHING
+ *
+ * Any of these states may go to the ERROR state.
+ */
+const dominatorTreeState = exports.dominatorTreeState = Object.create(null);
+
+dominatorTreeState.COMPUTING = "dominator-tree-state-computing";
+dominatorTreeState.COMPUTED = "dominator-tree-state-computed";
+dominatorTreeState.FETCHING = "dominator-tree-state-fetching";
+dominatorTreeState.LOADED = "dominator-tree-state-loaded";
+dominatorTreeState.INCREMENTAL_FETCHING = "dominator-tree-state-incremental-fetching";
+dominatorTreeState.ERROR = "dominator-tree-state-error";
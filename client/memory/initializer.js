@@ -14,6 +14,7 @@ const ReactDOM = require("devtools/client/shared/vendor/react-dom");
 const { Provider } = require("devtools/client/shared/vendor/react-redux");
 const App = createFactory(require("devtools/client/memory/app"));
 const Store = require("devtools/client/memory/store");
+const { stopTimeline } = require("devtools/client/memory/actions/timeline");
 const { assert } = require("devtools/shared/DevToolsUtils");
 
 /**
@@ -36,6 +37,8 @@ var initialize = Task.async(function*() {
 });
 
 var destroy = Task.async(function*() {
+  gStore.dispatch(stopTimeline(gFront));
+
   const ok = ReactDOM.unmountComponentAtNode(gRoot);
   assert(ok, "Should successfully unmount the memory tool's top level React component");
 
@@ -46,10 +49,11 @@ var destroy = Task.async(function*() {
 
 /**
  * Fired on any state change, currently only handles toggling
- * the highlighting of the tool when recording allocations.
+ * the highlighting of the tool when recording allocations or the timeline.
  */
 function onStateChange () {
-  let isRecording = gStore.getState().allocations.recording;
+  let state = gStore.getState();
+  let isRecording = state.allocations.recording || state.timeline.recording;
   if (isRecording === isHighlighted) {
     return;
   }
@@ -6,7 +6,12 @@ const { assert } = require("devtools/shared/DevToolsUtils");
 const { MemoryFront } = require("devtools/server/actors/memory");
 const HeapAnalysesClient = require("devtools/shared/heapsnapshot/HeapAnalysesClient");
 const { PropTypes } = require("devtools/client/shared/vendor/react");
-const { snapshotState: states, diffingState } = require("./constants");
+const {
+  snapshotState: states,
+  diffingState,
+  dominatorTreeState,
+  viewState
+} = require("./constants");
 
 /**
  * The breakdown object DSL describing how we want
@@ -29,6 +34,57 @@ let censusModel = exports.censusModel = PropTypes.shape({
   filter: PropTypes.string,
 });
 
+/**
+ * The dominator tree of a snapshot, as far as it has been fetched.
+ */
+let dominatorTreeModel = exports.dominatorTreeModel = PropTypes.shape({
+  // The id of the dominator tree in the HeapAnalysesWorker, once computed.
+  dominatorTreeId: PropTypes.number,
+  // The root of the part of the tree fetched so far, once fetched.
+  // @see `devtools/shared/heapsnapshot/DominatorTreeNode.js`
+  root: PropTypes.object,
+  // The id of the focused node, if any.
+  focused: PropTypes.number,
+  // The shortest paths retaining the focused node, once fetched: the id of
+  // the node they are the paths of, and the tree of its retainers, or the
+  // error that happened while fetching them.
+  // @see `DominatorTreeNode.getRetainingPaths`
+  retainingPaths: PropTypes.shape({
+    nodeId: PropTypes.number.isRequired,
+    root: PropTypes.object,
+    error: PropTypes.object,
+  }),
+  // If an error was thrown while computing or fetching the tree, the `Error`
+  // instance is attached here.
+  error: PropTypes.object,
+  // The current state the dominator tree is in.
+  // @see ./constants.js
+  state: function (dominatorTree) {
+    switch (dominatorTree.state) {
+      case dominatorTreeState.COMPUTING:
+        break;
+
+      case dominatorTreeState.COMPUTED:
+      case dominatorTreeState.FETCHING:
+        assert(dominatorTree.dominatorTreeId !== undefined,
+               "Should have a dominator tree id");
+        break;
+
+      case dominatorTreeState.LOADED:
+      case dominatorTreeState.INCREMENTAL_FETCHING:
+        assert(dominatorTree.root, "Should have a root");
+        break;
+
+      case dominatorTreeState.ERROR:
+        assert(dominatorTree.error, "Should have error");
+        break;
+
+      default:
+        assert(false, `Bad dominator tree state: ${dominatorTree.state}`);
+    }
+  },
+});
+
 /**
  * Snapshot model.
  */
@@ -44,6 +100,8 @@ let snapshotModel = exports.snapshot = PropTypes.shape({
   path: PropTypes.string,
   // Current census data for this snapshot.
   census: censusModel,
+  // The dominator tree of this snapshot, once requested.
+  dominatorTree: dominatorTreeModel,
   // If an error was thrown while processing this snapshot, the `Error` instance
   // is attached here.
   error: PropTypes.object,
@@ -83,6 +141,37 @@ let allocationsModel = exports.allocations = PropTypes.shape({
   togglingInProgress: PropTypes.bool.isRequired,
 });
 
+// A point of a timeline graph, `delta` ms after the timeline started.
+let timelinePoint = PropTypes.shape({
+  delta: PropTypes.number.isRequired,
+  value: PropTypes.number.isRequired,
+});
+
+let timelineModel = exports.timeline = PropTypes.shape({
+  // True iff the timeline is recording right now.
+  recording: PropTypes.bool.isRequired,
+  // When the timeline started recording, in ms since the epoch, or null if it
+  // never has.
+  startTime: PropTypes.number,
+  // The heap size measured over time, in MB.
+  heapSize: PropTypes.arrayOf(timelinePoint).isRequired,
+  // The number of allocations per second over time, while allocations are
+  // recorded.
+  allocationRate: PropTypes.arrayOf(timelinePoint).isRequired,
+  // The garbage collections that happened, with the reason for the first
+  // collection of each GC cycle, and the reason it wasn't incremental if so.
+  gcEvents: PropTypes.arrayOf(PropTypes.shape({
+    delta: PropTypes.number.isRequired,
+    reason: PropTypes.string,
+    nonincrementalReason: PropTypes.string,
+  })).isRequired,
+  // The snapshots taken while the timeline was recording.
+  snapshots: PropTypes.arrayOf(PropTypes.shape({
+    id: snapshotId.isRequired,
+    delta: PropTypes.number.isRequired,
+  })).isRequired,
+});
+
 let diffingModel = exports.diffingModel = PropTypes.shape({
   // The id of the first snapshot to diff.
   firstSnapshotId: snapshotId,
@@ -147,4 +236,8 @@ let appModel = exports.app = {
   filter: PropTypes.string,
   // If present, the current diffing state.
   diffing: diffingModel,
+  // The live memory timeline.
+  timeline: timelineModel.isRequired,
+  // Whether the census or the dominator tree of snapshots is shown.
+  view: PropTypes.oneOf(Object.keys(viewState).map(k => viewState[k])).isRequired,
 };
@@ -10,3 +10,5 @@ exports.errors = require("./reducers/errors");
 exports.filter = require("./reducers/filter");
 exports.inverted = require("./reducers/inverted");
 exports.snapshots = require("./reducers/snapshots");
+exports.timeline = require("./reducers/timeline");
+exports.view = require("./reducers/view");
@@ -3,7 +3,12 @@
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 "use strict";
 
-const { actions, snapshotState: states } = require("../constants");
+const DominatorTreeNode = require("devtools/shared/heapsnapshot/DominatorTreeNode");
+const {
+  actions,
+  snapshotState: states,
+  dominatorTreeState
+} = require("../constants");
 const { immutableUpdate } = require("../utils");
 
 const handlers = Object.create(null);
@@ -84,6 +89,120 @@ handlers[actions.TOGGLE_DIFFING] = function (snapshots, action) {
   return snapshots.map(s => immutableUpdate(s, { selected: false }));
 };
 
+/**
+ * Update the dominator tree of the snapshot with the given id.
+ *
+ * @param {Array<snapshotModel>} snapshots
+ * @param {snapshotId} id
+ * @param {Function} update
+ *        Takes the current dominator tree and returns the properties to
+ *        change.
+ */
+function updateDominatorTree(snapshots, id, update) {
+  return snapshots.map(snapshot => {
+    if (snapshot.id !== id) {
+      return snapshot;
+    }
+    const dominatorTree = immutableUpdate(snapshot.dominatorTree,
+                                          update(snapshot.dominatorTree));
+    return immutableUpdate(snapshot, { dominatorTree });
+  });
+}
+
+handlers[actions.COMPUTE_DOMINATOR_TREE_START] = function (snapshots, { id }) {
+  return snapshots.map(snapshot => {
+    if (snapshot.id !== id) {
+      return snapshot;
+    }
+    const dominatorTree = immutableUpdate({
+      state: dominatorTreeState.COMPUTING,
+      dominatorTreeId: undefined,
+      root: undefined,
+      focused: undefined,
+      retainingPaths: undefined,
+      error: undefined,
+    });
+    return immutableUpdate(snapshot, { dominatorTree });
+  });
+};
+
+handlers[actions.COMPUTE_DOMINATOR_TREE_END] = function (snapshots, { id, dominatorTreeId }) {
+  return updateDominatorTree(snapshots, id, () => ({
+    state: dominatorTreeState.COMPUTED,
+    dominatorTreeId,
+  }));
+};
+
+handlers[actions.FETCH_DOMINATOR_TREE_START] = function (snapshots, { id }) {
+  return updateDominatorTree(snapshots, id, () => ({
+    state: dominatorTreeState.FETCHING,
+  }));
+};
+
+handlers[actions.FETCH_DOMINATOR_TREE_END] = function (snapshots, { id, root }) {
+  return updateDominatorTree(snapshots, id, () => ({
+    state: dominatorTreeState.LOADED,
+    root,
+  }));
+};
+
+handlers[actions.FETCH_IMMEDIATELY_DOMINATED_START] = function (snapshots, { id }) {
+  return updateDominatorTree(snapshots, id, () => ({
+    state: dominatorTreeState.INCREMENTAL_FETCHING,
+  }));
+};
+
+handlers[actions.FETCH_IMMEDIATELY_DOMINATED_END] = function (snapshots, action) {
+  const { id, path, nodes, moreChildrenAvailable } = action;
+  return updateDominatorTree(snapshots, id, dominatorTree => ({
+    state: dominatorTreeState.LOADED,
+    root: DominatorTreeNode.insert(dominatorTree.root, path, nodes,
+                                   moreChildrenAvailable),
+  }));
+};
+
+handlers[actions.DOMINATOR_TREE_ERROR] = function (snapshots, { id, error }) {
+  return updateDominatorTree(snapshots, id, () => ({
+    state: dominatorTreeState.ERROR,
+    error,
+  }));
+};
+
+handlers[actions.FOCUS_DOMINATOR_TREE_NODE] = function (snapshots, { id, nodeId }) {
+  return updateDominatorTree(snapshots, id, () => ({
+    focused: nodeId,
+  }));
+};
+
+handlers[actions.FETCH_RETAINING_PATHS_START] = function (snapshots, { id, nodeId }) {
+  return updateDominatorTree(snapshots, id, () => ({
+    retainingPaths: immutableUpdate({ nodeId, root: null, error: null }),
+  }));
+};
+
+/**
+ * The paths of a node that is no longer focused are ignored.
+ */
+function updateRetainingPaths(snapshots, id, nodeId, retainingPaths) {
+  return updateDominatorTree(snapshots, id, dominatorTree => {
+    if (dominatorTree.focused !== nodeId) {
+      return {};
+    }
+    return {
+      retainingPaths: immutableUpdate({ nodeId, root: null, error: null },
+                                      retainingPaths),
+    };
+  });
+}
+
+handlers[actions.FETCH_RETAINING_PATHS_END] = function (snapshots, { id, nodeId, root }) {
+  return updateRetainingPaths(snapshots, id, nodeId, { root });
+};
+
+handlers[actions.RETAINING_PATHS_ERROR] = function (snapshots, { id, nodeId, error }) {
+  return updateRetainingPaths(snapshots, id, nodeId, { error });
+};
+
 module.exports = function (snapshots = [], action) {
   const handler = handlers[action.type];
   if (handler) {
@@ -0,0 +1,90 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+const { actions } = require("../constants");
+const { immutableUpdate } = require("../utils");
+
+const BYTES_PER_MB = 1024 * 1024;
+
+let handlers = Object.create(null);
+
+handlers[actions.START_TIMELINE] = function (timeline, { time }) {
+  return immutableUpdate(DEFAULT_TIMELINE_STATE, {
+    recording: true,
+    startTime: time,
+  });
+};
+
+handlers[actions.STOP_TIMELINE] = function (timeline) {
+  return immutableUpdate(timeline, { recording: false });
+};
+
+handlers[actions.TIMELINE_MEASUREMENT] = function (timeline, { time, measurement }) {
+  return immutableUpdate(timeline, {
+    heapSize: [...timeline.heapSize, {
+      delta: time - timeline.startTime,
+      value: measurement.total / BYTES_PER_MB,
+    }],
+  });
+};
+
+handlers[actions.TIMELINE_GARBAGE_COLLECTION] = function (timeline, { time, data }) {
+  return immutableUpdate(timeline, {
+    gcEvents: [...timeline.gcEvents, {
+      delta: time - timeline.startTime,
+      reason: data.reason || null,
+      nonincrementalReason: data.nonincrementalReason || null,
+    }],
+  });
+};
+
+handlers[actions.TIMELINE_ALLOCATIONS] = function (timeline, { time, count }) {
+  // The allocations are counted since the previous event, or since the
+  // timeline started for the first one.
+  const delta = time - timeline.startTime;
+  const last = timeline.allocationRate[timeline.allocationRate.length - 1];
+  const elapsed = delta - (last ? last.delta : 0);
+  if (elapsed <= 0) {
+    return timeline;
+  }
+
+  return immutableUpdate(timeline, {
+    allocationRate: [...timeline.allocationRate, {
+      delta,
+      value: count / elapsed * 1000,
+    }],
+  });
+};
+
+handlers[actions.TAKE_SNAPSHOT_START] = function (timeline, { snapshot, time }) {
+  return immutableUpdate(timeline, {
+    snapshots: [...timeline.snapshots, {
+      id: snapshot.id,
+      delta: time - timeline.startTime,
+    }],
+  });
+};
+
+const DEFAULT_TIMELINE_STATE = {
+  recording: false,
+  startTime: null,
+  heapSize: [],
+  allocationRate: [],
+  gcEvents: [],
+  snapshots: [],
+};
+
+module.exports = function (timeline = DEFAULT_TIMELINE_STATE, action) {
+  // Only the START_TIMELINE action is of interest while not recording.
+  if (!timeline.recording && action.type !== actions.START_TIMELINE) {
+    return timeline;
+  }
+
+  let handle = handlers[action.type];
+  if (handle) {
+    return handle(timeline, action);
+  }
+  return timeline;
+};
@@ -0,0 +1,14 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this file,
+ * You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+const { actions, viewState } = require("../constants");
+
+module.exports = function (view = viewState.CENSUS, action) {
+  if (action.type === actions.CHANGE_VIEW) {
+    return action.view;
+  } else {
+    return view;
+  }
+};
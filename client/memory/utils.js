@@ -16,7 +16,12 @@ const { assert } = require("devtools/shared/DevToolsUtils");
 //const { Preferences } = require("resource://gre/modules/Preferences.jsm");
 const CUSTOM_BREAKDOWN_PREF = "devtools.memory.custom-breakdowns";
 const DevToolsUtils = require("devtools/shared/DevToolsUtils");
-const { snapshotState: states, diffingState, breakdowns } = require("./constants");
+const {
+  snapshotState: states,
+  diffingState,
+  dominatorTreeState,
+  breakdowns
+} = require("./constants");
 
 exports.immutableUpdate = function (...objs) {
   return Object.freeze(Object.assign({}, ...objs));
@@ -35,8 +40,9 @@ exports.getSnapshotTitle = function (snapshot) {
   }
 
   if (snapshot.imported) {
-    // Strip out the extension if it's the expected ".fxsnapshot"
-    return OS.Path.basename(snapshot.path.replace(/\.fxsnapshot$/, ""));
+    // Strip out the extension if it's the expected ".fxsnapshot", or
+    // ".heapsnapshot" for V8 heap snapshots
+    return OS.Path.basename(snapshot.path.replace(/\.(fx|heap)snapshot$/, ""));
   }
 
   let date = new Date(snapshot.creationTime / 1000);
@@ -258,6 +264,7 @@ exports.createSnapshot = function createSnapshot() {
     id: ++ID_COUNTER,
     state: states.SAVING,
     census: null,
+    dominatorTree: null,
     path: null,
     imported: false,
     selected: false,
@@ -305,6 +312,50 @@ const breakdownEquals = exports.breakdownEquals = function (obj1, obj2) {
   return false;
 };
 
+/**
+ * Return true if the snapshot has been read into memory by the worker, and
+ * may be analysed; false otherwise.
+ *
+ * @param {snapshotModel} snapshot
+ * @returns {Boolean}
+ */
+exports.snapshotIsRead = function (snapshot) {
+  return snapshot.state === states.READ
+    || snapshot.state === states.SAVING_CENSUS
+    || snapshot.state === states.SAVED_CENSUS;
+};
+
+/**
+ * Returns a string representing a readable form of the dominator tree's
+ * state.
+ *
+ * @param {dominatorTreeState} state
+ * @return {String}
+ */
+exports.getDominatorTreeStatusText = function (state) {
+  switch (state) {
+    case dominatorTreeState.COMPUTING:
+    case dominatorTreeState.COMPUTED:
+      return L10N.getStr("dominatorTree.state.computing");
+
+    case dominatorTreeState.FETCHING:
+      return L10N.getStr("dominatorTree.state.fetching");
+
+    case dominatorTreeState.ERROR:
+      return L10N.getStr("dominatorTree.state.error");
+
+    // These states do not have any message to show as the tree will be
+    // displayed.
+    case dominatorTreeState.LOADED:
+    case dominatorTreeState.INCREMENTAL_FETCHING:
+      return "";
+
+    default:
+      assert(false, `Unexpected state: ${state}`);
+      return "";
+  }
+};
+
 /**
  * Return true if the census is up to date with regards to the current
  * inversion/filtering/breakdown, false otherwise.
@@ -0,0 +1,219 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+const SUPPORTED_VERSIONS = ["1.1", "1.2"];
+
+// Prefix of the ids given to imported requests, in place of the actor IDs
+// of live ones.
+const ID_PREFIX = "har-import-";
+
+/**
+ * This object represents the public API for loading HAR files into the
+ * Network panel. It turns HAR entries into the same data the panel gets
+ * for live requests, see NetMonitorController.importHar. The files are
+ * picked and read by NetMonitorView.importHar.
+ * HAR spec: http://www.softwareishard.com/blog/har-12-spec/
+ */
+const HarImporter = {
+  // Public API
+
+  /**
+   * Parse a HAR 1.1 or 1.2 string, optionally wrapped in a JSONP callback.
+   *
+   * @param {String} text HAR data (JSON or JSONP)
+   * @returns {Object} The HAR object.
+   */
+  parse: function(text) {
+    // Unwrap JSONP, like "onInputData({...});".
+    let jsonp = /^\s*[\w$.]+\s*\(([\s\S]*)\)\s*;?\s*$/.exec(text);
+    if (jsonp) {
+      text = jsonp[1];
+    }
+
+    let har = JSON.parse(text);
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+      throw new Error("Not a HAR file: there is no log.entries");
+    }
+    if (SUPPORTED_VERSIONS.indexOf(har.log.version) == -1) {
+      throw new Error("Unsupported HAR version: " + har.log.version);
+    }
+
+    return har;
+  },
+
+  /**
+   * Build the data needed to display the entries of a HAR object.
+   *
+   * @param {Object} har The HAR object.
+   * @returns {Object} An object with the following properties:
+   * - requests {Array}: { id, startedDateTime, method, url, isXHR,
+   *   fromCache, data } objects, where |data| is what
+   *   RequestsMenuView.prototype.updateRequest expects.
+   * - markers {Array}: "document::DOMContentLoaded" and "document::Load"
+   *   markers, like the ones sent by the timeline actor, for the pages.
+   */
+  buildRequests: function(har) {
+    let requests = har.log.entries.map((entry, index) => {
+      return this.buildRequest(entry, ID_PREFIX + index);
+    });
+
+    // The markers are only used for the first page, see
+    // NetworkEventsHandler.firstDocumentLoadTimestamp.
+    let markers = [];
+    let page = (har.log.pages || [])[0];
+    if (page && page.pageTimings) {
+      let started = Date.parse(page.startedDateTime);
+      let { onContentLoad, onLoad } = page.pageTimings;
+      if (onContentLoad >= 0) {
+        markers.push({
+          name: "document::DOMContentLoaded",
+          unixTime: (started + onContentLoad) * 1000
+        });
+      }
+      if (onLoad >= 0) {
+        markers.push({
+          name: "document::Load",
+          unixTime: (started + onLoad) * 1000
+        });
+      }
+    }
+
+    return { requests, markers };
+  },
+
+  // Helpers
+
+  buildRequest: function(entry, id) {
+    let { request, response } = entry;
+    let content = response.content || {};
+    let httpVersion = response.httpVersion || request.httpVersion;
+
+    let data = {
+      requestHeaders: this.buildHeaders(request.headers, request.headersSize,
+        request.method + " " + request.url + " " + request.httpVersion),
+      requestCookies: { cookies: request.cookies || [] },
+      httpVersion: httpVersion,
+      status: response.status + "",
+      statusText: response.statusText,
+      headersSize: response.headersSize,
+      responseHeaders: this.buildHeaders(response.headers,
+        response.headersSize,
+        httpVersion + " " + response.status + " " + response.statusText),
+      responseCookies: { cookies: response.cookies || [] },
+      contentSize: content.size >= 0 ? content.size : undefined,
+      transferredSize: this.getTransferredSize(response),
+      mimeType: content.mimeType,
+      responseContent: {
+        content: {
+          mimeType: content.mimeType,
+          size: content.size,
+          encoding: content.encoding,
+          text: content.text || ""
+        },
+        contentDiscarded: typeof content.text != "string"
+      },
+      totalTime: entry.time,
+      eventTimings: this.buildTimings(entry)
+    };
+
+    if (request.postData) {
+      data.requestPostData = {
+        postData: { text: this.getPostDataText(request.postData) },
+        postDataDiscarded: false
+      };
+    }
+
+    if (entry.serverIPAddress) {
+      data.remoteAddress = entry.serverIPAddress;
+    }
+
+    // Our exporter saves the remote port as the connection.
+    let port = parseInt(entry.connection, 10);
+    if (port > 0 && port < 65536) {
+      data.remotePort = port;
+    }
+
+    return {
+      id: id,
+      startedDateTime: entry.startedDateTime,
+      method: request.method,
+      url: request.url,
+      isXHR: this.isXHR(entry),
+      fromCache: this.isFromCache(entry),
+      data: data
+    };
+  },
+
+  buildHeaders: function(headers = [], headersSize = -1, firstLine) {
+    let rawHeaders = [firstLine]
+      .concat(headers.map(({ name, value }) => name + ": " + value))
+      .join("\r\n");
+
+    return {
+      headers: headers,
+      headersSize: headersSize >= 0 ? headersSize : rawHeaders.length,
+      rawHeaders: rawHeaders
+    };
+  },
+
+  /**
+   * HAR timings use -1 for phases that don't apply, the panel wants 0.
+   */
+  buildTimings: function(entry) {
+    let timings = {};
+    for (let phase of ["blocked", "dns", "connect", "send", "wait", "receive"]) {
+      let value = entry.timings ? entry.timings[phase] : -1;
+      timings[phase] = value > 0 ? value : 0;
+    }
+
+    return {
+      timings: timings,
+      totalTime: entry.time
+    };
+  },
+
+  getPostDataText: function(postData) {
+    if (typeof postData.text == "string") {
+      return postData.text;
+    }
+
+    // Some tools only save the parsed parameters.
+    return (postData.params || []).map(({ name, value }) => {
+      return encodeURIComponent(name) + "=" + encodeURIComponent(value || "");
+    }).join("&");
+  },
+
+  getTransferredSize: function(response) {
+    // Chrome saves the actual size on the wire separately.
+    if (typeof response._transferSize == "number") {
+      return response._transferSize;
+    }
+    if (response.bodySize >= 0) {
+      return response.bodySize;
+    }
+    return undefined;
+  },
+
+  isXHR: function(entry) {
+    if (entry._resourceType) {
+      return entry._resourceType == "xhr" || entry._resourceType == "fetch";
+    }
+    let requestedWith = (entry.request.headers || []).find(header => {
+      return header.name.toLowerCase() == "x-requested-with";
+    });
+    return !!requestedWith && requestedWith.value == "XMLHttpRequest";
+  },
+
+  isFromCache: function(entry) {
+    if (entry._fromCache) {
+      return true;
+    }
+    // Our exporter only sets cache.afterRequest for cached responses.
+    return !!entry.cache && "afterRequest" in entry.cache;
+  }
+};
+
+// Exports from this module
+exports.HarImporter = HarImporter;
@@ -8,6 +8,7 @@ const { Services } = require("devtools/sham/services");
 
 const dirService = Cc("@mozilla.org/file/directory_service;1").getService(Ci.nsIProperties);
 const ZipWriter = CC("@mozilla.org/zipwriter;1", "nsIZipWriter");
+const ZipReader = CC("@mozilla.org/libjar/zip-reader;1", "nsIZipReader", "open");
 const LocalFile = new CC("@mozilla.org/file/local;1", "nsILocalFile", "initWithPath");
 const { getMostRecentBrowserWindow } = require("sdk/window/utils");
 
@@ -23,7 +24,7 @@ const OPEN_FLAGS = {
 };
 
 /**
- * Helper API for HAR export features.
+ * Helper API for HAR export and import features.
  */
 var HarUtils = {
   /**
@@ -49,6 +50,25 @@ var HarUtils = {
     return null;
   },
 
+  /**
+   * Open File Open dialog and let the user pick a HAR log to import.
+   */
+  getSourceFile: function() {
+    let browser = getMostRecentBrowserWindow();
+
+    let fp = Cc("@mozilla.org/filepicker;1").createInstance(nsIFilePicker);
+    fp.init(browser, null, nsIFilePicker.modeOpen);
+    fp.appendFilter("HTTP Archive Files", "*.har; *.harp; *.json; *.jsonp; *.zip");
+    fp.appendFilters(nsIFilePicker.filterAll | nsIFilePicker.filterText);
+    fp.filterIndex = 1;
+
+    if (fp.show() == nsIFilePicker.returnOK) {
+      return fp.file;
+    }
+
+    return null;
+  },
+
   getHarFileName: function(defaultFileName, jsonp, compress) {
     let extension = jsonp ? ".harp" : ".har";
 
@@ -154,6 +174,52 @@ var HarUtils = {
     return false;
   },
 
+  /**
+   * Read a HAR string from a given file, as written by saveToFile. Zipped
+   * files are expected to contain the HAR log as their first entry.
+   *
+   * @param {File} file Source file.
+   * @returns {String} HAR data (JSON or JSONP)
+   */
+  readFromFile: function(file) {
+    let zip = null;
+    let stream;
+
+    if (/\.zip$/i.test(file.leafName)) {
+      zip = new ZipReader(file);
+      let entries = zip.findEntries("*");
+      if (!entries.hasMore()) {
+        zip.close();
+        throw new Error("No HAR log in " + file.leafName);
+      }
+      stream = zip.getInputStream(entries.getNext());
+    } else {
+      stream = Cc("@mozilla.org/network/file-input-stream;1")
+        .createInstance(Ci.nsIFileInputStream);
+      stream.init(file, OPEN_FLAGS.RDONLY, 0, 0);
+    }
+
+    try {
+      let convertor = Cc("@mozilla.org/intl/converter-input-stream;1")
+        .createInstance(Ci.nsIConverterInputStream);
+      convertor.init(stream, "UTF-8", 0, 0);
+
+      let result = "";
+      let chunk = {};
+      while (convertor.readString(1024 * 1024, chunk)) {
+        result += chunk.value;
+      }
+
+      // this closes the stream
+      convertor.close();
+      return result;
+    } finally {
+      if (zip) {
+        zip.close();
+      }
+    }
+  },
+
   getLocalDirectory: function(path) {
     let dir;
 
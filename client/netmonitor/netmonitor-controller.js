@@ -91,6 +91,9 @@ const EVENTS = {
   // Fired once the NetMonitorController establishes a connection to the debug
   // target.
   CONNECTED: "connected",
+
+  // Fired when the requests of a HAR file have been added to the view.
+  HAR_IMPORTED: "NetMonitor:HarImported",
 };
 
 // Descriptions for what this frontend is currently doing.
@@ -135,6 +138,7 @@ XPCOMUtils.defineConstant(this, "Editor", Editor);
 const { Chart } = require("devtools/client/shared/widgets/Chart");
 
 const { Curl, CurlUtils } = require("devtools/client/shared/Curl");
+const { HarImporter } = require("devtools/client/netmonitor/har/har-importer");
 
 const { Task } = require("devtools/sham/task");
 
@@ -171,7 +175,10 @@ var NetMonitorController = {
     this._startup = promise.defer();
     {
       NetMonitorView.initialize();
-      yield this.connect();
+      // Without a target, only imported HAR files can be displayed.
+      if (!this.isOffline) {
+        yield this.connect();
+      }
     }
     this._startup.resolve();
   }),
@@ -189,9 +196,11 @@ var NetMonitorController = {
     this._shutdown = promise.defer();;
     {
       NetMonitorView.destroy();
-      this.TargetEventsHandler.disconnect();
-      this.NetworkEventsHandler.disconnect();
-      yield this.disconnect();
+      if (!this.isOffline) {
+        this.TargetEventsHandler.disconnect();
+        this.NetworkEventsHandler.disconnect();
+        yield this.disconnect();
+      }
     }
     this._shutdown.resolve();
   }),
@@ -281,6 +290,49 @@ var NetMonitorController = {
     return !!this._connected;
   },
 
+  /**
+   * Getter that tells if the monitor runs without a target, to review
+   * imported HAR files.
+   * @type boolean
+   */
+  get isOffline() {
+    return !this._target;
+  },
+
+  /**
+   * Whether the displayed requests come from a HAR file rather than from
+   * the target.
+   */
+  harImported: false,
+
+  /**
+   * Replaces the displayed requests with the entries of a HAR file.
+   *
+   * @param object har
+   *        The HAR object, see HarImporter.parse.
+   */
+  importHar: function(har) {
+    let { requests, markers } = HarImporter.buildRequests(har);
+
+    NetMonitorView.RequestsMenu.reset();
+    NetMonitorView.Sidebar.toggle(false);
+    NetMonitorView.showNetworkInspectorView();
+    this.NetworkEventsHandler.clearMarkers();
+    this.harImported = true;
+
+    for (let marker of markers) {
+      this.NetworkEventsHandler._onDocLoadingMarker(marker);
+    }
+    for (let { id, startedDateTime, method, url, isXHR, fromCache, data } of requests) {
+      NetMonitorView.RequestsMenu.addRequest(
+        id, startedDateTime, method, url, isXHR, fromCache
+      );
+      NetMonitorView.RequestsMenu.updateRequest(id, data);
+    }
+
+    window.emit(EVENTS.HAR_IMPORTED, requests.length);
+  },
+
   /**
    * Gets the activity currently performed by the frontend.
    * @return number
@@ -417,6 +469,10 @@ var NetMonitorController = {
    * @type boolean
    */
   get supportsPerfStats() {
+    // The statistics of imported requests don't need the target.
+    if (this.isOffline) {
+      return true;
+    }
     return this.tabClient &&
            (this.tabClient.traits.reconfigure || !this._target.isApp);
   }
@@ -473,6 +529,7 @@ TargetEventsHandler.prototype = {
         if (!Services.prefs.getBoolPref("devtools.webconsole.persistlog")) {
           NetMonitorView.RequestsMenu.reset();
           NetMonitorView.Sidebar.toggle(false);
+          NetMonitorController.harImported = false;
         }
         // Switch to the default network traffic inspector view.
         if (NetMonitorController.getCurrentActivity() == ACTIVITY_TYPE.NONE) {
@@ -817,6 +874,10 @@ NetworkEventsHandler.prototype = {
    *         are available, or rejected if something goes wrong.
    */
   getString: function(aStringGrip) {
+    // Imported requests have plain strings and no client to ask.
+    if (typeof aStringGrip == "string") {
+      return promise.resolve(aStringGrip);
+    }
     return this.webConsoleClient.getString(aStringGrip);
   }
 };
@@ -915,3 +976,14 @@ function dumpn(str) {
 }
 
 var wantLogging = Services.prefs.getBoolPref("devtools.debugger.log");
+
+/**
+ * Opened on its own, like netmonitor.xul?offline, rather than as a toolbox
+ * panel, the monitor starts without a target to review HAR files.
+ */
+if (/[?&]offline\b/.test(window.location.search)) {
+  window.addEventListener("load", function onLoad() {
+    window.removeEventListener("load", onLoad);
+    NetMonitorController.startupNetMonitor();
+  });
+}
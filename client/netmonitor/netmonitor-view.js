@@ -6,6 +6,7 @@
 "use strict";
 
 const { HarExporter } = require("devtools/client/netmonitor/har/har-exporter");
+const { HarUtils } = require("devtools/client/netmonitor/har/har-utils");
 const NetworkHelper = require("devtools/shared/webconsole/network-helper");
 
 const HTML_NS = "http://www.w3.org/1999/xhtml";
@@ -225,7 +226,11 @@ var NetMonitorView = {
 
     Task.spawn(function*() {
       statisticsView.displayPlaceholderCharts();
-      yield controller.triggerActivity(ACTIVITY_TYPE.RELOAD.WITH_CACHE_ENABLED);
+      // Imported requests can't be reloaded, their statistics are shown as
+      // they are.
+      if (!controller.isOffline && !controller.harImported) {
+        yield controller.triggerActivity(ACTIVITY_TYPE.RELOAD.WITH_CACHE_ENABLED);
+      }
 
       try {
         // • The response headers and status code are required for determining
@@ -386,6 +391,7 @@ RequestsMenuView.prototype = Heritage.extend(WidgetMethods, {
     this._onContextResendCommand = this.cloneSelectedRequest.bind(this);
     this._onContextToggleRawHeadersCommand = this.toggleRawHeaders.bind(this);
     this._onContextPerfCommand = () => NetMonitorView.toggleFrontendMode();
+    this._onImportHarCommand = this.importHar.bind(this);
     this._onReloadCommand = () => NetMonitorView.reloadPage();
     this._flushRequestsTask = new DeferredTask(this._flushRequests, REQUESTS_REFRESH_RATE);
 
@@ -410,12 +416,23 @@ RequestsMenuView.prototype = Heritage.extend(WidgetMethods, {
     $("#request-menu-context-copy-response").addEventListener("command", this._onContextCopyResponseCommand, false);
     $("#request-menu-context-copy-image-as-data-uri").addEventListener("command", this._onContextCopyImageAsDataUriCommand, false);
     $("#toggle-raw-headers").addEventListener("click", this.toggleRawHeadersEvent, false);
+    $("#request-menu-context-import-har").addEventListener("command", this._onImportHarCommand, false);
+    $("#requests-menu-import-har-notice-button").addEventListener("command", this._onImportHarCommand, false);
 
-    window.once("connected", this._onConnect.bind(this));
+    // There is no connection to wait for without a target.
+    if (NetMonitorController.isOffline) {
+      this._onConnect();
+    } else {
+      window.once("connected", this._onConnect.bind(this));
+    }
   },
 
   _onConnect: function() {
-    $("#requests-menu-reload-notice-button").addEventListener("command", this._onReloadCommand, false);
+    if (NetMonitorController.isOffline) {
+      $("#notice-reload-message").hidden = true;
+    } else {
+      $("#requests-menu-reload-notice-button").addEventListener("command", this._onReloadCommand, false);
+    }
 
     if (NetMonitorController.supportsCustomRequest) {
       $("#request-menu-context-resend").addEventListener("command", this._onContextResendCommand, false);
@@ -475,6 +492,8 @@ RequestsMenuView.prototype = Heritage.extend(WidgetMethods, {
     $("#request-menu-context-copy-image-as-data-uri").removeEventListener("command", this._onContextCopyImageAsDataUriCommand, false);
     $("#request-menu-context-resend").removeEventListener("command", this._onContextResendCommand, false);
     $("#request-menu-context-perf").removeEventListener("command", this._onContextPerfCommand, false);
+    $("#request-menu-context-import-har").removeEventListener("command", this._onImportHarCommand, false);
+    $("#requests-menu-import-har-notice-button").removeEventListener("command", this._onImportHarCommand, false);
 
     $("#requests-menu-reload-notice-button").removeEventListener("command", this._onReloadCommand, false);
     $("#requests-menu-perf-notice-button").removeEventListener("command", this._onContextPerfCommand, false);
@@ -695,9 +714,31 @@ RequestsMenuView.prototype = Heritage.extend(WidgetMethods, {
     return HarExporter.save(options);
   },
 
+  /**
+   * Let the user pick a HAR file (optionally JSONP wrapped or zipped, as
+   * HarExporter.save creates them) and display its requests instead of the
+   * current ones.
+   */
+  importHar: function() {
+    let file = HarUtils.getSourceFile();
+    if (!file) {
+      return;
+    }
+
+    try {
+      let har = HarImporter.parse(HarUtils.readFromFile(file));
+      NetMonitorController.importHar(har);
+    } catch (err) {
+      console.error("Failed to import HAR file: " + err);
+    }
+  },
+
   getDefaultHarOptions: function() {
-    let form = NetMonitorController._target.form;
-    let title = form.title || form.url;
+    let title = "";
+    if (!NetMonitorController.isOffline) {
+      let form = NetMonitorController._target.form;
+      title = form.title || form.url;
+    }
 
     return {
       getString: gNetwork.getString.bind(gNetwork),
@@ -1084,6 +1125,7 @@ RequestsMenuView.prototype = Heritage.extend(WidgetMethods, {
    */
   clear: function() {
     NetMonitorController.NetworkEventsHandler.clearMarkers();
+    NetMonitorController.harImported = false;
     NetMonitorView.Sidebar.toggle(false);
     $("#details-pane-toggle").disabled = true;
 
@@ -43,10 +43,12 @@ LegacyPerformanceRecording.prototype = merge({
    *
    * @param nsILocalFile file
    *        The file to stream the data into.
+   * @param string format [optional]
+   *        The format to save the recording in. @see PerformanceIO
    */
-  exportRecording: Task.async(function *(file) {
+  exportRecording: Task.async(function *(file, format) {
     let recordingData = this.getAllData();
-    yield PerformanceIO.saveRecordingToFile(recordingData, file);
+    yield PerformanceIO.saveRecordingToFile(recordingData, file, format);
   }),
 
   /**
@@ -8,6 +8,7 @@ const { Cc, Ci, Cu, Cr } = require("devtools/sham/chrome");
 const { Services } = require("devtools/sham/services");
 const { promise } = require("devtools/sham/promise");
 const RecordingUtils = require("devtools/shared/performance/recording-utils");
+const ChromeTrace = require("devtools/client/performance/modules/logic/chrome-trace");
 
 const { FileUtils } = require("devtools/sham/fileutils");
 const { NetUtil } = require("devtools/sham/netutil");
@@ -20,6 +21,10 @@ const PERF_TOOL_SERIALIZER_IDENTIFIER = "Recorded Performance Data";
 const PERF_TOOL_SERIALIZER_LEGACY_VERSION = 1;
 const PERF_TOOL_SERIALIZER_CURRENT_VERSION = 2;
 
+// The format of recordings saved for Chrome's timeline and other tools
+// reading the Trace Event Format, rather than for this tool.
+const CHROME_TRACE_FORMAT = "chrome-trace";
+
 /**
  * Helpers for importing/exporting JSON.
  */
@@ -43,17 +48,25 @@ function getUnicodeConverter () {
  *        The recording data to stream as JSON.
  * @param nsILocalFile file
  *        The file to stream the data into.
+ * @param string format [optional]
+ *        CHROME_TRACE_FORMAT to save the recording as a Chrome trace, instead
+ *        of in this tool's format.
  * @return object
  *         A promise that is resolved once streaming finishes, or rejected
  *         if there was an error.
  */
-function saveRecordingToFile (recordingData, file) {
+function saveRecordingToFile (recordingData, file, format) {
   let deferred = promise.defer();
 
-  recordingData.fileType = PERF_TOOL_SERIALIZER_IDENTIFIER;
-  recordingData.version = PERF_TOOL_SERIALIZER_CURRENT_VERSION;
+  let string;
+  if (format === CHROME_TRACE_FORMAT) {
+    string = JSON.stringify(ChromeTrace.convertToChromeTrace(recordingData));
+  } else {
+    recordingData.fileType = PERF_TOOL_SERIALIZER_IDENTIFIER;
+    recordingData.version = PERF_TOOL_SERIALIZER_CURRENT_VERSION;
+    string = JSON.stringify(recordingData);
+  }
 
-  let string = JSON.stringify(recordingData);
   let inputStream = this.getUnicodeConverter().convertToInputStream(string);
   let outputStream = FileUtils.openSafeFileOutputStream(file);
 
@@ -62,7 +75,8 @@ function saveRecordingToFile (recordingData, file) {
 }
 
 /**
- * Loads a recording stored as JSON from a file.
+ * Loads a recording stored as JSON from a file. Chrome traces and V8 CPU
+ * profiles are converted to recordings.
  *
  * @param nsILocalFile file
  *        The file to import the data from.
@@ -87,17 +101,22 @@ function loadRecordingFromFile (file) {
       deferred.reject(new Error("Could not read recording data file."));
       return;
     }
-    if (recordingData.fileType != PERF_TOOL_SERIALIZER_IDENTIFIER) {
+    if (recordingData.fileType == PERF_TOOL_SERIALIZER_IDENTIFIER) {
+      if (!isValidSerializerVersion(recordingData.version)) {
+        deferred.reject(new Error("Unsupported recording data file version."));
+        return;
+      }
+      if (recordingData.version === PERF_TOOL_SERIALIZER_LEGACY_VERSION) {
+        recordingData = convertLegacyData(recordingData);
+      }
+    } else if (ChromeTrace.isCpuProfile(recordingData)) {
+      recordingData = ChromeTrace.convertCpuProfile(recordingData);
+    } else if (ChromeTrace.isChromeTrace(recordingData)) {
+      recordingData = ChromeTrace.convertChromeTrace(recordingData);
+    } else {
       deferred.reject(new Error("Unrecognized recording data file."));
       return;
     }
-    if (!isValidSerializerVersion(recordingData.version)) {
-      deferred.reject(new Error("Unsupported recording data file version."));
-      return;
-    }
-    if (recordingData.version === PERF_TOOL_SERIALIZER_LEGACY_VERSION) {
-      recordingData = convertLegacyData(recordingData);
-    }
     if (recordingData.profile.meta.version === 2) {
       RecordingUtils.deflateProfile(recordingData.profile);
     }
@@ -162,6 +181,7 @@ function convertLegacyData (legacyData) {
   return data;
 }
 
+exports.CHROME_TRACE_FORMAT = CHROME_TRACE_FORMAT;
 exports.getUnicodeConverter = getUnicodeConverter;
 exports.saveRecordingToFile = saveRecordingToFile;
 exports.loadRecordingFromFile = loadRecordingFromFile;
@@ -0,0 +1,692 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+/**
+ * Conversions between this tool's recordings and the profiles saved by
+ * Chrome and V8:
+ *
+ *   - `.cpuprofile` files, saved by Chrome's JavaScript profiler and by Node.
+ *     Their samples are the ids of the nodes of a call tree, each node having
+ *     a `callFrame` with the function name, url, and 0-based line and column.
+ *     Older profiles have the call tree nested under a `head` node instead,
+ *     with 1-based lines and columns.
+ *
+ *   - Trace Event Format files, saved by Chrome's timeline. These are a list
+ *     of events, either on their own or as the `traceEvents` of an object,
+ *     with their timestamps and durations in microseconds. The samples of the
+ *     main thread are found in a "CpuProfile" event, or in "Profile" and
+ *     "ProfileChunk" events.
+ *
+ * Imported recordings use the version 2 profile format, with a list of frames
+ * for each sample, which `RecordingUtils.deflateProfile` deduplicates.
+ */
+
+const { CATEGORY_MASK } = require("devtools/client/performance/modules/global");
+
+const ROOT_FUNCTION_NAME = "(root)";
+const IDLE_FUNCTION_NAME = "(idle)";
+const GC_FUNCTION_NAME = "(garbage collector)";
+
+// The thread, process and categories of the events of exported traces.
+const TRACE_PID = 1;
+const TRACE_TID = 1;
+const TRACE_MAIN_THREAD_NAME = "CrRendererMain";
+const TIMELINE_CATEGORY = "devtools.timeline";
+const TIMELINE_DISABLED_CATEGORY = "disabled-by-default-devtools.timeline";
+const CONSOLE_CATEGORY = "blink.console";
+
+const MICROSECONDS_PER_MS = 1000;
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * The names of the markers for the timeline events of Chrome traces.
+ * Other events aren't imported.
+ */
+const CHROME_EVENT_MARKER_NAMES = {
+  "UpdateLayoutTree": "Styles",
+  "RecalculateStyles": "Styles",
+  "Layout": "Reflow",
+  "Paint": "Paint",
+  "CompositeLayers": "Composite",
+  "EventDispatch": "DOMEvent",
+  "FunctionCall": "Javascript",
+  "EvaluateScript": "Javascript",
+  "TimerFire": "Javascript",
+  "FireAnimationFrame": "Javascript",
+  "ParseHTML": "Parse HTML",
+  "MajorGC": "GarbageCollection",
+  "MinorGC": "GarbageCollection",
+  "TimeStamp": "TimeStamp",
+};
+
+/**
+ * The causes of the "Javascript" markers for the Chrome events that run
+ * scripts, when there is one.
+ */
+const CHROME_EVENT_JS_CAUSES = {
+  "EvaluateScript": "<script> element",
+  "TimerFire": "setTimeout handler",
+  "FireAnimationFrame": "FrameRequestCallback",
+};
+
+/**
+ * The Chrome events for the markers of exported recordings. Markers without
+ * one keep their own name.
+ */
+const MARKER_CHROME_EVENT_NAMES = {
+  "Styles": "UpdateLayoutTree",
+  "Reflow": "Layout",
+  "Paint": "Paint",
+  "Composite": "CompositeLayers",
+  "DOMEvent": "EventDispatch",
+  "Javascript": "FunctionCall",
+  "Parse HTML": "ParseHTML",
+  "GarbageCollection": "MajorGC",
+};
+
+/**
+ * The Chrome events for the causes of "Javascript" markers.
+ */
+const JS_CAUSE_CHROME_EVENT_NAMES = {
+  "<script> element": "EvaluateScript",
+  "setTimeout handler": "TimerFire",
+  "setInterval handler": "TimerFire",
+  "FrameRequestCallback": "FireAnimationFrame",
+};
+
+/**
+ * Returns true if the given JSON is a V8 CPU profile.
+ *
+ * @param object data
+ * @return boolean
+ */
+function isCpuProfile(data) {
+  return !!data && typeof data === "object" && Array.isArray(data.samples) &&
+         (Array.isArray(data.nodes) || (!!data.head && typeof data.head === "object"));
+}
+
+/**
+ * Returns true if the given JSON is a Chrome trace.
+ *
+ * @param object data
+ * @return boolean
+ */
+function isChromeTrace(data) {
+  let events = getTraceEvents(data);
+  return !!events && events.length > 0 &&
+         events.every(e => !!e && typeof e === "object" && "ph" in e);
+}
+
+/**
+ * Converts a V8 CPU profile to recording data.
+ *
+ * @param object cpuProfile
+ * @return object
+ */
+function convertCpuProfile(cpuProfile) {
+  let profile = normalizeCpuProfile(cpuProfile);
+  let startTime = profile.startTime;
+  let duration = (profile.endTime - startTime) / MICROSECONDS_PER_MS;
+
+  return createRecordingData({
+    duration,
+    samples: getProfileSamples(profile, startTime),
+    markers: [],
+    memory: [],
+  });
+}
+
+/**
+ * Converts a Chrome trace to recording data, with the samples, timeline
+ * events and heap size of its main thread.
+ *
+ * @param object|array trace
+ * @return object
+ */
+function convertChromeTrace(trace) {
+  let events = getTraceEvents(trace);
+  let { pid, tid } = getMainThread(events);
+  let threadEvents = events.filter(e => e.pid === pid && e.tid === tid);
+
+  let profile = getTraceCpuProfile(events, pid);
+  let markers = getTraceMarkers(threadEvents);
+  let memory = threadEvents
+    .filter(e => e.name === "UpdateCounters" && e.args && e.args.data &&
+                 e.args.data.jsHeapSizeUsed !== undefined)
+    .map(e => ({ time: e.ts, value: e.args.data.jsHeapSizeUsed / BYTES_PER_MB }));
+
+  // Times are relative to the first thing that happened on the main thread.
+  let startTime = Infinity;
+  let endTime = -Infinity;
+  let extend = (start, end) => {
+    startTime = Math.min(startTime, start);
+    endTime = Math.max(endTime, end);
+  };
+  if (profile) {
+    extend(profile.startTime, profile.endTime);
+  }
+  markers.forEach(({ start, end }) => extend(start, end));
+  memory.forEach(({ time }) => extend(time, time));
+  if (startTime === Infinity) {
+    startTime = endTime = 0;
+  }
+  let toRecordingTime = time => (time - startTime) / MICROSECONDS_PER_MS;
+
+  for (let marker of markers) {
+    marker.start = toRecordingTime(marker.start);
+    marker.end = toRecordingTime(marker.end);
+  }
+
+  return createRecordingData({
+    duration: toRecordingTime(endTime),
+    samples: profile ? getProfileSamples(profile, startTime) : [],
+    markers,
+    memory: memory.map(({ time, value }) => ({ delta: toRecordingTime(time), value })),
+  });
+}
+
+/**
+ * Converts recording data to a Chrome trace, with the samples of its main
+ * thread, its markers and its heap size.
+ *
+ * @param object recordingData
+ * @return object
+ */
+function convertToChromeTrace(recordingData) {
+  let { duration, markers, memory, profile } = recordingData;
+  let toTraceTime = time => Math.round(time * MICROSECONDS_PER_MS);
+
+  let traceEvents = [{
+    pid: TRACE_PID, tid: TRACE_TID, ts: 0, ph: "M", cat: "__metadata",
+    name: "thread_name", args: { name: TRACE_MAIN_THREAD_NAME }
+  }, {
+    pid: TRACE_PID, tid: TRACE_TID, ts: 0, ph: "I", s: "t",
+    cat: TIMELINE_DISABLED_CATEGORY, name: "TracingStartedInPage",
+    args: { data: { page: "0x1", sessionId: "" } }
+  }];
+
+  let thread = profile && profile.threads && profile.threads[0];
+  if (thread && thread.samples && thread.samples.data.length) {
+    traceEvents.push({
+      pid: TRACE_PID, tid: TRACE_TID, ts: 0, ph: "I", s: "t",
+      cat: TIMELINE_DISABLED_CATEGORY, name: "CpuProfile",
+      args: { data: { cpuProfile: getCpuProfile(thread, toTraceTime(duration)) } }
+    });
+  }
+
+  (markers || []).forEach((marker, id) => {
+    traceEvents.push(...getMarkerEvents(marker, id, toTraceTime));
+  });
+
+  for (let { delta, value } of memory || []) {
+    traceEvents.push({
+      pid: TRACE_PID, tid: TRACE_TID, ts: toTraceTime(delta), ph: "I", s: "t",
+      cat: TIMELINE_DISABLED_CATEGORY, name: "UpdateCounters",
+      args: { data: { jsHeapSizeUsed: Math.round(value * BYTES_PER_MB) } }
+    });
+  }
+
+  return { traceEvents };
+}
+
+/**
+ * Get the list of events of a trace, or null if it isn't one.
+ */
+function getTraceEvents(data) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && typeof data === "object" && Array.isArray(data.traceEvents)) {
+    return data.traceEvents;
+  }
+  return null;
+}
+
+/**
+ * Find the renderer main thread of a trace: the thread the tracing started
+ * on, or else the one named after it, or else the thread of the first
+ * timeline event.
+ */
+function getMainThread(events) {
+  let started = events.find(e => e.name === "TracingStartedInPage");
+  if (started) {
+    return started;
+  }
+  let named = events.find(e => e.ph === "M" && e.name === "thread_name" &&
+                               e.args && e.args.name === TRACE_MAIN_THREAD_NAME);
+  if (named) {
+    return named;
+  }
+  return events.find(e => e.name in CHROME_EVENT_MARKER_NAMES) || {};
+}
+
+/**
+ * Get the normalized CPU profile of the given process of a trace, if any.
+ * @see normalizeCpuProfile
+ */
+function getTraceCpuProfile(events, pid) {
+  let cpuProfileEvent = events.find(e => e.pid === pid && e.name === "CpuProfile" &&
+                                         e.args && e.args.data && e.args.data.cpuProfile);
+  if (cpuProfileEvent) {
+    return normalizeCpuProfile(cpuProfileEvent.args.data.cpuProfile);
+  }
+
+  // Newer traces split the profile in chunks, each with some of the nodes and
+  // samples of the profile.
+  let profileEvent = events.find(e => e.pid === pid && e.name === "Profile" &&
+                                      e.args && e.args.data);
+  if (!profileEvent) {
+    return null;
+  }
+
+  let nodes = [];
+  let samples = [];
+  let timeDeltas = [];
+  for (let e of events) {
+    if (e.pid !== pid || e.name !== "ProfileChunk" || e.id !== profileEvent.id ||
+        !e.args || !e.args.data) {
+      continue;
+    }
+    let { cpuProfile, timeDeltas: chunkTimeDeltas } = e.args.data;
+    if (cpuProfile) {
+      nodes.push(...(cpuProfile.nodes || []));
+      samples.push(...(cpuProfile.samples || []));
+    }
+    timeDeltas.push(...(chunkTimeDeltas || []));
+  }
+
+  return normalizeCpuProfile({
+    nodes,
+    samples,
+    timeDeltas,
+    startTime: profileEvent.args.data.startTime,
+  });
+}
+
+/**
+ * Normalize the different formats of V8 CPU profiles to
+ *   { nodes: Map<id, { callFrame, parent }>, samples, timestamps,
+ *     startTime, endTime }
+ * with 0-based lines and columns, and times in microseconds.
+ */
+function normalizeCpuProfile(cpuProfile) {
+  let nodes = new Map();
+  let samples = cpuProfile.samples;
+  let timestamps;
+  let startTime;
+
+  if (cpuProfile.head) {
+    let addNode = (node, parent) => {
+      nodes.set(node.id, {
+        callFrame: {
+          functionName: node.functionName,
+          url: node.url,
+          lineNumber: node.lineNumber - 1,
+          columnNumber: node.columnNumber - 1,
+        },
+        parent,
+      });
+      for (let child of node.children || []) {
+        addNode(child, node.id);
+      }
+    };
+    addNode(cpuProfile.head, null);
+
+    // These profiles' start and end times are in seconds.
+    startTime = cpuProfile.startTime * 1000 * MICROSECONDS_PER_MS;
+    timestamps = cpuProfile.timestamps;
+  } else {
+    for (let node of cpuProfile.nodes) {
+      nodes.set(node.id, { callFrame: node.callFrame, parent: node.parent || null });
+    }
+    for (let node of cpuProfile.nodes) {
+      for (let child of node.children || []) {
+        nodes.get(child).parent = node.id;
+      }
+    }
+
+    startTime = cpuProfile.startTime;
+    let time = startTime;
+    timestamps = (cpuProfile.timeDeltas || []).map(delta => time += delta);
+  }
+
+  let endTime = cpuProfile.head
+    ? cpuProfile.endTime * 1000 * MICROSECONDS_PER_MS
+    : cpuProfile.endTime;
+  if (!endTime) {
+    endTime = timestamps.length ? timestamps[timestamps.length - 1] : startTime;
+  }
+
+  return { nodes, samples, timestamps: timestamps || [], startTime, endTime };
+}
+
+/**
+ * Get the samples of a normalized CPU profile in the version 2 profile
+ * format, with their time relative to the given start time in milliseconds.
+ * Idle samples are left out.
+ */
+function getProfileSamples({ nodes, samples, timestamps }, startTime) {
+  let stacks = new Map();
+  let getStack = id => {
+    let stack = stacks.get(id);
+    if (stack) {
+      return stack;
+    }
+
+    let node = nodes.get(id);
+    if (nodes.has(node.parent)) {
+      stack = getStack(node.parent).concat(getFrame(node.callFrame));
+    } else {
+      // Like the profiler's, the stacks start with a (root) frame.
+      stack = [{ location: ROOT_FUNCTION_NAME }];
+      if (node.callFrame.functionName !== ROOT_FUNCTION_NAME) {
+        stack.push(getFrame(node.callFrame));
+      }
+    }
+    stacks.set(id, stack);
+    return stack;
+  };
+
+  let result = [];
+  for (let i = 0; i < samples.length && i < timestamps.length; i++) {
+    let node = nodes.get(samples[i]);
+    if (!node || node.callFrame.functionName === IDLE_FUNCTION_NAME) {
+      continue;
+    }
+    result.push({
+      time: (timestamps[i] - startTime) / MICROSECONDS_PER_MS,
+      frames: getStack(samples[i]),
+    });
+  }
+  return result;
+}
+
+/**
+ * Get the frame of a sample for the given V8 call frame, with a location in
+ * the format the profiler uses, "name (url:line:column)".
+ */
+function getFrame({ functionName, url, lineNumber, columnNumber }) {
+  if (!url) {
+    let frame = { location: functionName || "(anonymous)" };
+    if (functionName === GC_FUNCTION_NAME) {
+      frame.category = CATEGORY_MASK("gc", 1);
+    }
+    return frame;
+  }
+
+  // Spaces are escaped in the resources of profiler locations.
+  let resource = url.replace(/ /g, "%20");
+  if (lineNumber >= 0) {
+    resource += ":" + (lineNumber + 1);
+    if (columnNumber >= 0) {
+      resource += ":" + (columnNumber + 1);
+    }
+  }
+
+  return {
+    location: functionName ? `${functionName} (${resource})` : resource,
+    line: lineNumber >= 0 ? lineNumber + 1 : undefined,
+  };
+}
+
+/**
+ * Get the V8 call frame for the given profiler location.
+ */
+function getCallFrame(location) {
+  let callFrame = {
+    functionName: location,
+    scriptId: "0",
+    url: "",
+    lineNumber: -1,
+    columnNumber: -1,
+  };
+
+  let nameMatch = /^(.*) \((.+)\)$/.exec(location);
+  let resource = (nameMatch ? nameMatch[2] : location).split(" -> ").pop();
+  let resourceMatch = /^(.+?):(\d+)(?::(\d+))?$/.exec(resource);
+
+  // Only resources with a scheme are scripts, unlike eg "js::RunScript".
+  if (resourceMatch && resourceMatch[1].includes("://")) {
+    callFrame.functionName = nameMatch ? nameMatch[1] : "";
+    callFrame.url = resourceMatch[1].replace(/%20/g, " ");
+    callFrame.lineNumber = resourceMatch[2] - 1;
+    callFrame.columnNumber = resourceMatch[3] ? resourceMatch[3] - 1 : -1;
+  }
+
+  return callFrame;
+}
+
+/**
+ * Get the markers of the timeline events of a thread, with their start and
+ * end times in microseconds.
+ */
+function getTraceMarkers(events) {
+  let markers = [];
+  let openEvents = [];
+  let openConsoleTimes = new Map();
+
+  for (let e of events) {
+    // console.time() and console.timeEnd() are async events.
+    if (e.cat && e.cat.split(",").includes(CONSOLE_CATEGORY)) {
+      let key = `${e.id}:${e.name}`;
+      if (e.ph === "b" || e.ph === "S") {
+        openConsoleTimes.set(key, e.ts);
+      } else if ((e.ph === "e" || e.ph === "F") && openConsoleTimes.has(key)) {
+        markers.push({
+          name: "ConsoleTime",
+          start: openConsoleTimes.get(key),
+          end: e.ts,
+          causeName: e.name,
+        });
+        openConsoleTimes.delete(key);
+      }
+      continue;
+    }
+
+    if (e.ph === "B") {
+      openEvents.push(e);
+      continue;
+    }
+    let start = e;
+    let end = e.ts;
+    if (e.ph === "E") {
+      start = openEvents.pop();
+      if (!start) {
+        continue;
+      }
+    } else if (e.ph === "X") {
+      end = e.ts + (e.dur || 0);
+    } else if (e.ph !== "I" && e.ph !== "i") {
+      continue;
+    }
+
+    let marker = getMarker(start, end);
+    if (marker) {
+      markers.push(marker);
+    }
+  }
+
+  return markers.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Get the marker for a timeline event, if it has one.
+ */
+function getMarker(e, end) {
+  let name = CHROME_EVENT_MARKER_NAMES[e.name];
+  if (!name) {
+    return null;
+  }
+
+  let data = (e.args && e.args.data) || {};
+  let marker = { name, start: e.ts, end };
+  if (name === "DOMEvent" && data.type) {
+    marker.type = data.type;
+  } else if (name === "Javascript" && CHROME_EVENT_JS_CAUSES[e.name]) {
+    marker.causeName = CHROME_EVENT_JS_CAUSES[e.name];
+  } else if (name === "GarbageCollection") {
+    marker.causeName = e.name;
+  } else if (name === "TimeStamp") {
+    marker.end = marker.start;
+    marker.causeName = data.message;
+  }
+  return marker;
+}
+
+/**
+ * Get the trace events for a marker.
+ */
+function getMarkerEvents(marker, id, toTraceTime) {
+  let ts = toTraceTime(marker.start);
+  let dur = toTraceTime(marker.end) - ts;
+
+  switch (marker.name) {
+    case "ConsoleTime":
+      return [{
+        pid: TRACE_PID, tid: TRACE_TID, ts, ph: "b", cat: CONSOLE_CATEGORY,
+        name: marker.causeName, id
+      }, {
+        pid: TRACE_PID, tid: TRACE_TID, ts: ts + dur, ph: "e", cat: CONSOLE_CATEGORY,
+        name: marker.causeName, id
+      }];
+
+    case "TimeStamp":
+      return [{
+        pid: TRACE_PID, tid: TRACE_TID, ts, ph: "I", s: "t", cat: TIMELINE_CATEGORY,
+        name: "TimeStamp", args: { data: { message: marker.causeName } }
+      }];
+  }
+
+  let name = MARKER_CHROME_EVENT_NAMES[marker.name] || marker.name;
+  let data = {};
+  if (marker.name === "DOMEvent" && marker.type) {
+    data.type = marker.type;
+  } else if (marker.name === "Javascript" && JS_CAUSE_CHROME_EVENT_NAMES[marker.causeName]) {
+    name = JS_CAUSE_CHROME_EVENT_NAMES[marker.causeName];
+  } else if (marker.name === "GarbageCollection" && marker.causeName === "MinorGC") {
+    name = "MinorGC";
+  }
+
+  return [{
+    pid: TRACE_PID, tid: TRACE_TID, ts, dur, ph: "X", cat: TIMELINE_CATEGORY,
+    name, args: { data }
+  }];
+}
+
+/**
+ * Get a V8 CPU profile for the samples of a thread of a (version 3) profile.
+ *
+ * @param object thread
+ * @param number endTime
+ *        The end of the recording, in microseconds.
+ * @return object
+ */
+function getCpuProfile(thread, endTime) {
+  let { samples, stackTable, frameTable, stringTable } = thread;
+  const SAMPLE_STACK_SLOT = samples.schema.stack;
+  const SAMPLE_TIME_SLOT = samples.schema.time;
+  const STACK_PREFIX_SLOT = stackTable.schema.prefix;
+  const STACK_FRAME_SLOT = stackTable.schema.frame;
+  const FRAME_LOCATION_SLOT = frameTable.schema.location;
+
+  let root = {
+    id: 1,
+    callFrame: getCallFrame(ROOT_FUNCTION_NAME),
+    hitCount: 0,
+    children: [],
+  };
+  let nodes = [root];
+  let nodesByStack = new Map();
+
+  // Each stack of the stack table is a node of the call tree, except for the
+  // (root) frame of the profiler, which is the root of the call tree.
+  let getNode = stackIndex => {
+    if (stackIndex === null) {
+      return root;
+    }
+    let node = nodesByStack.get(stackIndex);
+    if (node) {
+      return node;
+    }
+
+    let stack = stackTable.data[stackIndex];
+    let prefix = stack[STACK_PREFIX_SLOT];
+    let location = stringTable[frameTable.data[stack[STACK_FRAME_SLOT]][FRAME_LOCATION_SLOT]];
+    if (prefix === null && location === ROOT_FUNCTION_NAME) {
+      node = root;
+    } else {
+      let parent = getNode(prefix);
+      node = {
+        id: nodes.length + 1,
+        callFrame: getCallFrame(location),
+        hitCount: 0,
+        children: [],
+      };
+      nodes.push(node);
+      parent.children.push(node.id);
+    }
+    nodesByStack.set(stackIndex, node);
+    return node;
+  };
+
+  let sampleIds = [];
+  let timeDeltas = [];
+  let lastTime = 0;
+  for (let sample of samples.data) {
+    let stackIndex = sample[SAMPLE_STACK_SLOT];
+    let time = sample[SAMPLE_TIME_SLOT];
+    if (stackIndex === null || stackIndex === undefined || !time) {
+      continue;
+    }
+    let node = getNode(stackIndex);
+    node.hitCount++;
+    sampleIds.push(node.id);
+
+    let traceTime = Math.round(time * MICROSECONDS_PER_MS);
+    timeDeltas.push(traceTime - lastTime);
+    lastTime = traceTime;
+  }
+
+  return {
+    nodes,
+    startTime: 0,
+    endTime: Math.max(endTime, lastTime),
+    samples: sampleIds,
+    timeDeltas,
+  };
+}
+
+/**
+ * Create the recording data of an imported profile.
+ */
+function createRecordingData({ duration, samples, markers, memory }) {
+  return {
+    duration,
+    markers,
+    frames: [],
+    memory,
+    ticks: [],
+    allocations: { sites: [], timestamps: [], frames: [], sizes: [] },
+    profile: {
+      meta: { version: 2 },
+      threads: [{ name: TRACE_MAIN_THREAD_NAME, samples, markers: [] }],
+    },
+    configuration: {
+      withTicks: false,
+      withMarkers: markers.length > 0,
+      withMemory: memory.length > 0,
+      withAllocations: false,
+      withJITOptimizations: false,
+    },
+    systemHost: {},
+    systemClient: {},
+  };
+}
+
+exports.isCpuProfile = isCpuProfile;
+exports.isChromeTrace = isChromeTrace;
+exports.convertCpuProfile = convertCpuProfile;
+exports.convertChromeTrace = convertChromeTrace;
+exports.convertToChromeTrace = convertToChromeTrace;
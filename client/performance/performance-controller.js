@@ -28,6 +28,7 @@ const { L10N } = require("devtools/client/performance/modules/global");
 const { PerformanceTelemetry } = require("devtools/client/performance/modules/logic/telemetry");
 const { TIMELINE_BLUEPRINT } = require("devtools/client/performance/modules/markers");
 const RecordingUtils = require("devtools/shared/performance/recording-utils");
+const { CHROME_TRACE_FORMAT } = require("devtools/client/performance/modules/io");
 const { GraphsController } = require("devtools/client/performance/modules/widgets/graphs");
 const { OptimizationsGraph } = require("devtools/client/performance/modules/widgets/graphs");
 const { WaterfallHeader } = require("devtools/client/performance/modules/widgets/waterfall-ticks");
@@ -274,9 +275,11 @@ var PerformanceController = {
    *        The model that holds the recording data.
    * @param nsILocalFile file
    *        The file to stream the data into.
+   * @param string format [optional]
+   *        The format to save the recording in. @see PerformanceIO
    */
-  exportRecording: Task.async(function*(_, recording, file) {
-    yield recording.exportRecording(file);
+  exportRecording: Task.async(function*(_, recording, file, format) {
+    yield recording.exportRecording(file, format);
     this.emit(EVENTS.RECORDING_EXPORTED, recording, file);
   }),
 
@@ -188,6 +188,7 @@ var RecordingsView = Heritage.extend(WidgetMethods, {
     let fp = Cc("@mozilla.org/filepicker;1").createInstance(Ci.nsIFilePicker);
     fp.init(window, L10N.getStr("recordingsList.saveDialogTitle"), Ci.nsIFilePicker.modeSave);
     fp.appendFilter(L10N.getStr("recordingsList.saveDialogJSONFilter"), "*.json");
+    fp.appendFilter(L10N.getStr("recordingsList.saveDialogChromeTraceFilter"), "*.json");
     fp.appendFilter(L10N.getStr("recordingsList.saveDialogAllFilter"), "*.*");
     fp.defaultString = "profile.json";
 
@@ -195,8 +196,10 @@ var RecordingsView = Heritage.extend(WidgetMethods, {
       if (result == Ci.nsIFilePicker.returnCancel) {
         return;
       }
+      // The second filter saves the recording as a Chrome trace.
+      let format = fp.filterIndex === 1 ? CHROME_TRACE_FORMAT : undefined;
       let recordingItem = this.getItemForElement(e.target);
-      this.emit(EVENTS.UI_EXPORT_RECORDING, recordingItem.attachment, fp.file);
+      this.emit(EVENTS.UI_EXPORT_RECORDING, recordingItem.attachment, fp.file, format);
     }});
   },
 
@@ -87,6 +87,10 @@ pref("devtools.debugger.auto-black-box", false);
 pref("devtools.debugger.workers", false);
 pref("devtools.debugger.promise", false);
 
+// The breakpoints and watch expressions of the debugger, as JSON
+pref("devtools.debugger.breakpoints", "[]");
+pref("devtools.debugger.watch-expressions", "[]");
+
 // The default Debugger UI settings
 pref("devtools.debugger.ui.panes-workers-and-sources-width", 200);
 pref("devtools.debugger.ui.panes-instruments-width", 300);
@@ -314,6 +318,10 @@ pref("devtools.fontinspector.enabled", true);
 // version for each user.
 pref("devtools.telemetry.tools.opened.version", "{}");
 
+// Check the packets of the remote debugging protocol against the specs of the
+// actors, and log the mismatches to the console.
+pref("devtools.protocol.validate", false);
+
 // Enable the JSON View tool (an inspector for application/json documents)
 #ifdef MOZ_DEV_EDITION
   pref("devtools.jsonview.enabled", true);
@@ -4,96 +4,99 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
-/* global PromisesPanel */
-
 "use strict";
 
-const { Cu } = require("devtools/sham/chrome");
-
-const { loader } = require("devtools/shared/Loader");
-
-const { Task } = require("devtools/sham/task");
-
-const { promise } = require("devtools/sham/promise");
-const EventEmitter = require("devtools/shared/event-emitter");
-const DevToolsUtils = require("devtools/shared/DevToolsUtils");
+const { ObjectClient } = require("devtools/shared/client/main");
 const { PromisesFront } = require("devtools/server/actors/promises");
 
-// Global toolbox, set when startup is called.
-var gToolbox;
-
-/**
- * Initialize the promise debugger controller and view upon loading the iframe.
- */
-var startup = Task.async(function*(toolbox) {
-  gToolbox = toolbox;
-
-  yield PromisesController.initialize(toolbox);
-  yield PromisesPanel.initialize();
-});
-
-/**
- * Destroy the promise debugger controller and view when unloading the iframe.
- */
-var shutdown = Task.async(function*() {
-  yield PromisesController.destroy();
-  yield PromisesPanel.destroy();
-
-  gToolbox = null;
-});
-
-function setPanel(toolbox) {
-  return startup(toolbox).catch(e =>
-    DevToolsUtils.reportException("setPanel", e));
-}
-
-function destroy() {
-  return shutdown().catch(e => DevToolsUtils.reportException("destroy", e));
-}
-
 /**
- * The promisedebugger controller's job is to retrieve PromisesFronts from the
- * server.
+ * The promisedebugger controller's job is to retrieve the promises of the
+ * target from its PromisesActor, and to keep a PromiseStore up to date with
+ * the ones allocated and settled since.
  */
-var PromisesController = {
-  initialize: Task.async(function*() {
-    if (this.initialized) {
-      return this.initialized.promise;
+class PromisesController {
+  constructor(target, store) {
+    this.target = target;
+    this.store = store;
+
+    this._onNewPromises = grips => this.store.addPromises(grips);
+    this._onPromisesSettled = grips => this.store.settlePromises(grips);
+    // The promises of the previous page are gone, and their actors with
+    // them. The new page's are sent as "new-promises" events.
+    this._onWillNavigate = () => this.store.clear();
+  }
+
+  initialize() {
+    if (this._initialized) {
+      return this._initialized;
     }
 
-    this.initialized = promise.defer();
-
-    let target = gToolbox.target;
-    this.promisesFront = new PromisesFront(target.client, target.form);
-    yield this.promisesFront.attach();
-
-    if (this.destroyed) {
-      console.warn("Could not fully initialize the PromisesController");
-      return null;
+    this._initialized = this._initialize();
+    return this._initialized;
+  }
+
+  async _initialize() {
+    this.promisesFront = new PromisesFront(this.target.client,
+                                           this.target.form);
+    await this.promisesFront.attach();
+
+    this.promisesFront.on("new-promises", this._onNewPromises);
+    this.promisesFront.on("promises-settled", this._onPromisesSettled);
+    this.target.on("will-navigate", this._onWillNavigate);
+
+    // Listing the promises is what starts the events.
+    let grips = await this.promisesFront.listPromises();
+    this.store.addPromises(grips);
+  }
+
+  /**
+   * Fetch the promises depending on a promise and its allocation stack, if
+   * they haven't been already.
+   */
+  fetchDetails(actor) {
+    let promise = this.store.get(actor);
+    if (!promise) {
+      return Promise.resolve();
     }
 
-    this.initialized.resolve();
-  }),
-
-  destroy: Task.async(function*() {
-    if (!this.initialized) {
-      return null;
+    let client = new ObjectClient(this.target.client, promise.grip);
+    let requests = [];
+    if (!promise.children) {
+      requests.push(client.getDependentPromises().then(response => {
+        this.store.setDependentPromises(actor, response.promises);
+      }));
+    }
+    if (!promise.allocationStack) {
+      requests.push(client.getPromiseAllocationStack().then(response => {
+        this.store.setAllocationStack(actor, response.allocationStack);
+      }));
     }
+    return Promise.all(requests);
+  }
 
-    if (this.destroyed) {
-      return this.destroyed.promise;
+  destroy() {
+    if (this._destroyed) {
+      return this._destroyed;
     }
 
-    this.destroyed = promise.defer();
+    this._destroyed = this._destroy();
+    return this._destroyed;
+  }
 
-    if (this.promisesFront) {
-      yield this.promisesFront.detach();
-      this.promisesFront.destroy();
-      this.promisesFront = null;
+  async _destroy() {
+    if (this._initialized) {
+      await this._initialized.catch(() => {});
     }
+    this.target.off("will-navigate", this._onWillNavigate);
+    if (!this.promisesFront) {
+      return;
+    }
+    this.promisesFront.off("new-promises", this._onNewPromises);
+    this.promisesFront.off("promises-settled", this._onPromisesSettled);
+    await this.promisesFront.detach();
+    this.promisesFront.destroy();
+    this.promisesFront = null;
+  }
+}
 
-    this.destroyed.resolve();
-  }),
-};
-
-EventEmitter.decorate(PromisesController);
+exports.PromisesController = PromisesController;
@@ -4,41 +4,435 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
-/* global PromisesController, promise */
-
 "use strict";
 
+const promise = require("devtools/sham/promise");
+const EventEmitter = require("devtools/shared/event-emitter");
+const DevToolsUtils = require("devtools/shared/DevToolsUtils");
+const { PromisesController } = require("devtools/client/promisedebugger/promise-controller");
+const {
+  PromiseStore,
+  matchesFilter
+} = require("devtools/client/promisedebugger/promise-store");
+
 /**
- * The main promise debugger UI.
+ * The main promise debugger UI: the live promises of the target with their
+ * state, and for the one selected its allocation stack and the promises it
+ * depends on and that depend on it.
  */
-var PromisesPanel = {
-  PANEL_INITIALIZED: "panel-initialized",
+class PromisesPanel {
+  constructor(iframeWindow, toolbox) {
+    this._frameWindow = iframeWindow;
+    this._toolbox = toolbox;
+    EventEmitter.decorate(this);
+  }
+
+  open() {
+    this.store = new PromiseStore();
+    this.controller = new PromisesController(this.target, this.store);
+    this.view = new View(this._frameWindow.document, this.store);
+    this.view.init();
+
+    this.view.on("select", (event, actor) => this._fetchDetails(actor));
+    this.view.on("view-source", (event, frame) => this.viewSource(frame));
 
-  initialize: Task.async(function*() {
-    if (PromisesController.destroyed) {
-      return null;
+    return this.controller.initialize().then(() => {
+      this.isReady = true;
+      this.emit("ready");
+      return this;
+    });
+  }
+
+  get target() {
+    return this._toolbox.target;
+  }
+
+  /**
+   * Show the location of a frame of an allocation stack in the debugger.
+   */
+  viewSource(frame) {
+    return this._toolbox.selectTool("jsdebugger").then(panel => {
+      return panel.selectSource(frame.source, frame.line);
+    }).catch(e => {
+      DevToolsUtils.reportException("PromisesPanel", e);
+    });
+  }
+
+  destroy() {
+    if (this._destroyed) {
+      return this._destroyed;
     }
-    if (this.initialized) {
-      return this.initialized.promise;
+    if (this.view) {
+      this.view.destroy();
     }
-    this.initialized = promise.defer();
+    this._destroyed = this.controller ? this.controller.destroy() :
+                                        promise.resolve();
+    return this._destroyed;
+  }
+
+  _fetchDetails(actor) {
+    this.controller.fetchDetails(actor).catch(e => {
+      DevToolsUtils.reportException("PromisesPanel", e);
+    });
+  }
+}
 
-    this.initialized.resolve();
+const STATE_LABELS = {
+  pending: "Pending",
+  fulfilled: "Fulfilled",
+  rejected: "Rejected"
+};
+
+/**
+ * A short description of a value grip.
+ */
+function formatGrip(grip) {
+  if (grip === undefined) {
+    return "";
+  }
+  if (grip === null || typeof grip != "object") {
+    return typeof grip == "string" ? JSON.stringify(grip) : String(grip);
+  }
+  switch (grip.type) {
+    case "undefined":
+    case "null":
+    case "Infinity":
+    case "-Infinity":
+    case "NaN":
+      return grip.type;
+    case "-0":
+      return "-0";
+    case "longString":
+      return JSON.stringify(grip.initial + "…");
+    case "symbol":
+      return "Symbol(" + (grip.name || "") + ")";
+  }
+  let preview = grip.preview;
+  if (preview && preview.kind == "Error") {
+    return grip.class + ": " + preview.message;
+  }
+  return grip.class;
+}
 
-    this.emit(this.PANEL_INITIALIZED);
-  }),
+function formatTime(ms) {
+  return ms == null ? "" : Math.round(ms) + " ms";
+}
 
-  destroy: Task.async(function*() {
-    if (!this.initialized) {
-      return null;
+function formatTimestamp(timestamp) {
+  if (timestamp == null) {
+    return "";
+  }
+  let date = new Date(timestamp);
+  let ms = String(date.getMilliseconds());
+  return date.toLocaleTimeString() + "." + "000".slice(ms.length) + ms;
+}
+
+function formatLocation(frame) {
+  let url = frame.source.url || frame.source.actor;
+  return url.split("/").pop() + ":" + frame.line;
+}
+
+/**
+ * Returns the name of a promise, after the function that allocated it.
+ */
+function getName(promise) {
+  let stack = promise.allocationStack;
+  let frame = stack && stack[0];
+  if (!frame) {
+    return "Promise";
+  }
+  return (frame.functionDisplayName || "(anonymous)") + " " +
+         formatLocation(frame);
+}
+
+/**
+ * Emits:
+ * - "select" (actor): A promise was selected.
+ * - "view-source" (frame): A frame of an allocation stack was clicked.
+ */
+class View {
+  constructor(document, store) {
+    this.document = document;
+    this.store = store;
+    this.$ = selector => document.querySelector(selector);
+    EventEmitter.decorate(this);
+
+    // The filter of the promises listed, see matchesFilter.
+    this.filter = { state: "", text: "" };
+    // Actor => row, for the promises listed.
+    this._rows = new Map();
+    this._selected = null;
+
+    this._onAdd = (event, promise) => this._addPromise(promise);
+    this._onUpdate = (event, promise) => this._updatePromise(promise);
+    this._onClear = () => this.refresh();
+  }
+
+  init() {
+    this.store.on("add", this._onAdd);
+    this.store.on("update", this._onUpdate);
+    this.store.on("clear", this._onClear);
+
+    for (let button of this.document.querySelectorAll("#state-filter button")) {
+      button.addEventListener("click", () => {
+        this.filter.state = button.dataset.state;
+        this.refresh();
+      });
     }
-    if (this.destroyed) {
-      return this.destroyed.promise;
+    this.$("#filter-text").addEventListener("input", () => {
+      this.filter.text = this.$("#filter-text").value.trim();
+      this.refresh();
+    });
+    this.$("#promises").addEventListener("click", e => {
+      let row = e.target.closest(".promise");
+      if (row) {
+        this.select(row.dataset.actor);
+      }
+    });
+    this.$("#sidebar-pane").addEventListener("click", e => {
+      let link = e.target.closest("[data-actor], [data-frame]");
+      if (!link) {
+        return;
+      }
+      e.preventDefault();
+      if (link.dataset.actor) {
+        this.select(link.dataset.actor);
+      } else {
+        let promise = this.store.get(this._selected);
+        this.emit("view-source",
+                  promise.allocationStack[Number(link.dataset.frame)]);
+      }
+    });
+
+    this.refresh();
+  }
+
+  destroy() {
+    this.store.off("add", this._onAdd);
+    this.store.off("update", this._onUpdate);
+    this.store.off("clear", this._onClear);
+    this._rows.clear();
+  }
+
+  /**
+   * List the promises matching the filter again.
+   */
+  refresh() {
+    for (let button of this.document.querySelectorAll("#state-filter button")) {
+      if (button.dataset.state == this.filter.state) {
+        button.setAttribute("checked", "");
+      } else {
+        button.removeAttribute("checked");
+      }
     }
-    this.destroyed = promise.defer();
 
-    this.destroyed.resolve();
-  }),
-};
+    let container = this.$("#promises");
+    container.innerHTML = "";
+    this._rows.clear();
+    for (let promise of this.store.getPromises(this.filter)) {
+      this._appendRow(promise);
+    }
+
+    this._showCounts();
+    this._showSelected(this._selected);
+  }
+
+  /**
+   * Show the details of a promise, and fetch those missing.
+   */
+  select(actor) {
+    this._showSelected(actor);
+    if (this._selected) {
+      this.emit("select", actor);
+    }
+  }
+
+  _showSelected(actor) {
+    let previous = this.$("#promises [selected]");
+    if (previous) {
+      previous.removeAttribute("selected");
+    }
+
+    let promise = this.store.get(actor);
+    this._selected = promise ? actor : null;
+    let row = this._rows.get(actor);
+    if (row) {
+      row.setAttribute("selected", "");
+    }
+    this._showDetails(promise);
+  }
+
+  _addPromise(promise) {
+    this._showCounts();
+    if (!matchesFilter(promise, this.filter)) {
+      return;
+    }
+
+    let container = this.$("#promises");
+    let atBottom = container.scrollTop + container.clientHeight >=
+                   container.scrollHeight - 1;
+    this._appendRow(promise);
+    if (atBottom) {
+      container.scrollTop = container.scrollHeight;
+    }
+  }
+
+  _updatePromise(promise) {
+    this._showCounts();
+
+    let row = this._rows.get(promise.actor);
+    if (row && !matchesFilter(promise, this.filter)) {
+      // A pending promise settled, or its stack no longer matches the text.
+      row.remove();
+      this._rows.delete(promise.actor);
+    } else if (row) {
+      row.replaceWith(this._createRow(promise));
+    } else if (matchesFilter(promise, this.filter)) {
+      // The filter may match a promise once its allocation stack is known,
+      // or a dependent promise may have been discovered: list it in order.
+      this.refresh();
+      return;
+    }
+
+    // The chain of the selected promise may go through the updated one.
+    this._showDetails(this.store.get(this._selected));
+  }
+
+  _appendRow(promise) {
+    this.$("#promises").appendChild(this._createRow(promise));
+  }
+
+  _createRow(promise) {
+    let row = this.document.createElement("div");
+    row.className = "promise";
+    row.dataset.actor = promise.actor;
+    row.setAttribute("state", promise.state);
+    if (promise.actor === this._selected) {
+      row.setAttribute("selected", "");
+    }
+    this._rows.set(promise.actor, row);
+
+    let cell = (className, text) => {
+      let span = this.document.createElement("span");
+      span.className = className;
+      span.textContent = text;
+      row.appendChild(span);
+    };
+    cell("promise-state", STATE_LABELS[promise.state]);
+    cell("promise-name", getName(promise));
+    cell("promise-created", formatTimestamp(promise.creationTimestamp));
+    cell("promise-settle-time", formatTime(promise.timeToSettle));
+    cell("promise-value",
+         formatGrip(promise.state == "rejected" ? promise.reason :
+                                                  promise.value));
+    return row;
+  }
+
+  _showCounts() {
+    let counts = this.store.getCounts();
+    for (let button of this.document.querySelectorAll("#state-filter button")) {
+      let state = button.dataset.state;
+      let count = state ? counts[state] : this.store.size;
+      button.querySelector(".count").textContent = count;
+    }
+  }
+
+  _showDetails(promise) {
+    let details = this.$("#promise-details");
+    details.innerHTML = "";
+    this.$("#sidebar-empty").hidden = !!promise;
+    if (!promise) {
+      return;
+    }
+
+    let doc = this.document;
+    let section = title => {
+      let heading = doc.createElement("h2");
+      heading.textContent = title;
+      details.appendChild(heading);
+    };
+    let promiseLink = p => {
+      let link = doc.createElement("a");
+      link.href = "#";
+      link.className = "promise-link";
+      link.dataset.actor = p.actor;
+      link.setAttribute("state", p.state);
+      link.textContent = getName(p);
+      if (p === promise) {
+        link.setAttribute("selected", "");
+      }
+      return link;
+    };
+    let list = className => {
+      let ul = doc.createElement("ul");
+      ul.className = className;
+      details.appendChild(ul);
+      return ul;
+    };
+
+    let table = doc.createElement("dl");
+    let field = (name, value) => {
+      let dt = doc.createElement("dt");
+      dt.textContent = name;
+      let dd = doc.createElement("dd");
+      dd.textContent = value;
+      table.append(dt, dd);
+    };
+    field("State", STATE_LABELS[promise.state]);
+    if (promise.state == "fulfilled") {
+      field("Value", formatGrip(promise.value));
+    } else if (promise.state == "rejected") {
+      field("Reason", formatGrip(promise.reason));
+    }
+    field("Created", formatTimestamp(promise.creationTimestamp));
+    if (promise.timeToSettle != null) {
+      field("Time to settle", formatTime(promise.timeToSettle));
+    }
+    field("Actor", promise.actor);
+    details.appendChild(table);
+
+    section("Allocation stack");
+    let stack = list("allocation-stack");
+    if (!promise.allocationStack) {
+      stack.textContent = "Loading…";
+    } else if (!promise.allocationStack.length) {
+      stack.textContent = "No allocation stack";
+    }
+    (promise.allocationStack || []).forEach((frame, i) => {
+      let link = doc.createElement("a");
+      link.href = "#";
+      link.className = "frame";
+      link.dataset.frame = i;
+      link.title = (frame.source.url || "") + ":" + frame.line + ":" +
+                   frame.column;
+      link.textContent = (frame.functionDisplayName || "(anonymous)") +
+                         " — " + formatLocation(frame);
+      let item = doc.createElement("li");
+      item.appendChild(link);
+      stack.appendChild(item);
+    });
+
+    // The chain from the first promise known to lead to this one, and the
+    // promises depending on this one.
+    section("Dependencies");
+    let graph = list("dependency-graph");
+    let parent = graph;
+    for (let p of this.store.getChain(promise.actor)) {
+      let item = doc.createElement("li");
+      item.appendChild(promiseLink(p));
+      parent.appendChild(item);
+      parent = doc.createElement("ul");
+      item.appendChild(parent);
+    }
+    if (!promise.children) {
+      parent.textContent = "Loading…";
+    }
+    for (let actor of promise.children || []) {
+      let item = doc.createElement("li");
+      item.appendChild(promiseLink(this.store.get(actor)));
+      parent.appendChild(item);
+    }
+  }
+}
 
-EventEmitter.decorate(PromisesPanel);
+exports.PromisesPanel = PromisesPanel;
@@ -0,0 +1,192 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+const EventEmitter = require("devtools/shared/event-emitter");
+
+/**
+ * The live promises of the debuggee, kept up to date from the grips the
+ * PromisesActor sends, along with the parts of the dependency graph and the
+ * allocation stacks fetched so far.
+ *
+ * A promise is stored as:
+ * - actor: The actor of its grip, which identifies it.
+ * - grip: Its latest grip.
+ * - state: "pending", "fulfilled" or "rejected".
+ * - value, reason: The grip of its value once fulfilled, or of its reason
+ *   once rejected.
+ * - creationTimestamp: When it was allocated, in ms since the epoch.
+ * - timeToSettle: How long it took to settle in ms, once settled.
+ * - allocationStack: The frames of its allocation stack, youngest first, as
+ *   {source, line, column, functionDisplayName}, or null if not fetched.
+ * - parents: The actors of the promises it is known to depend on.
+ * - children: The actors of the promises depending on it, or null if not
+ *   fetched.
+ *
+ * Emits:
+ * - "add" (promise): A promise was added.
+ * - "update" (promise): A promise settled, or its dependencies or its
+ *   allocation stack were fetched.
+ * - "clear": All the promises were removed.
+ */
+class PromiseStore {
+  constructor() {
+    EventEmitter.decorate(this);
+    // Actor => promise, in the order they were added.
+    this._promises = new Map();
+  }
+
+  get size() {
+    return this._promises.size;
+  }
+
+  get(actor) {
+    return this._promises.get(actor) || null;
+  }
+
+  /**
+   * Add newly allocated promises, or update the ones already known.
+   */
+  addPromises(grips) {
+    for (let grip of grips) {
+      this._addGrip(grip);
+    }
+  }
+
+  /**
+   * Update promises that settled.
+   */
+  settlePromises(grips) {
+    for (let grip of grips) {
+      this._addGrip(grip);
+    }
+  }
+
+  /**
+   * Record the promises directly depending on a promise, adding those not
+   * known yet.
+   */
+  setDependentPromises(actor, grips) {
+    let promise = this.get(actor);
+    if (!promise) {
+      return;
+    }
+    promise.children = grips.map(grip => {
+      let child = this._addGrip(grip);
+      if (child.parents.indexOf(actor) == -1) {
+        child.parents.push(actor);
+      }
+      return child.actor;
+    });
+    this.emit("update", promise);
+  }
+
+  /**
+   * Record the allocation stack of a promise, as returned by the
+   * "allocationStack" request.
+   */
+  setAllocationStack(actor, frames) {
+    let promise = this.get(actor);
+    if (!promise) {
+      return;
+    }
+    promise.allocationStack = frames;
+    this.emit("update", promise);
+  }
+
+  /**
+   * Returns the promises matching a filter, see |matchesFilter|, oldest
+   * first.
+   */
+  getPromises(filter) {
+    let promises = [...this._promises.values()];
+    if (filter) {
+      promises = promises.filter(promise => matchesFilter(promise, filter));
+    }
+    return promises.sort((a, b) => a.creationTimestamp - b.creationTimestamp);
+  }
+
+  /**
+   * Returns the number of promises by state.
+   */
+  getCounts() {
+    let counts = { pending: 0, fulfilled: 0, rejected: 0 };
+    for (let promise of this._promises.values()) {
+      counts[promise.state]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Returns the chain of promises a promise depends on, from the first one
+   * to the promise itself. Only the dependencies fetched so far are known,
+   * and the first parent is followed when there are several.
+   */
+  getChain(actor) {
+    let chain = [];
+    let promise = this.get(actor);
+    while (promise && chain.indexOf(promise) == -1) {
+      chain.unshift(promise);
+      promise = this.get(promise.parents[0]);
+    }
+    return chain;
+  }
+
+  clear() {
+    this._promises.clear();
+    this.emit("clear");
+  }
+
+  _addGrip(grip) {
+    let promise = this._promises.get(grip.actor);
+    let isNew = !promise;
+    if (isNew) {
+      promise = {
+        actor: grip.actor,
+        allocationStack: null,
+        parents: [],
+        children: null
+      };
+      this._promises.set(grip.actor, promise);
+    }
+
+    let state = grip.promiseState || { state: "pending" };
+    promise.grip = grip;
+    promise.state = state.state;
+    promise.value = state.value;
+    promise.reason = state.reason;
+    promise.creationTimestamp = state.creationTimestamp;
+    promise.timeToSettle = state.timeToSettle;
+
+    this.emit(isNew ? "add" : "update", promise);
+    return promise;
+  }
+}
+
+/**
+ * Whether a promise matches a filter:
+ * - state: The state of the promises to show, or "" for all.
+ * - text: Text to look for in the actor of the promise and the function
+ *   names and URLs of its allocation stack.
+ */
+function matchesFilter(promise, filter) {
+  if (filter.state && promise.state != filter.state) {
+    return false;
+  }
+  if (!filter.text) {
+    return true;
+  }
+  let text = filter.text.toLowerCase();
+  if (promise.actor.toLowerCase().includes(text)) {
+    return true;
+  }
+  return (promise.allocationStack || []).some(frame => {
+    return (frame.functionDisplayName || "").toLowerCase().includes(text) ||
+           (frame.source.url || "").toLowerCase().includes(text);
+  });
+}
+
+exports.PromiseStore = PromiseStore;
+exports.matchesFilter = matchesFilter;
@@ -0,0 +1,224 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+const EventEmitter = require("devtools/shared/event-emitter");
+const utf8 = require("devtools/shared/transport/utf8");
+const { isUnsolicited } = require("devtools/shared/client/unsolicited");
+
+// The version of the exported logs.
+const LOG_VERSION = 1;
+
+// The number of entries kept, the oldest ones are dropped past it.
+const MAX_ENTRIES = 5000;
+
+/**
+ * Returns whether a log entry matches a filter.
+ *
+ * @param object entry
+ *        The entry, see PacketMonitor.
+ * @param object filter
+ *        With the optional properties:
+ *          actor (string): The actor the packets are sent to or received from.
+ *          text (string): Text found in the type or the JSON of the packets,
+ *            case insensitively.
+ */
+function matchesFilter(entry, filter) {
+  if (filter.actor && entry.actor != filter.actor) {
+    return false;
+  }
+  let text = (filter.text || "").toLowerCase();
+  return !text || entry.type.toLowerCase().includes(text) ||
+         JSON.stringify(entry.packet).toLowerCase().includes(text);
+}
+
+/**
+ * Logs the packets going through a client transport, like a DebuggerTransport
+ * or the LocalDebuggerTransport returned by Valence, pairing each request with
+ * its response.
+ *
+ * Each entry of the log is an object with:
+ *   id (number): Identifies the entry, even once the log is cleared.
+ *   time (number): When the packet went through, in milliseconds since the
+ *     monitor started.
+ *   direction (string): "send" from the client to the server, "receive" the
+ *     other way around.
+ *   kind (string): "request", "response" or "event".
+ *   actor (string): The actor the packet is sent to or received from.
+ *   type (string): The type of the packet, or of the request for responses.
+ *   size (number): The size of the packet as sent, in bytes.
+ *   packet (object): The packet.
+ *   pair (number): The id of the response of a request and the other way
+ *     around, or null if the response hasn't been received yet.
+ *   latency (number): The time between a request and its response, on both,
+ *     or null if the response hasn't been received yet.
+ *
+ * Only the last MAX_ENTRIES entries are kept.
+ *
+ * Emits:
+ * - "entry" (entry): A packet was logged.
+ * - "update" (entry): A request got its response.
+ * - "drop" (entries): The oldest entries were dropped from the log.
+ * - "clear": The log was cleared.
+ */
+class PacketMonitor {
+  constructor() {
+    EventEmitter.decorate(this);
+
+    this.entries = [];
+    this._nextId = 0;
+    this._transport = null;
+    this._client = null;
+    this._start = null;
+    // Actor => the requests sent to it waiting for a response, oldest first.
+    // The server answers the requests to an actor in order.
+    this._pending = new Map();
+
+    this._onSend = this._onSend.bind(this);
+    this._onPacket = this._onPacket.bind(this);
+  }
+
+  /**
+   * Start logging the packets going through `transport`, the one of the
+   * optional DebuggerClient `client`, whose Fronts and clients tell their
+   * events from their responses.
+   */
+  start(transport, client = null) {
+    this.stop();
+    this._transport = transport;
+    this._client = client;
+    this._start = Date.now();
+    this._pending.clear();
+    transport.on("send", this._onSend);
+    transport.on("onPacket", this._onPacket);
+  }
+
+  stop() {
+    if (this._transport) {
+      this._transport.off("send", this._onSend);
+      this._transport.off("onPacket", this._onPacket);
+      this._transport = null;
+      this._client = null;
+    }
+  }
+
+  get isRecording() {
+    return !!this._transport;
+  }
+
+  /**
+   * Forget the packets logged so far. The requests still waiting for a
+   * response are kept, to not take their response for an event.
+   */
+  clear() {
+    this.entries = [];
+    this.emit("clear");
+  }
+
+  /**
+   * Returns the actors packets were logged for, sorted.
+   */
+  getActors() {
+    let actors = new Set(this.entries.map(entry => entry.actor));
+    return [...actors].sort();
+  }
+
+  /**
+   * Returns the entries matching a filter, see matchesFilter.
+   */
+  getEntries(filter = {}) {
+    return this.entries.filter(entry => matchesFilter(entry, filter));
+  }
+
+  /**
+   * Returns the given entries, all of them by default, as a JSON-serializable
+   * object.
+   */
+  export(entries = this.entries) {
+    return {
+      version: LOG_VERSION,
+      entries: entries.map(entry => Object.assign({}, entry))
+    };
+  }
+
+  _add(props, packet) {
+    let entry = Object.assign({
+      id: this._nextId++,
+      time: Date.now() - this._start,
+      size: utf8.encode(JSON.stringify(packet)).length,
+      packet: JSON.parse(JSON.stringify(packet)),
+      pair: null,
+      latency: null
+    }, props);
+    this.entries.push(entry);
+    this.emit("entry", entry);
+    if (this.entries.length > MAX_ENTRIES) {
+      let dropped = this.entries.splice(0, this.entries.length - MAX_ENTRIES);
+      this.emit("drop", dropped);
+    }
+    return entry;
+  }
+
+  /**
+   * Returns whether a packet is an event of the Front or client of its actor,
+   * like DebuggerClient.onPacket checks it.
+   */
+  _isEvent(packet) {
+    let client = this._client;
+    if (!client || !packet.type) {
+      return false;
+    }
+    let front = client.getActor(packet.from);
+    if (front) {
+      let events = front._clientSpec && front._clientSpec.events;
+      return !!events && events.has(packet.type);
+    }
+    let actorClient = client._clients && client._clients.get(packet.from);
+    return !!actorClient && actorClient.events.indexOf(packet.type) != -1;
+  }
+
+  _onSend(event, packet) {
+    let entry = this._add({
+      direction: "send",
+      kind: "request",
+      actor: packet.to,
+      type: packet.type || ""
+    }, packet);
+
+    let pending = this._pending.get(packet.to);
+    if (!pending) {
+      pending = [];
+      this._pending.set(packet.to, pending);
+    }
+    pending.push(entry);
+  }
+
+  _onPacket(event, packet) {
+    let pending = this._pending.get(packet.from);
+    let request = null;
+    if (pending && pending.length &&
+        !isUnsolicited(packet, p => this._isEvent(p))) {
+      request = pending.shift();
+    }
+
+    let entry = this._add({
+      direction: "receive",
+      kind: request ? "response" : "event",
+      actor: packet.from,
+      type: request ? request.type : (packet.type || "")
+    }, packet);
+
+    if (request) {
+      request.pair = entry.id;
+      entry.pair = request.id;
+      request.latency = entry.latency = entry.time - request.time;
+      this.emit("update", request);
+    }
+  }
+}
+
+exports.PacketMonitor = PacketMonitor;
+exports.MAX_ENTRIES = MAX_ENTRIES;
+exports.matchesFilter = matchesFilter;
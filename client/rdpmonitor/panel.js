@@ -0,0 +1,357 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+const promise = require("devtools/sham/promise");
+const EventEmitter = require("devtools/shared/event-emitter");
+const {
+  PacketMonitor,
+  matchesFilter
+} = require("devtools/client/rdpmonitor/monitor");
+
+// The name of the files the packets are exported to.
+const EXPORT_FILE_NAME = "rdp-packets.json";
+
+/**
+ * The RDP monitor: every packet exchanged with the server through the
+ * toolbox's connection, with the responses paired with their requests.
+ */
+class RDPMonitorPanel {
+  constructor(iframeWindow, toolbox) {
+    this._frameWindow = iframeWindow;
+    this._toolbox = toolbox;
+    EventEmitter.decorate(this);
+  }
+
+  open() {
+    this.monitor = new PacketMonitor();
+    this.view = new View(this._frameWindow.document);
+    this.view.init();
+
+    this._onEntry = (event, entry) => this.view.addEntry(entry);
+    this._onUpdate = (event, entry) => this.view.updateEntry(entry);
+    this._onDrop = (event, entries) => this.view.removeEntries(entries);
+    this.monitor.on("entry", this._onEntry);
+    this.monitor.on("update", this._onUpdate);
+    this.monitor.on("drop", this._onDrop);
+
+    this.view.on("record", (event, record) => this.setRecording(record));
+    this.view.on("clear", () => {
+      this.monitor.clear();
+      this.view.setEntries([], []);
+    });
+    this.view.on("filter", () => this._refresh());
+    this.view.on("export", () => this._export());
+
+    this.setRecording(true);
+
+    this.isReady = true;
+    this.emit("ready");
+    return promise.resolve(this);
+  }
+
+  get target() {
+    return this._toolbox.target;
+  }
+
+  /**
+   * Start or stop logging the packets of the toolbox's connection.
+   */
+  setRecording(record) {
+    if (record) {
+      let client = this.target.client;
+      this.monitor.start(client._transport, client);
+    } else {
+      this.monitor.stop();
+    }
+    this.view.setRecording(record);
+  }
+
+  destroy() {
+    if (this._destroyed) {
+      return this._destroyed;
+    }
+    if (this.monitor) {
+      this.monitor.stop();
+      this.monitor.off("entry", this._onEntry);
+      this.monitor.off("update", this._onUpdate);
+      this.monitor.off("drop", this._onDrop);
+    }
+    if (this.view) {
+      this.view.destroy();
+    }
+    this._destroyed = promise.resolve();
+    return this._destroyed;
+  }
+
+  _refresh() {
+    this.view.setEntries(this.monitor.getEntries(this.view.filter),
+                         this.monitor.getActors());
+  }
+
+  /**
+   * Save the packets shown as a JSON file.
+   */
+  _export() {
+    let log = this.monitor.export(this.monitor.getEntries(this.view.filter));
+    let blob = new Blob([JSON.stringify(log, null, 2)],
+                        { type: "application/json" });
+    this.view.download(blob, EXPORT_FILE_NAME);
+  }
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) {
+    return bytes + " B";
+  }
+  return (bytes / 1024).toFixed(1) + " KB";
+}
+
+function formatTime(ms) {
+  return ms == null ? "" : ms + " ms";
+}
+
+/**
+ * Emits:
+ * - "record" (record): The record button was toggled.
+ * - "clear": The clear button was clicked.
+ * - "filter": The filter changed, see |filter|.
+ * - "export": The export button was clicked.
+ */
+class View {
+  constructor(document) {
+    this.document = document;
+    this.$ = selector => document.querySelector(selector);
+    EventEmitter.decorate(this);
+
+    // The filter of the entries shown, see PacketMonitor.getEntries.
+    this.filter = { actor: "", text: "" };
+    // Entry id => row, for the entries shown.
+    this._rows = new Map();
+    // Entry id => entry, for the entries shown.
+    this._entries = new Map();
+    this._actors = new Set();
+    this._selected = null;
+  }
+
+  init() {
+    this.$("#record").addEventListener("click", () => {
+      this.emit("record", !this.$("#record").hasAttribute("checked"));
+    });
+    this.$("#clear").addEventListener("click", () => this.emit("clear"));
+    this.$("#export").addEventListener("click", () => this.emit("export"));
+    this.$("#actor-filter").addEventListener("change", () => {
+      this.filter.actor = this.$("#actor-filter").value;
+      this.emit("filter");
+    });
+    this.$("#filter-text").addEventListener("input", () => {
+      this.filter.text = this.$("#filter-text").value.trim();
+      this.emit("filter");
+    });
+    this.$("#packets").addEventListener("click", e => {
+      let row = e.target.closest(".packet");
+      if (row) {
+        this.select(Number(row.dataset.id));
+      }
+    });
+    this.$("#packet-pair").addEventListener("click", () => {
+      let entry = this._entries.get(this._selected);
+      if (entry && entry.pair != null) {
+        this.select(entry.pair);
+      }
+    });
+  }
+
+  destroy() {
+    this._rows.clear();
+    this._entries.clear();
+  }
+
+  setRecording(record) {
+    let button = this.$("#record");
+    if (record) {
+      button.setAttribute("checked", "");
+      button.title = "Stop recording";
+    } else {
+      button.removeAttribute("checked");
+      button.title = "Start recording";
+    }
+  }
+
+  /**
+   * Show a logged entry if it matches the filter, and its actor in the
+   * actor filter.
+   */
+  addEntry(entry) {
+    this._addActor(entry.actor);
+    if (!matchesFilter(entry, this.filter)) {
+      return;
+    }
+
+    let container = this.$("#packets");
+    let atBottom = container.scrollTop + container.clientHeight >=
+                   container.scrollHeight - 1;
+
+    let row = this._createRow(entry);
+    this._rows.set(entry.id, row);
+    this._entries.set(entry.id, entry);
+    container.appendChild(row);
+
+    if (atBottom) {
+      container.scrollTop = container.scrollHeight;
+    }
+  }
+
+  /**
+   * Update the latency of a request once its response is received.
+   */
+  updateEntry(entry) {
+    let row = this._rows.get(entry.id);
+    if (row) {
+      row.querySelector(".packet-latency").textContent =
+        formatTime(entry.latency);
+    }
+    if (entry.id === this._selected) {
+      this.select(entry.id);
+    }
+  }
+
+  /**
+   * Stop showing entries dropped from the log.
+   */
+  removeEntries(entries) {
+    for (let entry of entries) {
+      let row = this._rows.get(entry.id);
+      if (row) {
+        row.remove();
+      }
+      this._rows.delete(entry.id);
+      this._entries.delete(entry.id);
+    }
+    // Unselect a dropped entry, or stop pointing to a dropped pair.
+    this.select(this._selected);
+  }
+
+  /**
+   * Show the given entries only, and the given actors in the actor filter.
+   */
+  setEntries(entries, actors) {
+    let container = this.$("#packets");
+    container.innerHTML = "";
+    this._rows.clear();
+    this._entries.clear();
+
+    let select = this.$("#actor-filter");
+    while (select.options.length > 1) {
+      select.remove(1);
+    }
+    this._actors.clear();
+    for (let actor of actors) {
+      this._addActor(actor);
+    }
+    select.value = this.filter.actor;
+
+    for (let entry of entries) {
+      let row = this._createRow(entry);
+      this._rows.set(entry.id, row);
+      this._entries.set(entry.id, entry);
+      container.appendChild(row);
+    }
+
+    this.select(this._selected);
+  }
+
+  /**
+   * Show the packet of an entry and highlight the one paired with it.
+   */
+  select(id) {
+    let highlighted =
+      this.$("#packets").querySelectorAll("[selected], [paired]");
+    for (let row of highlighted) {
+      row.removeAttribute("selected");
+      row.removeAttribute("paired");
+    }
+
+    let entry = this._entries.get(id);
+    this._selected = entry ? id : null;
+
+    let details = this.$("#packet-details");
+    let pair = this.$("#packet-pair");
+    if (!entry) {
+      details.textContent = "";
+      pair.hidden = true;
+      return;
+    }
+
+    this._rows.get(id).setAttribute("selected", "");
+    details.textContent = JSON.stringify(entry.packet, null, 2);
+
+    // The request or response may not be shown, if it doesn't match the
+    // filter or was cleared.
+    let pairRow = this._rows.get(entry.pair);
+    if (!pairRow) {
+      pair.hidden = true;
+      return;
+    }
+    pairRow.setAttribute("paired", "");
+    pair.hidden = false;
+    pair.textContent = (entry.kind == "request" ? "Show response" :
+                        "Show request") +
+                       " (" + formatTime(entry.latency) + ")";
+  }
+
+  /**
+   * Let the user save a blob as a file.
+   */
+  download(blob, fileName) {
+    let url = URL.createObjectURL(blob);
+    let link = this.document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    this.document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  _addActor(actor) {
+    if (this._actors.has(actor)) {
+      return;
+    }
+    this._actors.add(actor);
+    let option = this.document.createElement("option");
+    option.value = actor;
+    option.textContent = actor;
+    this.$("#actor-filter").appendChild(option);
+  }
+
+  _createRow(entry) {
+    let row = this.document.createElement("div");
+    row.className = "packet";
+    row.dataset.id = entry.id;
+    row.setAttribute("direction", entry.direction);
+    row.setAttribute("kind", entry.kind);
+    if (entry.packet.error) {
+      row.setAttribute("error", "");
+    }
+    row.title = entry.kind;
+
+    let cell = (className, text) => {
+      let span = this.document.createElement("span");
+      span.className = className;
+      span.textContent = text;
+      row.appendChild(span);
+    };
+    cell("packet-time", formatTime(entry.time));
+    cell("packet-direction", entry.direction == "send" ? "↑" : "↓");
+    cell("packet-actor", entry.actor);
+    cell("packet-type", entry.type);
+    cell("packet-size", formatSize(entry.size));
+    cell("packet-latency", formatTime(entry.latency));
+    return row;
+  }
+}
+
+exports.RDPMonitorPanel = RDPMonitorPanel;
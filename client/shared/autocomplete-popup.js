@@ -69,6 +69,7 @@ function AutocompletePopup(aDocument, aOptions = {})
     }
     // Stop this appearing as an alert to accessibility.
     this._panel.setAttribute("role", "presentation");
+    this._panel.hidden = true;
 
     let mainPopupSet = this._document.getElementById("mainPopupSet");
     if (mainPopupSet) {
@@ -85,11 +86,6 @@ function AutocompletePopup(aDocument, aOptions = {})
   if (!this._list) {
     this._list = this._document.createElementNS(XUL_NS, "richlistbox");
     this._panel.appendChild(this._list);
-
-    // Open and hide the panel, so we initialize the API of the richlistbox.
-    // XXXX
-    // this._panel.openPopup(null, this.position, 0, 0);
-    // this._panel.hidePopup();
   }
 
   this._list.setAttribute("flex", "1");
@@ -100,6 +96,11 @@ function AutocompletePopup(aDocument, aOptions = {})
   }
   this._list.className = "devtools-autocomplete-listbox " + theme + "-theme";
 
+  // There is no richlistbox in HTML, so items are selected here before the
+  // click handler runs.
+  this._onListClick = this._onListClick.bind(this);
+  this._list.addEventListener("click", this._onListClick, false);
+
   if (this.onSelect) {
     this._list.addEventListener("select", this.onSelect, false);
   }
@@ -122,6 +123,7 @@ AutocompletePopup.prototype = {
   _panel: null,
   _list: null,
   __scrollbarWidth: null,
+  _selectedIndex: -1,
 
   // Event handlers.
   onSelect: null,
@@ -142,26 +144,65 @@ AutocompletePopup.prototype = {
    */
   openPopup: function AP_openPopup(aAnchor, aXOffset = 0, aYOffset = 0)
   {
-    // XXX
-    // this.__maxLabelLength = -1;
-    // this._updateSize();
-    // this._panel.openPopup(aAnchor, this.position, aXOffset, aYOffset);
+    this.__maxLabelLength = -1;
+    this._panel.hidden = false;
+    this._panel.state = "open";
+    this._updateSize();
+    this._movePanel(aAnchor, aXOffset, aYOffset);
 
-    // if (this.autoSelect) {
-    //   this.selectFirstItem();
-    // }
+    if (this.autoSelect) {
+      this.selectFirstItem();
+    }
 
     this.emit("popup-opened");
   },
 
+  /**
+   * Position the panel next to the anchor, or at the offsets if there is
+   * none, like XUL panels do for this.position.
+   *
+   * @private
+   */
+  _movePanel: function AP__movePanel(aAnchor, aXOffset, aYOffset)
+  {
+    let win = this._document.defaultView;
+    let left = aXOffset;
+    let top = aYOffset;
+
+    if (aAnchor) {
+      let rect = aAnchor.getBoundingClientRect();
+      left += rect.left + win.scrollX;
+      top += (this.position.startsWith("before") ? rect.top : rect.bottom) +
+             win.scrollY;
+    }
+    if (this.position.startsWith("before")) {
+      top -= this._panel.offsetHeight;
+    }
+
+    // Keep the panel inside the window.
+    let maxLeft = win.scrollX + win.innerWidth - this._panel.offsetWidth;
+    let maxTop = win.scrollY + win.innerHeight - this._panel.offsetHeight;
+
+    this._panel.style.position = "absolute";
+    this._panel.style.left = Math.max(0, Math.min(left, maxLeft)) + "px";
+    this._panel.style.top = Math.max(0, Math.min(top, maxTop)) + "px";
+  },
+
   /**
    * Hide the autocomplete popup panel.
    */
   hidePopup: function AP_hidePopup()
   {
+    if (!this.isOpen) {
+      return;
+    }
+
     // Return accessibility focus to the input.
-    // this._document.activeElement.removeAttribute("aria-activedescendant");
-    // this._panel.hidePopup();
+    this._document.activeElement.removeAttribute("aria-activedescendant");
+    this._panel.hidden = true;
+    this._panel.state = "closed";
+
+    this.emit("popup-closed");
   },
 
   /**
@@ -184,6 +225,8 @@ AutocompletePopup.prototype = {
       this.hidePopup();
     }
 
+    this._list.removeEventListener("click", this._onListClick, false);
+
     if (this.onSelect) {
       this._list.removeEventListener("select", this.onSelect, false);
     }
@@ -216,7 +259,7 @@ AutocompletePopup.prototype = {
    */
   getItemAtIndex: function AP_getItemAtIndex(aIndex)
   {
-    return this._list.getItemAtIndex(aIndex)._autocompleteItem;
+    return this._list.children[aIndex]._autocompleteItem;
   },
 
   /**
@@ -229,7 +272,7 @@ AutocompletePopup.prototype = {
   {
     let items = [];
 
-    Array.forEach(this._list.childNodes, function(aItem) {
+    Array.prototype.forEach.call(this._list.childNodes, function(aItem) {
       items.push(aItem._autocompleteItem);
     });
 
@@ -269,7 +312,6 @@ AutocompletePopup.prototype = {
     else {
       this.selectedIndex = 0;
     }
-    this._list.ensureIndexIsVisible(this._list.selectedIndex);
   },
 
   __maxLabelLength: -1,
@@ -305,7 +347,45 @@ AutocompletePopup.prototype = {
     }
 
     this._list.style.width = (this._maxLabelLength + 3) +"ch";
-    this._list.ensureIndexIsVisible(this._list.selectedIndex);
+    this._ensureSelectedIsVisible();
+  },
+
+  /**
+   * Scroll the list so the selected item shows.
+   *
+   * @private
+   */
+  _ensureSelectedIsVisible: function AP__ensureSelectedIsVisible()
+  {
+    let item = this._list.children[this._selectedIndex];
+    if (!item || !this.isOpen) {
+      return;
+    }
+
+    let top = item.offsetTop - this._panel.offsetTop;
+    if (top < this._panel.scrollTop) {
+      this._panel.scrollTop = top;
+    } else if (top + item.offsetHeight >
+               this._panel.scrollTop + this._panel.clientHeight) {
+      this._panel.scrollTop = top + item.offsetHeight - this._panel.clientHeight;
+    }
+  },
+
+  /**
+   * Select the clicked item.
+   *
+   * @private
+   */
+  _onListClick: function AP__onListClick(aEvent)
+  {
+    let item = aEvent.target;
+    while (item && item.parentNode != this._list) {
+      item = item.parentNode;
+    }
+    if (item) {
+      this.selectedIndex =
+        Array.prototype.indexOf.call(this._list.children, item);
+    }
   },
 
   /**
@@ -315,14 +395,14 @@ AutocompletePopup.prototype = {
    */
   _updateAriaActiveDescendant: function AP__updateAriaActiveDescendant()
   {
-    if (!this._list.selectedItem) {
+    if (!this._selectedListItem) {
       // Return accessibility focus to the input.
       this._document.activeElement.removeAttribute("aria-activedescendant");
       return;
     }
     // Focus this for accessibility so users know about the selected item.
     this._document.activeElement.setAttribute("aria-activedescendant",
-                                              this._list.selectedItem.id);
+                                              this._selectedListItem.id);
   },
 
   /**
@@ -356,7 +436,7 @@ AutocompletePopup.prototype = {
    * @type number
    */
   get selectedIndex() {
-    return this._list.selectedIndex;
+    return this._selectedIndex;
   },
 
   /**
@@ -366,11 +446,34 @@ AutocompletePopup.prototype = {
    *        The number (index) of the item you want to select in the list.
    */
   set selectedIndex(aIndex) {
-    this._list.selectedIndex = aIndex;
-    if (this.isOpen && this._list.ensureIndexIsVisible) {
-      this._list.ensureIndexIsVisible(this._list.selectedIndex);
+    let previous = this._selectedListItem;
+    if (previous) {
+      previous.removeAttribute("selected");
     }
+
+    this._selectedIndex = aIndex >= 0 && aIndex < this.itemCount ? aIndex : -1;
+
+    let current = this._selectedListItem;
+    if (current) {
+      current.setAttribute("selected", "true");
+    }
+    this._ensureSelectedIsVisible();
     this._updateAriaActiveDescendant();
+
+    if (current != previous) {
+      let event = this._document.createEvent("Event");
+      event.initEvent("select", true, false);
+      this._list.dispatchEvent(event);
+    }
+  },
+
+  /**
+   * The richlistitem element of the selected item, if any.
+   *
+   * @private
+   */
+  get _selectedListItem() {
+    return this._list.children[this._selectedIndex] || null;
   },
 
   /**
@@ -378,8 +481,8 @@ AutocompletePopup.prototype = {
    * @type object
    */
   get selectedItem() {
-    return this._list.selectedItem ?
-           this._list.selectedItem._autocompleteItem : null;
+    let listItem = this._selectedListItem;
+    return listItem ? listItem._autocompleteItem : null;
   },
 
   /**
@@ -389,11 +492,8 @@ AutocompletePopup.prototype = {
    *        The object you want selected in the list.
    */
   set selectedItem(aItem) {
-    this._list.selectedItem = this._findListItem(aItem);
-    if (this.isOpen) {
-      this._list.ensureIndexIsVisible(this._list.selectedIndex);
-    }
-    this._updateAriaActiveDescendant();
+    this.selectedIndex = Array.prototype.indexOf.call(this._list.children,
+                                                      this._findListItem(aItem));
   },
 
   /**
@@ -420,20 +520,25 @@ AutocompletePopup.prototype = {
     if (this.direction) {
       listItem.setAttribute("dir", this.direction);
     }
+    // HTML labels don't show their value attribute, so set their text too.
     let label = this._document.createElementNS(XUL_NS, "label");
     label.setAttribute("value", aItem.label);
+    label.textContent = aItem.label;
     label.setAttribute("class", "autocomplete-value");
     if (aItem.preLabel) {
       let preDesc = this._document.createElementNS(XUL_NS, "label");
       preDesc.setAttribute("value", aItem.preLabel);
+      preDesc.textContent = aItem.preLabel;
       preDesc.setAttribute("class", "initial-value");
       listItem.appendChild(preDesc);
       label.setAttribute("value", aItem.label.slice(aItem.preLabel.length));
+      label.textContent = aItem.label.slice(aItem.preLabel.length);
     }
     listItem.appendChild(label);
     if (aItem.count && aItem.count > 1) {
       let countDesc = this._document.createElementNS(XUL_NS, "label");
       countDesc.setAttribute("value", aItem.count);
+      countDesc.textContent = aItem.count;
       countDesc.setAttribute("flex", "1");
       countDesc.setAttribute("class", "autocomplete-count");
       listItem.appendChild(countDesc);
@@ -478,7 +583,12 @@ AutocompletePopup.prototype = {
     if (!item) {
       throw new Error("Item not found!");
     }
+    let selected = this.selectedItem;
     this._list.removeChild(item);
+    this._selectedIndex = -1;
+    if (selected && selected != aItem) {
+      this.selectedItem = selected;
+    }
   },
 
   /**
@@ -497,7 +607,7 @@ AutocompletePopup.prototype = {
    * @type number
    */
   get _itemHeight() {
-    return this._list.selectedItem.clientHeight;
+    return this._selectedListItem.clientHeight;
   },
 
   /**
@@ -545,7 +655,7 @@ AutocompletePopup.prototype = {
    */
   selectNextPageItem: function AP_selectNextPageItem()
   {
-    let itemsPerPane = Math.floor(this._list.scrollHeight / this._itemHeight);
+    let itemsPerPane = Math.floor(this._panel.clientHeight / this._itemHeight);
     let nextPageIndex = this.selectedIndex + itemsPerPane + 1;
     this.selectedIndex = nextPageIndex > this.itemCount - 1 ?
       this.itemCount - 1 : nextPageIndex;
@@ -562,7 +672,7 @@ AutocompletePopup.prototype = {
    */
   selectPreviousPageItem: function AP_selectPreviousPageItem()
   {
-    let itemsPerPane = Math.floor(this._list.scrollHeight / this._itemHeight);
+    let itemsPerPane = Math.floor(this._panel.clientHeight / this._itemHeight);
     let prevPageIndex = this.selectedIndex - itemsPerPane - 1;
     this.selectedIndex = prevPageIndex < 0 ? 0 : prevPageIndex;
 
@@ -159,6 +159,11 @@ const Tree = module.exports = createClass({
     // can be reused, false otherwise. The predicate function is passed the
     // cached traversal as an array of nodes.
     reuseCachedTraversal: PropTypes.func,
+    // A function called with an item when it is expanded, for trees whose
+    // children are fetched lazily.
+    onExpand: PropTypes.func,
+    // A function called with an item when it is focused.
+    onFocus: PropTypes.func,
   },
 
   getDefaultProps() {
@@ -199,9 +204,10 @@ const Tree = module.exports = createClass({
 
     // Automatically expand the first autoExpandDepth levels for new items.
     for (let { item } of this._dfsFromRoots(this.props.autoExpandDepth)) {
-      if (!this.state.seen.has(item)) {
-        this.state.expanded.add(item);
-        this.state.seen.add(item);
+      const key = this.props.getKey(item);
+      if (!this.state.seen.has(key)) {
+        this.state.expanded.add(key);
+        this.state.seen.add(key);
       }
     }
   },
@@ -234,8 +240,8 @@ const Tree = module.exports = createClass({
         item: item,
         depth: depth,
         renderItem: this.props.renderItem,
-        focused: this.state.focused === item,
-        expanded: this.state.expanded.has(item),
+        focused: this._isFocused(item),
+        expanded: this._isExpanded(item),
         hasChildren: !!this.props.getChildren(item).length,
         onExpand: this._onExpand,
         onCollapse: this._onCollapse,
@@ -286,7 +292,7 @@ const Tree = module.exports = createClass({
 
     traversal.push({ item, depth: _depth });
 
-    if (!this.state.expanded.has(item)) {
+    if (!this._isExpanded(item)) {
       return traversal;
     }
 
@@ -327,6 +333,20 @@ const Tree = module.exports = createClass({
     return traversal;
   },
 
+  /**
+   * The expanded items are remembered by key rather than by identity, so that
+   * they stay expanded when the tree is updated with new copies of them, as
+   * when their children are fetched lazily.
+   */
+  _isExpanded(item) {
+    return this.state.expanded.has(this.props.getKey(item));
+  },
+
+  _isFocused(item) {
+    return this.state.focused !== undefined &&
+           this.props.getKey(this.state.focused) === this.props.getKey(item);
+  },
+
   /**
    * Expands current row.
    *
@@ -334,11 +354,11 @@ const Tree = module.exports = createClass({
    * @param {Boolean} expandAllChildren
    */
   _onExpand: oncePerAnimationFrame(function (item, expandAllChildren) {
-    this.state.expanded.add(item);
+    this.state.expanded.add(this.props.getKey(item));
 
     if (expandAllChildren) {
       for (let { item: child } of this._dfs(item)) {
-        this.state.expanded.add(child);
+        this.state.expanded.add(this.props.getKey(child));
       }
     }
 
@@ -346,6 +366,10 @@ const Tree = module.exports = createClass({
       expanded: this.state.expanded,
       cachedTraversal: null,
     });
+
+    if (this.props.onExpand) {
+      this.props.onExpand(item);
+    }
   }),
 
   /**
@@ -354,7 +378,7 @@ const Tree = module.exports = createClass({
    * @param {Object} item
    */
   _onCollapse: oncePerAnimationFrame(function (item) {
-    this.state.expanded.delete(item);
+    this.state.expanded.delete(this.props.getKey(item));
     this.setState({
       expanded: this.state.expanded,
       cachedTraversal: null,
@@ -367,10 +391,18 @@ const Tree = module.exports = createClass({
    * @param {Object} item
    */
   _onFocus: oncePerAnimationFrame(function (item) {
+    this._setFocused(item);
+  }),
+
+  _setFocused(item) {
     this.setState({
       focused: item
     });
-  }),
+
+    if (this.props.onFocus) {
+      this.props.onFocus(item);
+    }
+  },
 
   /**
    * Sets the state to have no focused item.
@@ -420,7 +452,7 @@ const Tree = module.exports = createClass({
         return false;
 
       case "ArrowLeft":
-        if (this.state.expanded.has(this.state.focused)
+        if (this._isExpanded(this.state.focused)
             && this.props.getChildren(this.state.focused).length) {
           this._onCollapse(this.state.focused);
         } else {
@@ -429,7 +461,7 @@ const Tree = module.exports = createClass({
         return false;
 
       case "ArrowRight":
-        if (!this.state.expanded.has(this.state.focused)) {
+        if (!this._isExpanded(this.state.focused)) {
           this._onExpand(this.state.focused);
         } else {
           this._focusNextNode();
@@ -448,7 +480,7 @@ const Tree = module.exports = createClass({
 
     let prev;
     for (let { item } of this._dfsFromRoots()) {
-      if (item === this.state.focused) {
+      if (this._isFocused(item)) {
         break;
       }
       prev = item;
@@ -458,9 +490,7 @@ const Tree = module.exports = createClass({
       return;
     }
 
-    this.setState({
-      focused: prev
-    });
+    this._setFocused(prev);
   }),
 
   /**
@@ -476,16 +506,14 @@ const Tree = module.exports = createClass({
 
     let i = 0;
     for (let { item } of traversal) {
-      if (item === this.state.focused) {
+      if (this._isFocused(item)) {
         break;
       }
       i++;
     }
 
     if (i + 1 < traversal.length) {
-      this.setState({
-        focused: traversal[i + 1].item
-      });
+      this._setFocused(traversal[i + 1].item);
     }
   }),
 
@@ -496,9 +524,7 @@ const Tree = module.exports = createClass({
   _focusParentNode: oncePerAnimationFrame(function () {
     const parent = this.props.getParent(this.state.focused);
     if (parent) {
-      this.setState({
-        focused: parent
-      });
+      this._setFocused(parent);
     }
   }),
 });
@@ -18,7 +18,9 @@ const EVENTS = {
   ROW_SELECTED: "row-selected",
   ROW_UPDATED: "row-updated",
   HEADER_CONTEXT_MENU: "header-context-menu",
-  ROW_CONTEXT_MENU: "row-context-menu"
+  ROW_CONTEXT_MENU: "row-context-menu",
+  CELL_DBLCLICK: "cell-dblclick",
+  CELL_EDIT: "cell-edit"
 };
 Object.defineProperty(this, "EVENTS", {
   value: EVENTS,
@@ -396,6 +398,25 @@ TableWidget.prototype = {
     }
   },
 
+  /**
+   * Replaces a cell with a text input to edit its value. EVENTS.CELL_EDIT is
+   * emitted with the row id, the column id and the new value when the input is
+   * confirmed with Enter or loses the focus, unless the value didn't change.
+   * Escape cancels the edit.
+   *
+   * @param {string} id
+   *        The unique id of the row of the cell.
+   * @param {string} column
+   *        The id of the column of the cell.
+   * @param {string} value
+   *        The value to edit, the one displayed in the cell if omitted.
+   */
+  editCell: function(id, column, value) {
+    if (this.columns.has(column)) {
+      this.columns.get(column).editCell(id, value);
+    }
+  },
+
   /**
    * Removes all of the rows from the table.
    */
@@ -493,9 +514,13 @@ function Column(table, id, header) {
   this.onClick = this.onClick.bind(this);
   this.onMousedown = this.onMousedown.bind(this);
   this.onKeydown = this.onKeydown.bind(this);
+  this.onDblclick = this.onDblclick.bind(this);
+  this.onContextMenu = this.onContextMenu.bind(this);
   this.column.addEventListener("click", this.onClick);
   this.column.addEventListener("mousedown", this.onMousedown);
   this.column.addEventListener("keydown", this.onKeydown);
+  this.column.addEventListener("dblclick", this.onDblclick);
+  this.column.addEventListener("contextmenu", this.onContextMenu);
 }
 
 Column.prototype = {
@@ -750,6 +775,40 @@ Column.prototype = {
     this.cells[index].value = item[this.id];
   },
 
+  /**
+   * Edits the value of the cell of the row with the `id` unique id.
+   *
+   * @see TableWidget.editCell
+   */
+  editCell: function(id, value) {
+    this._updateItems();
+
+    let index = this.items[id];
+    if (index == null) {
+      return;
+    }
+
+    let cell = this.cells[index];
+    cell.edit(value, newValue => {
+      this.table.emit(EVENTS.CELL_EDIT, cell.id, this.id, newValue);
+    });
+  },
+
+  /**
+   * Returns the cell a DOM node belongs to, if any.
+   */
+  _getCell: function(node) {
+    while (node && node != this.column) {
+      let dataid = node.getAttribute("data-id");
+      if (dataid != null) {
+        this._updateItems();
+        return this.cells[this.items[dataid]];
+      }
+      node = node.parentNode;
+    }
+    return null;
+  },
+
   /**
    * Updates the `this.items` cell-id vs cell-index map to be in sync with
    * `this.cells`.
@@ -856,6 +915,29 @@ Column.prototype = {
     }
   },
 
+  /**
+   * Double click event handler for the column, telling the table which cell
+   * was double clicked so that it can be edited.
+   */
+  onDblclick: function(event) {
+    let cell = this._getCell(event.originalTarget);
+    if (event.button == 0 && cell) {
+      this.table.emit(EVENTS.CELL_DBLCLICK, cell.id, this.id);
+    }
+  },
+
+  /**
+   * Context menu event handler for the column. Selects the row the context
+   * menu is opened on.
+   */
+  onContextMenu: function(event) {
+    let cell = this._getCell(event.originalTarget);
+    if (cell) {
+      this.table.emit(EVENTS.ROW_SELECTED, cell.id);
+      this.table.emit(EVENTS.ROW_CONTEXT_MENU, cell.id);
+    }
+  },
+
   /**
    * Keydown event handler for the column. Used for keyboard navigation amongst
    * rows.
@@ -907,7 +989,7 @@ Column.prototype = {
  *        cell of the column
  */
 function Cell(column, item, nextCell) {
-  let document = column.document;
+  let document = this.document = column.document;
 
   this.label = document.createElementNS(XUL_NS, "label");
   this.label.setAttribute("crop", "end");
@@ -981,7 +1063,69 @@ Cell.prototype = {
     this.label.focus();
   },
 
+  /**
+   * Shows a text input in place of the cell to edit its value.
+   *
+   * @param {string} value
+   *        The value to edit, the one of the cell if null.
+   * @param {function} onConfirm
+   *        Called with the new value when the edit is confirmed and the value
+   *        changed.
+   */
+  edit: function(value, onConfirm) {
+    if (this.editor) {
+      return;
+    }
+    if (value == null) {
+      value = this.value == null ? "" : this.value + "";
+    }
+
+    let input = this.editor = this.document.createElementNS(HTML_NS, "input");
+    input.className = "table-widget-cell-editor";
+    input.value = value;
+
+    let done = confirmed => {
+      if (this.editor != input) {
+        return;
+      }
+      this.editor = null;
+      input.remove();
+      if (this.label) {
+        this.label.hidden = false;
+        this.label.focus();
+      }
+      if (confirmed && input.value != value) {
+        onConfirm(input.value);
+      }
+    };
+
+    input.addEventListener("keydown", event => {
+      // Keep the column from navigating amongst rows, and the panel from
+      // handling Escape.
+      event.stopPropagation();
+      if (event.keyCode == event.DOM_VK_RETURN) {
+        done(true);
+      } else if (event.keyCode == event.DOM_VK_ESCAPE) {
+        event.preventDefault();
+        done(false);
+      }
+    });
+    input.addEventListener("keypress", event => event.stopPropagation());
+    input.addEventListener("mousedown", event => event.stopPropagation());
+    input.addEventListener("dblclick", event => event.stopPropagation());
+    input.addEventListener("blur", () => done(true));
+
+    this.label.parentNode.insertBefore(input, this.label);
+    this.label.hidden = true;
+    input.focus();
+    input.select();
+  },
+
   destroy: function() {
+    if (this.editor) {
+      this.editor.remove();
+      this.editor = null;
+    }
     this.label.remove();
     this.label = null;
   }
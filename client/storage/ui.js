@@ -36,6 +36,20 @@ const HIDDEN_COLUMNS = [
   "isSecure"
 ];
 
+// Columns which can be edited in the storage table, for each storage type
+const EDITABLE_COLUMNS = {
+  cookies: ["value", "expires"],
+  localStorage: ["name", "value"],
+  sessionStorage: ["name", "value"]
+};
+
+// Storage types which items can be added to from the storage table
+const EXTENSIBLE_TYPES = ["localStorage", "sessionStorage"];
+
+// Name of the items added from the storage table, followed by a number if
+// there is already one.
+const NEW_ITEM_NAME = "key";
+
 /**
  * StorageUI is controls and builds the UI of the Storage Inspector.
  *
@@ -66,6 +80,24 @@ var StorageUI = this.StorageUI = function StorageUI(front, target, panelWin) {
   });
   this.displayObjectSidebar = this.displayObjectSidebar.bind(this);
   this.table.on(TableWidget.EVENTS.ROW_SELECTED, this.displayObjectSidebar);
+  this.onCellDblclick = this.onCellDblclick.bind(this);
+  this.table.on(TableWidget.EVENTS.CELL_DBLCLICK, this.onCellDblclick);
+  this.onCellEdit = this.onCellEdit.bind(this);
+  this.table.on(TableWidget.EVENTS.CELL_EDIT, this.onCellEdit);
+
+  this.tablePopup = this._panelDoc.getElementById("storage-table-popup");
+  this.tablePopupAdd =
+    this._panelDoc.getElementById("storage-table-popup-add");
+  this.tablePopupAdd.setAttribute("label",
+    L10N.getStr("storage.popupMenu.addItemLabel"));
+  this.tablePopupDelete =
+    this._panelDoc.getElementById("storage-table-popup-delete");
+  this.onTablePopupShowing = this.onTablePopupShowing.bind(this);
+  this.tablePopup.addEventListener("popupshowing", this.onTablePopupShowing);
+  this.onAddItem = this.onAddItem.bind(this);
+  this.tablePopupAdd.addEventListener("command", this.onAddItem);
+  this.onRemoveItem = this.onRemoveItem.bind(this);
+  this.tablePopupDelete.addEventListener("command", this.onRemoveItem);
 
   this.sidebar = this._panelDoc.getElementById("storage-sidebar");
   this.sidebar.setAttribute("width", "300");
@@ -98,6 +130,12 @@ StorageUI.prototype = {
   destroy: function() {
     this.front.off("stores-update", this.onUpdate);
     this.front.off("stores-cleared", this.onCleared);
+    this.table.off(TableWidget.EVENTS.CELL_DBLCLICK, this.onCellDblclick);
+    this.table.off(TableWidget.EVENTS.CELL_EDIT, this.onCellEdit);
+    this.tablePopup.removeEventListener("popupshowing",
+                                        this.onTablePopupShowing);
+    this.tablePopupAdd.removeEventListener("command", this.onAddItem);
+    this.tablePopupDelete.removeEventListener("command", this.onRemoveItem);
     this._panelDoc.removeEventListener("keypress", this.handleKeypress);
     this._telemetry.toolClosed("storage");
   },
@@ -236,24 +274,27 @@ StorageUI.prototype = {
           }
 
           this.tree.remove([type, host]);
-        } else if (this.tree.isSelected([type, host])) {
+        } else {
           for (let name of deleted[type][host]) {
+            let names = null;
             try {
               // trying to parse names in case its for indexedDB
-              let names = JSON.parse(name);
-              if (!this.tree.isSelected([type, host, names[0], names[1]])) {
-                return;
+              names = JSON.parse(name);
+            } catch (ex) {
+              // Not an indexedDB name
+            }
+
+            if (!Array.isArray(names)) {
+              if (this.tree.isSelected([type, host])) {
+                this.removeItemFromTable(name);
               }
-              if (!names[2]) {
-                this.tree.selectPreviousItem();
-                this.tree.remove([type, host, names[0], names[1]]);
-                this.table.clear();
-                this.hideSidebar();
-              } else {
+            } else if (names.length == 3) {
+              // A record of an object store
+              if (this.tree.isSelected([type, host, names[0], names[1]])) {
                 this.removeItemFromTable(names[2]);
               }
-            } catch (ex) {
-              this.removeItemFromTable(name);
+            } else {
+              this.handleDeletedIDBStore(type, host, names);
             }
           }
         }
@@ -261,6 +302,31 @@ StorageUI.prototype = {
     }
   },
 
+  /**
+   * Removes a deleted indexedDB database or object store from the storage
+   * tree, selecting the host instead if the deleted item was selected.
+   *
+   * @param {string} type
+   *        The type of storage, i.e. "indexedDB".
+   * @param {string} host
+   *        The host of the deleted item.
+   * @param {array} names
+   *        [db] for a database, or [db, objectStore] for an object store.
+   */
+  handleDeletedIDBStore: function(type, host, names) {
+    let item = [type, host, ...names];
+    let selected = this.tree.selectedItem || [];
+
+    if (item.every((id, i) => selected[i] == id)) {
+      this.tree.selectedItem = [type, host];
+      this.onHostSelect(null, [type, host]);
+    } else if (names.length == 1 && this.tree.isSelected([type, host])) {
+      this.removeItemFromTable(names[0]);
+    }
+
+    this.tree.remove(item);
+  },
+
   /**
    * Handle changed items received by onUpdate
    *
@@ -587,6 +653,13 @@ StorageUI.prototype = {
       }
       if (reason < 2) {
         this.table.push(item, reason == 0);
+        if (item.name === this._newItemName) {
+          // Let the user name the item just added from the popup menu.
+          this._newItemName = null;
+          this.table.selectedRow = item;
+          this.displayObjectSidebar();
+          this.table.editCell(item.name, "name");
+        }
       } else {
         this.table.update(item);
         if (item == this.table.selectedRow && !this.sidebar.hidden) {
@@ -596,6 +669,190 @@ StorageUI.prototype = {
     }
   },
 
+  /**
+   * Event handler for the double click on a cell of the storage table. Starts
+   * editing the cell if its column can be edited.
+   *
+   * @param {string} event
+   *        The name of the event fired
+   * @param {string} id
+   *        The name of the store object of the row
+   * @param {string} column
+   *        The id of the column
+   */
+  onCellDblclick: function(event, id, column) {
+    let selected = this.tree.selectedItem || [];
+    let [type, host] = selected;
+    let editable = EDITABLE_COLUMNS[type] || [];
+    if (selected.length != 2 || !editable.includes(column)) {
+      return;
+    }
+
+    if (column == "name") {
+      this.table.editCell(id, column, id);
+      return;
+    }
+
+    // The table only shows the beginning of the values and the expiry dates
+    // in the local format, so the item is fetched again to edit it.
+    this.storageTypes[type].getStoreObjects(host, [id]).then(({data}) => {
+      let item = data[0];
+      if (!item) {
+        return null;
+      }
+      if (column == "expires") {
+        return item.expires ? new Date(item.expires).toISOString() : "";
+      }
+      return item.value.string();
+    }).then(value => {
+      if (value != null) {
+        this.table.editCell(id, column, value);
+      }
+    }).catch(console.error.bind(console));
+  },
+
+  /**
+   * Event handler for the edition of a cell of the storage table. Sends the
+   * change to the storage actor, which notifies it back through the
+   * "stores-update" event.
+   *
+   * @param {string} event
+   *        The name of the event fired
+   * @param {string} id
+   *        The name of the store object of the row
+   * @param {string} column
+   *        The id of the edited column
+   * @param {string} value
+   *        The new value of the cell
+   */
+  onCellEdit: function(event, id, column, value) {
+    let [type, host] = this.tree.selectedItem;
+    let actor = this.storageTypes[type];
+    let request;
+
+    if (type == "cookies") {
+      if (column == "expires") {
+        // An empty expiry date makes a session cookie.
+        let expires = value.trim() ? Date.parse(value) : 0;
+        if (isNaN(expires)) {
+          console.error("Invalid expiry date: " + value);
+          return;
+        }
+        value = String(expires);
+      }
+      request = actor.editCookie(host, id, column, value);
+    } else if (column == "name") {
+      request = this.renameItem(type, host, id, value);
+    } else {
+      request = actor.setItem(host, id, value);
+    }
+
+    request.catch(console.error.bind(console));
+  },
+
+  /**
+   * Renames a local or session storage item, which means adding an item with
+   * the new name and the same value, and removing the old one.
+   */
+  renameItem: function(type, host, name, newName) {
+    let actor = this.storageTypes[type];
+    if (!newName || this.table.items.has(newName)) {
+      return Promise.resolve(null);
+    }
+
+    return actor.getStoreObjects(host, [name]).then(({data}) => {
+      return data[0].value.string();
+    }).then(value => {
+      return actor.setItem(host, newName, value);
+    }).then(() => {
+      return actor.removeItem(host, name);
+    });
+  },
+
+  /**
+   * Returns the item the popup menu of the storage table can delete, as an
+   * object with the `name` of the item for the storage actor and its `label`,
+   * or null if there is none.
+   */
+  getRemovableItem: function() {
+    let [type, host, db, objectStore] = this.tree.selectedItem || [];
+    let row = this.table.selectedRow;
+    if (!host || !row || !this.storageTypes[type].removeItem) {
+      return null;
+    }
+
+    if (type != "indexedDB") {
+      return this.tree.selectedItem.length == 2 ? {
+        name: row.name,
+        label: L10N.getFormatStr("storage.popupMenu.deleteLabel", row.name)
+      } : null;
+    }
+
+    if (!db) {
+      return {
+        name: JSON.stringify([row.db]),
+        label: L10N.getFormatStr("storage.popupMenu.deleteDatabaseLabel",
+                                 row.db)
+      };
+    }
+    if (objectStore) {
+      return {
+        name: JSON.stringify([db, objectStore, row.name]),
+        label: L10N.getFormatStr("storage.popupMenu.deleteLabel", row.name)
+      };
+    }
+    return null;
+  },
+
+  /**
+   * Shows the items of the popup menu of the storage table which apply to the
+   * selected host and row, and hides the menu if there are none.
+   */
+  onTablePopupShowing: function(event) {
+    let [type, host] = this.tree.selectedItem || [];
+    let canAdd = !!host && this.tree.selectedItem.length == 2 &&
+                 EXTENSIBLE_TYPES.includes(type);
+    let removable = this.getRemovableItem();
+
+    this.tablePopupAdd.hidden = !canAdd;
+    this.tablePopupDelete.hidden = !removable;
+    if (removable) {
+      this.tablePopupDelete.setAttribute("label", removable.label);
+    }
+
+    if (!canAdd && !removable) {
+      event.preventDefault();
+    }
+  },
+
+  /**
+   * Adds an empty local or session storage item to the selected host, and
+   * edits its name once it shows up in the table.
+   */
+  onAddItem: function() {
+    let [type, host] = this.tree.selectedItem;
+    let name = NEW_ITEM_NAME;
+    for (let i = 1; this.table.items.has(name); i++) {
+      name = NEW_ITEM_NAME + i;
+    }
+
+    this._newItemName = name;
+    this.storageTypes[type].setItem(host, name, "")
+        .catch(console.error.bind(console));
+  },
+
+  /**
+   * Deletes the item the popup menu of the storage table was opened on.
+   */
+  onRemoveItem: function() {
+    let [type, host] = this.tree.selectedItem;
+    let removable = this.getRemovableItem();
+    if (removable) {
+      this.storageTypes[type].removeItem(host, removable.name)
+          .catch(console.error.bind(console));
+    }
+  },
+
   /**
    * Handles keypress event on the body table to close the sidebar when open
    *
@@ -0,0 +1,443 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+const EventEmitter = require("devtools/shared/event-emitter");
+const {Services} = require("devtools/sham/services");
+const Editor = require("devtools/client/sourceeditor/editor");
+const {AutocompletePopup} = require("devtools/client/shared/autocomplete-popup");
+
+// The number of inputs kept in the history of each origin.
+const HISTORY_COUNT_PREF = "devtools.webconsole.inputHistoryCount";
+
+// The localStorage key the history of an origin is kept under, followed by
+// the origin.
+const HISTORY_STORAGE_PREFIX = "devtools.webconsole.history:";
+
+/**
+ * The inputs evaluated in the pages of one origin, oldest first, kept in
+ * localStorage so they survive the toolbox.
+ */
+class InputHistory {
+  constructor(origin) {
+    this.origin = origin;
+    this.entries = this._load();
+    // The entry shown in the input while browsing the history. The index
+    // past the last entry is the input the user was writing.
+    this.index = this.entries.length;
+    this.draft = "";
+  }
+
+  add(value) {
+    if (this.entries[this.entries.length - 1] != value) {
+      this.entries.push(value);
+      let count = Services.prefs.getIntPref(HISTORY_COUNT_PREF);
+      if (this.entries.length > count) {
+        this.entries.splice(0, this.entries.length - count);
+      }
+      this._save();
+    }
+    this.index = this.entries.length;
+    this.draft = "";
+  }
+
+  /**
+   * Returns the entry before the one shown, or null if there is none.
+   * `current` is the input, kept to come back to it with `next`.
+   */
+  previous(current) {
+    if (this.index == 0) {
+      return null;
+    }
+    if (this.index == this.entries.length) {
+      this.draft = current;
+    }
+    return this.entries[--this.index];
+  }
+
+  /**
+   * Returns the entry after the one shown, the input the user was writing
+   * past the last one, or null if that is already shown.
+   */
+  next() {
+    if (this.index >= this.entries.length) {
+      return null;
+    }
+    this.index++;
+    return this.index == this.entries.length ? this.draft
+                                             : this.entries[this.index];
+  }
+
+  /**
+   * Returns the index of the most recent entry containing `text` before the
+   * `before` index, or -1 if there is none.
+   */
+  search(text, before = this.entries.length) {
+    for (let i = Math.min(before, this.entries.length) - 1; i >= 0; i--) {
+      if (this.entries[i].includes(text)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  _load() {
+    try {
+      let entries = JSON.parse(localStorage.getItem(this._key));
+      return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  _save() {
+    try {
+      localStorage.setItem(this._key, JSON.stringify(this.entries));
+    } catch (e) {
+      console.error("Could not save the console input history", e);
+    }
+  }
+
+  get _key() {
+    return HISTORY_STORAGE_PREFIX + this.origin;
+  }
+}
+
+/**
+ * Returns the origin the history of `url` is kept for.
+ */
+function getOrigin(url) {
+  try {
+    let origin = new URL(url).origin;
+    // Opaque origins, like the ones of data: and about: URLs, are all "null".
+    return origin == "null" ? url.split(":")[0] + ":" : origin;
+  } catch (e) {
+    return "";
+  }
+}
+
+/**
+ * The console input: a JavaScript editor evaluating its content on Enter,
+ * with the history of the origin on Up/Down and Ctrl+R, and completions from
+ * the server.
+ *
+ * Emits:
+ * - "execute" (value): the input should be evaluated.
+ * - "autocomplete" (text, cursor): completions for the input are needed,
+ *   `cursor` being the offset of the cursor in `text`. Answer with
+ *   `showCompletions`.
+ */
+class JSTerm {
+  constructor(parentNode, searchNode) {
+    EventEmitter.decorate(this);
+
+    this.parentNode = parentNode;
+    this.searchNode = searchNode;
+    this.document = parentNode.ownerDocument;
+    this.history = new InputHistory("");
+
+    // Whether the input is changed by the terminal rather than the user, in
+    // which case completions aren't requested.
+    this._settingText = false;
+    // The reverse search state: the history index of the match and the
+    // input to restore on Escape, or null when not searching.
+    this._search = null;
+    // The "matchProp" of the completions shown.
+    this._matchProp = "";
+
+    this._onChange = this._onChange.bind(this);
+    this._onSearchInput = this._onSearchInput.bind(this);
+    this._onSearchKeyDown = this._onSearchKeyDown.bind(this);
+    this._onPopupClick = this._onPopupClick.bind(this);
+  }
+
+  async init() {
+    this.editor = new Editor({
+      mode: Editor.modes.js,
+      lineNumbers: false,
+      styleActiveLine: false,
+      lineWrapping: true,
+      autoCloseBrackets: false,
+      viewportMargin: Infinity
+    });
+    await this.editor.appendTo(this.parentNode);
+
+    // Set after the editor is created, as it replaces some keys like Tab.
+    let keys = this.editor.getOption("extraKeys");
+    let defaultTab = keys.Tab;
+    this.editor.setOption("extraKeys", Object.assign({}, keys, {
+      "Enter": () => this._onEnter(),
+      "Shift-Enter": "newlineAndIndent",
+      "Up": cm => this._onUp(cm),
+      "Down": cm => this._onDown(cm),
+      "PageUp": cm => this._onPage(cm, "selectPreviousPageItem", "goPageUp"),
+      "PageDown": cm => this._onPage(cm, "selectNextPageItem", "goPageDown"),
+      "Tab": cm => this._acceptCompletion() || defaultTab(cm),
+      "Esc": () => this.hideCompletions(),
+      "Ctrl-R": () => this.startReverseSearch()
+    }));
+    this.editor.on("change", this._onChange);
+
+    this.popup = new AutocompletePopup(this.document, {
+      panelId: "webconsole-autocomplete-popup",
+      listBoxId: "webconsole-autocomplete-listbox",
+      position: "before_start",
+      autoSelect: true,
+      onClick: this._onPopupClick
+    });
+
+    this.searchNode.addEventListener("input", this._onSearchInput);
+    this.searchNode.addEventListener("keydown", this._onSearchKeyDown);
+  }
+
+  destroy() {
+    this.searchNode.removeEventListener("input", this._onSearchInput);
+    this.searchNode.removeEventListener("keydown", this._onSearchKeyDown);
+    if (this.popup) {
+      this.popup.destroy();
+    }
+    if (this.editor) {
+      this.editor.off("change", this._onChange);
+      this.editor.destroy();
+    }
+  }
+
+  /**
+   * Use the history of the origin of `url`.
+   */
+  setOrigin(url) {
+    let origin = getOrigin(url);
+    if (origin != this.history.origin) {
+      this.history = new InputHistory(origin);
+    }
+  }
+
+  getValue() {
+    return this.editor.getText();
+  }
+
+  setValue(value) {
+    this._settingText = true;
+    this.editor.setText(value);
+    this._settingText = false;
+
+    let line = this.editor.lineCount() - 1;
+    this.editor.setCursor({ line: line, ch: this.editor.getText(line).length });
+  }
+
+  clear() {
+    this.setValue("");
+  }
+
+  focus() {
+    this.editor.focus();
+  }
+
+  /**
+   * Show the completions answering an "autocomplete" event, unless the input
+   * changed since.
+   *
+   * @param string text
+   * @param number cursor
+   *        The input and cursor offset the completions were requested for.
+   * @param object response
+   *        The response to the "autocomplete" console actor request, with
+   *        the `matches` and the `matchProp` they complete.
+   */
+  showCompletions(text, cursor, response) {
+    if (text != this.getValue() ||
+        cursor != this.editor.getOffset(this.editor.getCursor())) {
+      return;
+    }
+
+    let matchProp = response.matchProp || "";
+    let matches = (response.matches || []).filter(match => {
+      return match != matchProp;
+    });
+    if (!matches.length) {
+      this.hideCompletions();
+      return;
+    }
+
+    this._matchProp = matchProp;
+    this.popup.setItems(matches.map(match => ({
+      preLabel: matchProp,
+      label: match
+    })));
+
+    // Open the popup at the start of the completed word.
+    let position = this.editor.getPosition(cursor - matchProp.length);
+    let coords = this.editor.getCoordsFromPosition(position);
+    let frameRect = this.editor.container.getBoundingClientRect();
+    this.popup.openPopup(null, frameRect.left + coords.left,
+                         frameRect.top + coords.top);
+  }
+
+  hideCompletions() {
+    if (this.popup.isOpen) {
+      this.popup.hidePopup();
+      this.popup.clearItems();
+    }
+  }
+
+  /**
+   * Show the reverse search input, matching the history backwards as it is
+   * typed in. Calling it again goes to the previous match.
+   */
+  startReverseSearch() {
+    if (this._search) {
+      this._searchMatch(this._search.index);
+      return;
+    }
+
+    this.hideCompletions();
+    this._search = { index: this.history.entries.length, input: this.getValue() };
+    this.searchNode.value = "";
+    this.searchNode.hidden = false;
+    this.searchNode.removeAttribute("no-match");
+    this.searchNode.focus();
+  }
+
+  _stopReverseSearch(restore) {
+    if (!this._search) {
+      return;
+    }
+    if (restore) {
+      this.setValue(this._search.input);
+    }
+    this._search = null;
+    this.searchNode.hidden = true;
+    this.focus();
+  }
+
+  /**
+   * Show the most recent entry matching the search before `before`.
+   */
+  _searchMatch(before) {
+    let text = this.searchNode.value;
+    let index = text ? this.history.search(text, before) : -1;
+    if (index == -1) {
+      this.searchNode.setAttribute("no-match", "");
+      return;
+    }
+
+    this.searchNode.removeAttribute("no-match");
+    this._search.index = index;
+    this.setValue(this.history.entries[index]);
+  }
+
+  _onSearchInput() {
+    this._searchMatch(this.history.entries.length);
+  }
+
+  _onSearchKeyDown(e) {
+    switch (e.key) {
+      case "Enter":
+        e.preventDefault();
+        this._stopReverseSearch(false);
+        this._onEnter();
+        break;
+      case "Escape":
+        e.preventDefault();
+        this._stopReverseSearch(true);
+        break;
+      case "Tab":
+      case "ArrowRight":
+        e.preventDefault();
+        this._stopReverseSearch(false);
+        break;
+      case "r":
+        if (e.ctrlKey) {
+          e.preventDefault();
+          this.startReverseSearch();
+        }
+        break;
+    }
+  }
+
+  _onEnter() {
+    if (this._acceptCompletion()) {
+      return;
+    }
+
+    let value = this.getValue();
+    if (!value.trim()) {
+      return;
+    }
+    this.history.add(value);
+    this.emit("execute", value);
+  }
+
+  _onUp(cm) {
+    if (this.popup.isOpen) {
+      this.popup.selectPreviousItem();
+    } else if (this.editor.getCursor().line > 0) {
+      cm.execCommand("goLineUp");
+    } else {
+      let value = this.history.previous(this.getValue());
+      if (value !== null) {
+        this.setValue(value);
+      }
+    }
+  }
+
+  _onDown(cm) {
+    if (this.popup.isOpen) {
+      this.popup.selectNextItem();
+    } else if (this.editor.getCursor().line < this.editor.lineCount() - 1) {
+      cm.execCommand("goLineDown");
+    } else {
+      let value = this.history.next();
+      if (value !== null) {
+        this.setValue(value);
+      }
+    }
+  }
+
+  _onPage(cm, popupMethod, command) {
+    if (this.popup.isOpen) {
+      this.popup[popupMethod]();
+    } else {
+      cm.execCommand(command);
+    }
+  }
+
+  /**
+   * Insert the selected completion, if any, and return whether there was
+   * one.
+   */
+  _acceptCompletion() {
+    let item = this.popup.isOpen ? this.popup.selectedItem : null;
+    this.hideCompletions();
+    if (!item) {
+      return false;
+    }
+
+    let suffix = item.label.slice(this._matchProp.length);
+    let cursor = this.editor.getCursor();
+    this.editor.insertText(suffix, cursor);
+    this.editor.setCursor({ line: cursor.line, ch: cursor.ch + suffix.length });
+    return true;
+  }
+
+  _onPopupClick() {
+    this._acceptCompletion();
+    this.focus();
+  }
+
+  _onChange() {
+    if (this._settingText) {
+      this.hideCompletions();
+      return;
+    }
+
+    let text = this.getValue();
+    let cursor = this.editor.getOffset(this.editor.getCursor());
+    this.emit("autocomplete", text, cursor);
+  }
+}
+
+exports.JSTerm = JSTerm;
+exports.InputHistory = InputHistory;
@@ -0,0 +1,636 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+// The maximum number of properties or items shown in an object preview.
+const PREVIEW_MAX_ITEMS = 10;
+
+// The CSS properties console.log("%c...") may use, as parsed into longhands,
+// anything else is dropped so pages can't cover the console UI. None of them
+// take images, so pages can't load resources either.
+const ALLOWED_STYLES = new RegExp("^(" + [
+  "color",
+  "background-color",
+  "font(-[a-z]+)*",
+  "line-height",
+  "letter-spacing",
+  "word-spacing",
+  "white-space",
+  "text-(align|indent|shadow|transform)",
+  "text-decoration(-(line|style|color|thickness))?",
+  "(padding|margin)(-(top|right|bottom|left))?",
+  "border(-(top|right|bottom|left))?(-(width|style|color))?",
+  "border(-(top|bottom)-(left|right))?-radius"
+].join("|") + ")$");
+
+// The console API methods and the filter severity of their messages.
+const LEVEL_SEVERITIES = {
+  error: "error",
+  exception: "error",
+  assert: "error",
+  warn: "warn",
+  info: "info",
+  log: "log",
+  debug: "log",
+  dir: "log",
+  dirxml: "log",
+  trace: "log",
+  table: "log",
+  group: "log",
+  groupCollapsed: "log",
+  groupEnd: "log",
+  time: "log",
+  timeEnd: "log",
+  count: "log",
+  clear: "log"
+};
+
+/**
+ * Base class of the console UI elements, wrapping a <div> appended to
+ * `parentNode`.
+ */
+class UIElement {
+  constructor(parentNode) {
+    this.parent = parentNode;
+    this.document = parentNode.ownerDocument;
+    this.window = parentNode.ownerDocument.defaultView;
+
+    this.view = this.document.createElement("div");
+    this.parent.appendChild(this.view);
+  }
+
+  clear() {
+    this.view.innerHTML = "";
+  }
+}
+
+class ConsoleMessageInputView extends UIElement {
+  render(object) {
+    this.clear();
+
+    this.view.className = "console-message";
+    this.view.setAttribute("category", "user-input");
+
+    let messageNode = this.document.createElement("div");
+    messageNode.textContent = object;
+
+    this.view.appendChild(messageNode);
+  }
+}
+
+class ConsoleMessageResultView extends UIElement {
+  render(object) {
+    this.clear();
+
+    this.view.className = "console-message";
+    this.view.setAttribute("category", "eval-result");
+
+    let messageNode = this.document.createElement("div");
+    messageNode.textContent = object;
+
+    this.view.appendChild(messageNode);
+  }
+}
+
+/**
+ * The "Navigated to" separator shown when the page changes and the output is
+ * kept. It is never filtered out.
+ */
+class NavigationMessageView extends UIElement {
+  render(url) {
+    this.clear();
+
+    this.view.className = "console-message";
+    this.view.setAttribute("category", "navigation");
+
+    let messageNode = this.document.createElement("div");
+    messageNode.textContent = "Navigated to " + url;
+
+    this.view.appendChild(messageNode);
+  }
+}
+
+/**
+ * Base class of the messages coming from the page, which can be filtered by
+ * category ("net", "css", "js" or "logging") and severity ("error", "warn",
+ * "info" or "log").
+ *
+ * `handlers` is an object with the following optional callbacks:
+ * - onInspect(grip): an object in the message was clicked.
+ * - onViewSource(url, line): a source link in the message was clicked.
+ */
+class PageMessageView extends UIElement {
+  constructor(parentNode, handlers = {}) {
+    super(parentNode);
+    this.handlers = handlers;
+  }
+
+  /**
+   * Reset the message node and return the node its body goes in.
+   */
+  renderFrame(category, severity, timeStamp) {
+    this.clear();
+
+    this.view.className = "console-message";
+    this.view.setAttribute("category", category);
+    this.view.setAttribute("severity", severity);
+    if (timeStamp) {
+      this.view.title = new Date(timeStamp).toLocaleTimeString();
+    }
+
+    let body = this.document.createElement("div");
+    body.className = "message-body";
+    this.view.appendChild(body);
+    return body;
+  }
+
+  renderLocation(url, line, column) {
+    if (!url) {
+      return;
+    }
+    this.view.appendChild(createLocationNode(this.document, url, line, column,
+                                             this.handlers.onViewSource));
+  }
+
+  renderStacktrace(frames) {
+    if (!frames || !frames.length) {
+      return;
+    }
+    let node = createStacktraceNode(this.document, frames,
+                                    this.handlers.onViewSource);
+    this.view.classList.add("has-stacktrace");
+    this.view.appendChild(node);
+  }
+}
+
+/**
+ * A console.log(), console.warn()... call.
+ */
+class ConsoleAPIMessageView extends PageMessageView {
+  render(message) {
+    let severity = LEVEL_SEVERITIES[message.level] || "log";
+    let body = this.renderFrame("logging", severity, message.timeStamp);
+    this.view.setAttribute("level", message.level);
+
+    switch (message.level) {
+      case "time":
+      case "timeEnd":
+        body.textContent = getTimerText(message.timer);
+        break;
+      case "count":
+        body.textContent = getCounterText(message.counter);
+        break;
+      case "trace":
+        body.textContent = "console.trace():";
+        break;
+      case "clear":
+        body.textContent = "Console was cleared.";
+        break;
+      case "group":
+      case "groupCollapsed":
+        body.appendChild(this.createArgumentsNode(message.arguments,
+                                                  message.groupName));
+        break;
+      default:
+        body.appendChild(this.createArgumentsNode(message.arguments));
+        break;
+    }
+
+    this.renderLocation(message.filename, message.lineNumber,
+                        message.columnNumber);
+    if (message.level == "trace" || message.level == "assert" ||
+        message.level == "error") {
+      this.renderStacktrace(message.stacktrace);
+    }
+  }
+
+  createArgumentsNode(args = [], fallback = "") {
+    if (!args.length) {
+      let node = this.document.createElement("span");
+      node.textContent = fallback;
+      return node;
+    }
+    return formatArguments(this.document, args, this.handlers.onInspect);
+  }
+
+  /**
+   * Show the rows of a console.table() call, as an array of
+   * [index, {column: grip}] entries.
+   */
+  renderTable(rows) {
+    let columns = [];
+    for (let [, cells] of rows) {
+      for (let name of Object.keys(cells)) {
+        if (columns.indexOf(name) == -1) {
+          columns.push(name);
+        }
+      }
+    }
+
+    let table = this.document.createElement("table");
+    table.className = "console-table";
+
+    let header = table.insertRow();
+    for (let name of ["(index)", ...columns]) {
+      let cell = this.document.createElement("th");
+      cell.textContent = name;
+      header.appendChild(cell);
+    }
+
+    for (let [index, cells] of rows) {
+      let row = table.insertRow();
+      row.insertCell().textContent = index;
+      for (let name of columns) {
+        let cell = row.insertCell();
+        if (name in cells) {
+          cell.appendChild(createGripNode(this.document, cells[name],
+                                          this.handlers.onInspect));
+        }
+      }
+    }
+
+    this.view.appendChild(table);
+  }
+}
+
+/**
+ * An error or warning reported by the page, or a message logged with
+ * nsIConsoleService.
+ */
+class PageErrorMessageView extends PageMessageView {
+  render(pageError) {
+    let category = /css/i.test(pageError.category || "") ? "css" : "js";
+    let severity = pageError.warning || pageError.strict ? "warn" : "error";
+    let body = this.renderFrame(category, severity, pageError.timeStamp);
+
+    body.textContent = getGripText(pageError.errorMessage);
+    if (pageError.lineText) {
+      let line = this.document.createElement("div");
+      line.className = "message-line-text";
+      line.textContent = pageError.lineText;
+      body.appendChild(line);
+    }
+
+    this.renderLocation(pageError.sourceName, pageError.lineNumber,
+                        pageError.columnNumber);
+    this.renderStacktrace(pageError.stacktrace);
+  }
+
+  renderLogMessage(message, timeStamp) {
+    let body = this.renderFrame("js", "log", timeStamp);
+    body.textContent = getGripText(message);
+  }
+}
+
+/**
+ * A network request, updated as the response comes in.
+ */
+class NetworkMessageView extends PageMessageView {
+  render(networkInfo) {
+    this.networkInfo = networkInfo;
+    this.update();
+  }
+
+  update() {
+    let { request, response, isXHR, totalTime, timeStamp } = this.networkInfo;
+    let status = response.status;
+    let severity = status >= 400 ? "error" : "log";
+    let body = this.renderFrame("net", severity, timeStamp);
+
+    let method = this.document.createElement("span");
+    method.className = "message-network-method";
+    method.textContent = request.method + (isXHR ? " XHR" : "");
+    body.appendChild(method);
+
+    let url = this.document.createElement("span");
+    url.className = "message-network-url";
+    url.textContent = request.url;
+    body.appendChild(url);
+
+    if (status) {
+      let statusNode = this.document.createElement("span");
+      statusNode.className = "message-network-status";
+      let text = status + " " + (response.statusText || "");
+      if (totalTime !== undefined) {
+        text += " " + totalTime + "ms";
+      }
+      statusNode.textContent = "[" + text.trim() + "]";
+      body.appendChild(statusNode);
+    }
+  }
+}
+
+/**
+ * Returns a node showing the arguments of a console API call, applying the
+ * printf-like format string given as the first argument, if any.
+ */
+function formatArguments(document, args, onInspect) {
+  let container = document.createElement("span");
+  let target = container;
+  let rest = args.slice();
+  let separate = false;
+
+  let append = grip => {
+    target.appendChild(createGripNode(document, grip, onInspect));
+  };
+  let appendText = text => {
+    target.appendChild(document.createTextNode(text));
+  };
+
+  if (typeof rest[0] == "string" && rest.length > 1) {
+    let format = rest.shift();
+    let regexp = /%([sdifoOc%])/g;
+    let lastIndex = 0;
+    let match;
+    while ((match = regexp.exec(format))) {
+      appendText(format.slice(lastIndex, match.index));
+      lastIndex = regexp.lastIndex;
+
+      let specifier = match[1];
+      if (specifier == "%") {
+        appendText("%");
+        continue;
+      }
+      if (!rest.length) {
+        appendText(match[0]);
+        continue;
+      }
+
+      let arg = rest.shift();
+      switch (specifier) {
+        case "s":
+          appendText(getGripText(arg));
+          break;
+        case "d":
+        case "i":
+          appendText(String(parseInt(getGripText(arg), 10)));
+          break;
+        case "f":
+          appendText(String(parseFloat(getGripText(arg))));
+          break;
+        case "c": {
+          let span = document.createElement("span");
+          span.setAttribute("style", filterStyle(document, getGripText(arg)));
+          container.appendChild(span);
+          target = span;
+          break;
+        }
+        default:
+          append(arg);
+          break;
+      }
+    }
+    appendText(format.slice(lastIndex));
+    separate = true;
+  }
+
+  for (let grip of rest) {
+    if (separate) {
+      appendText(" ");
+    }
+    separate = true;
+    if (typeof grip == "string") {
+      appendText(grip);
+    } else {
+      append(grip);
+    }
+  }
+
+  return container;
+}
+
+/**
+ * Returns the declarations of the given style text that are allowed for
+ * "%c". The text goes through the CSS parser first, which resolves escapes
+ * and shorthands, so the properties checked are the ones that get applied.
+ */
+function filterStyle(document, text) {
+  let style = document.createElement("span").style;
+  style.cssText = text;
+
+  let declarations = [];
+  for (let i = 0; i < style.length; i++) {
+    let name = style[i];
+    if (ALLOWED_STYLES.test(name)) {
+      declarations.push(name + ": " + style.getPropertyValue(name));
+    }
+  }
+  return declarations.join("; ");
+}
+
+/**
+ * Returns a node showing the given value grip. Objects can be clicked to be
+ * inspected when `onInspect` is given.
+ */
+function createGripNode(document, grip, onInspect) {
+  let node = document.createElement("span");
+  node.className = "grip";
+
+  if (grip === null || typeof grip != "object") {
+    node.classList.add("grip-" + (grip === null ? "null" : typeof grip));
+    node.textContent = typeof grip == "string" ? JSON.stringify(grip)
+                                               : String(grip);
+    return node;
+  }
+
+  if (grip.type != "object") {
+    node.classList.add("grip-" + grip.type);
+    node.textContent = getGripText(grip);
+    return node;
+  }
+
+  node.classList.add("grip-object");
+  node.textContent = getObjectText(grip);
+  if (onInspect) {
+    node.classList.add("inspectable");
+    node.addEventListener("click", e => {
+      e.stopPropagation();
+      onInspect(grip);
+    });
+  }
+  return node;
+}
+
+/**
+ * Returns the text representation of a value grip, without quoting strings.
+ */
+function getGripText(grip) {
+  if (grip === null || typeof grip != "object") {
+    return String(grip);
+  }
+
+  switch (grip.type) {
+    case "undefined":
+    case "null":
+    case "NaN":
+    case "Infinity":
+      return grip.type;
+    case "-Infinity":
+      return "-Infinity";
+    case "-0":
+      return "-0";
+    case "longString":
+      return grip.initial + "…";
+    case "symbol":
+      return "Symbol(" + (grip.name || "") + ")";
+    case "object":
+      return getObjectText(grip);
+  }
+  return "value" in grip ? String(grip.value) : "";
+}
+
+function getObjectText(grip) {
+  let preview = grip.preview;
+
+  if (grip.class == "Function") {
+    let name = grip.displayName || grip.name ||
+               (preview && (preview.displayName || preview.name));
+    return "function " + (name || "") + "()";
+  }
+
+  if (!preview) {
+    return "[object " + grip.class + "]";
+  }
+
+  switch (preview.kind) {
+    case "ArrayLike": {
+      let items = (preview.items || []).map(getShortGripText);
+      if (preview.length > items.length) {
+        items.push("…");
+      }
+      let prefix = grip.class == "Array" ? "" : grip.class + " ";
+      return prefix + "[" + items.join(", ") + "]";
+    }
+    case "MapLike": {
+      let entries = (preview.entries || []).map(([key, value]) => {
+        return getShortGripText(key) + " → " + getShortGripText(value);
+      });
+      return grip.class + " {" + entries.join(", ") + "}";
+    }
+    case "Error":
+      return preview.name + ": " + preview.message;
+    case "DOMNode":
+      return getNodeText(preview);
+    case "ObjectWithURL":
+      return grip.class + " " + preview.url;
+    case "Object": {
+      let names = Object.keys(preview.ownProperties || {});
+      let props = names.slice(0, PREVIEW_MAX_ITEMS).map(name => {
+        let descriptor = preview.ownProperties[name];
+        let value = descriptor && "value" in descriptor ? descriptor.value
+                                                        : descriptor;
+        return name + ": " + getShortGripText(value);
+      });
+      if (names.length > PREVIEW_MAX_ITEMS ||
+          preview.ownPropertiesLength > names.length) {
+        props.push("…");
+      }
+      let prefix = grip.class == "Object" ? "" : grip.class + " ";
+      return prefix + "{ " + props.join(", ") + " }";
+    }
+  }
+
+  return "[object " + grip.class + "]";
+}
+
+function getShortGripText(grip) {
+  if (typeof grip == "string") {
+    return JSON.stringify(grip);
+  }
+  if (grip && grip.type == "object") {
+    return grip.class == "Function" ? getObjectText(grip)
+                                    : grip.class;
+  }
+  return getGripText(grip);
+}
+
+function getNodeText(preview) {
+  switch (preview.nodeType) {
+    case 1: {
+      let attributes = Object.keys(preview.attributes || {}).map(name => {
+        return " " + name + "=" + JSON.stringify(preview.attributes[name]);
+      });
+      return "<" + preview.nodeName + attributes.join("") + ">";
+    }
+    case 2:
+      return preview.nodeName + "=" + JSON.stringify(preview.value);
+    case 3:
+      return "#text " + JSON.stringify(preview.textContent);
+    case 8:
+      return "<!--" + preview.textContent + "-->";
+    case 9:
+      return "#document " + (preview.location || "");
+  }
+  return preview.nodeName;
+}
+
+function getTimerText(timer) {
+  if (!timer) {
+    return "";
+  }
+  if (timer.error) {
+    return "Timer error: " + timer.error;
+  }
+  if ("duration" in timer) {
+    return timer.name + ": " + Math.round(timer.duration) + "ms";
+  }
+  return timer.name + ": timer started";
+}
+
+function getCounterText(counter) {
+  if (!counter) {
+    return "";
+  }
+  if (counter.error) {
+    return "Counter error: " + counter.error;
+  }
+  return counter.label + ": " + counter.count;
+}
+
+function createLocationNode(document, url, line, column, onViewSource) {
+  let node = document.createElement("a");
+  node.className = "message-location";
+  node.title = url + (line ? ":" + line : "") + (column ? ":" + column : "");
+
+  let fileName = url.replace(/[?#].*$/, "").split("/").pop() || url;
+  node.textContent = fileName + (line ? ":" + line : "");
+
+  if (onViewSource) {
+    node.href = "#";
+    node.addEventListener("click", e => {
+      e.preventDefault();
+      e.stopPropagation();
+      onViewSource(url, line);
+    });
+  }
+  return node;
+}
+
+function createStacktraceNode(document, frames, onViewSource) {
+  let list = document.createElement("ul");
+  list.className = "message-stacktrace";
+  for (let frame of frames) {
+    let item = document.createElement("li");
+    let name = document.createElement("span");
+    name.className = "message-stacktrace-function";
+    name.textContent = frame.functionName || "<anonymous>";
+    item.appendChild(name);
+    item.appendChild(createLocationNode(document, frame.filename,
+                                        frame.lineNumber, frame.columnNumber,
+                                        onViewSource));
+    list.appendChild(item);
+  }
+  return list;
+}
+
+exports.UIElement = UIElement;
+exports.ConsoleMessageInputView = ConsoleMessageInputView;
+exports.ConsoleMessageResultView = ConsoleMessageResultView;
+exports.NavigationMessageView = NavigationMessageView;
+exports.ConsoleAPIMessageView = ConsoleAPIMessageView;
+exports.PageErrorMessageView = PageErrorMessageView;
+exports.NetworkMessageView = NetworkMessageView;
+exports.getGripText = getGripText;
+exports.formatArguments = formatArguments;
@@ -7,14 +7,31 @@
 const {Cc, Ci, Cu} = require("devtools/sham/chrome");
 const promise = require("devtools/sham/promise");
 const EventEmitter = require("devtools/shared/event-emitter");
+const {Services} = require("devtools/sham/services");
 
-const {DebuggerClient} = require("devtools/shared/client/main");
-const {DebuggerTransport} = require("devtools/shared/transport/transport");
 const {ObjectClient} = require("devtools/shared/client/main");
-const {TargetFactory} = require("devtools/client/framework/target");
 const {AbstractTreeItem} = require("devtools/client/webconsole/abstracttreeitem.js");
-
-const WEB_SOCKET_PORT = 9000;
+const {JSTerm} = require("devtools/client/webconsole/jsterm.js");
+const {
+  ConsoleMessageInputView,
+  ConsoleMessageResultView,
+  NavigationMessageView,
+  ConsoleAPIMessageView,
+  PageErrorMessageView,
+  NetworkMessageView
+} = require("devtools/client/webconsole/messages.js");
+
+// The console listeners the panel starts, see WebConsoleClient.startListeners.
+// The target already started "NetworkActivity" for the other panels, so it
+// is left running when the console closes.
+const LISTENERS = ["ConsoleAPI", "PageError", "NetworkActivity"];
+const OWN_LISTENERS = ["ConsoleAPI", "PageError"];
+
+// The messages logged before the panel opened that it shows.
+const CACHED_MESSAGES = ["ConsoleAPI", "PageError"];
+
+// The number of rows console.table() shows at most.
+const TABLE_MAX_ROWS = 100;
 
 class WebConsolePanel {
   constructor(iframeWindow, toolbox) {
@@ -24,7 +41,7 @@ class WebConsolePanel {
   }
 
   async open() {
-    this.controller = new Controller();
+    this.controller = new Controller(this.target);
     await this.controller.connect();
 
     this.view = new View(this._frameWindow.document);
@@ -33,6 +50,9 @@ class WebConsolePanel {
     this.presenter = new Presenter(this.view, this.controller);
     await this.presenter.init();
 
+    this._onViewSource = this._onViewSource.bind(this);
+    this.view.on("view-source", this._onViewSource);
+
     this.isReady = true;
     this.emit("ready");
     return this;
@@ -43,6 +63,22 @@ class WebConsolePanel {
   }
 
   destroy() {
+    if (this._destroyed) {
+      return this._destroyed;
+    }
+    if (this.view) {
+      this.view.off("view-source", this._onViewSource);
+      this.view.destroy();
+    }
+    this._destroyed = this.controller ? this.controller.destroy()
+                                      : promise.resolve();
+    return this._destroyed;
+  }
+
+  _onViewSource(event, url, line) {
+    if (this._toolbox && this._toolbox.viewSourceInDebugger) {
+      this._toolbox.viewSourceInDebugger(url, line);
+    }
   }
 
   focusInput() {
@@ -79,23 +115,170 @@ let EventsQueue = {
 };
 
 class Controller {
+  constructor(target) {
+    this.target = target;
+    EventEmitter.decorate(this);
+
+    this._onConsoleAPICall = this._onConsoleAPICall.bind(this);
+    this._onPageError = this._onPageError.bind(this);
+    this._onLogMessage = this._onLogMessage.bind(this);
+    this._onNetworkEvent = this._onNetworkEvent.bind(this);
+    this._onNetworkEventUpdate = this._onNetworkEventUpdate.bind(this);
+    this._onTabNavigated = this._onTabNavigated.bind(this);
+  }
+
+  /**
+   * Use the console of the toolbox target, so the panel talks to the same
+   * tab as the other tools, whatever kind of target it is.
+   */
   async connect() {
-    let socket = new WebSocket("ws://localhost:" + this._getPort());
-    let transport = new DebuggerTransport(socket);
-    let client = new DebuggerClient(transport);
-    await client.connect();
-
-    let response = await client.listTabs();
-    let tab = response.tabs[response.selected];
-
-    let target = await TargetFactory.forRemoteTab({
-      form: tab,
-      client: client,
-      chrome: false,
+    if (!this.target.activeConsole) {
+      await this.target.makeRemote();
+    }
+
+    this.debuggerClient = this.target.client;
+    this.webConsoleClient = this.target.activeConsole;
+
+    this.debuggerClient.addListener("consoleAPICall", this._onConsoleAPICall);
+    this.debuggerClient.addListener("pageError", this._onPageError);
+    this.debuggerClient.addListener("logMessage", this._onLogMessage);
+    this.webConsoleClient.on("networkEvent", this._onNetworkEvent);
+    this.webConsoleClient.on("networkEventUpdate", this._onNetworkEventUpdate);
+    this.target.on("will-navigate", this._onTabNavigated);
+    this.target.on("navigate", this._onTabNavigated);
+  }
+
+  /**
+   * Stop listening to the target. The connection itself belongs to the
+   * toolbox, so it is left open.
+   */
+  destroy() {
+    if (!this.webConsoleClient) {
+      return promise.resolve();
+    }
+
+    let client = this.debuggerClient;
+    client.removeListener("consoleAPICall", this._onConsoleAPICall);
+    client.removeListener("pageError", this._onPageError);
+    client.removeListener("logMessage", this._onLogMessage);
+    this.target.off("will-navigate", this._onTabNavigated);
+    this.target.off("navigate", this._onTabNavigated);
+
+    let webConsoleClient = this.webConsoleClient;
+    webConsoleClient.off("networkEvent", this._onNetworkEvent);
+    webConsoleClient.off("networkEventUpdate", this._onNetworkEventUpdate);
+    this.webConsoleClient = null;
+
+    // The target already closed its console if the toolbox is going away.
+    if (!this.target.activeConsole) {
+      return promise.resolve();
+    }
+
+    let deferred = promise.defer();
+    webConsoleClient.stopListeners(OWN_LISTENERS, () => deferred.resolve());
+    return deferred.promise;
+  }
+
+  /**
+   * Start sending the messages logged by the page as "console-api-call",
+   * "page-error", "log-message", "network-event" and "network-event-update"
+   * events.
+   */
+  startListeners() {
+    let deferred = promise.defer();
+
+    this.webConsoleClient.startListeners(LISTENERS, response => {
+      if (response.error) {
+        deferred.reject(response);
+      } else {
+        deferred.resolve(response);
+      }
+    });
+
+    return deferred.promise;
+  }
+
+  /**
+   * Get the console API calls and page errors logged before the panel
+   * opened, oldest first.
+   */
+  getCachedMessages() {
+    let deferred = promise.defer();
+
+    this.webConsoleClient.getCachedMessages(CACHED_MESSAGES, response => {
+      if (response.error) {
+        deferred.reject(response);
+        return;
+      }
+      let messages = response.messages || [];
+      messages.sort((a, b) => a.timeStamp - b.timeStamp);
+      deferred.resolve(messages);
+    });
+
+    return deferred.promise;
+  }
+
+  clearMessagesCache() {
+    this.webConsoleClient.clearMessagesCache();
+  }
+
+  /**
+   * Get the completions of the input at the `cursor` offset, as
+   * {matches, matchProp}.
+   */
+  autocomplete(text, cursor) {
+    let deferred = promise.defer();
+
+    this.webConsoleClient.autocomplete(text, cursor, response => {
+      if (response.error) {
+        deferred.reject(response);
+      } else {
+        deferred.resolve(response);
+      }
     });
 
-    this.debuggerClient = client;
-    this.webConsoleClient = target.activeConsole;
+    return deferred.promise;
+  }
+
+  getPrototypeAndProperties(grip) {
+    let deferred = promise.defer();
+
+    let objectClient = new ObjectClient(this.debuggerClient, grip);
+    objectClient.getPrototypeAndProperties(response => {
+      if (response.error) {
+        deferred.reject(response);
+      } else {
+        deferred.resolve(response);
+      }
+    });
+
+    return deferred.promise;
+  }
+
+  _onConsoleAPICall(type, packet) {
+    if (packet.from == this.webConsoleClient.actor) {
+      this.emit("console-api-call", packet.message);
+    }
+  }
+
+  _onPageError(type, packet) {
+    if (packet.from == this.webConsoleClient.actor) {
+      this.emit("page-error", packet.pageError);
+    }
+  }
+
+  _onLogMessage(type, packet) {
+    if (packet.from == this.webConsoleClient.actor) {
+      this.emit("log-message", packet.message, packet.timeStamp);
+    }
+  }
+
+  _onNetworkEvent(type, networkInfo) {
+    this.emit("network-event", networkInfo);
+  }
+
+  _onNetworkEventUpdate(type, { networkInfo }) {
+    this.emit("network-event-update", networkInfo);
   }
 
   evaluate(value) {
@@ -116,25 +299,54 @@ class Controller {
     return deferred.promise;
   }
 
-  _getPort() {
-    let query = location.search.match(/(\w+)=(\d+)/);
-    if (query && query[1] == "wsPort") {
-      return query[2];
-    }
-    return WEB_SOCKET_PORT;
+  /**
+   * Forward the target's "will-navigate" and "navigate" events.
+   */
+  _onTabNavigated(type, event) {
+    this.emit(type, event);
   }
 }
 
 class View {
   constructor(document) {
     this.$ = selector => document.querySelectorAll(selector)[0];
+    this.$$ = selector => document.querySelectorAll(selector);
     EventEmitter.decorate(this);
 
-    this._onJsInput = EventsQueue.register(this._onJsInput);
+    this._filters = {
+      categories: new Set(["net", "css", "js", "logging"]),
+      severities: new Set(["error", "warn", "info", "log"]),
+      text: ""
+    };
+    // The containers of the open console.group()s, innermost last.
+    this._groups = [];
+    // Network event actor -> NetworkMessageView.
+    this._networkMessages = new Map();
+
+    this._messageHandlers = {
+      onInspect: grip => this.emit("inspect", grip),
+      onViewSource: (url, line) => this.emit("view-source", url, line)
+    };
   }
 
-  init() {
-    this.inputNode.addEventListener("keypress", this._onJsInput.bind(this));
+  async init() {
+    this.jsterm = new JSTerm(this.inputNode, this.$("#reverse-search"));
+    await this.jsterm.init();
+    this.jsterm.on("execute", (event, value) => this.emit("js-eval", value));
+    this.jsterm.on("autocomplete", (event, text, cursor) => {
+      this.emit("autocomplete", text, cursor);
+    });
+
+    for (let button of this.$$("#filter-toolbar [filter]")) {
+      button.addEventListener("click", this._onFilterButton.bind(this));
+    }
+    this.filterInputNode.addEventListener("input", () => {
+      this._filters.text = this.filterInputNode.value.trim().toLowerCase();
+      this.applyFilters();
+    });
+    this.$("#clear-output").addEventListener("click", () => {
+      this.emit("clear");
+    });
   }
 
   get outputNode() {
@@ -149,27 +361,132 @@ class View {
     return this.$("#sidebar-pane");
   }
 
+  get filterInputNode() {
+    return this.$("#filter-text");
+  }
+
+  /**
+   * The node new messages go in: the innermost open group, if any.
+   */
+  get _container() {
+    return this._groups[this._groups.length - 1] || this.outputNode;
+  }
+
+  destroy() {
+    if (this.jsterm) {
+      this.jsterm.destroy();
+    }
+  }
+
   focusInput() {
-    this.inputNode.focus();
+    this.jsterm.focus();
   }
 
   clearInput() {
-    this.inputNode.value = "";
+    this.jsterm.clear();
+  }
+
+  /**
+   * Use the input history of the origin of `url`.
+   */
+  setOrigin(url) {
+    this.jsterm.setOrigin(url);
+  }
+
+  showCompletions(text, cursor, response) {
+    this.jsterm.showCompletions(text, cursor, response);
+  }
+
+  clearOutput() {
+    this.outputNode.innerHTML = "";
+    this.sidebarNode.innerHTML = "";
+    this._groups = [];
+    this._networkMessages.clear();
   }
 
   appendMessage(output, type) {
     switch (type) {
       case "user-input": {
-        let message = new ConsoleMessageInputView(this.outputNode);
+        let message = new ConsoleMessageInputView(this._container);
         message.render(output);
         break;
       }
       case "eval-result": {
-        let message = new ConsoleMessageResultView(this.outputNode);
+        let message = new ConsoleMessageResultView(this._container);
         message.render(output);
         break;
       }
     }
+    this._scrollToBottom();
+  }
+
+  /**
+   * Show that the page navigated to `url`, below the messages of the
+   * previous one. The groups they opened are closed.
+   */
+  appendNavigationMessage(url) {
+    this._groups = [];
+    this._networkMessages.clear();
+
+    let stick = this._isScrolledToBottom();
+    let message = new NavigationMessageView(this._container);
+    message.render(url);
+    this._scrollToBottom(stick);
+  }
+
+  /**
+   * Show a console API call. Returns the message view, or nothing for
+   * console.groupEnd(), which only closes the current group.
+   */
+  appendConsoleAPIMessage(message) {
+    if (message.level == "groupEnd") {
+      this._groups.pop();
+      return null;
+    }
+    if (message.level == "clear") {
+      this.clearOutput();
+    }
+
+    let messageView = this._append(ConsoleAPIMessageView, message);
+
+    if (message.level == "group" || message.level == "groupCollapsed") {
+      this._openGroup(messageView.view, message.level == "groupCollapsed");
+    }
+    return messageView;
+  }
+
+  appendPageError(pageError) {
+    return this._append(PageErrorMessageView, pageError);
+  }
+
+  appendLogMessage(message, timeStamp) {
+    let stick = this._isScrolledToBottom();
+    let messageView = new PageErrorMessageView(this._container,
+                                               this._messageHandlers);
+    messageView.renderLogMessage(message, timeStamp);
+    this._filterNode(messageView.view);
+    this._scrollToBottom(stick);
+    return messageView;
+  }
+
+  appendNetworkEvent(networkInfo) {
+    let messageView = this._append(NetworkMessageView, networkInfo);
+    this._networkMessages.set(networkInfo.actor, messageView);
+    return messageView;
+  }
+
+  updateNetworkEvent(networkInfo) {
+    let messageView = this._networkMessages.get(networkInfo.actor);
+    if (messageView) {
+      messageView.update();
+      this._filterNode(messageView.view);
+    }
+  }
+
+  applyFilters() {
+    for (let node of this.$$("#js-output [severity]")) {
+      this._filterNode(node);
+    }
   }
 
   inspectVariable(objectActor, debuggerClient) {
@@ -184,10 +501,86 @@ class View {
     }, 0);
   }
 
-  _onJsInput(e) {
-    if (e.keyCode == 13 /* ENTER */) {
-      let value = this.inputNode.value;
-      this.emit("js-eval", value);
+  _append(MessageView, ...args) {
+    let stick = this._isScrolledToBottom();
+    let messageView = new MessageView(this._container, this._messageHandlers);
+    messageView.render(...args);
+    this._filterNode(messageView.view);
+    this._scrollToBottom(stick);
+    return messageView;
+  }
+
+  _openGroup(headerNode, collapsed) {
+    let document = headerNode.ownerDocument;
+
+    let twisty = document.createElement("span");
+    twisty.className = "theme-twisty";
+    headerNode.insertBefore(twisty, headerNode.firstChild);
+    headerNode.classList.add("console-group-header");
+
+    let group = document.createElement("div");
+    group.className = "console-group";
+    headerNode.parentNode.insertBefore(group, headerNode.nextSibling);
+
+    let toggle = open => {
+      if (open) {
+        twisty.setAttribute("open", "");
+        group.removeAttribute("collapsed");
+      } else {
+        twisty.removeAttribute("open");
+        group.setAttribute("collapsed", "");
+      }
+    };
+    toggle(!collapsed);
+    headerNode.addEventListener("click", () => {
+      toggle(group.hasAttribute("collapsed"));
+    });
+
+    this._groups.push(group);
+  }
+
+  _filterNode(node) {
+    let { categories, severities, text } = this._filters;
+
+    if (categories.has(node.getAttribute("category")) &&
+        severities.has(node.getAttribute("severity"))) {
+      node.removeAttribute("filtered-by-type");
+    } else {
+      node.setAttribute("filtered-by-type", "");
+    }
+
+    if (!text || node.textContent.toLowerCase().includes(text)) {
+      node.removeAttribute("filtered-by-string");
+    } else {
+      node.setAttribute("filtered-by-string", "");
+    }
+  }
+
+  _onFilterButton(e) {
+    let button = e.currentTarget;
+    let [kind, value] = button.getAttribute("filter").split(":");
+    let enabled = kind == "category" ? this._filters.categories
+                                     : this._filters.severities;
+
+    if (enabled.has(value)) {
+      enabled.delete(value);
+      button.removeAttribute("checked");
+    } else {
+      enabled.add(value);
+      button.setAttribute("checked", "");
+    }
+    this.applyFilters();
+  }
+
+  _isScrolledToBottom() {
+    let node = this.outputNode;
+    return node.scrollTop + node.clientHeight >= node.scrollHeight - 1;
+  }
+
+  _scrollToBottom(stick = true) {
+    if (stick) {
+      let node = this.outputNode;
+      node.scrollTop = node.scrollHeight;
     }
   }
 }
@@ -198,66 +591,171 @@ class Presenter {
     this.controller = controller;
 
     this._onJsInput = EventsQueue.register(this._onJsInput);
+
+    // Messages received while the cached ones are fetched, shown after them.
+    this._pending = [];
+    this._onConsoleAPICall = (event, message) => {
+      this._onMessage("ConsoleAPI", message);
+    };
+    this._onPageError = (event, pageError) => {
+      this._onMessage("PageError", pageError);
+    };
+    this._onLogMessage = (event, message, timeStamp) => {
+      this._onMessage("LogMessage", message, timeStamp);
+    };
+    this._onNetworkEvent = (event, networkInfo) => {
+      this._onMessage("NetworkEvent", networkInfo);
+    };
+    this._onNetworkEventUpdate = (event, networkInfo) => {
+      this._onMessage("NetworkEventUpdate", networkInfo);
+    };
+    this._onWillNavigate = this._onWillNavigate.bind(this);
+    this._onNavigate = this._onNavigate.bind(this);
   }
 
-  init() {
+  async init() {
     this.view.on("js-eval", this._onJsInput.bind(this));
-  }
+    this.view.on("inspect", (event, grip) => {
+      this.view.inspectVariable(grip, this.controller.debuggerClient);
+    });
+    this.view.on("clear", () => {
+      this.controller.clearMessagesCache();
+      this.view.clearOutput();
+    });
+    this.view.on("autocomplete", this._onAutocomplete.bind(this));
+    this.view.setOrigin(this.controller.target.url);
 
-  async _onJsInput(event, value) {
-    this.view.appendMessage(value, "user-input");
-    this.view.clearInput();
+    this.controller.on("console-api-call", this._onConsoleAPICall);
+    this.controller.on("page-error", this._onPageError);
+    this.controller.on("log-message", this._onLogMessage);
+    this.controller.on("network-event", this._onNetworkEvent);
+    this.controller.on("network-event-update", this._onNetworkEventUpdate);
+    this.controller.on("will-navigate", this._onWillNavigate);
+    this.controller.on("navigate", this._onNavigate);
 
-    let [error, result] = await this.controller.evaluate(value);
+    await this.controller.startListeners();
 
-    if (typeof result == "object" && result.type == "object") {
-      this.view.inspectVariable(result, this.controller.debuggerClient);
-    } else {
-      this.view.appendMessage(result, "eval-result");
+    try {
+      let messages = await this.controller.getCachedMessages();
+      for (let message of messages) {
+        this._renderMessage(message._type, message);
+      }
+    } catch (e) {
+      console.error("Could not get the cached messages", e);
+    }
+
+    let pending = this._pending;
+    this._pending = null;
+    for (let args of pending) {
+      this._renderMessage(...args);
     }
   }
-}
 
-class UIElement {
-  constructor(parentNode) {
-    this.parent = parentNode;
-    this.document = parentNode.ownerDocument;
-    this.window = parentNode.ownerDocument.defaultView;
+  _onWillNavigate() {
+    if (!Services.prefs.getBoolPref("devtools.webconsole.persistlog")) {
+      this.view.clearOutput();
+    }
+  }
 
-    this.view = this.document.createElement("div");
-    this.parent.appendChild(this.view);
+  _onNavigate(event, { url }) {
+    this.view.setOrigin(url);
+    if (Services.prefs.getBoolPref("devtools.webconsole.persistlog")) {
+      this.view.appendNavigationMessage(url);
+    }
   }
 
-  clear() {
-    this.view.innerHTML = "";
+  async _onAutocomplete(event, text, cursor) {
+    try {
+      let response = await this.controller.autocomplete(text, cursor);
+      this.view.showCompletions(text, cursor, response);
+    } catch (e) {
+      console.error("Could not get the completions", e);
+    }
   }
-}
 
-class ConsoleMessageInputView extends UIElement {
-  render(object) {
-    this.clear();
+  _onMessage(...args) {
+    if (this._pending) {
+      this._pending.push(args);
+    } else {
+      this._renderMessage(...args);
+    }
+  }
 
-    this.view.className = "console-message";
-    this.view.setAttribute("category", "user-input");
+  _renderMessage(type, ...args) {
+    switch (type) {
+      case "ConsoleAPI": {
+        let [message] = args;
+        let messageView = this.view.appendConsoleAPIMessage(message);
+        if (messageView && message.level == "table") {
+          this._renderTable(messageView, message.arguments[0]);
+        }
+        break;
+      }
+      case "PageError":
+        this.view.appendPageError(...args);
+        break;
+      case "LogMessage":
+        this.view.appendLogMessage(...args);
+        break;
+      case "NetworkEvent":
+        this.view.appendNetworkEvent(...args);
+        break;
+      case "NetworkEventUpdate":
+        this.view.updateNetworkEvent(...args);
+        break;
+    }
+  }
 
-    let messageNode = this.document.createElement("div");
-    messageNode.textContent = object;
+  /**
+   * Fetch the rows and columns of the object given to console.table() and
+   * show them under its message.
+   */
+  async _renderTable(messageView, grip) {
+    if (!grip || grip.type != "object") {
+      return;
+    }
 
-    this.view.appendChild(messageNode);
-  }
-}
+    try {
+      let { ownProperties } =
+        await this.controller.getPrototypeAndProperties(grip);
+      let names = Object.keys(ownProperties || {}).filter(name => {
+        return grip.class != "Array" || name != "length";
+      }).slice(0, TABLE_MAX_ROWS);
+
+      let rows = [];
+      for (let name of names) {
+        let value = ownProperties[name].value;
+        let cells = {};
+        if (value && value.type == "object") {
+          let row = await this.controller.getPrototypeAndProperties(value);
+          for (let column in row.ownProperties) {
+            if ("value" in row.ownProperties[column]) {
+              cells[column] = row.ownProperties[column].value;
+            }
+          }
+        } else {
+          cells.Values = value;
+        }
+        rows.push([name, cells]);
+      }
 
-class ConsoleMessageResultView extends UIElement {
-  render(object) {
-    this.clear();
+      messageView.renderTable(rows);
+    } catch (e) {
+      console.error("Could not show the console.table() data", e);
+    }
+  }
 
-    this.view.className = "console-message";
-    this.view.setAttribute("category", "eval-result");
+  async _onJsInput(event, value) {
+    this.view.appendMessage(value, "user-input");
+    this.view.clearInput();
 
-    let messageNode = this.document.createElement("div");
-    messageNode.textContent = object;
+    let [error, result] = await this.controller.evaluate(value);
 
-    this.view.appendChild(messageNode);
+    if (typeof result == "object" && result.type == "object") {
+      this.view.inspectVariable(result, this.controller.debuggerClient);
+    } else {
+      this.view.appendMessage(result, "eval-result");
+    }
   }
 }
 
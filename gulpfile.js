@@ -73,6 +73,12 @@ gulp.task("build-prefs", function (callback) {
   }, Object.create(null)), null, 2), callback);
 });
 
+// The proxy runs in node rather than in the browser, like the tests in test/.
+gulp.task("test-proxy", function() {
+  return gulp.src("tools/ws-tcp-proxy/test/*-test.js", { read: false })
+    .pipe(mocha());
+});
+
 gulp.task("start-proxy", function() {
   // WS <-> TCP server in Firefox
   wsTcpProxy.listen({
@@ -106,9 +112,11 @@ gulp.task("start", ["start-proxy"], function() {
 
   http.createServer(app).listen(CONNECT_HTTP_PORT);
 
-  console.log("Open http://localhost:8081/client/framework/toolbox-wrapper.html to test the toolbox");
+  console.log("Open http://localhost:8081/client/framework/connect/connect.html to choose what to debug");
+  console.log("Open http://localhost:8081/client/framework/toolbox-wrapper.html to test the toolbox (add ?chrome for Chrome)");
   console.log("Open http://localhost:8081/tools/connect/?wsPort=9000 for the test tool (for Firefox server)");
   console.log("Open http://localhost:8081/tools/connect/?wsPort=9001 for the test tool (for Chrome server)");
+  console.log("Open http://localhost:8081/tools/protocol-schema/?wsPort=9000 for the protocol schema and documentation (use 9001 for Chrome)");
 });
 
 gulp.task("default", ["build"]);
@@ -29,7 +29,11 @@ types.addDictType("AllocationsRecordingOptions", {
   // The maximum number of of allocation events to keep in the allocations
   // log. If new allocations arrive, when we are already at capacity, the oldest
   // allocation event is lost. This number must fit in a 32 bit signed integer.
-  maxLogLength: "number"
+  maxLogLength: "number",
+
+  // If set, the allocations log is drained every `drainAllocationsTimeout` ms
+  // and sent as "allocations" events.
+  drainAllocationsTimeout: "nullable:number"
 });
 
 /**
@@ -208,10 +208,12 @@ var PerformanceRecordingFront = exports.PerformanceRecordingFront = protocol.Fro
    *
    * @param nsILocalFile file
    *        The file to stream the data into.
+   * @param string format [optional]
+   *        The format to save the recording in. @see PerformanceIO
    */
-  exportRecording: function (file) {
+  exportRecording: function (file, format) {
     let recordingData = this.getAllData();
-    return PerformanceIO.saveRecordingToFile(recordingData, file);
+    return PerformanceIO.saveRecordingToFile(recordingData, file, format);
   },
 
   /**
@@ -27,6 +27,9 @@ const MAX_STORE_OBJECT_COUNT = 50;
 // Delay for the batch job that sends the accumulated update packets to the
 // client (ms).
 const BATCH_DELAY = 200;
+// The expiry date given to session cookies, which the cookie service ignores
+// but requires (s).
+const MAX_COOKIE_EXPIRY = Math.pow(2, 62);
 
 // A RegExp for characters that cannot appear in a file/directory name. This is
 // used to sanitize the host name for indexed db to lookup whether the file is
@@ -562,6 +565,89 @@ StorageActors.createActor({
     }
   },
 
+  /**
+   * Edits the value or the expiry date of a cookie. The change is reported to
+   * the client through the "cookie-changed" notification.
+   *
+   * @param {string} host
+   *        The host the cookie is listed under.
+   * @param {string} name
+   *        The name of the cookie.
+   * @param {string} field
+   *        Either "value" or "expires".
+   * @param {string} value
+   *        The new value, or the new expiry date in milliseconds since epoch,
+   *        0 turning the cookie into a session cookie.
+   */
+  editCookie: method(function(host, name, field, value) {
+    let cookie = this.hostVsStores.has(host) &&
+                 this.hostVsStores.get(host).get(name);
+    if (!cookie) {
+      throw new Error("No cookie named " + name + " at " + host);
+    }
+
+    let edited = {
+      host: cookie.host,
+      path: cookie.path,
+      name: cookie.name,
+      value: cookie.value,
+      isSecure: cookie.isSecure,
+      isHttpOnly: cookie.isHttpOnly,
+      isSession: cookie.isSession,
+      expires: cookie.expires
+    };
+
+    switch (field) {
+      case "value":
+        edited.value = value;
+        break;
+      case "expires":
+        let expires = Math.floor(Number(value) / 1000);
+        if (isNaN(expires)) {
+          throw new Error("Invalid expiry date: " + value);
+        }
+        edited.isSession = expires <= 0;
+        edited.expires = edited.isSession ? MAX_COOKIE_EXPIRY : expires;
+        break;
+      default:
+        throw new Error("Cookies can't have their " + field + " edited");
+    }
+
+    this.addCookie(edited);
+  }, {
+    request: {
+      host: Arg(0, "string"),
+      name: Arg(1, "string"),
+      field: Arg(2, "string"),
+      value: Arg(3, "string")
+    },
+    response: {}
+  }),
+
+  /**
+   * Removes a cookie. The removal is reported to the client through the
+   * "cookie-changed" notification.
+   */
+  removeItem: method(function(host, name) {
+    let cookie = this.hostVsStores.has(host) &&
+                 this.hostVsStores.get(host).get(name);
+    if (!cookie) {
+      throw new Error("No cookie named " + name + " at " + host);
+    }
+
+    this.removeCookie({
+      host: cookie.host,
+      name: cookie.name,
+      path: cookie.path
+    });
+  }, {
+    request: {
+      host: Arg(0, "string"),
+      name: Arg(1, "string")
+    },
+    response: {}
+  }),
+
   /**
    * Notification observer for "cookie-change".
    *
@@ -639,6 +725,8 @@ StorageActors.createActor({
       this.getCookiesFromHost = cookieHelpers.getCookiesFromHost;
       this.addCookieObservers = cookieHelpers.addCookieObservers;
       this.removeCookieObservers = cookieHelpers.removeCookieObservers;
+      this.addCookie = cookieHelpers.addCookie;
+      this.removeCookie = cookieHelpers.removeCookie;
       return;
     }
 
@@ -656,6 +744,8 @@ StorageActors.createActor({
       callParentProcess.bind(null, "addCookieObservers");
     this.removeCookieObservers =
       callParentProcess.bind(null, "removeCookieObservers");
+    this.addCookie = callParentProcess.bind(null, "addCookie");
+    this.removeCookie = callParentProcess.bind(null, "removeCookie");
 
     addMessageListener("storage:storage-cookie-request-child",
                        cookieHelpers.handleParentRequest);
@@ -711,6 +801,22 @@ var cookieHelpers = {
     return null;
   },
 
+  /**
+   * Adds a cookie, replacing the one with the same host, path and name if
+   * there is one.
+   */
+  addCookie: function(cookie) {
+    Services.cookies.add(cookie.host, cookie.path, cookie.name, cookie.value,
+                         cookie.isSecure, cookie.isHttpOnly, cookie.isSession,
+                         cookie.expires);
+    return null;
+  },
+
+  removeCookie: function(cookie) {
+    Services.cookies.remove(cookie.host, cookie.name, cookie.path, false);
+    return null;
+  },
+
   observe: function(subject, topic, data) {
     switch (topic) {
       case "cookie-changed":
@@ -740,6 +846,10 @@ var cookieHelpers = {
         return cookieHelpers.addCookieObservers();
       case "removeCookieObservers":
         return cookieHelpers.removeCookieObservers();
+      case "addCookie":
+        return cookieHelpers.addCookie(msg.data.args[0]);
+      case "removeCookie":
+        return cookieHelpers.removeCookie(msg.data.args[0]);
       default:
         console.error("ERR_DIRECTOR_PARENT_UNKNOWN_METHOD", msg.json.method);
         throw new Error("ERR_DIRECTOR_PARENT_UNKNOWN_METHOD");
@@ -827,6 +937,43 @@ function getObjectForLocalOrSessionStorage(type) {
       });
     },
 
+    /**
+     * Adds or edits an item. The change is reported to the client through the
+     * "dom-storage2-changed" notification.
+     */
+    setItem: method(function(host, name, value) {
+      let storage = this.hostVsStores.get(host);
+      if (!storage) {
+        throw new Error("No " + type + " at " + host);
+      }
+      storage.setItem(name, value);
+    }, {
+      request: {
+        host: Arg(0, "string"),
+        name: Arg(1, "string"),
+        value: Arg(2, "string")
+      },
+      response: {}
+    }),
+
+    /**
+     * Removes an item. The removal is reported to the client through the
+     * "dom-storage2-changed" notification.
+     */
+    removeItem: method(function(host, name) {
+      let storage = this.hostVsStores.get(host);
+      if (!storage) {
+        throw new Error("No " + type + " at " + host);
+      }
+      storage.removeItem(name);
+    }, {
+      request: {
+        host: Arg(0, "string"),
+        name: Arg(1, "string")
+      },
+      response: {}
+    }),
+
     getHostName: function(location) {
       if (!location.host) {
         return location.href;
@@ -1198,6 +1345,44 @@ StorageActors.createActor({
     };
   },
 
+  /**
+   * Deletes a record from an object store, or a whole database, and reports
+   * the removal to the client.
+   *
+   * @param {string} host
+   *        The host the database belongs to.
+   * @param {string} name
+   *        The stringified [db, objectStore, id] name of the record, or [db]
+   *        for the database.
+   */
+  removeItem: method(Task.async(function*(host, name) {
+    let [dbName, objectStore, id] = JSON.parse(name);
+    let result;
+
+    if (objectStore === undefined) {
+      result = yield this.removeDB(host, dbName);
+    } else if (id !== undefined) {
+      result = yield this.removeDBRecord(host, dbName, objectStore, id);
+    } else {
+      throw new Error("Only records and databases can be removed");
+    }
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    if (objectStore === undefined && this.hostVsStores.has(host)) {
+      this.hostVsStores.get(host).delete(dbName);
+    }
+    this.storageActor.update("deleted", "indexedDB", {[host]: [name]});
+  }), {
+    request: {
+      host: Arg(0, "string"),
+      name: Arg(1, "string")
+    },
+    response: {}
+  }),
+
   form: function(form, detail) {
     if (detail === "actorid") {
       return this.actorID;
@@ -1226,6 +1411,8 @@ StorageActors.createActor({
       this.getNameFromDatabaseFile = indexedDBHelpers.getNameFromDatabaseFile;
       this.getValuesForHost = indexedDBHelpers.getValuesForHost;
       this.getObjectStoreData = indexedDBHelpers.getObjectStoreData;
+      this.removeDB = indexedDBHelpers.removeDB;
+      this.removeDBRecord = indexedDBHelpers.removeDBRecord;
       this.patchMetadataMapsAndProtos =
         indexedDBHelpers.patchMetadataMapsAndProtos;
       return;
@@ -1245,6 +1432,8 @@ StorageActors.createActor({
       callParentProcessAsync.bind(null, "getDBNamesForHost");
     this.getValuesForHost =
       callParentProcessAsync.bind(null, "getValuesForHost");
+    this.removeDB = callParentProcessAsync.bind(null, "removeDB");
+    this.removeDBRecord = callParentProcessAsync.bind(null, "removeDBRecord");
 
     addMessageListener("storage:storage-indexedDB-request-child", msg => {
       switch (msg.json.method) {
@@ -1318,16 +1507,85 @@ var indexedDBHelpers = {
    * Opens an indexed db connection for the given `host` and database `name`.
    */
   openWithOrigin: function(host, name) {
-    let principal;
+    let principal = indexedDBHelpers.getPrincipal(host);
+    return require("indexedDB").openForPrincipal(principal, name);
+  },
 
+  /**
+   * Returns the principal the databases of the given `host` belong to.
+   */
+  getPrincipal: function(host) {
     if (/^(about:|chrome:)/.test(host)) {
-      principal = Services.scriptSecurityManager.getSystemPrincipal();
-    } else {
-      let uri = Services.io.newURI(host, null, null);
-      principal = Services.scriptSecurityManager.createCodebasePrincipal(uri, {});
+      return Services.scriptSecurityManager.getSystemPrincipal();
     }
+    let uri = Services.io.newURI(host, null, null);
+    return Services.scriptSecurityManager.createCodebasePrincipal(uri, {});
+  },
 
-    return require("indexedDB").openForPrincipal(principal, name);
+  /**
+   * Deletes the database `name` of the given `host`. Resolves with an object
+   * with an `error` message if it couldn't be deleted.
+   */
+  removeDB: function(host, name) {
+    let principal = indexedDBHelpers.getPrincipal(host);
+    let request = require("indexedDB").deleteForPrincipal(principal, name);
+    let result = promise.defer();
+
+    request.onsuccess = () => {
+      result.resolve(this.backToChild("removeDB", {}));
+    };
+    request.onblocked = () => {
+      // The page keeps the database open, it will only be deleted once closed.
+      result.resolve(this.backToChild("removeDB", {
+        error: "Database " + name + " is in use by the page"
+      }));
+    };
+    request.onerror = () => {
+      result.resolve(this.backToChild("removeDB", {
+        error: "Error deleting indexeddb database " + name + " for host " + host
+      }));
+    };
+    return result.promise;
+  },
+
+  /**
+   * Deletes the record with the key `id` from an object store of the database
+   * `dbName` of the given `host`. Resolves with an object with an `error`
+   * message if it couldn't be deleted.
+   */
+  removeDBRecord: function(host, dbName, objectStore, id) {
+    let request = this.openWithOrigin(host, dbName);
+    let result = promise.defer();
+    let error = {
+      error: "Error deleting a record from " + objectStore + " in indexeddb " +
+             "database " + dbName + " for host " + host
+    };
+
+    request.onsuccess = event => {
+      let db = event.target.result;
+      let transaction;
+      try {
+        transaction = db.transaction(objectStore, "readwrite");
+        transaction.objectStore(objectStore).delete(id);
+      } catch (e) {
+        db.close();
+        result.resolve(this.backToChild("removeDBRecord", error));
+        return;
+      }
+
+      transaction.oncomplete = () => {
+        db.close();
+        result.resolve(this.backToChild("removeDBRecord", {}));
+      };
+      transaction.onabort = () => {
+        db.close();
+        result.resolve(this.backToChild("removeDBRecord", error));
+      };
+    };
+    request.onerror = () => {
+      result.resolve(this.backToChild("removeDBRecord", error));
+    };
+    return result.promise;
   },
 
     /**
@@ -1587,6 +1845,10 @@ var indexedDBHelpers = {
         let hostVsStores = args[3];
         return indexedDBHelpers.getValuesForHost(host, name, options,
                                                  hostVsStores);
+      case "removeDB":
+        return indexedDBHelpers.removeDB(args[0], args[1]);
+      case "removeDBRecord":
+        return indexedDBHelpers.removeDBRecord(...args);
       default:
         console.error("ERR_DIRECTOR_PARENT_UNKNOWN_METHOD", msg.json.method);
         throw new Error("ERR_DIRECTOR_PARENT_UNKNOWN_METHOD");
@@ -1946,7 +2208,7 @@ var StorageActor = exports.StorageActor = protocol.ActorClass({
     for (let host in data) {
       if (this.boundUpdate[action] && this.boundUpdate[action][storeType] &&
           this.boundUpdate[action][storeType][host]) {
-        for (let name in data[host]) {
+        for (let name of data[host]) {
           let index = this.boundUpdate[action][storeType][host].indexOf(name);
           if (index > -1) {
             this.boundUpdate[action][storeType][host].splice(index, 1);
@@ -0,0 +1,259 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Generates a machine-readable schema and the documentation of the remote
+ * debugging protocol, from the specs of the actors registered with
+ * protocol.js or from the "protocolDescription" of a server.
+ */
+
+var protocol = require("devtools/server/protocol");
+
+// Bumped when the format of the schema changes.
+const SCHEMA_VERSION = 1;
+
+/**
+ * Find the Arg, Option and RetVal placeholders in a described template, as
+ * returned by dumpActorSpec, along with their paths in the packet.
+ */
+function findPlaceholders(template, path=[], placeholders=[]) {
+  if (!template || typeof(template) !== "object") {
+    return placeholders;
+  }
+
+  if ("_arg" in template || "_option" in template || "_retval" in template) {
+    placeholders.push({ placeholder: template, path: path });
+    return placeholders;
+  }
+
+  for (let name of Object.keys(template)) {
+    findPlaceholders(template[name], path.concat(name), placeholders);
+  }
+  return placeholders;
+}
+
+/**
+ * Returns the arguments of a described request or event template, ordered by
+ * argument index. The Option placeholders sharing an index are read into a
+ * single object argument by protocol.js, so they are grouped into one
+ * "options" argument, listing them in its `options`.
+ */
+function getArguments(template) {
+  let args = [];
+  let optionsByIndex = new Map();
+
+  for (let { placeholder, path } of findPlaceholders(template)) {
+    let name = path[path.length - 1];
+    if (!("_option" in placeholder)) {
+      args.push({
+        name: name,
+        path: path.join("."),
+        index: placeholder._arg,
+        type: placeholder.type,
+        option: false,
+        optional: placeholder.type.startsWith("nullable:")
+      });
+      continue;
+    }
+
+    let index = placeholder._option;
+    let arg = optionsByIndex.get(index);
+    if (!arg) {
+      arg = {
+        name: "options",
+        path: null,
+        index: index,
+        type: null,
+        option: true,
+        optional: true,
+        options: []
+      };
+      optionsByIndex.set(index, arg);
+      args.push(arg);
+    }
+    arg.options.push({
+      name: name,
+      path: path.join("."),
+      type: placeholder.type
+    });
+  }
+
+  for (let arg of optionsByIndex.values()) {
+    arg.type = "{ " + arg.options.map(option => {
+      return option.name + "?: " + option.type;
+    }).join(", ") + " }";
+  }
+
+  return args.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Returns the return value of a described response template, or null if the
+ * response has none.
+ */
+function getReturnValue(template) {
+  let placeholder = findPlaceholders(template)[0];
+  if (!placeholder) {
+    return null;
+  }
+  return {
+    path: placeholder.path.join("."),
+    type: placeholder.placeholder._retval
+  };
+}
+
+function getTypeName(type) {
+  return typeof(type) === "string" ? type : type.name;
+}
+
+/**
+ * Returns the schema of the protocol.
+ *
+ * @param object description
+ *    The protocol description, as returned by dumpProtocolSpec or the
+ *    "protocolDescription" request of the root actor. The specs registered
+ *    in this process by default.
+ * @returns an object with:
+ *    version (number): The version of the schema format.
+ *    actors (object): Actor type names => { methods, events }, where methods
+ *      maps method names to their { request: { type, arguments }, response,
+ *      oneway, release } and events maps event names to their { type,
+ *      arguments }. Arguments are { name, path, index, type, option,
+ *      optional } objects, the response is a { path, type } object or null.
+ *      The options sharing an index make a single argument, whose `options`
+ *      are their { name, path, type } and whose path is null.
+ *    dicts (object): Dict type names => property names => type names.
+ */
+function getProtocolSchema(description=protocol.dumpProtocolSpec()) {
+  let schema = {
+    version: SCHEMA_VERSION,
+    actors: {},
+    dicts: {}
+  };
+
+  for (let name of Object.keys(description.types).sort()) {
+    let type = description.types[name];
+
+    if (type.category === "dict") {
+      let dict = schema.dicts[name] = {};
+      for (let prop of Object.keys(type.specializations)) {
+        dict[prop] = getTypeName(type.specializations[prop]);
+      }
+    } else if (type.category === "actor") {
+      let actor = schema.actors[name] = { methods: {}, events: {} };
+
+      for (let method of type.methods) {
+        actor.methods[method.name] = {
+          request: {
+            type: method.request.type,
+            arguments: getArguments(method.request)
+          },
+          response: method.oneway ? null : getReturnValue(method.response),
+          oneway: !!method.oneway,
+          release: !!method.release
+        };
+      }
+
+      for (let eventName of Object.keys(type.events || {}).sort()) {
+        let request = type.events[eventName];
+        actor.events[eventName] = {
+          type: request.type,
+          arguments: getArguments(request)
+        };
+      }
+    }
+  }
+
+  return schema;
+}
+
+function formatArguments(args) {
+  return args.map(arg => {
+    return arg.name + (arg.optional ? "?" : "") + ": " + arg.type;
+  }).join(", ");
+}
+
+/**
+ * Returns the documentation of the protocol as Markdown.
+ *
+ * @param object schema
+ *    The schema returned by getProtocolSchema.
+ * @param string title
+ *    The title of the document.
+ */
+function getProtocolDocumentation(schema, title="Remote Debugging Protocol") {
+  let lines = ["# " + title, ""];
+
+  lines.push("## Actors", "");
+  for (let name of Object.keys(schema.actors)) {
+    let actor = schema.actors[name];
+    lines.push("### " + name, "");
+
+    let methods = Object.keys(actor.methods).sort();
+    if (methods.length) {
+      lines.push("Methods:", "");
+    }
+    for (let methodName of methods) {
+      let method = actor.methods[methodName];
+      let line = "- `" + methodName + "(" +
+                 formatArguments(method.request.arguments) + ")";
+      if (method.response) {
+        line += " → " + method.response.type;
+      }
+      line += "`";
+      if (method.request.type != methodName) {
+        line += ", sent as `" + method.request.type + "`";
+      }
+      if (method.response && method.response.path) {
+        line += ", returned in `" + method.response.path + "`";
+      }
+      if (method.oneway) {
+        line += " (one-way)";
+      }
+      if (method.release) {
+        line += " (releases the actor)";
+      }
+      lines.push(line);
+    }
+    if (methods.length) {
+      lines.push("");
+    }
+
+    let events = Object.keys(actor.events);
+    if (events.length) {
+      lines.push("Events:", "");
+    }
+    for (let eventName of events) {
+      let event = actor.events[eventName];
+      let line = "- `" + eventName + "(" + formatArguments(event.arguments) +
+                 ")`";
+      if (event.type != eventName) {
+        line += ", sent as `" + event.type + "`";
+      }
+      lines.push(line);
+    }
+    if (events.length) {
+      lines.push("");
+    }
+  }
+
+  lines.push("## Dictionaries", "");
+  for (let name of Object.keys(schema.dicts)) {
+    let dict = schema.dicts[name];
+    lines.push("### " + name, "");
+    lines.push("| Property | Type |", "| --- | --- |");
+    for (let prop of Object.keys(dict)) {
+      lines.push("| " + prop + " | " + dict[prop] + " |");
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+exports.SCHEMA_VERSION = SCHEMA_VERSION;
+exports.getProtocolSchema = getProtocolSchema;
+exports.getProtocolDocumentation = getProtocolDocumentation;
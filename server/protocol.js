@@ -6,7 +6,7 @@
 
 var { Cu, components } = require("devtools/sham/chrome");
 var DevToolsUtils = require("devtools/shared/DevToolsUtils");
-var Services = require("devtools/sham/services");
+var { Services } = require("devtools/sham/services");
 var promise = require("devtools/sham/promise");
 var {Class} = require("sdk/core/heritage");
 var {EventTarget} = require("sdk/event/target");
@@ -704,6 +704,228 @@ var Response = Class({
   describe: function() { return describeTemplate(this.template); }
 });
 
+/**
+ * Protocol validation
+ *
+ * When enabled, the packets actors and fronts send and receive are checked
+ * against the templates of their specs, and any mismatch is reported. This is
+ * mostly useful to catch actors emulating others, like the Valence ones,
+ * diverging from the specs of the actors they emulate.
+ */
+
+// Pref enabling the validation when this module is loaded.
+const VALIDATE_PREF = "devtools.protocol.validate";
+
+var validation = {
+  enabled: false,
+  reporter: null
+};
+
+try {
+  validation.enabled = !!Services.prefs.getBoolPref(VALIDATE_PREF);
+} catch(e) {
+  // The pref isn't defined.
+}
+
+/**
+ * Enable or disable the validation of packets.
+ *
+ * @param boolean enabled
+ * @param function reporter
+ *    Called with each mismatch found, an object with the following
+ *    properties:
+ *      side (string): "actor" or "front".
+ *      actor (string): The type name of the actor.
+ *      kind (string): "request", "response" or "event".
+ *      name (string): The name of the method or event.
+ *      path (string): Where the mismatch is in the packet, like "names[0]".
+ *      message (string): What the mismatch is.
+ *      packet (object): The packet.
+ *    Mismatches are logged to the console by default.
+ */
+exports.setValidation = function(enabled, reporter=null) {
+  validation.enabled = enabled;
+  validation.reporter = reporter;
+}
+
+function describeValue(v) {
+  if (v === null || v === undefined) {
+    return String(v);
+  }
+  if (Array.isArray(v)) {
+    return "an array";
+  }
+  return "a " + typeof(v);
+}
+
+function formatPath(path) {
+  return path.reduce((str, name) => {
+    if (typeof(name) === "number") {
+      return str + "[" + name + "]";
+    }
+    return str ? str + "." + name : name;
+  }, "");
+}
+
+/**
+ * Check a packet value against a type, adding a { path, message } object to
+ * `errors` for each mismatch found. Types which marshall their values with
+ * custom read and write methods, like longstring, aren't checked.
+ */
+function checkType(type, value, path, errors) {
+  let name = type.name;
+  let mismatch = expected => {
+    errors.push({
+      path: formatPath(path),
+      message: "expected " + expected + ", got " + describeValue(value)
+    });
+  };
+
+  if (type.category === "nullable") {
+    if (value != null) {
+      checkType(types.getType(name.substring("nullable:".length)), value,
+                path, errors);
+    }
+    return;
+  }
+  if (value === undefined) {
+    mismatch(name);
+    return;
+  }
+
+  if (name.startsWith("array:")) {
+    if (!Array.isArray(value)) {
+      mismatch(name);
+      return;
+    }
+    let subtype = types.getType(name.substring("array:".length));
+    value.forEach((item, i) => checkType(subtype, item, path.concat(i), errors));
+    return;
+  }
+
+  switch (type.category) {
+    case "dict":
+      if (!value || typeof(value) !== "object" || Array.isArray(value)) {
+        mismatch(name);
+        return;
+      }
+      for (let prop in type.specializations) {
+        checkType(types.getType(type.specializations[prop]), value[prop],
+                  path.concat(prop), errors);
+      }
+      return;
+    case "actor":
+    case "detail":
+      // Requests refer to actors by ID, responses and events send their form.
+      if (typeof(value) === "string") {
+        return;
+      }
+      if (!value || typeof(value.actor) !== "string") {
+        mismatch("an actor ID or form of " + name);
+        return;
+      }
+      if (type.category === "actor" && type.actorSpec &&
+          type.actorSpec.formType) {
+        checkType(type.actorSpec.formType, value, path, errors);
+      }
+      return;
+    case "uniformdict":
+      if (!value || typeof(value) !== "object" || Array.isArray(value)) {
+        mismatch(name);
+        return;
+      }
+      for (let prop in value) {
+        checkType(type.subtype, value[prop], path.concat(prop), errors);
+      }
+      return;
+    case "lifetime":
+      checkType(types.getType(name.substring(name.indexOf(":") + 1)), value,
+                path, errors);
+      return;
+    case "defunct":
+      mismatch(name);
+      return;
+  }
+
+  if ((name === "string" || name === "number" || name === "boolean") &&
+      typeof(value) !== name) {
+    mismatch(name);
+  }
+}
+
+/**
+ * Check a packet against a request or response template.
+ *
+ * @param object template
+ *    The template, with Arg, Option and RetVal placeholders.
+ * @param object packet
+ *    The packet.
+ * @returns an array of { path, message } objects describing the mismatches.
+ */
+var checkPacket = exports.checkPacket = function(template, packet) {
+  let errors = [];
+  let check = (template, value, path) => {
+    if (template instanceof Option) {
+      if (value !== undefined) {
+        checkType(template.type, value, path, errors);
+      }
+    } else if (template instanceof Arg || template instanceof RetVal) {
+      checkType(template.type, value, path, errors);
+    } else if (template && typeof(template) === "object") {
+      if (!value || typeof(value) !== "object") {
+        errors.push({
+          path: formatPath(path),
+          message: "expected an object, got " + describeValue(value)
+        });
+        return;
+      }
+      for (let name in template) {
+        check(template[name], value[name], path.concat(name));
+      }
+    }
+  };
+  check(template, packet, []);
+  return errors;
+}
+
+/**
+ * Check a packet if validation is enabled, and report the mismatches.
+ *
+ * @param string side
+ *    "actor" or "front".
+ * @param object ctx
+ *    The actor or front sending or receiving the packet.
+ * @param string kind
+ *    "request", "response" or "event".
+ * @param string name
+ *    The name of the method or event.
+ * @param Request|Response spec
+ *    The spec of the packet.
+ * @param object packet
+ */
+function validatePacket(side, ctx, kind, name, spec, packet) {
+  if (!validation.enabled) {
+    return;
+  }
+  for (let error of checkPacket(spec.template, packet)) {
+    let mismatch = object.merge({
+      side: side,
+      actor: ctx.typeName,
+      kind: kind,
+      name: name,
+      packet: packet
+    }, error);
+    if (validation.reporter) {
+      validation.reporter(mismatch);
+    } else {
+      console.warn("Protocol mismatch in the " + kind + " of " +
+                   mismatch.actor + "." + name + " (" + side + "), at " +
+                   (mismatch.path || "the packet") + ": " + mismatch.message,
+                   packet);
+    }
+  }
+}
+
 /**
  * Actor and Front implementations
  */
@@ -884,6 +1106,7 @@ var Actor = Class({
       console.error("Error sending event: " + name);
       throw ex;
     }
+    validatePacket("actor", this, "event", name, request, packet);
     packet.from = packet.from || this.actorID;
     this.conn.send(packet);
   },
@@ -1003,6 +1226,8 @@ var actorProto = function(actorProto) {
     let handler = function(packet, conn) {
       try {
         let args;
+        validatePacket("actor", this, "request", spec.name, spec.request,
+                       packet);
         try {
           args = spec.request.read(packet, this);
         } catch(ex) {
@@ -1025,6 +1250,8 @@ var actorProto = function(actorProto) {
             console.error("Error writing response to: " + spec.name);
             throw ex;
           }
+          validatePacket("actor", this, "response", spec.name, spec.response,
+                         response);
           response.from = this.actorID;
           // If spec.release has been specified, destroy the object.
           if (spec.release) {
@@ -1190,6 +1417,8 @@ var Front = Class({
     if (this._clientSpec.events && this._clientSpec.events.has(type)) {
       let event = this._clientSpec.events.get(packet.type);
       let args;
+      validatePacket("front", this, "event", event.name, event.request,
+                     packet);
       try {
         args = event.request.read(packet, this);
       } catch(ex) {
@@ -1329,6 +1558,7 @@ var frontProto = function(proto) {
         console.error("Error writing request: " + name);
         throw ex;
       }
+      validatePacket("front", this, "request", spec.name, spec.request, packet);
       if (spec.oneway) {
         // Fire-and-forget oneway packets.
         this.send(packet);
@@ -1336,6 +1566,8 @@ var frontProto = function(proto) {
       }
 
       return this.request(packet).then(response => {
+        validatePacket("front", this, "response", spec.name, spec.response,
+                       response);
         let ret;
         try {
           ret = spec.response.read(response, this);
@@ -1,56 +1,196 @@
 let DEFAULTS = require("../../build/preferences.json");
-// TODO Can make this localStorage or something in the future?
-let storage = JSON.parse(JSON.stringify(DEFAULTS));
 
 const PREF_INVALID = exports.PREF_INVALID = 0;
 const PREF_STRING = exports.PREF_STRING = 32;
 const PREF_INT = exports.PREF_INT = 64;
 const PREF_BOOL = exports.PREF_BOOL = 128;
 
+// The localStorage key user values are persisted under. Defaults always come
+// from build/preferences.json, so only the prefs the user changed are stored.
+const STORAGE_KEY = "devtools.prefs";
+let storageKey = STORAGE_KEY;
+
+/**
+ * Returns the localStorage object to persist user values in, or null when
+ * there isn't one (like when running the tests in node), in which case
+ * they only live as long as this module.
+ */
+function getStorage () {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch (e) {
+    // Accessing localStorage throws when it is disabled.
+    return null;
+  }
+}
+
+function loadUserPrefs () {
+  let storage = getStorage();
+  if (!storage) {
+    return {};
+  }
+  try {
+    return JSON.parse(storage.getItem(storageKey)) || {};
+  } catch (e) {
+    console.error(`Ignoring malformed stored prefs: ${e}`);
+    return {};
+  }
+}
+
+function saveUserPrefs () {
+  let storage = getStorage();
+  if (!storage) {
+    return;
+  }
+  try {
+    if (Object.keys(userPrefs).length) {
+      storage.setItem(storageKey, JSON.stringify(userPrefs));
+    } else {
+      storage.removeItem(storageKey);
+    }
+  } catch (e) {
+    console.error(`Could not save prefs: ${e}`);
+  }
+}
+
+// Map of full pref names to the values the user set.
+let userPrefs = loadUserPrefs();
+
+// Observers added through `addObserver`, as `{ branch, domain, observer }`.
+let observers = [];
+
 /**
- * Returns a `Pref` object containing the following properties:
+ * Returns the default `Pref` object from build/preferences.json containing
+ * the following properties, or an empty object if there is no default:
  *
  * `value` - The primitive value of the stored preference.
  * `type` - The enum type of the pref. Can be PREF_INVALID, PREF_STRING, PREF_INT, or PREF_BOOL.
  */
-function findPref (pref) {
+function findDefaultPref (pref) {
   let branchNames = pref.split(".");
-  let branch = storage;
+  let branch = DEFAULTS;
 
   for (let branchName of branchNames) {
     branch = branch[branchName];
     if (!branch) {
-      branch = {};
+      return {};
     }
   }
 
   return branch;
 }
 
-function setPrefValue (pref, value) {
-  let obj = findPref(pref);
-  obj.value = value;
+function typeOfValue (value) {
+  switch (typeof value) {
+    case "boolean":
+      return PREF_BOOL;
+    case "number":
+      return PREF_INT;
+    case "string":
+      return PREF_STRING;
+  }
+  return PREF_INVALID;
+}
+
+function hasUserValue (pref) {
+  return Object.prototype.hasOwnProperty.call(userPrefs, pref);
 }
 
 function getPrefValue (pref) {
-  return findPref(pref).value;
+  return hasUserValue(pref) ? userPrefs[pref] : findDefaultPref(pref).value;
 }
 
+/**
+ * Calls the observers watching `pref`, with the pref name relative to the
+ * branch they were added on, like Firefox's "nsPref:changed" notifications.
+ */
+function notifyObservers (pref) {
+  // Copy, as observers may remove themselves while being notified.
+  for (let { branch, domain, observer } of observers.slice()) {
+    if (!pref.startsWith(branch.root + domain)) {
+      continue;
+    }
+    let name = pref.slice(branch.root.length);
+    try {
+      if (typeof observer === "function") {
+        observer(branch, "nsPref:changed", name);
+      } else {
+        observer.observe(branch, "nsPref:changed", name);
+      }
+    } catch (e) {
+      console.error(`Error in observer for ${pref}: ${e}`);
+    }
+  }
+}
 
-const addObserver = exports.addObserver = function (domain, observer, holdWeak) {
-  console.log("TODO implement addObserver");
-};
+/**
+ * Set the user value of `pref`, persist it, and let observers know if it
+ * changed. Setting a pref back to its default clears the user value.
+ */
+function setPrefValue (pref, value) {
+  let oldValue = getPrefValue(pref);
+  if (findDefaultPref(pref).value === value) {
+    delete userPrefs[pref];
+  } else {
+    userPrefs[pref] = value;
+  }
+  saveUserPrefs();
+  if (oldValue !== value) {
+    notifyObservers(pref);
+  }
+}
 
-const removeObserver = exports.removeObserver = function (domain, observer, holdWeak) {
-  console.log("TODO implement removeObserver");
-};
+/**
+ * Replace all user values at once, notifying observers of the prefs whose
+ * value changed.
+ */
+function replaceUserPrefs (newPrefs, persist) {
+  let changed = new Set([...Object.keys(userPrefs), ...Object.keys(newPrefs)]);
+  let oldValues = new Map([...changed].map(pref => [pref, getPrefValue(pref)]));
+
+  userPrefs = newPrefs;
+  if (persist) {
+    saveUserPrefs();
+  }
+
+  for (let pref of changed) {
+    if (oldValues.get(pref) !== getPrefValue(pref)) {
+      notifyObservers(pref);
+    }
+  }
+}
+
+// Other windows sharing the same storage (like other toolboxes) can change
+// prefs too, so keep up with them.
+if (typeof window !== "undefined" && window.addEventListener) {
+  window.addEventListener("storage", e => {
+    if (e.key === storageKey) {
+      replaceUserPrefs(loadUserPrefs(), false);
+    }
+  });
+}
 
 const resetPrefs = exports.resetPrefs = function () {
-  storage = JSON.parse(JSON.stringify(DEFAULTS));
+  replaceUserPrefs({}, true);
+};
+
+/**
+ * Persist user values under another localStorage key, and switch to the
+ * values stored there. The tests run on the same origin as the toolbox, so
+ * they use their own key to leave the user's prefs alone. Without a key, the
+ * default one is used again.
+ */
+exports.setStorageKey = function (key = STORAGE_KEY) {
+  storageKey = key;
+  replaceUserPrefs(loadUserPrefs(), false);
 };
 
 const getPrefType = exports.getPrefType = function (pref) {
-  return findPref(pref).type;
+  let type = findDefaultPref(pref).type;
+  if (!type && hasUserValue(pref)) {
+    type = typeOfValue(userPrefs[pref]);
+  }
+  return type || PREF_INVALID;
 };
 
 const setBoolPref = exports.setBoolPref = function (pref, value) {
@@ -63,7 +203,7 @@ const setBoolPref = exports.setBoolPref = function (pref, value) {
   setPrefValue(pref, value);
 };
 
-exports.setCharPref = function (pref, value) {
+const setCharPref = exports.setCharPref = function (pref, value) {
   if (typeof value !== "string") {
     throw new Error("Cannot setCharPref without a string.");
   }
@@ -73,7 +213,7 @@ exports.setCharPref = function (pref, value) {
   setPrefValue(pref, value);
 };
 
-exports.setIntPref = function (pref, value) {
+const setIntPref = exports.setIntPref = function (pref, value) {
   if (typeof value !== "number" && (parseInt(value) !== value)) {
     throw new Error("Cannot setCharPref without an integer.");
   }
@@ -83,7 +223,7 @@ exports.setIntPref = function (pref, value) {
   setPrefValue(pref, value);
 };
 
-exports.getBoolPref = function (pref) {
+const getBoolPref = exports.getBoolPref = function (pref) {
   if (getPrefType(pref) !== PREF_BOOL) {
     console.log(`No cached boolean pref for ${pref}`);
     return undefined;
@@ -91,7 +231,7 @@ exports.getBoolPref = function (pref) {
   return getPrefValue(pref);
 };
 
-exports.getCharPref = function (pref) {
+const getCharPref = exports.getCharPref = function (pref) {
   if (getPrefType(pref) !== PREF_STRING) {
     console.log(`No cached char pref for ${pref}`);
     return undefined;
@@ -99,7 +239,7 @@ exports.getCharPref = function (pref) {
   return getPrefValue(pref);
 };
 
-exports.getIntPref = function (pref) {
+const getIntPref = exports.getIntPref = function (pref) {
   if (getPrefType(pref) !== PREF_INT) {
     console.log(`No cached int pref for ${pref}`);
     return undefined;
@@ -114,14 +254,159 @@ exports.getComplexValue = function (pref) {
   }
 };
 
-exports.getBranch = function (pref) {
-  return {
-    addObserver: () => {},
-    removeObserver: () => {},
+const prefHasUserValue = exports.prefHasUserValue = function (pref) {
+  return hasUserValue(pref);
+};
+
+/**
+ * Remove the user value of `pref`, so it goes back to its default (or
+ * doesn't exist anymore, if it has no default).
+ */
+const clearUserPref = exports.clearUserPref = function (pref) {
+  if (!hasUserValue(pref)) {
+    return;
   }
+  delete userPrefs[pref];
+  saveUserPrefs();
+  notifyObservers(pref);
 };
 
-exports.prefHasUserValue = function (pref) {
-  // XXX: Implement me
-  return false;
+/**
+ * Returns the full names of the prefs starting with `prefix`, whether they
+ * have a default or only a user value.
+ */
+const getChildList = exports.getChildList = function (prefix) {
+  let names = new Set();
+  let walk = (branch, name) => {
+    if (branch.type) {
+      names.add(name);
+      return;
+    }
+    for (let key of Object.keys(branch)) {
+      walk(branch[key], name ? name + "." + key : key);
+    }
+  };
+  walk(DEFAULTS, "");
+  Object.keys(userPrefs).forEach(name => names.add(name));
+  return [...names].filter(name => name.startsWith(prefix)).sort();
+};
+
+/**
+ * No-op, user values are persisted as soon as they are set.
+ */
+exports.savePrefFile = function () {};
+
+/**
+ * Returns the user values of all prefs as a plain object mapping full pref
+ * names to values, suitable for `importPrefs`.
+ */
+exports.exportPrefs = function () {
+  return JSON.parse(JSON.stringify(userPrefs));
+};
+
+/**
+ * Replace the user values of all prefs with the ones in `prefs`, as returned
+ * by `exportPrefs`. Nothing is changed if any of the values doesn't match
+ * the type of its pref.
+ */
+exports.importPrefs = function (prefs) {
+  if (!prefs || typeof prefs !== "object") {
+    throw new Error("Cannot importPrefs without an object.");
+  }
+  let newPrefs = {};
+  for (let pref of Object.keys(prefs)) {
+    let value = prefs[pref];
+    let valueType = typeOfValue(value);
+    let type = findDefaultPref(pref).type;
+    if (valueType === PREF_INVALID || (type && type !== valueType)) {
+      throw new Error(`Cannot import ${JSON.stringify(value)} for ${pref}.`);
+    }
+    if (findDefaultPref(pref).value !== value) {
+      newPrefs[pref] = value;
+    }
+  }
+  replaceUserPrefs(newPrefs, true);
+};
+
+/**
+ * Watch the prefs starting with `domain` for changes. `observer` is either
+ * a function or an object with an `observe` method, called with the branch,
+ * "nsPref:changed" and the name of the pref that changed.
+ *
+ * `holdWeak` is ignored, observers are always held strongly.
+ */
+const addObserver = exports.addObserver = function (domain, observer, holdWeak) {
+  addBranchObserver(rootBranch, domain, observer);
+};
+
+const removeObserver = exports.removeObserver = function (domain, observer, holdWeak) {
+  removeBranchObserver(rootBranch, domain, observer);
+};
+
+function addBranchObserver (branch, domain, observer) {
+  observers.push({ branch, domain, observer });
+}
+
+function removeBranchObserver (branch, domain, observer) {
+  let index = observers.findIndex(entry => {
+    return entry.branch === branch && entry.domain === domain &&
+           entry.observer === observer;
+  });
+  if (index !== -1) {
+    observers.splice(index, 1);
+  }
+}
+
+/**
+ * A view on the prefs whose names start with `root`, which is left out of
+ * the names given to and by its methods, like nsIPrefBranch.
+ */
+function PrefBranch (root) {
+  this.root = root;
+}
+
+PrefBranch.prototype = {
+  getPrefType: function (pref) {
+    return getPrefType(this.root + pref);
+  },
+  getBoolPref: function (pref) {
+    return getBoolPref(this.root + pref);
+  },
+  getCharPref: function (pref) {
+    return getCharPref(this.root + pref);
+  },
+  getIntPref: function (pref) {
+    return getIntPref(this.root + pref);
+  },
+  setBoolPref: function (pref, value) {
+    setBoolPref(this.root + pref, value);
+  },
+  setCharPref: function (pref, value) {
+    setCharPref(this.root + pref, value);
+  },
+  setIntPref: function (pref, value) {
+    setIntPref(this.root + pref, value);
+  },
+  prefHasUserValue: function (pref) {
+    return prefHasUserValue(this.root + pref);
+  },
+  clearUserPref: function (pref) {
+    clearUserPref(this.root + pref);
+  },
+  getChildList: function (prefix) {
+    return getChildList(this.root + prefix)
+      .map(name => name.slice(this.root.length));
+  },
+  addObserver: function (domain, observer, holdWeak) {
+    addBranchObserver(this, domain, observer);
+  },
+  removeObserver: function (domain, observer, holdWeak) {
+    removeBranchObserver(this, domain, observer);
+  }
+};
+
+const rootBranch = new PrefBranch("");
+
+exports.getBranch = function (root) {
+  return new PrefBranch(root || "");
 };
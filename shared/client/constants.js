@@ -0,0 +1,56 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * This module has no dependencies, so that tools running outside of the
+ * toolbox, like the WebSocket proxy, can tell packets apart the same way the
+ * DebuggerClient does.
+ */
+
+/**
+ * Set of protocol messages that are sent by the server without a prior request
+ * by the client.
+ */
+exports.UnsolicitedNotifications = {
+  "consoleAPICall": "consoleAPICall",
+  "eventNotification": "eventNotification",
+  "fileActivity": "fileActivity",
+  "lastPrivateContextExited": "lastPrivateContextExited",
+  "logMessage": "logMessage",
+  "networkEvent": "networkEvent",
+  "networkEventUpdate": "networkEventUpdate",
+  "newGlobal": "newGlobal",
+  "newScript": "newScript",
+  "tabDetached": "tabDetached",
+  "tabListChanged": "tabListChanged",
+  "reflowActivity": "reflowActivity",
+  "addonListChanged": "addonListChanged",
+  "workerListChanged": "workerListChanged",
+  "tabNavigated": "tabNavigated",
+  "frameUpdate": "frameUpdate",
+  "pageError": "pageError",
+  "documentLoad": "documentLoad",
+  "enteredFrame": "enteredFrame",
+  "exitedFrame": "exitedFrame",
+  "appOpen": "appOpen",
+  "appClose": "appClose",
+  "appInstall": "appInstall",
+  "appUninstall": "appUninstall",
+  "evaluationResult": "evaluationResult",
+};
+
+/**
+ * Set of pause types that are sent by the server and not as an immediate
+ * response to a client request.
+ */
+exports.UnsolicitedPauses = {
+  "resumeLimit": "resumeLimit",
+  "debuggerStatement": "debuggerStatement",
+  "breakpoint": "breakpoint",
+  "DOMEvent": "DOMEvent",
+  "watchpoint": "watchpoint",
+  "exception": "exception"
+};
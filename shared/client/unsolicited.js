@@ -0,0 +1,71 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Tells the packets an actor sends on its own from the replies to the
+ * requests pending on it, for the tools that watch a connection from outside
+ * of the DebuggerClient, like the WebSocket proxy and the RDP monitor. Like
+ * ./constants, this module has no dependencies outside of this directory.
+ */
+
+const {
+  UnsolicitedNotifications,
+  UnsolicitedPauses
+} = require("./constants");
+
+/**
+ * The packet types the clients of actors without a Front handle as events,
+ * see the `events` of ThreadClient and WorkerClient in ./main.
+ */
+const ClientEvents = {
+  "newSource": "newSource",
+  "close": "close"
+};
+
+/**
+ * Returns whether a packet is sent by its actor on its own rather than in
+ * reply to the oldest request pending on the actor, checking in the order
+ * DebuggerClient.onPacket does: the events of the Front or client of the
+ * actor first, then the unsolicited notifications and pauses.
+ *
+ * @param object packet
+ * @param function isEvent
+ *        Optional. Returns whether the packet is an event of the Front or
+ *        client of its actor, when they are known.
+ */
+function isUnsolicited(packet, isEvent) {
+  if (isEvent && isEvent(packet)) {
+    return true;
+  }
+  if (packet.type in ClientEvents || packet.type in UnsolicitedNotifications) {
+    return true;
+  }
+  return packet.type == "paused" && !!packet.why &&
+         packet.why.type in UnsolicitedPauses;
+}
+
+/**
+ * Returns the types of the event packets declared by the protocol.js specs
+ * of a protocol description.
+ *
+ * @param object description
+ *        As returned by the "protocolDescription" request of the root actor.
+ * @returns Set
+ */
+function getEventTypes(description) {
+  let types = new Set();
+  for (let name of Object.keys(description.types || {})) {
+    let events = description.types[name].events || {};
+    for (let event of Object.keys(events)) {
+      types.add(events[event].type || event);
+    }
+  }
+  return types;
+}
+
+exports.ClientEvents = ClientEvents;
+exports.isUnsolicited = isUnsolicited;
+exports.getEventTypes = getEventTypes;
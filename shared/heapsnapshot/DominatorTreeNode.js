@@ -0,0 +1,329 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+// DominatorTreeNode is the representation of the nodes of a dominator tree
+// sent from the HeapAnalysesWorker to the main thread. The worker only ever
+// sends a partial view of the tree, as the whole tree has a node for every
+// thing in the heap: the first few levels of the biggest nodes, which the main
+// thread extends lazily as the user expands them. Like CensusTreeNode, it must
+// be ready to render with no further processing.
+
+// Required relatively, as this module is loaded both in the worker and in the
+// memory tool's reducers.
+const { Visitor, walk } = require("./CensusUtils");
+
+const DEFAULT_MAX_DEPTH = 3;
+const DEFAULT_MAX_SIBLINGS = 15;
+const DEFAULT_MAX_NUM_PATHS = 5;
+
+/**
+ * A single node of a dominator tree.
+ *
+ * @param {NodeId} nodeId
+ * @param {Array<String|SavedFrame>} label
+ *        The edges leading to this node in the census of this single node,
+ *        eg ["objects", "Array"].
+ * @param {Number} shallowSize
+ *        The size of this node alone, in bytes.
+ * @param {Number} retainedSize
+ *        The size of this node and of everything it dominates, in bytes.
+ */
+function DominatorTreeNode(nodeId, label, shallowSize, retainedSize) {
+  this.nodeId = nodeId;
+  this.label = label;
+  this.shallowSize = shallowSize;
+  this.retainedSize = retainedSize;
+  // The id of the node immediately dominating this one, undefined for the
+  // root.
+  this.parentId = undefined;
+  // The children fetched so far, biggest retained size first, or undefined
+  // if none has been fetched yet.
+  this.children = undefined;
+  // Whether this node has children that haven't been fetched yet.
+  this.moreChildrenAvailable = true;
+}
+
+DominatorTreeNode.prototype = null;
+
+module.exports = DominatorTreeNode;
+
+DominatorTreeNode.DEFAULT_MAX_SIBLINGS = DEFAULT_MAX_SIBLINGS;
+
+/**
+ * Add `child` to the `parent`'s children.
+ *
+ * @param {DominatorTreeNode} parent
+ * @param {DominatorTreeNode} child
+ */
+DominatorTreeNode.addChild = function (parent, child) {
+  if (parent.children === undefined) {
+    parent.children = [];
+  }
+
+  parent.children.push(child);
+  child.parentId = parent.nodeId;
+};
+
+/**
+ * A Visitor that finds the only count in the census of a single node that
+ * isn't zero, along with the edges leading to it.
+ */
+function LabelAndShallowSizeVisitor() {
+  this._labelPieces = [];
+  this._label = undefined;
+  this._shallowSize = 0;
+}
+
+LabelAndShallowSizeVisitor.prototype = Object.create(Visitor.prototype);
+
+LabelAndShallowSizeVisitor.prototype.enter = function (breakdown, report, edge) {
+  if (this._label === undefined) {
+    this._labelPieces.push(edge);
+  }
+};
+
+LabelAndShallowSizeVisitor.prototype.exit = function (breakdown, report, edge) {
+  if (this._label === undefined) {
+    this._labelPieces.pop();
+  }
+};
+
+LabelAndShallowSizeVisitor.prototype.count = function (breakdown, report, edge) {
+  if (report.count === 0) {
+    return;
+  }
+
+  // The first piece is the null edge leading to the root report.
+  this._label = this._labelPieces.slice(1);
+  this._shallowSize = report.bytes;
+};
+
+/**
+ * Get the label and shallow size of a node, from the census of that node
+ * alone.
+ *
+ * @param {NodeId} nodeId
+ * @param {HeapSnapshot} snapshot
+ * @param {Object} breakdown
+ *
+ * @returns {Object}
+ *          An object with the label and the shallowSize of the node.
+ */
+DominatorTreeNode.getLabelAndShallowSize = function (nodeId, snapshot, breakdown) {
+  const description = snapshot.describeNode(breakdown, nodeId);
+
+  const visitor = new LabelAndShallowSizeVisitor();
+  walk(breakdown, description, visitor);
+
+  return {
+    label: visitor._label || [],
+    shallowSize: visitor._shallowSize,
+  };
+};
+
+/**
+ * Create the DominatorTreeNode for a node of a dominator tree, without its
+ * children.
+ *
+ * @param {DominatorTree} dominatorTree
+ * @param {HeapSnapshot} snapshot
+ * @param {Object} breakdown
+ * @param {NodeId} nodeId
+ *
+ * @returns {DominatorTreeNode}
+ */
+DominatorTreeNode.fromNodeId = function (dominatorTree, snapshot, breakdown, nodeId) {
+  const { label, shallowSize } =
+    DominatorTreeNode.getLabelAndShallowSize(nodeId, snapshot, breakdown);
+  const node = new DominatorTreeNode(nodeId, label, shallowSize,
+                                     dominatorTree.getRetainedSize(nodeId));
+  node.moreChildrenAvailable =
+    dominatorTree.getImmediatelyDominated(nodeId).length > 0;
+  return node;
+};
+
+/**
+ * Do a partial traversal of the dominator tree from its root, keeping the
+ * `maxSiblings` biggest children of each node down to `maxDepth`.
+ *
+ * @param {DominatorTree} dominatorTree
+ * @param {HeapSnapshot} snapshot
+ * @param {Object} breakdown
+ * @param {Number} maxDepth
+ * @param {Number} maxSiblings
+ *
+ * @returns {DominatorTreeNode}
+ */
+DominatorTreeNode.partialTraversal = function (dominatorTree,
+                                               snapshot,
+                                               breakdown,
+                                               maxDepth = DEFAULT_MAX_DEPTH,
+                                               maxSiblings = DEFAULT_MAX_SIBLINGS) {
+  function dfs(nodeId, depth) {
+    const node =
+      DominatorTreeNode.fromNodeId(dominatorTree, snapshot, breakdown, nodeId);
+
+    if (depth + 1 < maxDepth) {
+      const childNodeIds = dominatorTree.getImmediatelyDominated(nodeId);
+      const end = Math.min(childNodeIds.length, maxSiblings);
+      for (let i = 0; i < end; i++) {
+        DominatorTreeNode.addChild(node, dfs(childNodeIds[i], depth + 1));
+      }
+      node.moreChildrenAvailable = end < childNodeIds.length;
+    }
+
+    return node;
+  }
+
+  return dfs(dominatorTree.root, 0);
+};
+
+/**
+ * Get the ids of the nodes from the root of the dominator tree to the given
+ * node, both included.
+ *
+ * @param {DominatorTree} dominatorTree
+ * @param {NodeId} nodeId
+ *
+ * @returns {Array<NodeId>}
+ */
+DominatorTreeNode.getPath = function (dominatorTree, nodeId) {
+  const path = [];
+  let id = nodeId;
+  do {
+    path.unshift(id);
+    id = dominatorTree.getImmediateDominator(id);
+  } while (id !== null);
+  return path;
+};
+
+/**
+ * Return a copy of `tree` with `newChildren` added to the children of the node
+ * at the end of `path`. Only the nodes along the path are copied, the rest of
+ * the tree is shared with the original.
+ *
+ * @param {DominatorTreeNode} tree
+ * @param {Array<NodeId>} path
+ *        The ids of the nodes from the root of the tree to the parent of the
+ *        new children.
+ * @param {Array<DominatorTreeNode>} newChildren
+ * @param {Boolean} moreChildrenAvailable
+ *
+ * @returns {DominatorTreeNode}
+ */
+DominatorTreeNode.insert = function (tree, path, newChildren, moreChildrenAvailable) {
+  function insert(node, i) {
+    if (node.nodeId !== path[i]) {
+      return node;
+    }
+
+    if (i === path.length - 1) {
+      return Object.assign({}, node, {
+        children: (node.children || []).concat(newChildren),
+        moreChildrenAvailable,
+      });
+    }
+
+    return Object.assign({}, node, {
+      children: (node.children || []).map(child => insert(child, i + 1)),
+    });
+  }
+
+  return insert(tree, 0);
+};
+
+/**
+ * Find the node with the given id along a path from the root of the tree.
+ *
+ * @param {NodeId} id
+ * @param {DominatorTreeNode} tree
+ * @param {Array<NodeId>} path
+ *
+ * @returns {DominatorTreeNode|null}
+ */
+DominatorTreeNode.getNodeByIdAlongPath = function (id, tree, path) {
+  function find(node, i) {
+    if (!node || node.nodeId !== path[i]) {
+      return null;
+    }
+
+    if (node.nodeId === id) {
+      return node;
+    }
+
+    if (i === path.length - 1 || !node.children) {
+      return null;
+    }
+
+    const nextId = path[i + 1];
+    return find(node.children.find(child => child.nodeId === nextId), i + 1);
+  }
+
+  return find(tree, 0);
+};
+
+/**
+ * Compute the shortest paths from the roots of the heap to a node, and merge
+ * them into a tree of its retainers: the node itself is the root of the tree,
+ * and the children of each node are the nodes referring to it along the
+ * paths, with the name of the edge they refer to it by.
+ *
+ * Nodes of the heap can appear in several branches, so the nodes of the
+ * resulting tree have their own unique `id`.
+ *
+ * @param {DominatorTree} dominatorTree
+ * @param {HeapSnapshot} snapshot
+ * @param {Object} breakdown
+ * @param {NodeId} nodeId
+ * @param {Number} maxNumPaths
+ *
+ * @returns {Object}
+ *          The root of the tree of retainers. Its nodes have the same
+ *          properties as a DominatorTreeNode without children, plus `id` and
+ *          `edge`, the name of the edge from the node to its parent in the
+ *          tree, and their `children` are always set.
+ */
+DominatorTreeNode.getRetainingPaths = function (dominatorTree,
+                                                snapshot,
+                                                breakdown,
+                                                nodeId,
+                                                maxNumPaths = DEFAULT_MAX_NUM_PATHS) {
+  let nextId = 0;
+  const createNode = (id, edge) => {
+    const node = DominatorTreeNode.fromNodeId(dominatorTree, snapshot,
+                                              breakdown, id);
+    node.id = nextId++;
+    node.edge = edge;
+    node.children = [];
+    return node;
+  };
+
+  const root = createNode(nodeId, null);
+  if (nodeId === dominatorTree.root) {
+    return root;
+  }
+
+  const paths = snapshot.computeShortestPaths(dominatorTree.root, [nodeId],
+                                              maxNumPaths);
+  for (let path of (paths.get(nodeId) || [])) {
+    // Each path is a list of { predecessor, edge } steps from the roots of
+    // the heap to the node.
+    let node = root;
+    for (let i = path.length - 1; i >= 0; i--) {
+      const { predecessor, edge } = path[i];
+      let retainer = node.children.find(child => {
+        return child.nodeId === predecessor && child.edge === edge;
+      });
+      if (!retainer) {
+        retainer = createNode(predecessor, edge);
+        retainer.parentId = node.nodeId;
+        node.children.push(retainer);
+      }
+      node = retainer;
+    }
+  }
+
+  return root;
+};
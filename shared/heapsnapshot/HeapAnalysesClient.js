@@ -37,7 +37,9 @@ HeapAnalysesClient.prototype.destroy = function () {
 /**
  * Tell the worker to read into memory the heap snapshot at the given file
  * path. This is a prerequisite for asking the worker to perform various
- * analyses on a heap snapshot.
+ * analyses on a heap snapshot. Files with the `.heapsnapshot` extension are
+ * read as V8 heap snapshots, saved by Chrome or Node, which support censuses
+ * but not dominator trees.
  *
  * @param {String} snapshotFilePath
  *
@@ -51,6 +53,21 @@ HeapAnalysesClient.prototype.readHeapSnapshot = function (snapshotFilePath) {
   return this._worker.performTask("readHeapSnapshot", { snapshotFilePath });
 };
 
+/**
+ * Tell the worker to release the heap snapshot at the given file path, and
+ * the dominator tree computed from it if any. The snapshot has to be read
+ * again before any further analysis on it.
+ *
+ * @param {String} snapshotFilePath
+ *
+ * @returns Promise
+ *          The promise is rejected if the worker has no heap snapshot read
+ *          from that path.
+ */
+HeapAnalysesClient.prototype.deleteHeapSnapshot = function (snapshotFilePath) {
+  return this._worker.performTask("deleteHeapSnapshot", { snapshotFilePath });
+};
+
 /**
  * Ask the worker to perform a census analysis on the heap snapshot with the
  * given path. The heap snapshot at the given path must have already been read
@@ -149,3 +166,96 @@ HeapAnalysesClient.prototype.takeCensusDiff = function (firstSnapshotFilePath,
 HeapAnalysesClient.prototype.getCreationTime = function (snapshotFilePath) {
   return this._worker.performTask("getCreationTime", snapshotFilePath);
 };
+
+/**
+ * Ask the worker to compute the dominator tree of the heap snapshot with the
+ * given path. The heap snapshot must have already been read into memory by
+ * the worker (see `readHeapSnapshot`). The dominator tree is kept until the
+ * heap snapshot is deleted (see `deleteHeapSnapshot`), and computing it again
+ * gives the same id.
+ *
+ * @param {String} snapshotFilePath
+ *
+ * @returns {Promise<DominatorTreeId>}
+ *          The id of the dominator tree, to identify it in other requests.
+ */
+HeapAnalysesClient.prototype.computeDominatorTree = function (snapshotFilePath) {
+  return this._worker.performTask("computeDominatorTree", snapshotFilePath);
+};
+
+/**
+ * Get the first levels of a dominator tree computed by the worker.
+ *
+ * @param {Object} opts
+ *        An object specifying options for this request.
+ *        - {DominatorTreeId} dominatorTreeId
+ *          The id of the dominator tree.
+ *        - {Object} breakdown
+ *          The breakdown used to label the nodes, by their census.
+ *        - {Number} maxDepth
+ *          The depth to traverse the tree to. Optional.
+ *        - {Number} maxSiblings
+ *          The number of children to get for each node, the biggest first.
+ *          Optional.
+ *
+ * @returns {Promise<DominatorTreeNode>}
+ *          The root of the partial tree.
+ *          @see `devtools/shared/heapsnapshot/DominatorTreeNode.js`
+ */
+HeapAnalysesClient.prototype.getDominatorTree = function (opts) {
+  return this._worker.performTask("getDominatorTree", opts);
+};
+
+/**
+ * Get more of the children of a node of a dominator tree computed by the
+ * worker.
+ *
+ * @param {Object} opts
+ *        An object specifying options for this request.
+ *        - {DominatorTreeId} dominatorTreeId
+ *          The id of the dominator tree.
+ *        - {NodeId} nodeId
+ *          The id of the node whose children to get.
+ *        - {Object} breakdown
+ *          The breakdown used to label the nodes, by their census.
+ *        - {Number} startIndex
+ *          The index of the first child to get. Optional.
+ *        - {Number} maxCount
+ *          The number of children to get. Optional.
+ *
+ * @returns {Promise<Object>}
+ *          An object with the following properties:
+ *          - {Array<DominatorTreeNode>} nodes: The children, without their
+ *            own children.
+ *          - {Boolean} moreChildrenAvailable: Whether there are children past
+ *            these.
+ *          - {Array<NodeId>} path: The ids of the nodes from the root of the
+ *            tree to the node, to insert the children in the tree with
+ *            `DominatorTreeNode.insert`.
+ */
+HeapAnalysesClient.prototype.getImmediatelyDominated = function (opts) {
+  return this._worker.performTask("getImmediatelyDominated", opts);
+};
+
+/**
+ * Get the shortest paths from the roots of the heap to a node of a dominator
+ * tree computed by the worker, as a tree of its retainers.
+ *
+ * @param {Object} opts
+ *        An object specifying options for this request.
+ *        - {DominatorTreeId} dominatorTreeId
+ *          The id of the dominator tree.
+ *        - {NodeId} nodeId
+ *          The id of the node whose retainers to get.
+ *        - {Object} breakdown
+ *          The breakdown used to label the nodes, by their census.
+ *        - {Number} maxNumPaths
+ *          The number of paths to get. Optional.
+ *
+ * @returns {Promise<Object>}
+ *          The tree of retainers, rooted at the node.
+ *          @see `DominatorTreeNode.getRetainingPaths`
+ */
+HeapAnalysesClient.prototype.getRetainingPaths = function (opts) {
+  return this._worker.performTask("getRetainingPaths", opts);
+};
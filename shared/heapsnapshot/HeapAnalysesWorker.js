@@ -1,7 +1,7 @@
 /* This Source Code Form is subject to the terms of the Mozilla Public
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
-/*global ThreadSafeChromeUtils*/
+/*global ThreadSafeChromeUtils, OS*/
 
 // This is a worker which reads offline heap snapshots into memory and performs
 // heavyweight analyses on them without blocking the main thread. A
@@ -12,22 +12,78 @@
 
 importScripts("resource://gre/modules/workers/require.js");
 importScripts("resource://devtools/shared/worker/helper.js");
+importScripts("resource://gre/modules/osfile.jsm");
 const { censusReportToCensusTreeNode } = require("resource://devtools/shared/heapsnapshot/census-tree-node.js");
 const CensusUtils = require("resource://devtools/shared/heapsnapshot/CensusUtils.js");
+const DominatorTreeNode = require("resource://devtools/shared/heapsnapshot/DominatorTreeNode.js");
+const V8HeapSnapshot = require("resource://devtools/shared/heapsnapshot/V8HeapSnapshot.js");
 
-// The set of HeapSnapshot instances this worker has read into memory. Keyed by
+// The set of HeapSnapshot instances this worker has read into memory, or
+// V8HeapSnapshot instances for snapshots saved by Chrome or Node. Keyed by
 // snapshot file path.
 const snapshots = Object.create(null);
 
+// The set of DominatorTree instances this worker has computed, and the
+// HeapSnapshot each was computed from. Indexed by dominator tree id. A
+// dominator tree is deleted along with its snapshot, leaving a hole.
+const dominatorTrees = [];
+const dominatorTreeSnapshots = [];
+
 /**
  * @see HeapAnalysesClient.prototype.readHeapSnapshot
  */
 workerHelper.createTask(self, "readHeapSnapshot", ({ snapshotFilePath }) => {
+  if (snapshots[snapshotFilePath]) {
+    deleteDominatorTree(snapshots[snapshotFilePath]);
+  }
   snapshots[snapshotFilePath] =
-    ThreadSafeChromeUtils.readHeapSnapshot(snapshotFilePath);
+    V8HeapSnapshot.isV8HeapSnapshotPath(snapshotFilePath)
+      ? readV8HeapSnapshot(snapshotFilePath)
+      : ThreadSafeChromeUtils.readHeapSnapshot(snapshotFilePath);
   return true;
 });
 
+/**
+ * @see HeapAnalysesClient.prototype.deleteHeapSnapshot
+ */
+workerHelper.createTask(self, "deleteHeapSnapshot", ({ snapshotFilePath }) => {
+  const snapshot = snapshots[snapshotFilePath];
+  if (!snapshot) {
+    throw new Error(`No known heap snapshot for '${snapshotFilePath}'`);
+  }
+
+  delete snapshots[snapshotFilePath];
+  deleteDominatorTree(snapshot);
+  return true;
+});
+
+/**
+ * Forget the dominator tree computed from the given snapshot, if any.
+ *
+ * @param {HeapSnapshot|V8HeapSnapshot} snapshot
+ */
+function deleteDominatorTree(snapshot) {
+  const dominatorTreeId = dominatorTreeSnapshots.indexOf(snapshot);
+  if (dominatorTreeId != -1) {
+    dominatorTrees[dominatorTreeId] = undefined;
+    dominatorTreeSnapshots[dominatorTreeId] = undefined;
+  }
+}
+
+/**
+ * Read the V8 heap snapshot at the given path. V8 doesn't record when the
+ * snapshot was taken, so the file's modification date stands in for it.
+ *
+ * @param {String} snapshotFilePath
+ *
+ * @returns {V8HeapSnapshot}
+ */
+function readV8HeapSnapshot(snapshotFilePath) {
+  const json = JSON.parse(OS.File.read(snapshotFilePath, { encoding: "utf-8" }));
+  const { lastModificationDate } = OS.File.stat(snapshotFilePath);
+  return new V8HeapSnapshot(json, lastModificationDate.getTime() * 1000);
+}
+
 /**
  * @see HeapAnalysesClient.prototype.takeCensus
  */
@@ -68,8 +124,13 @@ workerHelper.createTask(self, "takeCensusDiff", request => {
     throw new Error(`No known heap snapshot for '${secondSnapshotFilePath}'`);
   }
 
-  const first = snapshots[firstSnapshotFilePath].takeCensus(censusOptions);
-  const second = snapshots[secondSnapshotFilePath].takeCensus(censusOptions);
+  // The frames of V8 heap snapshots are interned for this diff only, so that
+  // both reports share them without the worker holding on to them.
+  const frameCache = new Map();
+  const first = snapshots[firstSnapshotFilePath].takeCensus(censusOptions,
+                                                            frameCache);
+  const second = snapshots[secondSnapshotFilePath].takeCensus(censusOptions,
+                                                              frameCache);
   const delta = CensusUtils.diff(censusOptions.breakdown, first, second);
 
   if (requestOptions.asTreeNode || requestOptions.asInvertedTreeNode) {
@@ -90,3 +151,103 @@ workerHelper.createTask(self, "getCreationTime", (snapshotFilePath) => {
   let snapshot = snapshots[snapshotFilePath];
   return snapshot ? snapshot.creationTime : null;
 });
+
+/**
+ * @see HeapAnalysesClient.prototype.computeDominatorTree
+ */
+workerHelper.createTask(self, "computeDominatorTree", snapshotFilePath => {
+  const snapshot = snapshots[snapshotFilePath];
+  if (!snapshot) {
+    throw new Error(`No known heap snapshot for '${snapshotFilePath}'`);
+  }
+
+  const existingId = dominatorTreeSnapshots.indexOf(snapshot);
+  if (existingId != -1) {
+    return existingId;
+  }
+
+  const id = dominatorTrees.length;
+  dominatorTrees.push(snapshot.computeDominatorTree());
+  dominatorTreeSnapshots.push(snapshot);
+  return id;
+});
+
+function getDominatorTree(dominatorTreeId) {
+  if (!(dominatorTreeId >= 0 && dominatorTreeId < dominatorTrees.length) ||
+      !dominatorTrees[dominatorTreeId]) {
+    throw new Error(`No known dominator tree with the id ${dominatorTreeId}`);
+  }
+  return dominatorTrees[dominatorTreeId];
+}
+
+/**
+ * @see HeapAnalysesClient.prototype.getDominatorTree
+ */
+workerHelper.createTask(self, "getDominatorTree", request => {
+  const {
+    dominatorTreeId,
+    breakdown,
+    maxDepth,
+    maxSiblings
+  } = request;
+
+  return DominatorTreeNode.partialTraversal(getDominatorTree(dominatorTreeId),
+                                            dominatorTreeSnapshots[dominatorTreeId],
+                                            breakdown,
+                                            maxDepth,
+                                            maxSiblings);
+});
+
+/**
+ * @see HeapAnalysesClient.prototype.getImmediatelyDominated
+ */
+workerHelper.createTask(self, "getImmediatelyDominated", request => {
+  const {
+    dominatorTreeId,
+    nodeId,
+    breakdown,
+    startIndex,
+    maxCount
+  } = request;
+
+  const dominatorTree = getDominatorTree(dominatorTreeId);
+  const snapshot = dominatorTreeSnapshots[dominatorTreeId];
+
+  const childIds = dominatorTree.getImmediatelyDominated(nodeId);
+  if (!childIds) {
+    throw new Error(`${nodeId} is not a node id in the dominator tree`);
+  }
+
+  const start = startIndex || 0;
+  const end = start + (maxCount || DominatorTreeNode.DEFAULT_MAX_SIBLINGS);
+  const nodes = childIds.slice(start, end).map(id => {
+    const node = DominatorTreeNode.fromNodeId(dominatorTree, snapshot,
+                                              breakdown, id);
+    node.parentId = nodeId;
+    return node;
+  });
+
+  return {
+    nodes,
+    moreChildrenAvailable: end < childIds.length,
+    path: DominatorTreeNode.getPath(dominatorTree, nodeId),
+  };
+});
+
+/**
+ * @see HeapAnalysesClient.prototype.getRetainingPaths
+ */
+workerHelper.createTask(self, "getRetainingPaths", request => {
+  const {
+    dominatorTreeId,
+    nodeId,
+    breakdown,
+    maxNumPaths
+  } = request;
+
+  return DominatorTreeNode.getRetainingPaths(getDominatorTree(dominatorTreeId),
+                                             dominatorTreeSnapshots[dominatorTreeId],
+                                             breakdown,
+                                             nodeId,
+                                             maxNumPaths);
+});
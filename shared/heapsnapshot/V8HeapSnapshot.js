@@ -0,0 +1,400 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+// V8HeapSnapshot reads the `.heapsnapshot` JSON files saved by Chrome's and
+// Node's heap profiler, and takes censuses of them with the same breakdowns
+// and in the same report format as the platform's HeapSnapshot, so that the
+// HeapAnalysesWorker can treat both kinds of snapshots alike.
+//
+// The format is described by the `meta` section of the file itself: the nodes
+// and edges of the heap graph are flattened into arrays of integers, with
+// `node_fields` and `edge_fields` giving the meaning of each position, and
+// `node_types` the meaning of enumerated values. When allocations were tracked
+// while taking the snapshot, `trace_tree` holds the allocation stacks and each
+// node's `trace_node_id` points into it.
+
+const V8_HEAP_SNAPSHOT_EXTENSION = ".heapsnapshot";
+
+// Node types whose nodes are JS objects, for the "objects" coarse type.
+const OBJECT_TYPES = new Set(["object", "closure", "regexp", "native"]);
+
+// Node types whose nodes are strings, for the "strings" coarse type.
+const STRING_TYPES = new Set(["string", "concatenated string", "sliced string"]);
+
+// Node types whose nodes are compiled code, for the "scripts" coarse type.
+const SCRIPT_TYPES = new Set(["code"]);
+
+// Node types whose names are more telling than their type for the
+// "internalType" breakdown, eg "system / Map" or "(object properties)".
+const NAMED_INTERNAL_TYPES = new Set(["hidden", "array"]);
+
+// The synthetic nodes are the roots of the graph, not things in the heap.
+const SYNTHETIC_TYPE = "synthetic";
+
+/**
+ * A frame of an allocation stack recorded in a V8 heap snapshot, standing for
+ * a SavedFrame: it has the properties census reports and CensusTreeNodes use,
+ * and is recognized by isSavedFrame.
+ *
+ * Its properties are all its own so that they survive being sent from the
+ * worker to the main thread.
+ */
+function V8SavedFrame(source, line, column, functionDisplayName, parent) {
+  this.source = source;
+  this.line = line;
+  this.column = column;
+  this.functionDisplayName = functionDisplayName;
+  this.asyncCause = null;
+  this.asyncParent = null;
+  this.parent = parent;
+}
+
+Object.defineProperty(V8SavedFrame.prototype, Symbol.toStringTag, {
+  value: "SavedFrame"
+});
+
+/**
+ * Get the frame for the given properties, interned in the given cache: a Map
+ * of the frames by parent frame and then by contents.
+ */
+function getFrame(frameCache, source, line, column, functionDisplayName,
+                  parent) {
+  const key = `${functionDisplayName},${source},${line},${column}`;
+  let frames = frameCache.get(parent);
+  if (!frames) {
+    frames = new Map();
+    frameCache.set(parent, frames);
+  }
+
+  let frame = frames.get(key);
+  if (!frame) {
+    frame = new V8SavedFrame(source, line, column, functionDisplayName, parent);
+    frames.set(key, frame);
+  }
+  return frame;
+}
+
+/**
+ * Get the copy of the given frame, and of its parents, interned in the given
+ * cache. `interned` maps the frames already copied to their copies.
+ */
+function internFrame(frame, frameCache, interned) {
+  if (!frame) {
+    return null;
+  }
+
+  let copy = interned.get(frame);
+  if (!copy) {
+    copy = getFrame(frameCache, frame.source, frame.line, frame.column,
+                    frame.functionDisplayName,
+                    internFrame(frame.parent, frameCache, interned));
+    interned.set(frame, copy);
+  }
+  return copy;
+}
+
+/**
+ * A heap snapshot saved by V8.
+ *
+ * @param {Object} json
+ *        The parsed contents of a `.heapsnapshot` file.
+ * @param {Number} creationTime
+ *        When the snapshot was taken, in microseconds since the epoch, as for
+ *        HeapSnapshot.
+ */
+function V8HeapSnapshot(json, creationTime) {
+  if (!json || !json.snapshot || !json.snapshot.meta
+      || !Array.isArray(json.nodes) || !Array.isArray(json.strings)) {
+    throw new Error("Not a V8 heap snapshot");
+  }
+
+  const meta = json.snapshot.meta;
+  const nodeFields = meta.node_fields;
+  this._nodeFieldCount = nodeFields.length;
+  this._typeOffset = nodeFields.indexOf("type");
+  this._nameOffset = nodeFields.indexOf("name");
+  this._selfSizeOffset = nodeFields.indexOf("self_size");
+  this._traceNodeIdOffset = nodeFields.indexOf("trace_node_id");
+  if (this._typeOffset === -1 || this._nameOffset === -1
+      || this._selfSizeOffset === -1) {
+    throw new Error("Unsupported V8 heap snapshot node fields");
+  }
+
+  this._nodeTypes = meta.node_types[this._typeOffset];
+  this._nodes = json.nodes;
+  this._strings = json.strings;
+  this._frames = this._readTraceTree(json, meta);
+
+  this.creationTime = creationTime;
+}
+
+V8HeapSnapshot.prototype = {
+  /**
+   * Read the allocation stacks, if any were recorded.
+   *
+   * @returns {Map<Number, V8SavedFrame>}
+   *          The youngest frame of the stack of each node of the trace tree,
+   *          by trace node id.
+   */
+  _readTraceTree(json, meta) {
+    const frames = new Map();
+    const frameCache = new Map();
+    const functionInfoFields = meta.trace_function_info_fields;
+    const traceNodeFields = meta.trace_node_fields;
+    if (!json.trace_tree || !json.trace_function_infos
+        || !functionInfoFields || !traceNodeFields) {
+      return frames;
+    }
+
+    const infos = json.trace_function_infos;
+    const infoFieldCount = functionInfoFields.length;
+    const nameOffset = functionInfoFields.indexOf("name");
+    const scriptNameOffset = functionInfoFields.indexOf("script_name");
+    const lineOffset = functionInfoFields.indexOf("line");
+    const columnOffset = functionInfoFields.indexOf("column");
+
+    const nodeFieldCount = traceNodeFields.length;
+    const idOffset = traceNodeFields.indexOf("id");
+    const infoIndexOffset = traceNodeFields.indexOf("function_info_index");
+    const childrenOffset = traceNodeFields.indexOf("children");
+
+    // The first node of the trace tree is the root, which isn't a frame.
+    // Lines and columns are 0-based, and -1 when unknown.
+    const walkChildren = (children, parent) => {
+      for (let i = 0; i < children.length; i += nodeFieldCount) {
+        const info = children[i + infoIndexOffset] * infoFieldCount;
+        const line = infos[info + lineOffset];
+        const column = infos[info + columnOffset];
+        const frame = getFrame(frameCache,
+                               this._strings[infos[info + scriptNameOffset]],
+                               line >= 0 ? line + 1 : 0,
+                               column >= 0 ? column + 1 : 0,
+                               this._strings[infos[info + nameOffset]] || null,
+                               parent);
+        frames.set(children[i + idOffset], frame);
+        walkChildren(children[i + childrenOffset], frame);
+      }
+    };
+    if (json.trace_tree.length) {
+      walkChildren(json.trace_tree[childrenOffset], null);
+    }
+
+    return frames;
+  },
+
+  /**
+   * Take a census of the snapshot.
+   *
+   * @param {Object} options
+   *        The census options, with the `breakdown` of the report.
+   * @param {Map} frameCache
+   *        Optional. A cache to intern the frames of the report in, shared
+   *        by the censuses of the snapshots to be diffed: their reports are
+   *        matched up by frame identity.
+   *
+   * @returns {Object}
+   *          The census report, in the format of HeapSnapshot's.
+   */
+  takeCensus(options, frameCache) {
+    const breakdown = (options && options.breakdown) ||
+                      { by: "coarseType",
+                        objects: { by: "count", count: true, bytes: true },
+                        strings: { by: "count", count: true, bytes: true },
+                        scripts: { by: "count", count: true, bytes: true },
+                        other: { by: "count", count: true, bytes: true } };
+    const report = createReport(breakdown);
+
+    let frames = this._frames;
+    if (frameCache) {
+      const interned = new Map();
+      frames = new Map();
+      for (let [id, frame] of this._frames) {
+        frames.set(id, internFrame(frame, frameCache, interned));
+      }
+    }
+
+    const nodes = this._nodes;
+    for (let i = 0; i < nodes.length; i += this._nodeFieldCount) {
+      const node = this._getNode(i, frames);
+      if (node.type !== SYNTHETIC_TYPE) {
+        count(breakdown, report, node);
+      }
+    }
+
+    return report;
+  },
+
+  /**
+   * Describe the node starting at the given index of the nodes array, as
+   * needed by the census, with its frame from the given frames by trace node
+   * id.
+   */
+  _getNode(index, frames) {
+    const nodes = this._nodes;
+    const traceNodeId = this._traceNodeIdOffset === -1
+      ? 0
+      : nodes[index + this._traceNodeIdOffset];
+    return {
+      type: this._nodeTypes[nodes[index + this._typeOffset]],
+      name: this._strings[nodes[index + this._nameOffset]],
+      size: nodes[index + this._selfSizeOffset],
+      frame: frames.get(traceNodeId) || null,
+    };
+  },
+
+  /**
+   * Dominator trees aren't implemented for V8 heap snapshots yet.
+   */
+  computeDominatorTree() {
+    throw new Error("Dominator trees are not implemented for V8 heap snapshots");
+  },
+};
+
+/**
+ * Create an empty census report for the given breakdown.
+ */
+function createReport(breakdown) {
+  switch (breakdown.by) {
+    case "count":
+      return { count: 0, bytes: 0 };
+    case "coarseType":
+      return {
+        objects: createReport(breakdown.objects),
+        strings: createReport(breakdown.strings),
+        scripts: createReport(breakdown.scripts),
+        other: createReport(breakdown.other),
+      };
+    case "allocationStack":
+      return new Map();
+    case "objectClass":
+    case "internalType":
+    case "filename":
+      return {};
+    default:
+      throw new Error(`Unsupported census breakdown: ${breakdown.by}`);
+  }
+}
+
+/**
+ * Get the sub-report of a report keyed by `edge`, creating it if needed.
+ */
+function getSubReport(report, edge, breakdown) {
+  if (report instanceof Map) {
+    if (!report.has(edge)) {
+      report.set(edge, createReport(breakdown));
+    }
+    return report.get(edge);
+  }
+
+  if (!(edge in report)) {
+    report[edge] = createReport(breakdown);
+  }
+  return report[edge];
+}
+
+/**
+ * The class of an object node: its constructor's name, without the details
+ * V8 adds after a slash, eg "Window / https://example.com".
+ */
+function getObjectClass(node) {
+  if (node.type === "closure") {
+    return "Function";
+  }
+  if (node.type === "regexp") {
+    return "RegExp";
+  }
+  const name = node.name.split(" / ")[0].replace(/^Detached /, "");
+  return name || "Object";
+}
+
+function getInternalType(node) {
+  return NAMED_INTERNAL_TYPES.has(node.type) ? node.name : node.type;
+}
+
+/**
+ * Count a node into the report for the given breakdown.
+ */
+function count(breakdown, report, node) {
+  switch (breakdown.by) {
+    case "count":
+      report.count++;
+      report.bytes += node.size;
+      return;
+
+    case "coarseType":
+      if (OBJECT_TYPES.has(node.type)) {
+        count(breakdown.objects, report.objects, node);
+      } else if (STRING_TYPES.has(node.type)) {
+        count(breakdown.strings, report.strings, node);
+      } else if (SCRIPT_TYPES.has(node.type)) {
+        count(breakdown.scripts, report.scripts, node);
+      } else {
+        count(breakdown.other, report.other, node);
+      }
+      return;
+
+    case "objectClass": {
+      const isObject = OBJECT_TYPES.has(node.type);
+      const edge = isObject ? getObjectClass(node) : "other";
+      const subBreakdown = isObject ? breakdown.then : breakdown.other;
+      count(subBreakdown, getSubReport(report, edge, subBreakdown), node);
+      return;
+    }
+
+    case "internalType":
+      count(breakdown.then,
+            getSubReport(report, getInternalType(node), breakdown.then),
+            node);
+      return;
+
+    case "allocationStack": {
+      const edge = node.frame || "noStack";
+      const subBreakdown = node.frame ? breakdown.then : breakdown.noStack;
+      count(subBreakdown, getSubReport(report, edge, subBreakdown), node);
+      return;
+    }
+
+    case "filename":
+      // Code nodes don't record the script they come from.
+      count(breakdown.noFilename,
+            getSubReport(report, "noFilename", breakdown.noFilename),
+            node);
+      return;
+
+    default:
+      throw new Error(`Unsupported census breakdown: ${breakdown.by}`);
+  }
+}
+
+module.exports = V8HeapSnapshot;
+
+/**
+ * Return true if the file at the given path is a V8 heap snapshot rather
+ * than a Firefox one, by its extension.
+ *
+ * @param {String} path
+ *
+ * @returns {Boolean}
+ */
+V8HeapSnapshot.isV8HeapSnapshotPath = function (path) {
+  return path.toLowerCase().endsWith(V8_HEAP_SNAPSHOT_EXTENSION);
+};
+
+/**
+ * Return true if the given object is a frame of an allocation stack recorded
+ * in a V8 heap snapshot. Once sent from the worker to the main thread, such
+ * frames are plain objects, unlike SavedFrames.
+ *
+ * @param {any} thing
+ *
+ * @returns {Boolean}
+ */
+V8HeapSnapshot.isV8SavedFrame = function (thing) {
+  return !!thing && typeof thing === "object"
+    && typeof thing.source === "string"
+    && typeof thing.line === "number"
+    && "functionDisplayName" in thing
+    && "parent" in thing;
+};
@@ -142,8 +142,8 @@ Object.defineProperty(JSONPacket.prototype, "object", {
    */
   set: function(object) {
     this._object = object;
-    let data = JSON.stringify(object);
-    this._data = data;
+    // The length in the header counts bytes, not characters.
+    this._data = utf8.encode(JSON.stringify(object));
     this.length = this._data.length;
   }
 });
@@ -0,0 +1,429 @@
+/* eslint-env browser */
+/* -*- indent-tabs-mode: nil; js-indent-level: 2 -*- */
+/* vim: set ft=javascript ts=2 et sw=2 tw=80: */
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+"use strict";
+
+/**
+ * Transports to record a debugging session and play it back later, without
+ * the server it was recorded from.
+ *
+ * A recording is a JSON-serializable object like:
+ *
+ *   {
+ *     version: 1,
+ *     entries: [
+ *       { time: 0, direction: "receive", packet: { from: "root", ... } },
+ *       { time: 12, direction: "send", packet: { to: "root", ... } },
+ *       { time: 40, direction: "receive",
+ *         bulk: { actor, type, length }, data: "..." },
+ *       ...
+ *     ]
+ *   }
+ *
+ * where |time| is in milliseconds since the transport was ready, "send" is
+ * from the client to the server and "receive" the other way around, and the
+ * |data| of bulk packets is a string of bytes.
+ */
+
+const DevToolsUtils = require("devtools/shared/DevToolsUtils");
+const { dumpn } = DevToolsUtils;
+const StreamUtils = require("devtools/shared/transport/stream-utils");
+const promise = require("devtools/sham/promise");
+const EventEmitter = require("devtools/shared/event-emitter");
+
+const RECORDING_VERSION = 1;
+
+function clone(object) {
+  return JSON.parse(JSON.stringify(object));
+}
+
+/**
+ * The input stream of a replayed bulk packet, over its recorded data, with
+ * the |available|, |readBytes| and |asyncWait| of IncomingBytes. As all of
+ * the data is there from the start, |asyncWait| calls back on the next tick
+ * until everything was read, so that the stream can be read directly as well
+ * as with |copyTo|.
+ *
+ * @param data string
+ *        The recorded bytes.
+ */
+function RecordedBytes(data) {
+  this._data = data;
+}
+
+RecordedBytes.prototype = {
+  available: function() {
+    return this._data.length;
+  },
+
+  readBytes: function(count) {
+    let result = this._data.slice(0, count);
+    this._data = this._data.slice(count);
+    return result;
+  },
+
+  asyncWait: function(callback) {
+    if (!this._data.length) {
+      return;
+    }
+    DevToolsUtils.executeSoon(() => callback.onInputStreamReady(this));
+  }
+};
+
+/**
+ * A transport recording all the packets going through another transport,
+ * like a DebuggerTransport or LocalDebuggerTransport, which it otherwise
+ * behaves exactly like.
+ *
+ * The data of bulk packets is recorded when it is read with |copyTo| and
+ * written with |copyFrom|, not when the streams are used directly.
+ *
+ * @param transport
+ *        The transport to record.
+ */
+function RecordingTransport(transport) {
+  EventEmitter.decorate(this);
+
+  this._transport = transport;
+  this._entries = [];
+  this._start = null;
+
+  this.hooks = null;
+  this.close = this.close.bind(this);
+}
+
+RecordingTransport.prototype = {
+  ready: function() {
+    this._start = Date.now();
+    this._transport.hooks = {
+      onPacket: packet => {
+        this._record("receive", { packet: clone(packet) });
+        this.emit("onPacket", packet);
+        this.hooks.onPacket(packet);
+      },
+      onBulkPacket: packet => {
+        let entry = this._recordBulk("receive", packet);
+        let copyTo = packet.copyTo;
+        packet.copyTo = output => copyTo({
+          write: (data, count) => {
+            entry.data += data.slice(0, count);
+            return output.write(data, count);
+          }
+        });
+        this.emit("onBulkPacket", packet);
+        this.hooks.onBulkPacket(packet);
+      },
+      onClosed: reason => {
+        this.emit("onClosed", reason);
+        if (this.hooks) {
+          this.hooks.onClosed(reason);
+          this.hooks = null;
+        }
+      }
+    };
+    this._transport.ready();
+  },
+
+  send: function(packet) {
+    this._record("send", { packet: clone(packet) });
+    this.emit("send", packet);
+    this._transport.send(packet);
+  },
+
+  startBulkSend: function(header) {
+    let entry = this._recordBulk("send", header);
+    this.emit("startBulkSend", header);
+    return this._transport.startBulkSend(header).then(writer => ({
+      stream: writer.stream,
+      done: writer.done,
+      copyFrom: input => writer.copyFrom({
+        available: () => input.available(),
+        readBytes: count => {
+          let data = input.readBytes(count);
+          entry.data += data;
+          return data;
+        },
+        asyncWait: callback => input.asyncWait(callback)
+      })
+    }));
+  },
+
+  close: function(reason) {
+    this._transport.close(reason);
+  },
+
+  /**
+   * Returns the recording of the packets seen so far, see the top of this
+   * file for its format.
+   */
+  getRecording: function() {
+    return {
+      version: RECORDING_VERSION,
+      entries: clone(this._entries)
+    };
+  },
+
+  _record: function(direction, entry) {
+    entry.time = Date.now() - this._start;
+    entry.direction = direction;
+    this._entries.push(entry);
+    return entry;
+  },
+
+  _recordBulk: function(direction, { actor, type, length }) {
+    return this._record(direction, {
+      bulk: { actor, type, length },
+      data: ""
+    });
+  }
+};
+
+exports.RecordingTransport = RecordingTransport;
+
+/**
+ * A transport acting as the server a recording was made from. The recorded
+ * server packets are played back in order, each batch of them waiting for
+ * the client to send the packet that preceded it in the recording.
+ *
+ * The packets the client sends are compared with the recorded ones by actor
+ * and type. When they differ, a "mismatch" event is emitted with the
+ * expected entry and the packet sent, and the replay goes on, unless the
+ * |strict| option is set, in which case the transport is closed.
+ *
+ * A "replay-done" event is emitted once every recorded packet was played.
+ *
+ * @param recording object
+ *        A recording made by a RecordingTransport.
+ * @param options object
+ *        - realTime boolean: wait between server packets as long as the
+ *          recorded server did, instead of sending them as soon as possible.
+ *        - strict boolean: close the transport on the first mismatch.
+ */
+function ReplayTransport(recording, options = {}) {
+  EventEmitter.decorate(this);
+
+  if (!recording || recording.version !== RECORDING_VERSION) {
+    throw new Error("Unsupported recording version: " +
+                    (recording && recording.version));
+  }
+
+  this._entries = recording.entries;
+  this._options = options;
+  // The next entry to replay.
+  this._index = 0;
+  // Packets sent by the client not compared with the recording yet.
+  this._sent = [];
+  // Time of the last entry replayed.
+  this._time = 0;
+  this._timer = null;
+  this._busy = false;
+
+  this.hooks = null;
+  this.active = false;
+  this.close = this.close.bind(this);
+}
+
+ReplayTransport.prototype = {
+  ready: function() {
+    this.active = true;
+    this._replay();
+  },
+
+  send: function(packet) {
+    this.emit("send", packet);
+    this._sent.push({ packet: clone(packet) });
+    this._replay();
+  },
+
+  /**
+   * Bulk data sent by the client is read and dropped.
+   */
+  startBulkSend: function(header) {
+    this.emit("startBulkSend", header);
+
+    let { actor, type, length } = header;
+    let stream = {
+      write: (data, count) => count
+    };
+    let copyDeferred = promise.defer();
+    copyDeferred.promise.then(() => {
+      this._sent.push({ bulk: { actor, type, length } });
+      this._replay();
+    }, this.close);
+
+    let sendDeferred = promise.defer();
+    DevToolsUtils.executeSoon(() => {
+      sendDeferred.resolve({
+        copyFrom: input => {
+          let copying = StreamUtils.copyStream(input, stream, length);
+          copyDeferred.resolve(copying);
+          return copying;
+        },
+        stream: stream,
+        done: copyDeferred
+      });
+    });
+    return sendDeferred.promise;
+  },
+
+  close: function(reason) {
+    if (!this.active) {
+      return;
+    }
+    this.active = false;
+    clearTimeout(this._timer);
+    this.emit("onClosed", reason);
+    if (this.hooks) {
+      this.hooks.onClosed(reason);
+      this.hooks = null;
+    }
+    if (reason) {
+      dumpn("Replay closed: " + DevToolsUtils.safeErrorString(reason));
+    }
+  },
+
+  /**
+   * Play the recording until it needs a packet the client hasn't sent yet.
+   */
+  _replay: function() {
+    while (this.active && !this._busy) {
+      let entry = this._entries[this._index];
+      if (!entry) {
+        this.emit("replay-done");
+        return;
+      }
+
+      if (entry.direction == "send") {
+        let sent = this._sent.shift();
+        if (!sent) {
+          return;
+        }
+        this._index++;
+        this._time = entry.time;
+        if (!this._check(entry, sent)) {
+          return;
+        }
+        continue;
+      }
+
+      this._index++;
+      this._busy = true;
+      let delay = this._options.realTime ? entry.time - this._time : 0;
+      this._time = entry.time;
+      this._timer = setTimeout(() => {
+        this._deliver(entry).then(() => {
+          this._busy = false;
+          this._replay();
+        }, this.close);
+      }, Math.max(delay, 0));
+      return;
+    }
+  },
+
+  _check: function(expected, sent) {
+    let expectedInfo = expected.bulk || expected.packet;
+    let sentInfo = sent.bulk || sent.packet;
+    if (!!expected.bulk == !!sent.bulk &&
+        (expectedInfo.to || expectedInfo.actor) ==
+          (sentInfo.to || sentInfo.actor) &&
+        expectedInfo.type == sentInfo.type) {
+      return true;
+    }
+
+    this.emit("mismatch", expected, sent);
+    if (this._options.strict) {
+      this.close(new Error("Unexpected packet: " + JSON.stringify(sentInfo)));
+      return false;
+    }
+    return true;
+  },
+
+  /**
+   * Hand a recorded server packet to the client.
+   *
+   * @return Promise
+   *         Resolved when the next packet can be delivered, which for bulk
+   *         packets is once the client read all of the data.
+   */
+  _deliver: function(entry) {
+    if (!this.hooks) {
+      return promise.resolve();
+    }
+
+    if (!entry.bulk) {
+      let packet = clone(entry.packet);
+      this.emit("onPacket", packet);
+      this.hooks.onPacket(packet);
+      return promise.resolve();
+    }
+
+    let { actor, type, length } = entry.bulk;
+    let stream = new RecordedBytes(entry.data);
+
+    let deferred = promise.defer();
+    let packet = {
+      actor: actor,
+      type: type,
+      length: length,
+      copyTo: output => {
+        let copying = StreamUtils.copyStream(stream, output, length);
+        deferred.resolve(copying);
+        return copying;
+      },
+      stream: stream,
+      done: deferred
+    };
+    this.emit("onBulkPacket", packet);
+    this.hooks.onBulkPacket(packet);
+    return deferred.promise;
+  }
+};
+
+exports.ReplayTransport = ReplayTransport;
+
+/**
+ * Offer a recording for download, as a JSON file.
+ *
+ * @param recording object
+ *        As returned by RecordingTransport.prototype.getRecording.
+ * @param fileName string
+ *        The name suggested for the file.
+ */
+exports.saveRecording = function(recording, fileName = "rdp-recording.json") {
+  let blob = new Blob([JSON.stringify(recording)], { type: "application/json" });
+  let url = URL.createObjectURL(blob);
+  let link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Read a recording saved with |saveRecording|.
+ *
+ * @param file File
+ *        The file, like the one picked in an <input type="file">.
+ * @return Promise
+ *         Resolved with the recording, to give to a ReplayTransport.
+ */
+exports.loadRecording = function(file) {
+  let deferred = promise.defer();
+  let reader = new FileReader();
+  reader.onload = () => {
+    try {
+      deferred.resolve(JSON.parse(reader.result));
+    } catch (e) {
+      deferred.reject(e);
+    }
+  };
+  reader.onerror = () => deferred.reject(reader.error);
+  reader.readAsText(file);
+  return deferred.promise;
+};
@@ -52,7 +52,13 @@ const BUFFER_SIZE = 0x8000;
  *         (unexpected) errors occur.
  */
 function copyStream(input, output, length) {
-  let copier = new StreamCopier(input, output, length);
+  let copier;
+  if (input.readBytes && !output.writeFrom) {
+    // Streams implemented in JS, like the ones of the WebSocket transport.
+    copier = new ByteStreamCopier(input, output, length);
+  } else {
+    copier = new StreamCopier(input, output, length);
+  }
   return copier.copy();
 }
 
@@ -190,6 +196,64 @@ StreamCopier.prototype = {
 
 };
 
+/**
+ * Copies between streams of byte strings: the input needs |available|,
+ * |readBytes| and |asyncWait|, and the output a |write(data, count)| that
+ * writes everything it's given.  This has the same interface as StreamCopier.
+ */
+function ByteStreamCopier(input, output, length) {
+  EventEmitter.decorate(this);
+  this._id = StreamCopier._nextId++;
+  this.input = input;
+  this.output = output;
+  this._length = length;
+  this._amountLeft = length;
+  this._deferred = promise.defer();
+
+  this.then = this._deferred.promise.then.bind(this._deferred.promise);
+}
+
+ByteStreamCopier.prototype = {
+
+  copy: function() {
+    // Dispatch to the next tick so that it's possible to attach a progress
+    // event listener, like StreamCopier does.
+    setTimeout(() => this.onInputStreamReady(), 0);
+    return this;
+  },
+
+  onInputStreamReady: function() {
+    try {
+      this._copy();
+    } catch(e) {
+      this._deferred.reject(e);
+    }
+  },
+
+  _copy: function() {
+    let amountToCopy = Math.min(this.input.available(), this._amountLeft);
+    if (amountToCopy > 0) {
+      this.output.write(this.input.readBytes(amountToCopy), amountToCopy);
+      this._amountLeft -= amountToCopy;
+      this._debug("Copied: " + amountToCopy + ", Left: " + this._amountLeft);
+      this._emitProgress();
+    }
+
+    if (this._amountLeft === 0) {
+      this._debug("Copy done!");
+      this._deferred.resolve();
+      return;
+    }
+
+    this._debug("Waiting for input stream");
+    this.input.asyncWait(this);
+  },
+
+  _emitProgress: StreamCopier.prototype._emitProgress,
+  _debug: StreamCopier.prototype._debug
+
+};
+
 /**
  * Read from a stream, one byte at a time, up to the next |delimiter|
  * character, but stopping if we've read |count| without finding it.  Reading
@@ -21,6 +21,72 @@ const utf8 = require("./utf8");
 
 const PACKET_HEADER_MAX = 200;
 
+/**
+ * Convert the data of a WebSocket message to a string of bytes, which is
+ * what the packets read.
+ */
+function toByteString(data) {
+  if (typeof data == "string") {
+    // Text frames, from proxies that decode the data as utf8.
+    return utf8.encode(data);
+  }
+  let bytes = new Uint8Array(data);
+  let result = "";
+  // Avoid blowing the stack with too many arguments.
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return result;
+}
+
+/**
+ * Convert a string of bytes to a buffer we can send as a binary frame.
+ */
+function toArrayBuffer(byteString) {
+  let bytes = new Uint8Array(byteString.length);
+  for (let i = 0; i < byteString.length; i++) {
+    bytes[i] = byteString.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * The bytes received on the socket but not read yet. This implements the
+ * parts of nsIAsyncInputStream and nsIScriptableInputStream the packets and
+ * the stream copier use, so that bulk packets can be read from it too.
+ */
+function IncomingBytes() {
+  this._data = "";
+  this._waiting = null;
+}
+
+IncomingBytes.prototype = {
+  available: function() {
+    return this._data.length;
+  },
+
+  readBytes: function(count) {
+    let result = this._data.slice(0, count);
+    this._data = this._data.slice(count);
+    return result;
+  },
+
+  asyncWait: function(callback) {
+    this._waiting = callback;
+  },
+
+  append: function(bytes) {
+    this._data += bytes;
+    let waiting = this._waiting;
+    this._waiting = null;
+    if (waiting) {
+      waiting.onInputStreamReady(this);
+    }
+  }
+};
+
+exports.IncomingBytes = IncomingBytes;
+
 /**
  * An adapter that handles data transfers between the debugger client and
  * server. It can work with both nsIPipe and nsIServerSocket transports so
@@ -82,6 +148,18 @@ function DebuggerTransport(socket) {
   EventEmitter.decorate(this);
 
   this._socket = socket;
+  // Packets are sent as bytes, so the proxy can forward them untouched.
+  this._socket.binaryType = "arraybuffer";
+
+  // The bytes received so far, read by the incoming packets.
+  this._input = new IncomingBytes();
+  // Where the outgoing packets write their bytes.
+  this._output = {
+    write: (data, count) => {
+      this._socket.send(toArrayBuffer(data.slice(0, count)));
+      return count;
+    }
+  };
 
   // The current incoming (possibly partial) header, which will determine which
   // type of Packet |_incoming| below will become.
@@ -248,13 +326,7 @@ DebuggerTransport.prototype = {
     }
 
     try {
-      this._currentOutgoing.write({
-        write: data => {
-          let count = data.length;
-          this._socket.send(data);
-          return count;
-        }
-      });
+      this._currentOutgoing.write(this._output);
     } catch(e) {
       if (e.result != Cr.NS_BASE_STREAM_WOULD_BLOCK) {
         this.close(e.result);
@@ -294,6 +366,12 @@ DebuggerTransport.prototype = {
    */
   ready: function() {
     this.active = true;
+    // The socket closes when the connection fails or the server goes away.
+    this._socket.onclose = event => {
+      if (this.active) {
+        this.close("WebSocket closed: " + event.code);
+      }
+    };
     this._waitForIncoming();
   },
 
@@ -323,6 +401,8 @@ DebuggerTransport.prototype = {
     this._incomingEnabled = true;
     this._flushIncoming();
     this._waitForIncoming();
+    // Process what arrived while the bulk packet was being read.
+    this._processAvailable();
   },
 
   // nsIInputStreamCallback
@@ -331,33 +411,24 @@ DebuggerTransport.prototype = {
    */
   onInputStreamReady:
   DevToolsUtils.makeInfallible(function(event) {
-    let data = event.data;
-    // TODO: ws-tcp-proxy decodes utf-8, but the transport expects to see the
-    // encoded bytes.  Simplest step is to re-encode for now.
-    data = utf8.encode(data);
-    let stream = {
-      available() {
-        return data.length;
-      },
-      readBytes(count) {
-        let result = data.slice(0, count);
-        data = data.slice(count);
-        return result;
-      },
-    };
+    // While a bulk packet is being read, the data is left for its reader,
+    // which will be notified through the input's asyncWait.
+    this._input.append(toByteString(event.data));
+    this._processAvailable();
+  }, "DebuggerTransport.prototype.onInputStreamReady"),
 
+  /**
+   * Read as many packets as possible from the data received so far.
+   */
+  _processAvailable: function() {
     try {
-      while (data && this._incomingEnabled &&
-             this._processIncoming(stream, stream.available())) {}
+      while (this._incomingEnabled &&
+             this._processIncoming(this._input, this._input.available())) {}
       this._waitForIncoming();
     } catch(e) {
-      if (e.result != Cr.NS_BASE_STREAM_WOULD_BLOCK) {
-        this.close(e.result);
-      } else {
-        throw e;
-      }
+      this.close(e);
     }
-  }, "DebuggerTransport.prototype.onInputStreamReady"),
+  },
 
   /**
    * Process the incoming data.  Will create a new currently incoming Packet if
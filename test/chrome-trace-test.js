@@ -0,0 +1,166 @@
+var chai = require("chai");
+var expect = chai.expect;
+var ChromeTrace = require("../client/performance/modules/logic/chrome-trace");
+var RecordingUtils = require("../shared/performance/recording-utils");
+
+var URL = "http://example.com/app.js";
+
+function callFrame(functionName, url, lineNumber, columnNumber) {
+  return { functionName, scriptId: "1", url: url || "", lineNumber, columnNumber };
+}
+
+// A profile of `main` calling `work`, with an idle sample in between.
+function createCpuProfile() {
+  return {
+    nodes: [
+      { id: 1, callFrame: callFrame("(root)", "", -1, -1), children: [2, 4] },
+      { id: 2, callFrame: callFrame("main", URL, 9, 4), children: [3] },
+      { id: 3, callFrame: callFrame("work", URL, 19, 0), children: [] },
+      { id: 4, callFrame: callFrame("(idle)", "", -1, -1), children: [] }
+    ],
+    startTime: 1000000,
+    endTime: 1004000,
+    samples: [2, 4, 3],
+    timeDeltas: [1000, 1000, 1000]
+  };
+}
+
+function getLocations(sample) {
+  return sample.frames.map(function (frame) { return frame.location; });
+}
+
+it("V8 CPU profiles are converted to recordings", function () {
+  var profile = createCpuProfile();
+  expect(ChromeTrace.isCpuProfile(profile)).to.equal(true);
+  expect(ChromeTrace.isChromeTrace(profile)).to.equal(false);
+
+  var recording = ChromeTrace.convertCpuProfile(profile);
+  expect(recording.duration).to.equal(4);
+  expect(recording.profile.meta.version).to.equal(2);
+
+  var samples = recording.profile.threads[0].samples;
+  expect(samples.map(function (s) { return s.time; })).to.deep.equal([1, 3]);
+  expect(getLocations(samples[0])).to.deep.equal([
+    "(root)", "main (" + URL + ":10:5)"
+  ]);
+  expect(getLocations(samples[1])).to.deep.equal([
+    "(root)", "main (" + URL + ":10:5)", "work (" + URL + ":20:1)"
+  ]);
+});
+
+it("Older V8 CPU profiles are converted to recordings", function () {
+  var profile = {
+    head: {
+      id: 1, functionName: "(root)", url: "", lineNumber: 0, columnNumber: 0,
+      children: [{
+        id: 2, functionName: "", url: URL, lineNumber: 3, columnNumber: 7,
+        children: []
+      }]
+    },
+    startTime: 1,
+    endTime: 1.5,
+    samples: [2, 2],
+    timestamps: [1001000, 1002000]
+  };
+  expect(ChromeTrace.isCpuProfile(profile)).to.equal(true);
+
+  var recording = ChromeTrace.convertCpuProfile(profile);
+  expect(recording.duration).to.equal(500);
+  var samples = recording.profile.threads[0].samples;
+  expect(samples.length).to.equal(2);
+  expect(getLocations(samples[0])).to.deep.equal(["(root)", URL + ":3:7"]);
+});
+
+it("Chrome traces are converted to recordings", function () {
+  var pid = 7;
+  var tid = 11;
+  var trace = {
+    traceEvents: [
+      { pid: pid, tid: tid, ts: 0, ph: "M", name: "thread_name",
+        args: { name: "CrRendererMain" } },
+      { pid: pid, tid: 12, ts: 500000, ph: "X", dur: 100, name: "Layout" },
+      { pid: pid, tid: tid, ts: 1000000, ph: "P", name: "Profile", id: "0x1",
+        args: { data: { startTime: 1000000 } } },
+      { pid: pid, tid: 13, ts: 1000000, ph: "P", name: "ProfileChunk", id: "0x1",
+        args: { data: {
+          cpuProfile: {
+            nodes: [
+              { id: 1, callFrame: callFrame("(root)", "", -1, -1) },
+              { id: 2, callFrame: callFrame("main", URL, 9, 4), parent: 1 }
+            ],
+            samples: [2, 2]
+          },
+          timeDeltas: [2000, 1000]
+        } } },
+      { pid: pid, tid: tid, ts: 1001000, ph: "X", dur: 2000, name: "EventDispatch",
+        args: { data: { type: "click" } } },
+      { pid: pid, tid: tid, ts: 1001500, ph: "B", name: "TimerFire" },
+      { pid: pid, tid: tid, ts: 1002500, ph: "E" },
+      { pid: pid, tid: tid, ts: 1001000, ph: "b", cat: "blink.console",
+        name: "loading", id: 3 },
+      { pid: pid, tid: tid, ts: 1004000, ph: "e", cat: "blink.console",
+        name: "loading", id: 3 },
+      { pid: pid, tid: tid, ts: 1002000, ph: "I", name: "UpdateCounters",
+        args: { data: { jsHeapSizeUsed: 2 * 1024 * 1024 } } },
+      { pid: pid, tid: tid, ts: 1002000, ph: "X", dur: 10, name: "SomethingElse" }
+    ]
+  };
+  expect(ChromeTrace.isChromeTrace(trace)).to.equal(true);
+  expect(ChromeTrace.isCpuProfile(trace)).to.equal(false);
+
+  var recording = ChromeTrace.convertChromeTrace(trace);
+  expect(recording.duration).to.equal(4);
+  expect(recording.configuration.withMarkers).to.equal(true);
+  expect(recording.configuration.withMemory).to.equal(true);
+  expect(recording.markers).to.deep.equal([
+    { name: "DOMEvent", start: 1, end: 3, type: "click" },
+    { name: "ConsoleTime", start: 1, end: 4, causeName: "loading" },
+    { name: "Javascript", start: 1.5, end: 2.5, causeName: "setTimeout handler" }
+  ]);
+  expect(recording.memory).to.deep.equal([{ delta: 2, value: 2 }]);
+
+  var samples = recording.profile.threads[0].samples;
+  expect(samples.map(function (s) { return s.time; })).to.deep.equal([2, 3]);
+  expect(getLocations(samples[0])).to.deep.equal([
+    "(root)", "main (" + URL + ":10:5)"
+  ]);
+});
+
+it("Recordings are exported to Chrome traces", function () {
+  var recording = ChromeTrace.convertCpuProfile(createCpuProfile());
+  RecordingUtils.deflateProfile(recording.profile);
+  recording.markers = [
+    { name: "Reflow", start: 1, end: 1.5 },
+    { name: "Javascript", start: 2, end: 3, causeName: "FrameRequestCallback" },
+    { name: "TimeStamp", start: 2.5, end: 2.5, causeName: "here" }
+  ];
+  recording.memory = [{ delta: 1, value: 3 }];
+
+  var trace = ChromeTrace.convertToChromeTrace(recording);
+  expect(ChromeTrace.isChromeTrace(trace)).to.equal(true);
+
+  var cpuProfile = trace.traceEvents.find(function (e) {
+    return e.name === "CpuProfile";
+  }).args.data.cpuProfile;
+  expect(cpuProfile.samples.length).to.equal(2);
+  expect(cpuProfile.timeDeltas).to.deep.equal([1000, 2000]);
+  var work = cpuProfile.nodes.find(function (node) {
+    return node.callFrame.functionName === "work";
+  });
+  expect(work.callFrame).to.deep.equal({
+    functionName: "work", scriptId: "0", url: URL, lineNumber: 19, columnNumber: 0
+  });
+
+  // Importing the trace gives back the recording.
+  var imported = ChromeTrace.convertChromeTrace(trace);
+  expect(imported.markers).to.deep.equal([
+    { name: "Reflow", start: 1, end: 1.5 },
+    { name: "Javascript", start: 2, end: 3, causeName: "FrameRequestCallback" },
+    { name: "TimeStamp", start: 2.5, end: 2.5, causeName: "here" }
+  ]);
+  expect(imported.memory).to.deep.equal([{ delta: 1, value: 3 }]);
+  var samples = imported.profile.threads[0].samples;
+  expect(getLocations(samples[1])).to.deep.equal([
+    "(root)", "main (" + URL + ":10:5)", "work (" + URL + ":20:1)"
+  ]);
+});
@@ -0,0 +1,52 @@
+var chai = require("chai");
+var expect = chai.expect;
+var { SourceActor } = require("../valence/lib/chromium/thread");
+
+var URL = "http://example.com/app.js";
+
+var prettyPrintSpec = SourceActor.prototype._actorSpec.methods.find(m => {
+  return m.name === "prettyPrint";
+});
+
+function createSource(contentType) {
+  let thread = { conn: null, isBlackBoxed: () => false };
+  let source = new SourceActor(thread, URL);
+  source.cachedSource = "function f(a){if(a){return 1;}}";
+  source.contentType = contentType;
+  return source;
+}
+
+// Call prettyPrint the way the protocol does when receiving |packet|.
+function prettyPrint(source, packet) {
+  let args = prettyPrintSpec.request.read(packet, source);
+  return source.prettyPrint(...args);
+}
+
+it("Chromium sources are pretty printed with the requested indent", function () {
+  let source = createSource("text/javascript");
+  return prettyPrint(source, { type: "prettyPrint", indent: 4 }).then(response => {
+    expect(response.source.str.split("\n").slice(0, 4)).to.deep.equal([
+      "function f(a) {",
+      "    if (a) {",
+      "        return 1;",
+      "    }"
+    ]);
+    expect(source.form().isPrettyPrinted).to.equal(true);
+  });
+});
+
+it("Chromium sources of any JavaScript content type are pretty printed", function () {
+  let source = createSource("application/x-javascript; charset=utf-8");
+  return prettyPrint(source, { type: "prettyPrint", indent: 2 }).then(response => {
+    expect(response.source.str.split("\n")[1]).to.equal("  if (a) {");
+  });
+});
+
+it("Chromium sources that aren't JavaScript aren't pretty printed", function () {
+  let source = createSource("text/html");
+  return prettyPrint(source, { type: "prettyPrint", indent: 2 }).then(() => {
+    throw new Error("The source shouldn't be pretty printed");
+  }, e => {
+    expect(e.message).to.equal("Can only pretty print JavaScript sources.");
+  });
+});
@@ -0,0 +1,100 @@
+var chai = require("chai");
+var expect = chai.expect;
+var endpoints = require("../client/framework/connect/endpoints");
+
+function clearStorage() {
+  localStorage.removeItem("devtools.connect.endpoints");
+  localStorage.removeItem("devtools.connect.recent");
+}
+
+it("Endpoints are read from the query string", function () {
+  expect(endpoints.getEndpointFromQuery("?wsPort=9001", "example.com"))
+    .to.deep.equal({
+      type: "rdp",
+      url: "ws://example.com:9001",
+      name: "example.com:9001"
+    });
+  expect(endpoints.getEndpointFromQuery("?ws=ws://a:1", "example.com").url)
+    .to.equal("ws://a:1");
+  expect(endpoints.getEndpointFromQuery("?chrome=http://b/list", "example.com"))
+    .to.deep.equal({ type: "chrome", url: "http://b/list", name: "Chrome" });
+  expect(endpoints.getEndpointFromQuery("?chrome", "example.com").url)
+    .to.contain("http://example.com:");
+  expect(endpoints.getEndpointFromQuery("?other=1", "example.com"))
+    .to.equal(null);
+});
+
+it("Saved endpoints are added once and removed", function () {
+  clearStorage();
+  let endpoint = { type: "rdp", url: "ws://a:1", name: "A" };
+  endpoints.saveEndpoint(endpoint);
+  endpoints.saveEndpoint(Object.assign({}, endpoint, { name: "B" }));
+  expect(endpoints.getSavedEndpoints()).to.deep.equal([
+    { type: "rdp", url: "ws://a:1", name: "B" }
+  ]);
+
+  endpoints.removeEndpoint(endpoint);
+  expect(endpoints.getSavedEndpoints()).to.deep.equal([]);
+  clearStorage();
+});
+
+it("Recent connections are remembered most recent first", function () {
+  clearStorage();
+  let endpoint = { type: "rdp", url: "ws://a:1", name: "A" };
+  let tab1 = { kind: "tab", name: "One", url: "http://one/", selected: true };
+  let tab2 = { kind: "tab", name: "Two", url: "http://two/" };
+  endpoints.addRecentConnection(endpoint, tab1);
+  endpoints.addRecentConnection(endpoint, tab2);
+  endpoints.addRecentConnection(endpoint, tab1);
+
+  let recent = endpoints.getRecentConnections();
+  expect(recent.map(c => c.target.name)).to.deep.equal(["One", "Two"]);
+  expect(recent[0]).to.deep.equal({
+    endpoint: endpoint,
+    target: { kind: "tab", name: "One", url: "http://one/" }
+  });
+
+  let targets = [tab2, { kind: "tab", name: "One", url: "http://one/#moved" }];
+  expect(endpoints.findTarget(targets, recent[1].target)).to.equal(tab2);
+  expect(endpoints.findTarget(targets, recent[0].target)).to.equal(targets[1]);
+  expect(endpoints.findTarget([], recent[0].target)).to.equal(null);
+  clearStorage();
+});
+
+it("Replayed and recorded endpoints are read from the query string", function () {
+  expect(endpoints.getEndpointFromQuery("?replay=http://a/r.json", "example.com"))
+    .to.deep.equal({
+      type: "replay",
+      url: "http://a/r.json",
+      name: "http://a/r.json"
+    });
+  expect(endpoints.isRecordingRequested("?wsPort=9000&record")).to.equal(true);
+  expect(endpoints.isRecordingRequested("?wsPort=9000")).to.equal(false);
+});
+
+it("Recorded sessions are replayed, and replays recorded", function () {
+  let greeting = { from: "root", applicationType: "browser", traits: {} };
+  let endpoint = {
+    type: "replay",
+    url: "recording.json",
+    name: "recording.json",
+    recording: {
+      version: 1,
+      entries: [{ time: 0, direction: "receive", packet: greeting }]
+    }
+  };
+  return endpoints.connect(endpoint).then(client => {
+    expect(endpoints.getSessionRecording(client)).to.equal(null);
+    client.close();
+
+    // Recording the replayed session gives back the recording.
+    endpoint.record = true;
+    return endpoints.connect(endpoint);
+  }).then(client => {
+    let entries = endpoints.getSessionRecording(client).entries;
+    expect(entries.map(e => [e.direction, e.packet])).to.deep.equal([
+      ["receive", greeting]
+    ]);
+    client.close();
+  });
+});
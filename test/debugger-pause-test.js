@@ -0,0 +1,85 @@
+var chai = require("chai");
+var expect = chai.expect;
+var createStore = require("../client/shared/redux/create-store");
+var { combineBroadcastingReducers } =
+  require("../client/shared/redux/non-react-subscriber");
+var { threadClient } =
+  require("../client/debugger/content/middleware/thread-client");
+var reducers = require("../client/debugger/content/reducers");
+var actions = require("../client/debugger/content/actions");
+var queries = require("../client/debugger/content/queries");
+
+/**
+ * A thread client answering the requests of the debugger with canned
+ * responses, and recording them in |requests|.
+ */
+function mockThreadClient(frames) {
+  let client = { requests: [] };
+  let answer = (name, response) => (...args) => {
+    let callback = args.pop();
+    client.requests.push([name, ...args]);
+    setTimeout(() => callback(response), 0);
+  };
+  client.resume = answer("resume", { type: "resumed" });
+  client.stepIn = answer("stepIn", { type: "resumed" });
+  client.getFrames = answer("getFrames", { frames: frames || [] });
+  client.pauseOnExceptions = answer("pauseOnExceptions", {});
+  return client;
+}
+
+function makeStore(client) {
+  let reducer = combineBroadcastingReducers(reducers, () => {});
+  return createStore({ middleware: [threadClient(client)] })(reducer);
+}
+
+it("Debugger commands are sent to the thread client of the store", function () {
+  let client = mockThreadClient();
+  let store = makeStore(client);
+
+  let done = store.dispatch(actions.stepIn());
+  expect(queries.getPendingCommand(store.getState())).to.equal("stepIn");
+
+  return done.then(() => {
+    expect(client.requests).to.deep.equal([["stepIn"]]);
+    expect(queries.getPendingCommand(store.getState())).to.equal(null);
+  });
+});
+
+it("Pausing loads the frames and selects the top one", function () {
+  let frames = [
+    { actor: "frame1", type: "call", where: { line: 3 } },
+    { actor: "frame2", type: "global", where: { line: 10 } }
+  ];
+  let client = mockThreadClient(frames);
+  let store = makeStore(client);
+
+  return store.dispatch(actions.paused({
+    why: { type: "breakpoint" },
+    frame: frames[0]
+  })).then(() => {
+    let state = store.getState();
+    expect(queries.isPaused(state)).to.equal(true);
+    expect(queries.getPause(state).why.type).to.equal("breakpoint");
+    expect(queries.getFrames(state).map(f => f.actor))
+      .to.deep.equal(["frame1", "frame2"]);
+    expect(queries.getSelectedFrame(state).actor).to.equal("frame1");
+
+    store.dispatch(actions.resumed());
+    expect(queries.isPaused(store.getState())).to.equal(false);
+    expect(queries.getFrames(store.getState())).to.equal(null);
+  });
+});
+
+it("Pause on exceptions settings survive resuming", function () {
+  let client = mockThreadClient();
+  let store = makeStore(client);
+
+  return store.dispatch(actions.pauseOnExceptions(true, false)).then(() => {
+    expect(client.requests).to.deep.equal([["pauseOnExceptions", true, false]]);
+    store.dispatch(actions.resumed());
+    expect(queries.getPauseOnExceptions(store.getState())).to.deep.equal({
+      shouldPauseOnExceptions: true,
+      shouldIgnoreCaughtExceptions: false
+    });
+  });
+});
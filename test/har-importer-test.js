@@ -0,0 +1,150 @@
+var chai = require("chai");
+var expect = chai.expect;
+var { HarImporter } = require("../client/netmonitor/har/har-importer");
+
+// A HAR log of a page loading a document and posting a form with XHR, the
+// latter saved with its parameters only.
+function createHar() {
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "test", version: "1" },
+      pages: [{
+        id: "page_1",
+        startedDateTime: "2016-01-01T00:00:00.000Z",
+        title: "http://example.com/",
+        pageTimings: { onContentLoad: 120, onLoad: -1 }
+      }],
+      entries: [{
+        pageref: "page_1",
+        startedDateTime: "2016-01-01T00:00:00.000Z",
+        time: 50,
+        request: {
+          method: "GET",
+          url: "http://example.com/",
+          httpVersion: "HTTP/1.1",
+          headers: [{ name: "Host", value: "example.com" }],
+          cookies: [],
+          headersSize: -1,
+          bodySize: 0
+        },
+        response: {
+          status: 200,
+          statusText: "OK",
+          httpVersion: "HTTP/1.1",
+          headers: [{ name: "Content-Type", value: "text/html" }],
+          cookies: [],
+          content: { size: 12, mimeType: "text/html", text: "<p>Hello</p>" },
+          headersSize: 40,
+          bodySize: 32
+        },
+        cache: {},
+        timings: { blocked: -1, dns: 5, connect: 10, send: 1, wait: 30, receive: 4 },
+        serverIPAddress: "127.0.0.1",
+        connection: "80"
+      }, {
+        pageref: "page_1",
+        startedDateTime: "2016-01-01T00:00:00.100Z",
+        time: 20,
+        request: {
+          method: "POST",
+          url: "http://example.com/form",
+          httpVersion: "HTTP/1.1",
+          headers: [{ name: "X-Requested-With", value: "XMLHttpRequest" }],
+          cookies: [],
+          headersSize: -1,
+          bodySize: 11,
+          postData: {
+            mimeType: "application/x-www-form-urlencoded",
+            params: [{ name: "a b", value: "c" }, { name: "d" }]
+          }
+        },
+        response: {
+          status: 204,
+          statusText: "No Content",
+          httpVersion: "HTTP/1.1",
+          headers: [],
+          cookies: [],
+          content: { size: 0, mimeType: "" },
+          headersSize: -1,
+          bodySize: -1
+        },
+        cache: { afterRequest: null },
+        timings: { send: 1, wait: 15, receive: 4 }
+      }]
+    }
+  };
+}
+
+it("HAR files are parsed, JSONP wrapped or not", function () {
+  let text = JSON.stringify(createHar());
+  expect(HarImporter.parse(text)).to.deep.equal(createHar());
+  expect(HarImporter.parse("onInputData(" + text + ");"))
+    .to.deep.equal(createHar());
+});
+
+it("Malformed HAR files are rejected", function () {
+  expect(() => HarImporter.parse("{ \"log\": ")).to.throw(SyntaxError);
+  expect(() => HarImporter.parse("{ \"log\": {} }"))
+    .to.throw("Not a HAR file: there is no log.entries");
+
+  let har = createHar();
+  har.log.version = "2.0";
+  expect(() => HarImporter.parse(JSON.stringify(har)))
+    .to.throw("Unsupported HAR version: 2.0");
+});
+
+it("Requests are built from the HAR entries", function () {
+  let { requests, markers } = HarImporter.buildRequests(createHar());
+
+  expect(markers).to.deep.equal([{
+    name: "document::DOMContentLoaded",
+    unixTime: (Date.parse("2016-01-01T00:00:00.000Z") + 120) * 1000
+  }]);
+
+  expect(requests.length).to.equal(2);
+  let [page, form] = requests;
+
+  expect(page.id).to.equal("har-import-0");
+  expect(page.method).to.equal("GET");
+  expect(page.url).to.equal("http://example.com/");
+  expect(page.isXHR).to.equal(false);
+  expect(page.fromCache).to.equal(false);
+  expect(page.data.status).to.equal("200");
+  expect(page.data.requestHeaders.rawHeaders)
+    .to.equal("GET http://example.com/ HTTP/1.1\r\nHost: example.com");
+  expect(page.data.requestHeaders.headersSize)
+    .to.equal(page.data.requestHeaders.rawHeaders.length);
+  expect(page.data.responseHeaders.headersSize).to.equal(40);
+  expect(page.data.contentSize).to.equal(12);
+  expect(page.data.transferredSize).to.equal(32);
+  expect(page.data.responseContent).to.deep.equal({
+    content: {
+      mimeType: "text/html",
+      size: 12,
+      encoding: undefined,
+      text: "<p>Hello</p>"
+    },
+    contentDiscarded: false
+  });
+  expect(page.data.eventTimings.timings).to.deep.equal({
+    blocked: 0, dns: 5, connect: 10, send: 1, wait: 30, receive: 4
+  });
+  expect(page.data.remoteAddress).to.equal("127.0.0.1");
+  expect(page.data.remotePort).to.equal(80);
+  expect(page.data.requestPostData).to.equal(undefined);
+
+  expect(form.id).to.equal("har-import-1");
+  expect(form.isXHR).to.equal(true);
+  expect(form.fromCache).to.equal(true);
+  expect(form.data.requestPostData).to.deep.equal({
+    postData: { text: "a%20b=c&d=" },
+    postDataDiscarded: false
+  });
+  expect(form.data.transferredSize).to.equal(undefined);
+  expect(form.data.responseContent.contentDiscarded).to.equal(true);
+  expect(form.data.eventTimings.timings).to.deep.equal({
+    blocked: 0, dns: 0, connect: 0, send: 1, wait: 15, receive: 4
+  });
+  expect("remotePort" in form.data).to.equal(false);
+});
@@ -1,2 +1,13 @@
 
 require("./preferences-test");
+require("./transport-recording-test");
+require("./debugger-pause-test");
+require("./protocol-test");
+require("./rdp-monitor-test");
+require("./connect-endpoints-test");
+require("./promise-store-test");
+require("./v8-heap-snapshot-test");
+require("./chrome-trace-test");
+require("./chromium-source-test");
+require("./har-importer-test");
+require("./webconsole-messages-test");
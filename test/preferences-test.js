@@ -2,7 +2,10 @@ var chai = require("chai");
 var expect = chai.expect;
 var Prefs = require("../sham/services").Services.prefs;
 
+// Keep the prefs the tests set apart from the ones of the toolbox.
+before(() => Prefs.setStorageKey("devtools.prefs.test"));
 afterEach(() => Prefs.resetPrefs());
+after(() => Prefs.setStorageKey());
 
 it("getBoolPref returns a bool pref", function () {
   expect(Prefs.getBoolPref("devtools.toolbox.sideEnabled")).to.be.equal(true);
@@ -40,3 +43,73 @@ it("setIntPref sets an int pref", function () {
   Prefs.setIntPref("devtools.toolbox.footer.height", 9999);
   expect(Prefs.getIntPref("devtools.toolbox.footer.height")).to.be.equal(9999);
 });
+it("prefHasUserValue is only true for prefs set to a non-default value", function () {
+  expect(Prefs.prefHasUserValue("devtools.toolbox.host")).to.be.equal(false);
+  Prefs.setCharPref("devtools.toolbox.host", "side");
+  expect(Prefs.prefHasUserValue("devtools.toolbox.host")).to.be.equal(true);
+  Prefs.setCharPref("devtools.toolbox.host", "bottom");
+  expect(Prefs.prefHasUserValue("devtools.toolbox.host")).to.be.equal(false);
+});
+it("clearUserPref restores the default value", function () {
+  Prefs.setIntPref("devtools.toolbox.footer.height", 9999);
+  Prefs.clearUserPref("devtools.toolbox.footer.height");
+  expect(Prefs.prefHasUserValue("devtools.toolbox.footer.height")).to.be.equal(false);
+  expect(Prefs.getIntPref("devtools.toolbox.footer.height")).to.be.equal(250);
+});
+it("prefs without a default can be set and cleared", function () {
+  Prefs.setCharPref("devtools.test.unknown", "value");
+  expect(Prefs.getPrefType("devtools.test.unknown")).to.be.equal(Prefs.PREF_STRING);
+  expect(Prefs.getCharPref("devtools.test.unknown")).to.be.equal("value");
+  Prefs.clearUserPref("devtools.test.unknown");
+  expect(Prefs.getPrefType("devtools.test.unknown")).to.be.equal(Prefs.PREF_INVALID);
+});
+it("observers are notified of changes in their domain", function () {
+  let changes = [];
+  let observer = {
+    observe: (subject, topic, data) => changes.push([topic, data])
+  };
+  Prefs.addObserver("devtools.toolbox.", observer, false);
+  Prefs.setCharPref("devtools.toolbox.host", "side");
+  Prefs.setCharPref("devtools.toolbox.host", "side");
+  Prefs.setBoolPref("devtools.errorconsole.enabled", true);
+  Prefs.clearUserPref("devtools.toolbox.host");
+  Prefs.removeObserver("devtools.toolbox.", observer);
+  Prefs.setCharPref("devtools.toolbox.host", "side");
+  expect(changes).to.deep.equal([
+    ["nsPref:changed", "devtools.toolbox.host"],
+    ["nsPref:changed", "devtools.toolbox.host"]
+  ]);
+});
+it("branch observers get pref names relative to the branch", function () {
+  let branch = Prefs.getBranch("devtools.toolbox.");
+  let changes = [];
+  let observer = (subject, topic, data) => changes.push(data);
+  branch.addObserver("", observer, false);
+  Prefs.setIntPref("devtools.toolbox.footer.height", 100);
+  branch.setCharPref("host", "side");
+  branch.removeObserver("", observer);
+  expect(changes).to.deep.equal(["footer.height", "host"]);
+  expect(branch.getCharPref("host")).to.be.equal("side");
+  expect(branch.prefHasUserValue("host")).to.be.equal(true);
+});
+it("exportPrefs and importPrefs round-trip user values", function () {
+  Prefs.setCharPref("devtools.toolbox.host", "side");
+  Prefs.setBoolPref("devtools.toolbox.sideEnabled", false);
+  let exported = Prefs.exportPrefs();
+  expect(exported).to.deep.equal({
+    "devtools.toolbox.host": "side",
+    "devtools.toolbox.sideEnabled": false
+  });
+
+  Prefs.resetPrefs();
+  Prefs.setIntPref("devtools.toolbox.footer.height", 100);
+  Prefs.importPrefs(exported);
+  expect(Prefs.getCharPref("devtools.toolbox.host")).to.be.equal("side");
+  expect(Prefs.getBoolPref("devtools.toolbox.sideEnabled")).to.be.equal(false);
+  expect(Prefs.prefHasUserValue("devtools.toolbox.footer.height")).to.be.equal(false);
+});
+it("importPrefs rejects values of the wrong type", function () {
+  Prefs.setCharPref("devtools.toolbox.host", "side");
+  expect(() => Prefs.importPrefs({ "devtools.toolbox.host": 23 })).to.throw(Error);
+  expect(Prefs.getCharPref("devtools.toolbox.host")).to.be.equal("side");
+});
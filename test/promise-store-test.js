@@ -0,0 +1,81 @@
+var chai = require("chai");
+var expect = chai.expect;
+var {
+  PromiseStore,
+  matchesFilter
+} = require("../client/promisedebugger/promise-store");
+
+function grip(actor, state, extra) {
+  return {
+    type: "object",
+    class: "Promise",
+    actor: actor,
+    promiseState: Object.assign({ state: state, creationTimestamp: 0 }, extra)
+  };
+}
+
+it("PromiseStore keeps the promises up to date with their grips", function () {
+  let store = new PromiseStore();
+  let events = [];
+  store.on("add", (event, promise) => events.push("add " + promise.actor));
+  store.on("update", (event, promise) => events.push("update " + promise.actor));
+
+  store.addPromises([
+    grip("p2", "pending", { creationTimestamp: 20 }),
+    grip("p1", "pending", { creationTimestamp: 10 })
+  ]);
+  store.settlePromises([
+    grip("p2", "rejected", {
+      creationTimestamp: 20,
+      reason: { type: "object", class: "Error" },
+      timeToSettle: 5
+    })
+  ]);
+
+  expect(events).to.deep.equal(["add p2", "add p1", "update p2"]);
+  expect(store.getPromises().map(p => p.actor)).to.deep.equal(["p1", "p2"]);
+  expect(store.get("p2").state).to.equal("rejected");
+  expect(store.get("p2").reason.class).to.equal("Error");
+  expect(store.get("p2").timeToSettle).to.equal(5);
+  expect(store.getCounts()).to.deep.equal({
+    pending: 1,
+    fulfilled: 0,
+    rejected: 1
+  });
+
+  store.clear();
+  expect(store.size).to.equal(0);
+});
+
+it("PromiseStore builds the chains of dependent promises", function () {
+  let store = new PromiseStore();
+  store.addPromises([grip("a", "fulfilled")]);
+  store.setDependentPromises("a", [grip("b", "pending")]);
+  store.setDependentPromises("b", [grip("c", "pending"), grip("d", "pending")]);
+
+  expect(store.get("a").children).to.deep.equal(["b"]);
+  expect(store.get("b").parents).to.deep.equal(["a"]);
+  expect(store.getChain("c").map(p => p.actor)).to.deep.equal(["a", "b", "c"]);
+  expect(store.getChain("a").map(p => p.actor)).to.deep.equal(["a"]);
+  expect(store.get("d").children).to.equal(null);
+});
+
+it("Promises are filtered by state and allocation site", function () {
+  let store = new PromiseStore();
+  store.addPromises([grip("p1", "pending"), grip("p2", "rejected")]);
+  store.setAllocationStack("p1", [{
+    source: { actor: "source1", url: "http://example.com/app.js" },
+    line: 3,
+    column: 1,
+    functionDisplayName: "fetchItems"
+  }]);
+
+  let actors = filter => store.getPromises(filter).map(p => p.actor);
+  expect(actors({ state: "", text: "" })).to.deep.equal(["p1", "p2"]);
+  expect(actors({ state: "rejected", text: "" })).to.deep.equal(["p2"]);
+  expect(actors({ state: "", text: "fetchitems" })).to.deep.equal(["p1"]);
+  expect(actors({ state: "", text: "app.js" })).to.deep.equal(["p1"]);
+  expect(actors({ state: "pending", text: "p2" })).to.deep.equal([]);
+  expect(matchesFilter(store.get("p2"), { state: "", text: "p2" }))
+    .to.equal(true);
+});
@@ -0,0 +1,92 @@
+var chai = require("chai");
+var expect = chai.expect;
+var protocol = require("../server/protocol");
+var { getProtocolSchema, getProtocolDocumentation } =
+  require("../server/protocol-schema");
+var { Arg, Option, RetVal, method, types } = protocol;
+
+types.addDictType("protocoltest.item", {
+  name: "string",
+  size: "number",
+  tags: "array:string"
+});
+
+var TestActor = protocol.ActorClass({
+  typeName: "protocoltest",
+
+  events: {
+    "item-added": {
+      type: "itemAdded",
+      item: Arg(0, "protocoltest.item")
+    }
+  },
+
+  getItem: method(function(name, options) {}, {
+    request: {
+      name: Arg(0, "string"),
+      depth: Option(1, "number"),
+      withTags: Option(1, "boolean")
+    },
+    response: {
+      item: RetVal("nullable:protocoltest.item")
+    }
+  })
+});
+
+var getItemSpec = TestActor.prototype._actorSpec.methods.find(m => {
+  return m.name === "getItem";
+});
+
+it("Packets matching their template have no mismatch", function () {
+  let request = { type: "getItem", name: "a", depth: 2, withTags: true };
+  let response = { item: { name: "a", size: 1, tags: ["b"] } };
+
+  expect(protocol.checkPacket(getItemSpec.request.template, request))
+    .to.deep.equal([]);
+  expect(protocol.checkPacket(getItemSpec.response.template, response))
+    .to.deep.equal([]);
+  expect(protocol.checkPacket(getItemSpec.response.template, { item: null }))
+    .to.deep.equal([]);
+});
+
+it("Packets not matching their template have mismatches", function () {
+  let request = { type: "getItem", name: 1 };
+  let response = { item: { name: "a", tags: ["b", 2] } };
+
+  expect(protocol.checkPacket(getItemSpec.request.template, request))
+    .to.deep.equal([{ path: "name", message: "expected string, got a number" }]);
+  expect(protocol.checkPacket(getItemSpec.response.template, response))
+    .to.deep.equal([
+      { path: "item.size", message: "expected number, got undefined" },
+      { path: "item.tags[1]", message: "expected string, got a number" }
+    ]);
+});
+
+it("The protocol schema describes the methods, events and dicts", function () {
+  let schema = getProtocolSchema();
+  let actor = schema.actors.protocoltest;
+
+  expect(actor.methods.getItem.request.arguments.map(arg => arg.name))
+    .to.deep.equal(["name", "options"]);
+  expect(actor.methods.getItem.request.arguments[1].optional).to.equal(true);
+  expect(actor.methods.getItem.request.arguments[1].options).to.deep.equal([
+    { name: "depth", path: "depth", type: "number" },
+    { name: "withTags", path: "withTags", type: "boolean" }
+  ]);
+  expect(actor.methods.getItem.response).to.deep.equal({
+    path: "item",
+    type: "nullable:protocoltest.item"
+  });
+  expect(actor.events["item-added"].type).to.equal("itemAdded");
+  expect(schema.dicts["protocoltest.item"]).to.deep.equal({
+    name: "string",
+    size: "number",
+    tags: "array:string"
+  });
+
+  let doc = getProtocolDocumentation(schema);
+  expect(doc).to.contain("### protocoltest");
+  expect(doc).to.contain("- `getItem(name: string, options?: { depth?: number, " +
+                         "withTags?: boolean }) → nullable:protocoltest.item`, " +
+                         "returned in `item`");
+});
@@ -0,0 +1,112 @@
+var chai = require("chai");
+var expect = chai.expect;
+var EventEmitter = require("../shared/event-emitter");
+var { PacketMonitor, MAX_ENTRIES } = require("../client/rdpmonitor/monitor");
+
+/**
+ * Returns a monitor started on a fake transport, and functions emitting the
+ * transport events of a packet sent or received through it. `client` is the
+ * DebuggerClient of the transport, if any.
+ */
+function startMonitor(client) {
+  let transport = {};
+  EventEmitter.decorate(transport);
+  let monitor = new PacketMonitor();
+  monitor.start(transport, client);
+  return {
+    monitor,
+    transport,
+    send: packet => transport.emit("send", packet),
+    receive: packet => transport.emit("onPacket", packet)
+  };
+}
+
+it("PacketMonitor pairs the responses with their requests", function () {
+  let { monitor, send, receive } = startMonitor();
+  receive({ from: "root", applicationType: "browser" });
+  send({ to: "tab1", type: "attach" });
+  send({ to: "tab1", type: "reload" });
+  receive({ from: "tab1", type: "tabNavigated", url: "http://a/" });
+  receive({ from: "tab1", type: "tabAttached" });
+  receive({ from: "tab1" });
+
+  let entries = monitor.entries;
+  expect(entries.map(e => e.kind)).to.deep.equal([
+    "event", "request", "request", "event", "response", "response"
+  ]);
+  expect(entries.map(e => e.type)).to.deep.equal([
+    "", "attach", "reload", "tabNavigated", "attach", "reload"
+  ]);
+  expect([entries[1].pair, entries[4].pair]).to.deep.equal([4, 1]);
+  expect([entries[2].pair, entries[5].pair]).to.deep.equal([5, 2]);
+  expect(entries[3].pair).to.equal(null);
+  expect(entries[1].latency).to.equal(entries[4].time - entries[1].time);
+  expect(entries[1].size).to.equal(JSON.stringify(entries[1].packet).length);
+});
+
+it("PacketMonitor filters the entries by actor and text", function () {
+  let { monitor, send, receive } = startMonitor();
+  send({ to: "root", type: "listTabs" });
+  receive({ from: "root", tabs: [{ actor: "tab1", url: "http://example/" }] });
+  send({ to: "tab1", type: "attach" });
+
+  expect(monitor.getActors()).to.deep.equal(["root", "tab1"]);
+  expect(monitor.getEntries({ actor: "tab1" }).map(e => e.type))
+    .to.deep.equal(["attach"]);
+  expect(monitor.getEntries({ text: "EXAMPLE" }).map(e => e.id))
+    .to.deep.equal([1]);
+  expect(monitor.getEntries({ actor: "root", text: "listtabs" }).length)
+    .to.equal(2);
+});
+
+it("PacketMonitor stops logging and exports its entries", function () {
+  let { monitor, send, receive } = startMonitor();
+  send({ to: "root", type: "listTabs" });
+  monitor.stop();
+  receive({ from: "root", tabs: [] });
+
+  let log = JSON.parse(JSON.stringify(monitor.export()));
+  expect(log.version).to.equal(1);
+  expect(log.entries.length).to.equal(1);
+  expect(log.entries[0].packet).to.deep.equal({ to: "root", type: "listTabs" });
+
+  monitor.clear();
+  expect(monitor.entries).to.deep.equal([]);
+});
+
+it("PacketMonitor doesn't pair the events with the pending requests", function () {
+  // A DebuggerClient with a Front for the promises actor and a ThreadClient.
+  let client = {
+    getActor: actor => actor == "promises1" ? {
+      _clientSpec: { events: new Map([["new-promises", {}]]) }
+    } : null,
+    _clients: new Map([["thread1", { events: ["newSource"] }]])
+  };
+  let { monitor, send, receive } = startMonitor(client);
+  send({ to: "thread1", type: "sources" });
+  receive({ from: "thread1", type: "newSource", source: {} });
+  receive({ from: "thread1", sources: [] });
+  send({ to: "promises1", type: "listPromises" });
+  receive({ from: "promises1", type: "new-promises", data: [] });
+  receive({ from: "promises1", promises: [] });
+
+  let entries = monitor.entries;
+  expect(entries.map(e => e.kind)).to.deep.equal([
+    "request", "event", "response", "request", "event", "response"
+  ]);
+  expect([entries[0].pair, entries[3].pair]).to.deep.equal([2, 5]);
+  expect([entries[1].pair, entries[4].pair]).to.deep.equal([null, null]);
+});
+
+it("PacketMonitor keeps the last entries only", function () {
+  let { monitor, receive } = startMonitor();
+  let dropped = [];
+  monitor.on("drop", (event, entries) => dropped.push(...entries));
+  for (let i = 0; i < MAX_ENTRIES + 2; i++) {
+    receive({ from: "root", type: "tabListChanged" });
+  }
+
+  expect(monitor.entries.length).to.equal(MAX_ENTRIES);
+  expect(monitor.entries[0].id).to.equal(2);
+  expect(dropped.map(e => e.id)).to.deep.equal([0, 1]);
+});
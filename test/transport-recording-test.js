@@ -0,0 +1,143 @@
+var chai = require("chai");
+var expect = chai.expect;
+var { LocalDebuggerTransport } = require("../shared/transport/transport");
+var { RecordingTransport, ReplayTransport } =
+  require("../shared/transport/recording");
+
+/**
+ * Start a fake server greeting the client and echoing its packets, and
+ * return a recording transport connected to it.
+ */
+function startRecording() {
+  let server = new LocalDebuggerTransport();
+  let client = new LocalDebuggerTransport(server);
+  server.other = client;
+  server.hooks = {
+    onPacket: packet => {
+      server.send({ from: packet.to, echo: packet.type });
+      if (packet.type == "notify") {
+        server.send({ from: packet.to, type: "newSource" });
+      }
+    },
+    onClosed: () => {}
+  };
+  let recorder = new RecordingTransport(client);
+  server.send({ from: "root", applicationType: "browser" });
+  return recorder;
+}
+
+/**
+ * Send |packets| one at a time through |transport|, waiting for |replies|
+ * packets after each, and resolve with everything received.
+ */
+function converse(transport, packets, replies) {
+  return new Promise(resolve => {
+    let received = [];
+    let expected = 1;
+    transport.hooks = {
+      onPacket: packet => {
+        received.push(packet);
+        if (received.length < expected) {
+          return;
+        }
+        let next = packets.shift();
+        if (!next) {
+          resolve(received);
+          return;
+        }
+        expected += replies.shift();
+        transport.send(next);
+      },
+      onClosed: () => {}
+    };
+    transport.ready();
+  });
+}
+
+it("RecordingTransport records the packets in both directions", function () {
+  let recorder = startRecording();
+  let packets = [{ to: "root", type: "listTabs" }, { to: "tab1", type: "notify" }];
+  return converse(recorder, packets, [1, 2]).then(received => {
+    expect(received.length).to.be.equal(4);
+    let entries = recorder.getRecording().entries;
+    expect(entries.map(e => e.direction)).to.deep.equal([
+      "receive", "send", "receive", "send", "receive", "receive"
+    ]);
+    expect(entries[1].packet).to.deep.equal({ to: "root", type: "listTabs" });
+    expect(entries[5].packet).to.deep.equal({ from: "tab1", type: "newSource" });
+  });
+});
+
+it("ReplayTransport plays back a recording", function () {
+  let recorder = startRecording();
+  let packets = () => [{ to: "root", type: "listTabs" }, { to: "tab1", type: "notify" }];
+  return converse(recorder, packets(), [1, 2]).then(recorded => {
+    let recording = JSON.parse(JSON.stringify(recorder.getRecording()));
+    let replay = new ReplayTransport(recording);
+    return converse(replay, packets(), [1, 2]).then(replayed => {
+      expect(replayed).to.deep.equal(recorded);
+    });
+  });
+});
+
+it("ReplayTransport bulk packets can be read from their stream", function () {
+  let recording = {
+    version: 1,
+    entries: [
+      { time: 0, direction: "receive",
+        bulk: { actor: "tab1", type: "heapSnapshot", length: 5 }, data: "abcde" },
+      { time: 1, direction: "receive", packet: { from: "tab1", type: "done" } }
+    ]
+  };
+  let replay = new ReplayTransport(recording);
+  return new Promise(resolve => {
+    let data = "";
+    replay.hooks = {
+      onBulkPacket: packet => {
+        let read = () => {
+          data += packet.stream.readBytes(packet.stream.available());
+          if (data.length < packet.length) {
+            packet.stream.asyncWait({ onInputStreamReady: read });
+            return;
+          }
+          packet.done.resolve();
+        };
+        packet.stream.asyncWait({ onInputStreamReady: read });
+      },
+      onPacket: packet => resolve({ data, packet }),
+      onClosed: () => {}
+    };
+    replay.ready();
+  }).then(({ data, packet }) => {
+    expect(data).to.equal("abcde");
+    expect(packet).to.deep.equal({ from: "tab1", type: "done" });
+  });
+});
+
+it("ReplayTransport reports packets not matching the recording", function () {
+  let recording = {
+    version: 1,
+    entries: [
+      { time: 0, direction: "receive", packet: { from: "root" } },
+      { time: 1, direction: "send", packet: { to: "root", type: "listTabs" } },
+      { time: 2, direction: "receive", packet: { from: "root", tabs: [] } }
+    ]
+  };
+  let replay = new ReplayTransport(recording, { strict: true });
+  let mismatches = [];
+  replay.on("mismatch", (event, expected, sent) => mismatches.push(sent.packet));
+  return new Promise(resolve => {
+    replay.hooks = {
+      onPacket: () => replay.send({ to: "root", type: "getProcess" }),
+      onClosed: resolve
+    };
+    replay.ready();
+  }).then(reason => {
+    expect(reason).to.be.an.instanceof(Error);
+    expect(mismatches).to.deep.equal([{ to: "root", type: "getProcess" }]);
+  });
+});
+
+it("ReplayTransport rejects unknown recording versions", function () {
+  expect(() => new ReplayTransport({ version: 2, entries: [] })).to.throw(Error);
+});
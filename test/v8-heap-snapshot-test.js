@@ -0,0 +1,132 @@
+var chai = require("chai");
+var expect = chai.expect;
+var V8HeapSnapshot = require("../shared/heapsnapshot/V8HeapSnapshot");
+var CensusUtils = require("../shared/heapsnapshot/CensusUtils");
+
+var COUNT = { by: "count", count: true, bytes: true };
+
+// A heap of a synthetic root, two Foo objects, a closure, a string and a
+// hidden node, with allocation stacks for the Foo objects: one allocated in
+// `make`, and one in `make` called from `main`.
+function createSnapshot(fooSize) {
+  return {
+    snapshot: {
+      meta: {
+        node_fields: ["type", "name", "id", "self_size", "edge_count", "trace_node_id"],
+        node_types: [["hidden", "array", "string", "object", "code", "closure",
+                      "regexp", "number", "native", "synthetic"],
+                     "string", "number", "number", "number", "number"],
+        edge_fields: ["type", "name_or_index", "to_node"],
+        edge_types: [["context", "element", "property", "internal"],
+                     "string_or_number", "node"],
+        trace_function_info_fields: ["function_id", "name", "script_name",
+                                     "script_id", "line", "column"],
+        trace_node_fields: ["id", "function_info_index", "count", "size", "children"]
+      },
+      node_count: 6,
+      edge_count: 0
+    },
+    nodes: [
+      9, 0, 1, 0, 0, 0,
+      3, 1, 2, fooSize, 0, 2,
+      3, 1, 3, fooSize, 0, 3,
+      5, 2, 4, 32, 0, 0,
+      2, 3, 5, 20, 0, 0,
+      0, 4, 6, 8, 0, 0
+    ],
+    edges: [],
+    trace_function_infos: [
+      0, 5, 6, 1, -1, -1,
+      1, 7, 6, 1, 9, 4,
+      2, 8, 6, 1, 2, 0
+    ],
+    trace_tree: [1, 0, 0, 0, [
+      2, 1, 1, fooSize, [],
+      4, 2, 0, 0, [3, 1, 1, fooSize, []]
+    ]],
+    strings: ["", "Foo", "bar", "hello", "system / Map", "(root)",
+              "http://example.com/app.js", "make", "main"]
+  };
+}
+
+it("V8 heap snapshots are counted by coarse type and object class", function () {
+  var snapshot = new V8HeapSnapshot(createSnapshot(16), 1000);
+  expect(snapshot.creationTime).to.equal(1000);
+
+  var report = snapshot.takeCensus({
+    breakdown: {
+      by: "coarseType",
+      objects: { by: "objectClass", then: COUNT, other: COUNT },
+      strings: COUNT,
+      scripts: COUNT,
+      other: { by: "internalType", then: COUNT }
+    }
+  });
+  expect(report).to.deep.equal({
+    objects: {
+      Foo: { count: 2, bytes: 32 },
+      Function: { count: 1, bytes: 32 }
+    },
+    strings: { count: 1, bytes: 20 },
+    scripts: { count: 0, bytes: 0 },
+    other: { "system / Map": { count: 1, bytes: 8 } }
+  });
+});
+
+it("V8 heap snapshots are counted by allocation stack", function () {
+  var snapshot = new V8HeapSnapshot(createSnapshot(16), 1000);
+  var report = snapshot.takeCensus({
+    breakdown: { by: "allocationStack", then: COUNT, noStack: COUNT }
+  });
+
+  expect(report.get("noStack")).to.deep.equal({ count: 3, bytes: 60 });
+  var frames = [];
+  report.forEach(function (value, key) {
+    if (key !== "noStack") {
+      frames.push(key);
+    }
+  });
+  expect(frames.length).to.equal(2);
+  expect(Object.prototype.toString.call(frames[0])).to.equal("[object SavedFrame]");
+  expect(frames[0].functionDisplayName).to.equal("make");
+  expect(frames[0].source).to.equal("http://example.com/app.js");
+  expect(frames[0].line).to.equal(10);
+  expect(frames[0].column).to.equal(5);
+  expect(frames[0].parent).to.equal(null);
+  expect(frames[1].functionDisplayName).to.equal("make");
+  expect(frames[1].parent.functionDisplayName).to.equal("main");
+  expect(V8HeapSnapshot.isV8SavedFrame(JSON.parse(JSON.stringify(frames[1]))))
+    .to.equal(true);
+});
+
+it("Censuses of two V8 heap snapshots can be diffed", function () {
+  var breakdown = { by: "allocationStack", then: COUNT, noStack: COUNT };
+  var frameCache = new Map();
+  var first = new V8HeapSnapshot(createSnapshot(16), 1000)
+    .takeCensus({ breakdown: breakdown }, frameCache);
+  var second = new V8HeapSnapshot(createSnapshot(24), 2000)
+    .takeCensus({ breakdown: breakdown }, frameCache);
+
+  var delta = CensusUtils.diff(breakdown, first, second);
+  expect(delta.size).to.equal(3);
+  delta.forEach(function (value, key) {
+    expect(value).to.deep.equal(key === "noStack"
+      ? { count: 0, bytes: 0 }
+      : { count: 0, bytes: 8 });
+  });
+});
+
+it("V8 heap snapshots only share frames through the cache they are given", function () {
+  var breakdown = { by: "allocationStack", then: COUNT, noStack: COUNT };
+  var firstFrames = Array.from(new V8HeapSnapshot(createSnapshot(16), 1000)
+    .takeCensus({ breakdown: breakdown }).keys());
+  var secondFrames = Array.from(new V8HeapSnapshot(createSnapshot(16), 2000)
+    .takeCensus({ breakdown: breakdown }).keys());
+  expect(firstFrames[0]).to.not.equal(secondFrames[0]);
+  expect(firstFrames[0]).to.deep.equal(secondFrames[0]);
+});
+
+it("V8 heap snapshots are recognized by their extension", function () {
+  expect(V8HeapSnapshot.isV8HeapSnapshotPath("/tmp/Heap.heapsnapshot")).to.equal(true);
+  expect(V8HeapSnapshot.isV8HeapSnapshotPath("/tmp/123.fxsnapshot")).to.equal(false);
+});
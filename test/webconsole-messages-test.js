@@ -0,0 +1,38 @@
+var chai = require("chai");
+var expect = chai.expect;
+var { formatArguments } = require("../client/webconsole/messages");
+
+function getStyle(style) {
+  let node = formatArguments(document, ["%ctext", style]);
+  return node.querySelector("span").getAttribute("style");
+}
+
+it("Console arguments are formatted", function () {
+  let node = formatArguments(document, ["%s is %d%%", "a", "12.5", "b"]);
+  expect(node.textContent).to.equal("a is 12% b");
+});
+
+it("Allowed %c styles are applied", function () {
+  let span = document.createElement("span");
+  span.setAttribute("style", getStyle("color: red; padding: 2px; " +
+                                      "position: fixed; top: 0"));
+  expect(span.style.color).to.equal("red");
+  expect(span.style.paddingLeft).to.equal("2px");
+  expect(span.style.position).to.equal("");
+  expect(span.style.top).to.equal("");
+});
+
+it("%c styles can't load resources", function () {
+  for (let style of [
+    "background: url(http://example.com/a.png)",
+    "background-image: \\75 rl(http://example.com/a.png)",
+    "\\62 ackground-image: url(http://example.com/a.png)",
+    "background-image: image-set(\"http://example.com/a.png\" 1x)",
+    "border-image: url(http://example.com/a.png) 30",
+    "border-image: \\75 rl(http://example.com/a.png) 30",
+    "border-image-source: image-set(\"http://example.com/a.png\" 1x)",
+    "list-style: url(http://example.com/a.png)"
+  ]) {
+    expect(getStyle(style)).to.not.match(/url|image|example/i);
+  }
+});
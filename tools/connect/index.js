@@ -2,27 +2,15 @@
 
 "use strict";
 
-let { DebuggerClient } = require("devtools/shared/client/main");
-let { DebuggerTransport } = require("devtools/shared/transport/transport");
+let { getDefaultEndpoints, getEndpointFromQuery, connect } =
+  require("devtools/client/framework/connect/endpoints");
 let { TargetFactory } = require("devtools/client/framework/target");
 let { InspectorFront } = require("devtools/server/actors/inspector");
 
-let WEB_SOCKET_PORT = 9000;
-
-function getPort() {
-  let query = location.search.match(/(\w+)=(\d+)/);
-  if (query && query[1] == "wsPort") {
-    return query[2];
-  }
-  return WEB_SOCKET_PORT;
-}
-
 function start() {
-  let socket = new WebSocket("ws://localhost:" + getPort());
-  let transport = new DebuggerTransport(socket);
-  let client = new DebuggerClient(transport);
+  let endpoint = getEndpointFromQuery() || getDefaultEndpoints()[0];
 
-  return client.connect().then(() => {
+  return connect(endpoint).then(client => {
     return client.listTabs().then(response => {
       let tab = response.tabs[response.selected];
       let output = document.getElementById("output");
@@ -0,0 +1,49 @@
+/* eslint-env browser */
+
+"use strict";
+
+/**
+ * Connects to a debugging server and generates the schema and documentation
+ * of the protocol it implements, from its "protocolDescription".
+ */
+
+let { getDefaultEndpoints, getEndpointFromQuery, connect } =
+  require("devtools/client/framework/connect/endpoints");
+let { getProtocolSchema, getProtocolDocumentation } =
+  require("devtools/server/protocol-schema");
+
+function setDownload(id, content, type) {
+  let link = document.getElementById(id);
+  link.href = URL.createObjectURL(new Blob([content], { type: type }));
+}
+
+function start() {
+  let endpoint = getEndpointFromQuery() || getDefaultEndpoints()[0];
+
+  return connect(endpoint).then(client => {
+    let applicationType = client.mainRoot.applicationType;
+    let request = new Promise(resolve => {
+      client.mainRoot.protocolDescription(resolve);
+    });
+    return request.then(description => {
+      if (description.error) {
+        throw new Error(description.error + ": " + description.message);
+      }
+
+      let schema = getProtocolSchema(description);
+      let documentation = getProtocolDocumentation(schema,
+        "Remote Debugging Protocol (" + applicationType + ")");
+
+      setDownload("schema", JSON.stringify(schema, null, 2),
+                  "application/json");
+      setDownload("documentation", documentation, "text/markdown");
+      document.getElementById("output").textContent = documentation;
+      client.close();
+    });
+  });
+}
+
+start().catch(err => {
+  document.getElementById("output").textContent = String(err);
+  console.error(err);
+});
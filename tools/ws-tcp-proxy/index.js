@@ -2,58 +2,189 @@
 
 const ws = require("ws");
 const net = require("net");
+const { createLogger } = require("./log");
+const { Multiplexer, toBuffer } = require("./multiplexer");
+const { PacketReader } = require("./packets");
 
 const WEB_SOCKET_PORT = 9000;
 const TCP_PORT = 6080;
 
-exports.listen = options => {
+/**
+ * Proxy WebSocket connections to a debugger server listening on TCP.
+ *
+ * Data is forwarded as binary frames, untouched, so bulk packets and
+ * non-ASCII JSON make it through.
+ *
+ * @param {object} options
+ *        - wsPort {number} port to listen on for WebSocket connections.
+ *        - tcpPort {number} port of the debugger server.
+ *        - tcpHost {string} host of the debugger server, localhost by
+ *          default.
+ *        - multiplex {boolean} share a single debugger server connection
+ *          between all WebSocket clients, true by default. Otherwise each
+ *          client gets its own connection.
+ *        - logLevel {string} see log.js, "info" by default.
+ *        - logger {function} receives the log records instead of printing
+ *          them.
+ */
+exports.listen = (options = {}) => {
   let wsPort = options.wsPort || WEB_SOCKET_PORT;
   let tcpPort = options.tcpPort || TCP_PORT;
+  let tcpHost = options.tcpHost || "localhost";
+  let multiplex = options.multiplex !== false;
+  let log = createLogger({
+    logLevel: options.logLevel,
+    logger: options.logger,
+    logContext: { wsPort: wsPort }
+  });
 
   let wsServer = new ws.Server({ port: wsPort });
-  console.log("Listening for WS on *:" + wsPort);
-  console.log("Will proxy to TCP on *:" + tcpPort + " on first WS connection");
+  log("info", "listening", {
+    tcpHost: tcpHost,
+    tcpPort: tcpPort,
+    multiplex: multiplex
+  });
 
+  let multiplexer;
+  if (multiplex) {
+    multiplexer = new Multiplexer({ tcpHost, tcpPort }, log);
+  }
+
+  let nextClientId = 1;
   wsServer.on("connection", wsConnection => {
-    let tcpClient = net.connect({ port: tcpPort });
-    tcpClient.setEncoding("utf8");
+    if (multiplexer) {
+      multiplexer.addClient(wsConnection);
+    } else {
+      passThrough(wsConnection, nextClientId++, { tcpHost, tcpPort }, log);
+    }
+  });
 
-    tcpClient.on("connect", () => {
-      console.log("TCP connection succeeded");
-    });
+  return wsServer;
+};
 
-    tcpClient.on("error", e => {
-      wsConnection.close();
-      console.log("TCP connection failed: " + e);
-    });
+/**
+ * Connect a WebSocket client to its own debugger server connection.
+ */
+function passThrough(wsConnection, id, options, log) {
+  let tcpClient = net.connect({ host: options.tcpHost, port: options.tcpPort });
+  log("info", "client-connected", { client: id });
+
+  // Only parse the traffic if someone wants to know about it.
+  let tapIn = createTap(log, id, "ws->tcp");
+  let tapOut = createTap(log, id, "tcp->ws");
 
-    tcpClient.on("data", data => {
-      console.log("TCP -> WS: " + data);
-      try {
-        wsConnection.send(data);
-      } catch (e) {
+  tcpClient.on("connect", () => {
+    log("info", "tcp-connected", { client: id });
+  });
+
+  tcpClient.on("error", e => {
+    wsConnection.close();
+    log("error", "tcp-error", { client: id, message: String(e) });
+  });
+
+  tcpClient.on("close", () => {
+    wsConnection.close();
+  });
+
+  tcpClient.on("data", data => {
+    if (tapOut) {
+      tapOut.push(data);
+    }
+    wsConnection.send(data, { binary: true }, e => {
+      if (e) {
         tcpClient.end();
-        console.log("WS send failed, disconnected from TCP");
+        log("error", "client-send-failed", { client: id, message: String(e) });
       }
     });
+  });
 
-    wsConnection.on("message", msg => {
-      console.log("WS -> TCP: " + msg);
-      tcpClient.write(msg);
-    });
+  wsConnection.on("message", msg => {
+    let data = toBuffer(msg);
+    if (tapIn) {
+      tapIn.push(data);
+    }
+    tcpClient.write(data);
+  });
 
-    wsConnection.on("close", () => {
-      tcpClient.end();
-      console.log("WS connection closed, disconnected from TCP");
-    });
+  wsConnection.on("close", () => {
+    tcpClient.end();
+    log("info", "client-disconnected", { client: id });
+  });
 
-    wsConnection.on("error", () => {
-      tcpClient.end();
-      console.log("WS connection error, disconnected from TCP");
-    });
+  wsConnection.on("error", e => {
+    tcpClient.end();
+    log("error", "client-error", { client: id, message: String(e) });
   });
-};
+}
+
+/**
+ * Create a packet reader logging the packets going one way.
+ */
+function createTap(log, id, direction) {
+  if (!log.enabled("packets")) {
+    return null;
+  }
+
+  let record = (packet, object) => {
+    let fields = {
+      direction: direction,
+      client: id,
+      actor: packet.actor || object.to || object.from,
+      type: packet.type || object.type,
+      length: packet.length || packet.raw.length,
+      bulk: !object
+    };
+    if (object && log.enabled("trace")) {
+      fields.packet = object;
+      log("trace", "packet", fields);
+    } else {
+      log("packets", "packet", fields);
+    }
+  };
+
+  return new PacketReader({
+    packet: packet => record(packet, packet.object),
+    bulkStart: packet => record(packet, null),
+    bulkData: () => {},
+    error: e => log("error", "bad-packet", { client: id, message: e.message })
+  });
+}
+
+/**
+ * Read options from command line arguments, like:
+ *   --ws-port=9000 --tcp-port=6080 --log-level=packets --no-multiplex
+ */
+function parseArgs(args) {
+  let options = {};
+  for (let arg of args) {
+    let match = /^--([a-z-]+)(?:=(.*))?$/.exec(arg);
+    if (!match) {
+      throw new Error("Unknown argument: " + arg);
+    }
+    let [, name, value] = match;
+    switch (name) {
+      case "ws-port":
+        options.wsPort = +value;
+        break;
+      case "tcp-port":
+        options.tcpPort = +value;
+        break;
+      case "tcp-host":
+        options.tcpHost = value;
+        break;
+      case "log-level":
+        options.logLevel = value;
+        break;
+      case "no-multiplex":
+        options.multiplex = false;
+        break;
+      default:
+        throw new Error("Unknown argument: " + arg);
+    }
+  }
+  return options;
+}
 
 if (require.main == module) {
-  exports.listen();
+  exports.listen(parseArgs(process.argv.slice(2)));
 }
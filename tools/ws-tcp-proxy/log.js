@@ -0,0 +1,50 @@
+"use strict";
+
+/**
+ * Structured logging for the proxy. Each record is an object with at least
+ * `time`, `level` and `event` properties, handed to a sink that prints a
+ * line of JSON by default.
+ *
+ * Levels, from quietest to noisiest:
+ *   - none: nothing at all
+ *   - error: connection failures and malformed packets
+ *   - info: connections opening and closing (the default)
+ *   - packets: a summary of each packet (direction, actor, type, length)
+ *   - trace: as above, plus the content of JSON packets
+ */
+const LEVELS = ["none", "error", "info", "packets", "trace"];
+
+function defaultSink(record) {
+  console.log(JSON.stringify(record));
+}
+
+/**
+ * @param {object} options
+ *        - logLevel {string} one of LEVELS, "info" by default.
+ *        - logger {function} receives each record, instead of printing it.
+ * @return {function} log(level, event, fields)
+ */
+exports.createLogger = function(options) {
+  let name = options.logLevel || "info";
+  let threshold = LEVELS.indexOf(name);
+  if (threshold == -1) {
+    throw new Error("Unknown log level: " + name);
+  }
+  let sink = options.logger || defaultSink;
+  let context = options.logContext || {};
+
+  let log = (level, event, fields) => {
+    if (LEVELS.indexOf(level) > threshold) {
+      return;
+    }
+    sink(Object.assign({
+      time: new Date().toISOString(),
+      level: level,
+      event: event
+    }, context, fields));
+  };
+  log.enabled = level => LEVELS.indexOf(level) <= threshold;
+  return log;
+};
+
+exports.LEVELS = LEVELS;
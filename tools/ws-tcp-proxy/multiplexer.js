@@ -0,0 +1,376 @@
+"use strict";
+
+const net = require("net");
+const { PacketReader, encodePacket } = require("./packets");
+
+const {
+  isUnsolicited,
+  getEventTypes
+} = require("../../shared/client/unsolicited");
+
+// Stands for the proxy in the queues of pending requests, for the requests
+// it makes itself.
+const PROXY = { id: 0, actors: new Set() };
+
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+  if (Array.isArray(data)) {
+    return Buffer.concat(data);
+  }
+  if (data instanceof ArrayBuffer) {
+    return Buffer.from(data);
+  }
+  // Text frames come from clients that don't send binary data yet.
+  return Buffer.from(data, "utf8");
+}
+exports.toBuffer = toBuffer;
+
+/**
+ * Shares a single debuggee connection between several WebSocket clients.
+ *
+ * Requests are forwarded as they are, whole packets at a time so packets
+ * from different clients never interleave. Replies go back to the client
+ * that made the oldest pending request to the replying actor, and
+ * notifications go to every client that talked to the actor (or to all of
+ * them, for actors nobody talked to yet). The server greeting is replayed
+ * to clients joining later.
+ *
+ * Notifications are told from replies like the DebuggerClient does, see
+ * isUnsolicited. For the events of protocol.js actors, the proxy asks the
+ * server for its protocol description once connected.
+ *
+ * The debuggee connection is opened with the first client and closed with
+ * the last one.
+ */
+class Multiplexer {
+  constructor(options, log) {
+    this.tcpHost = options.tcpHost;
+    this.tcpPort = options.tcpPort;
+    this.log = log;
+
+    this.clients = new Set();
+    this.nextClientId = 1;
+    this.reset();
+  }
+
+  reset() {
+    this.tcp = null;
+    this.greeting = null;
+    // The types of the events declared by the protocol.js actors of the
+    // server, see requestEventTypes.
+    this.eventTypes = new Set();
+    // Actor -> clients waiting for a reply, oldest first. A client that went
+    // away is replaced by null, so its replies get dropped.
+    this.pending = new Map();
+    // Packets waiting to be written to the debuggee, see flushTcp.
+    this.tcpQueue = [];
+    this.tcpOwner = null;
+    // Clients receiving the bulk packet currently read from the debuggee.
+    this.bulkTargets = null;
+  }
+
+  addClient(ws) {
+    let client = {
+      id: this.nextClientId++,
+      ws: ws,
+      actors: new Set()
+    };
+    client.reader = new PacketReader({
+      packet: packet => this.onClientPacket(client, packet),
+      bulkStart: packet => this.onClientBulkStart(client, packet),
+      bulkData: (chunk, remaining) => {
+        this.writeTcp(client, chunk, { endsBulk: !remaining });
+      },
+      error: e => {
+        this.log("error", "bad-packet", {
+          client: client.id,
+          message: e.message
+        });
+        ws.close();
+      }
+    });
+    this.clients.add(client);
+    this.log("info", "client-connected", {
+      client: client.id,
+      clients: this.clients.size
+    });
+
+    ws.on("message", data => client.reader.push(toBuffer(data)));
+    ws.on("close", () => this.removeClient(client));
+    ws.on("error", e => {
+      this.log("error", "client-error", {
+        client: client.id,
+        message: String(e)
+      });
+      this.removeClient(client);
+    });
+
+    if (!this.tcp) {
+      this.connectTcp();
+    } else if (this.greeting) {
+      this.sendToClient(client, this.greeting);
+    }
+  }
+
+  removeClient(client) {
+    if (!this.clients.delete(client)) {
+      return;
+    }
+    this.log("info", "client-disconnected", {
+      client: client.id,
+      clients: this.clients.size
+    });
+
+    for (let queue of this.pending.values()) {
+      for (let i = 0; i < queue.length; i++) {
+        if (queue[i] === client) {
+          queue[i] = null;
+        }
+      }
+    }
+    if (this.bulkTargets) {
+      this.bulkTargets = this.bulkTargets.filter(c => c !== client);
+    }
+
+    if (!this.tcp) {
+      return;
+    }
+    if (this.tcpOwner === client) {
+      // The debuggee is waiting for the rest of a bulk packet that will
+      // never come, so this connection can't be used anymore.
+      this.log("error", "bulk-interrupted", { client: client.id });
+      this.closeTcp();
+      return;
+    }
+    this.tcpQueue = this.tcpQueue.filter(entry => entry.client !== client);
+    if (!this.clients.size) {
+      this.closeTcp();
+    }
+  }
+
+  connectTcp() {
+    let tcp = net.connect({ host: this.tcpHost, port: this.tcpPort });
+    this.tcp = tcp;
+
+    let reader = new PacketReader({
+      packet: packet => this.onServerPacket(packet),
+      bulkStart: packet => this.onServerBulkStart(packet),
+      bulkData: (chunk, remaining) => this.onServerBulkData(chunk, remaining),
+      error: e => {
+        this.log("error", "bad-packet", { from: "tcp", message: e.message });
+        this.closeTcp();
+      }
+    });
+
+    tcp.on("connect", () => {
+      this.log("info", "tcp-connected", { port: this.tcpPort });
+    });
+    tcp.on("data", data => reader.push(data));
+    tcp.on("error", e => {
+      this.log("error", "tcp-error", { message: String(e) });
+    });
+    tcp.on("close", () => {
+      if (this.tcp === tcp) {
+        this.closeTcp();
+      }
+    });
+  }
+
+  /**
+   * Drop the debuggee connection, and with it every client, as their
+   * actors are gone.
+   */
+  closeTcp() {
+    let tcp = this.tcp;
+    this.reset();
+    if (tcp) {
+      tcp.destroy();
+      this.log("info", "tcp-disconnected", { port: this.tcpPort });
+    }
+    for (let client of this.clients) {
+      client.ws.close();
+    }
+    this.clients.clear();
+  }
+
+  onClientPacket(client, packet) {
+    let actor = packet.object.to;
+    this.expectReply(client, actor);
+    this.logPacket("ws->tcp", client, actor, packet.object.type,
+                   packet.raw.length, packet.object);
+    this.writeTcp(client, packet.raw, {});
+  }
+
+  onClientBulkStart(client, packet) {
+    this.expectReply(client, packet.actor);
+    this.logPacket("ws->tcp", client, packet.actor, packet.type,
+                   packet.length, null, true);
+    this.writeTcp(client, packet.raw, {
+      startsBulk: packet.length > 0
+    });
+  }
+
+  expectReply(client, actor) {
+    client.actors.add(actor);
+    if (!this.pending.has(actor)) {
+      this.pending.set(actor, []);
+    }
+    this.pending.get(actor).push(client);
+  }
+
+  /**
+   * Queue data for the debuggee. While a client is in the middle of
+   * sending a bulk packet, only its data goes through.
+   */
+  writeTcp(client, data, flags) {
+    this.tcpQueue.push({
+      client: client,
+      data: data,
+      startsBulk: flags.startsBulk,
+      endsBulk: flags.endsBulk
+    });
+    this.flushTcp();
+  }
+
+  flushTcp() {
+    while (this.tcp && this.tcpQueue.length) {
+      let index = 0;
+      if (this.tcpOwner) {
+        index = this.tcpQueue.findIndex(e => e.client === this.tcpOwner);
+        if (index == -1) {
+          return;
+        }
+      }
+      let entry = this.tcpQueue.splice(index, 1)[0];
+      this.tcp.write(entry.data);
+      if (entry.startsBulk) {
+        this.tcpOwner = entry.client;
+      }
+      if (entry.endsBulk) {
+        this.tcpOwner = null;
+      }
+    }
+  }
+
+  /**
+   * Find the clients a packet from the given actor is meant for.
+   */
+  route(actor, packet) {
+    let queue = this.pending.get(actor);
+    if (queue && queue.length &&
+        !isUnsolicited(packet, p => this.eventTypes.has(p.type))) {
+      let client = queue.shift();
+      if (!queue.length) {
+        this.pending.delete(actor);
+      }
+      if (client === PROXY) {
+        this.onEventTypes(packet);
+        return [];
+      }
+      return client ? [client] : [];
+    }
+
+    let clients = [...this.clients];
+    let interested = clients.filter(client => client.actors.has(actor));
+    return interested.length ? interested : clients;
+  }
+
+  onServerPacket(packet) {
+    let object = packet.object;
+    if (!this.greeting && object.from == "root" && object.applicationType) {
+      this.greeting = packet.raw;
+      this.log("info", "greeting", { applicationType: object.applicationType });
+      this.requestEventTypes();
+      for (let client of this.clients) {
+        this.sendToClient(client, packet.raw);
+      }
+      return;
+    }
+
+    for (let client of this.route(object.from, object)) {
+      this.logPacket("tcp->ws", client, object.from, object.type,
+                     packet.raw.length, object);
+      this.sendToClient(client, packet.raw);
+    }
+  }
+
+  /**
+   * Ask the server for the events its protocol.js actors declare, before the
+   * clients get the greeting and start talking to it.
+   */
+  requestEventTypes() {
+    this.expectReply(PROXY, "root");
+    this.writeTcp(PROXY, encodePacket({
+      to: "root",
+      type: "protocolDescription"
+    }), {});
+  }
+
+  onEventTypes(packet) {
+    if (packet.error) {
+      // Servers without protocol.js actors may not describe their protocol.
+      this.log("info", "no-protocol-description", {
+        error: packet.error,
+        message: packet.message
+      });
+      return;
+    }
+    this.eventTypes = getEventTypes(packet);
+    this.log("info", "event-types", { count: this.eventTypes.size });
+  }
+
+  onServerBulkStart(packet) {
+    let targets = this.route(packet.actor, packet);
+    for (let client of targets) {
+      this.logPacket("tcp->ws", client, packet.actor, packet.type,
+                     packet.length, null, true);
+      this.sendToClient(client, packet.raw);
+    }
+    this.bulkTargets = packet.length ? targets : null;
+  }
+
+  onServerBulkData(chunk, remaining) {
+    for (let client of this.bulkTargets || []) {
+      this.sendToClient(client, chunk);
+    }
+    if (!remaining) {
+      this.bulkTargets = null;
+    }
+  }
+
+  sendToClient(client, data) {
+    client.ws.send(data, { binary: true }, e => {
+      if (e) {
+        this.log("error", "client-send-failed", {
+          client: client.id,
+          message: String(e)
+        });
+        this.removeClient(client);
+      }
+    });
+  }
+
+  logPacket(direction, client, actor, type, length, object, bulk) {
+    if (!this.log.enabled("packets")) {
+      return;
+    }
+    let fields = {
+      direction: direction,
+      client: client.id,
+      actor: actor,
+      type: type,
+      length: length,
+      bulk: !!bulk
+    };
+    if (object && this.log.enabled("trace")) {
+      fields.packet = object;
+      this.log("trace", "packet", fields);
+      return;
+    }
+    this.log("packets", "packet", fields);
+  }
+}
+
+exports.Multiplexer = Multiplexer;
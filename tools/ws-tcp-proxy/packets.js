@@ -0,0 +1,120 @@
+"use strict";
+
+/**
+ * Incremental reader for the Remote Debugging Protocol stream framing:
+ *
+ *   JSON packets: [length]:[JSON, utf8 encoded]
+ *   Bulk packets: bulk [actor] [type] [length]:[data]
+ *
+ * Data is handled as raw bytes all the way through, so packets can be
+ * forwarded exactly as they were received.
+ */
+
+const PACKET_HEADER_MAX = 200;
+const JSON_HEADER_PATTERN = /^(\d+)$/;
+const BULK_HEADER_PATTERN = /^bulk ([^: ]+) ([^: ]+) (\d+)$/;
+const COLON = ":".charCodeAt(0);
+
+/**
+ * @param {object} handlers
+ *        - packet({ raw, object }) : a complete JSON packet was read. `raw`
+ *          is the whole packet, header included.
+ *        - bulkStart({ raw, actor, type, length }) : the header of a bulk
+ *          packet was read. `raw` is the header, colon included.
+ *        - bulkData(chunk, remaining) : some of the data of the current bulk
+ *          packet was read.
+ *        - error(e) : the stream is malformed and can't be read any further.
+ */
+class PacketReader {
+  constructor(handlers) {
+    this.handlers = handlers;
+    this.buffer = Buffer.alloc(0);
+    this.bulkRemaining = 0;
+    this.failed = false;
+  }
+
+  push(chunk) {
+    if (this.failed) {
+      return;
+    }
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk])
+                                     : chunk;
+    try {
+      while (this.buffer.length && this.read()) {}
+    } catch (e) {
+      this.failed = true;
+      this.handlers.error(e);
+    }
+  }
+
+  /**
+   * Read whatever can be read from the buffer.
+   *
+   * @return {boolean} Whether reading should continue.
+   */
+  read() {
+    if (this.bulkRemaining) {
+      let chunk = this.take(Math.min(this.bulkRemaining, this.buffer.length));
+      this.bulkRemaining -= chunk.length;
+      this.handlers.bulkData(chunk, this.bulkRemaining);
+      return true;
+    }
+
+    let colon = this.buffer.indexOf(COLON);
+    if (colon == -1) {
+      if (this.buffer.length > PACKET_HEADER_MAX) {
+        throw new Error("Failed to parse packet header!");
+      }
+      return false;
+    }
+
+    let header = this.buffer.toString("latin1", 0, colon);
+    let bulk = BULK_HEADER_PATTERN.exec(header);
+    if (bulk) {
+      let raw = this.take(colon + 1);
+      this.bulkRemaining = +bulk[3];
+      this.handlers.bulkStart({
+        raw: raw,
+        actor: bulk[1],
+        type: bulk[2],
+        length: this.bulkRemaining
+      });
+      return true;
+    }
+
+    let json = JSON_HEADER_PATTERN.exec(header);
+    if (!json) {
+      throw new Error("No packet types for header: " + header);
+    }
+    let length = colon + 1 + (+json[1]);
+    if (this.buffer.length < length) {
+      return false;
+    }
+    let raw = this.take(length);
+    this.handlers.packet({
+      raw: raw,
+      object: JSON.parse(raw.toString("utf8", colon + 1))
+    });
+    return true;
+  }
+
+  take(length) {
+    let data = this.buffer.slice(0, length);
+    this.buffer = this.buffer.slice(length);
+    return data;
+  }
+}
+
+/**
+ * Returns the given object as a JSON packet.
+ *
+ * @param {object} object
+ * @return {Buffer}
+ */
+function encodePacket(object) {
+  let json = Buffer.from(JSON.stringify(object), "utf8");
+  return Buffer.concat([Buffer.from(json.length + ":", "latin1"), json]);
+}
+
+exports.PacketReader = PacketReader;
+exports.encodePacket = encodePacket;
@@ -0,0 +1,265 @@
+"use strict";
+
+const net = require("net");
+const EventEmitter = require("events");
+const { expect } = require("chai");
+const { createLogger } = require("../log");
+const { Multiplexer } = require("../multiplexer");
+const { PacketReader } = require("../packets");
+
+function frame(object) {
+  let json = Buffer.from(JSON.stringify(object), "utf8");
+  return Buffer.concat([Buffer.from(json.length + ":"), json]);
+}
+
+function readPackets(onPacket) {
+  return new PacketReader({
+    packet: packet => onPacket(packet.object),
+    bulkStart: () => {},
+    bulkData: () => {},
+    error: e => { throw e; }
+  });
+}
+
+/**
+ * Stands in for a WebSocket connection, keeping the packets it receives.
+ */
+class FakeWebSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.packets = [];
+    this.reader = readPackets(object => {
+      this.packets.push(object);
+      this.emit("packet", object);
+    });
+  }
+
+  send(data, options, callback) {
+    this.reader.push(data);
+    callback();
+  }
+
+  request(object) {
+    this.emit("message", frame(object));
+  }
+
+  close() {
+    this.emit("close");
+  }
+}
+
+// The protocol description of the server, with a protocol.js actor sending
+// events.
+const DESCRIPTION = {
+  types: {
+    promises: {
+      category: "actor",
+      typeName: "promises",
+      methods: [],
+      events: {
+        "new-promises": {
+          type: "new-promises",
+          data: { _arg: 0, type: "array:json" }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * A debugger server replying to requests only once it got `count` of them,
+ * so that the requests of different clients are all pending together.
+ * `reply` returns the packet, or packets, sent for each request. The
+ * protocol description the proxy asks for is sent at once.
+ */
+function createServer(count, reply) {
+  let server = net.createServer(socket => {
+    let requests = [];
+    let reader = readPackets(object => {
+      if (object.type == "protocolDescription") {
+        socket.write(frame(Object.assign({ from: "root" }, DESCRIPTION)));
+        return;
+      }
+      requests.push(object);
+      if (requests.length == count) {
+        for (let request of requests) {
+          for (let packet of [].concat(reply(request))) {
+            socket.write(frame(packet));
+          }
+        }
+      }
+    });
+    socket.on("data", data => reader.push(data));
+    socket.write(frame({ from: "root", applicationType: "browser" }));
+  });
+  return new Promise(resolve => {
+    server.listen(0, "localhost", () => resolve(server));
+  });
+}
+
+function waitForPackets(ws, count) {
+  return new Promise(resolve => {
+    let check = () => {
+      if (ws.packets.length >= count) {
+        ws.removeListener("packet", check);
+        resolve();
+      }
+    };
+    ws.on("packet", check);
+    check();
+  });
+}
+
+it("Thread replies go to the client that made the request", function () {
+  const THREAD = "conn1.thread1";
+  let server;
+  let multiplexer;
+  let a = new FakeWebSocket();
+  let b = new FakeWebSocket();
+
+  return createServer(5, request => {
+    switch (request.type) {
+      case "attach":
+        return { from: THREAD, type: "paused", why: { type: "attached" } };
+      case "resume":
+        return { from: THREAD, type: "resumed" };
+      case "interrupt":
+        return { from: THREAD, type: "paused", why: { type: "interrupted" } };
+      case "detach":
+        return { from: THREAD, type: "detached" };
+      default:
+        return { from: THREAD, sources: [] };
+    }
+  }).then(s => {
+    server = s;
+    multiplexer = new Multiplexer({
+      tcpHost: "localhost",
+      tcpPort: server.address().port
+    }, createLogger({ logLevel: "none" }));
+    multiplexer.addClient(a);
+    multiplexer.addClient(b);
+
+    a.request({ to: THREAD, type: "attach" });
+    b.request({ to: THREAD, type: "resume" });
+    a.request({ to: THREAD, type: "interrupt" });
+    b.request({ to: THREAD, type: "sources" });
+    a.request({ to: THREAD, type: "detach" });
+
+    // The greeting, then the replies.
+    return Promise.all([waitForPackets(a, 4), waitForPackets(b, 3)]);
+  }).then(() => {
+    expect(a.packets.slice(1)).to.deep.equal([
+      { from: THREAD, type: "paused", why: { type: "attached" } },
+      { from: THREAD, type: "paused", why: { type: "interrupted" } },
+      { from: THREAD, type: "detached" }
+    ]);
+    expect(b.packets.slice(1)).to.deep.equal([
+      { from: THREAD, type: "resumed" },
+      { from: THREAD, sources: [] }
+    ]);
+    expect(multiplexer.pending.size).to.equal(0);
+
+    multiplexer.closeTcp();
+    server.close();
+  });
+});
+
+it("Unsolicited pauses go to every client of the thread", function () {
+  const THREAD = "conn1.thread1";
+  const PAUSE = { from: THREAD, type: "paused", why: { type: "breakpoint" } };
+  let server;
+  let multiplexer;
+  let a = new FakeWebSocket();
+  let b = new FakeWebSocket();
+
+  return createServer(2, request => {
+    if (request.type == "resume") {
+      // A breakpoint is hit right after resuming.
+      return [{ from: THREAD, type: "resumed" }, PAUSE];
+    }
+    return { from: THREAD, sources: [] };
+  }).then(s => {
+    server = s;
+    multiplexer = new Multiplexer({
+      tcpHost: "localhost",
+      tcpPort: server.address().port
+    }, createLogger({ logLevel: "none" }));
+    multiplexer.addClient(a);
+    multiplexer.addClient(b);
+
+    a.request({ to: THREAD, type: "resume" });
+    b.request({ to: THREAD, type: "sources" });
+
+    return Promise.all([waitForPackets(a, 3), waitForPackets(b, 3)]);
+  }).then(() => {
+    expect(a.packets.slice(1)).to.deep.equal([
+      { from: THREAD, type: "resumed" },
+      PAUSE
+    ]);
+    expect(b.packets.slice(1)).to.deep.equal([
+      PAUSE,
+      { from: THREAD, sources: [] }
+    ]);
+
+    multiplexer.closeTcp();
+    server.close();
+  });
+});
+
+it("Client and protocol.js events aren't taken for replies", function () {
+  const THREAD = "conn1.thread1";
+  const PROMISES = "conn1.promises2";
+  const NEW_SOURCE = { from: THREAD, type: "newSource", source: {} };
+  const NEW_PROMISES = { from: PROMISES, type: "new-promises", data: [] };
+  let server;
+  let multiplexer;
+  let a = new FakeWebSocket();
+  let b = new FakeWebSocket();
+
+  return createServer(4, request => {
+    switch (request.type) {
+      case "sources":
+        // A source is found while listing them.
+        return [NEW_SOURCE, { from: THREAD, sources: [] }];
+      case "resume":
+        return { from: THREAD, type: "resumed" };
+      case "attach":
+        return [NEW_PROMISES, { from: PROMISES }];
+      default:
+        return { from: PROMISES };
+    }
+  }).then(s => {
+    server = s;
+    multiplexer = new Multiplexer({
+      tcpHost: "localhost",
+      tcpPort: server.address().port
+    }, createLogger({ logLevel: "none" }));
+    multiplexer.addClient(a);
+    multiplexer.addClient(b);
+    return waitForPackets(a, 1);
+  }).then(() => {
+    a.request({ to: THREAD, type: "sources" });
+    b.request({ to: THREAD, type: "resume" });
+    a.request({ to: PROMISES, type: "attach" });
+    b.request({ to: PROMISES, type: "listPromises" });
+
+    return Promise.all([waitForPackets(a, 5), waitForPackets(b, 5)]);
+  }).then(() => {
+    expect(a.packets.slice(1)).to.deep.equal([
+      NEW_SOURCE,
+      { from: THREAD, sources: [] },
+      NEW_PROMISES,
+      { from: PROMISES }
+    ]);
+    expect(b.packets.slice(1)).to.deep.equal([
+      NEW_SOURCE,
+      { from: THREAD, type: "resumed" },
+      NEW_PROMISES,
+      { from: PROMISES }
+    ]);
+    expect(multiplexer.pending.size).to.equal(0);
+
+    multiplexer.closeTcp();
+    server.close();
+  });
+});
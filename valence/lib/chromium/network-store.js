@@ -3,40 +3,179 @@ var { EventTarget } = require("sdk/event/target");
 var { emit } = require("sdk/event/core");
 var task = require("../util/task");
 
-
+/**
+ * Keeps track of the requests made by a tab, merging the various
+ * `Network.*` notifications for a request into a single record.
+ *
+ * Emits "request", "response", "finished" and "failed" events with the
+ * record as the argument. A record looks like:
+ *   {
+ *     requestId: the CDP request id,
+ *     request: the CDP Request object,
+ *     response: the CDP Response object, once received,
+ *     type: the CDP resource type ("Document", "XHR", ...),
+ *     wallTime: the time the request started, in ms since the epoch,
+ *     startTime: the monotonic time the request started, in seconds,
+ *     endTime: the monotonic time the request finished, in seconds,
+ *     encodedDataLength: the number of bytes received over the wire,
+ *     dataLength: the decoded size of the response body,
+ *     fromCache: true if the response came from a cache,
+ *     redirected: true if the response is a redirect, finished as the next
+ *       hop starts,
+ *     errorText: why the request failed, if it did.
+ *   }
+ */
 var NetworkStore = Class({
   extends: EventTarget,
   initialize: function(rpc) {
     EventTarget.prototype.initialize.call(this);
     this.rpc = rpc;
-    this.requests = new Map(this.requests);
+    this.requests = new Map();
+    this.users = 0;
   },
 
+  /**
+   * Start tracking requests. Several actors share the store, so each call
+   * to `init` must be balanced by a call to `destroy`.
+   */
   init: task.async(function*() {
+    this.users++;
     if (this.initialized) {
       return;
     }
     this.initialized = true;
 
+    this.onRequestWillBeSent = this.onRequestWillBeSent.bind(this);
     this.onResponseReceived = this.onResponseReceived.bind(this);
+    this.onDataReceived = this.onDataReceived.bind(this);
+    this.onLoadingFinished = this.onLoadingFinished.bind(this);
+    this.onLoadingFailed = this.onLoadingFailed.bind(this);
+    this.onRequestServedFromCache = this.onRequestServedFromCache.bind(this);
+
+    this.rpc.on("Network.requestWillBeSent", this.onRequestWillBeSent);
     this.rpc.on("Network.responseReceived", this.onResponseReceived);
+    this.rpc.on("Network.dataReceived", this.onDataReceived);
+    this.rpc.on("Network.loadingFinished", this.onLoadingFinished);
+    this.rpc.on("Network.loadingFailed", this.onLoadingFailed);
+    this.rpc.on("Network.requestServedFromCache",
+                this.onRequestServedFromCache);
 
     yield this.rpc.request("Network.enable");
   }),
 
   destroy: task.async(function*() {
-    if (!this.initialized) {
+    if (!this.initialized || --this.users > 0) {
       return;
     }
     this.initialized = false;
 
+    this.rpc.off("Network.requestWillBeSent", this.onRequestWillBeSent);
+    this.rpc.off("Network.responseReceived", this.onResponseReceived);
+    this.rpc.off("Network.dataReceived", this.onDataReceived);
+    this.rpc.off("Network.loadingFinished", this.onLoadingFinished);
+    this.rpc.off("Network.loadingFailed", this.onLoadingFailed);
+    this.rpc.off("Network.requestServedFromCache",
+                 this.onRequestServedFromCache);
+    this.requests.clear();
+
     yield this.rpc.request("Network.disable");
   }),
 
+  onRequestWillBeSent: function(params) {
+    let previous = this.requests.get(params.requestId);
+    if (previous && params.redirectResponse) {
+      // Chrome reuses the request id for each hop of a redirect chain,
+      // finishing the previous hop with the redirect response.
+      previous.response = params.redirectResponse;
+      previous.redirected = true;
+      previous.endTime = params.timestamp;
+      emit(this, "response", previous);
+      emit(this, "finished", previous);
+    }
+
+    let record = {
+      requestId: params.requestId,
+      request: params.request,
+      response: null,
+      type: params.type,
+      // Older versions of the protocol don't send a wall time.
+      wallTime: params.wallTime ? params.wallTime * 1000 : Date.now(),
+      startTime: params.timestamp,
+      endTime: null,
+      encodedDataLength: 0,
+      dataLength: 0,
+      fromCache: false,
+      redirected: false,
+      errorText: null
+    };
+    this.requests.set(params.requestId, record);
+    emit(this, "request", record);
+  },
+
   onResponseReceived: function(params) {
-    
+    let record = this.requests.get(params.requestId);
+    if (!record) {
+      return;
+    }
+    record.response = params.response;
+    record.type = params.type;
+    if (params.response.fromDiskCache) {
+      record.fromCache = true;
+    }
+    emit(this, "response", record);
+  },
+
+  onDataReceived: function(params) {
+    let record = this.requests.get(params.requestId);
+    if (!record) {
+      return;
+    }
+    record.dataLength += params.dataLength;
+    record.encodedDataLength += params.encodedDataLength;
   },
-})
+
+  onRequestServedFromCache: function(params) {
+    let record = this.requests.get(params.requestId);
+    if (record) {
+      record.fromCache = true;
+    }
+  },
+
+  onLoadingFinished: function(params) {
+    let record = this.requests.get(params.requestId);
+    if (!record) {
+      return;
+    }
+    this.requests.delete(params.requestId);
+    record.endTime = params.timestamp;
+    if (params.encodedDataLength) {
+      record.encodedDataLength = params.encodedDataLength;
+    }
+    emit(this, "finished", record);
+  },
+
+  onLoadingFailed: function(params) {
+    let record = this.requests.get(params.requestId);
+    if (!record) {
+      return;
+    }
+    this.requests.delete(params.requestId);
+    record.endTime = params.timestamp;
+    record.errorText = params.canceled ? "canceled" : params.errorText;
+    emit(this, "failed", record);
+  },
+
+  /**
+   * Fetch the body of a finished request.
+   *
+   * Resolves to an object with `body` and `base64Encoded` properties.
+   */
+  responseBody: task.async(function*(requestId) {
+    return yield this.rpc.request("Network.getResponseBody", {
+      requestId: requestId
+    });
+  })
+});
 
 var storeMap = new Map();
 exports.getNetworkStore = function(rpc) {
@@ -0,0 +1,436 @@
+/**
+ * Translation of the Chromium `Network` domain into the Firefox
+ * network event actor protocol used by the netmonitor and the console.
+ */
+
+const task = require("../util/task");
+
+const protocol = require("devtools/server/protocol");
+const {types} = require("../util/protocol-extra");
+const {Actor, method, Arg, Option, RetVal, emit} = protocol;
+const {LongStringActor} = require("devtools/server/actors/string");
+const NetworkHelper = require("devtools/shared/webconsole/network-helper");
+
+types.addDictType("chromium_netpostdata", {
+  text: "longstring"
+});
+types.addDictType("chromium_netpostdataResponse", {
+  postData: "chromium_netpostdata"
+});
+types.addDictType("chromium_netcontent", {
+  text: "longstring"
+});
+types.addDictType("chromium_netcontentResponse", {
+  content: "chromium_netcontent"
+});
+
+/**
+ * Convert a CDP headers object into the array of name/value pairs the
+ * Firefox protocol uses. Chrome joins repeated headers with newlines.
+ */
+function toHeaderArray(headers) {
+  let result = [];
+  for (let name in headers || {}) {
+    for (let value of String(headers[name]).split("\n")) {
+      result.push({ name: name, value: value });
+    }
+  }
+  return result;
+}
+
+/**
+ * Find the value of a header, ignoring the case of its name.
+ */
+function findHeader(headers, name) {
+  name = name.toLowerCase();
+  for (let header of headers) {
+    if (header.name.toLowerCase() == name) {
+      return header.value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Rebuild the raw headers text for servers that don't send it.
+ */
+function rawHeaders(firstLine, headers) {
+  let lines = [firstLine];
+  for (let header of headers) {
+    lines.push(header.name + ": " + header.value);
+  }
+  return lines.join("\r\n") + "\r\n\r\n";
+}
+
+/**
+ * Map CDP `ResourceTiming` onto the HAR-style timings the netmonitor
+ * waterfall expects. All CDP offsets are in ms relative to `requestTime`,
+ * and a value of -1 means the phase didn't happen.
+ */
+function toEventTimings(record) {
+  let timings = {
+    blocked: 0,
+    dns: 0,
+    connect: 0,
+    send: 0,
+    wait: 0,
+    receive: 0
+  };
+
+  let total = 0;
+  if (record.endTime) {
+    total = (record.endTime - record.startTime) * 1000;
+  }
+
+  let timing = record.response && record.response.timing;
+  if (!timing) {
+    timings.wait = total;
+    return { timings: timings, totalTime: total };
+  }
+
+  let phase = (start, end) => (start >= 0 && end >= 0) ? end - start : 0;
+  let queued = (timing.requestTime - record.startTime) * 1000;
+  let firstActivity = [timing.dnsStart, timing.connectStart, timing.sendStart]
+    .filter(t => t >= 0);
+
+  timings.blocked = Math.max(0, queued + (firstActivity[0] || 0));
+  timings.dns = phase(timing.dnsStart, timing.dnsEnd);
+  timings.connect = phase(timing.connectStart, timing.connectEnd);
+  timings.send = phase(timing.sendStart, timing.sendEnd);
+  timings.wait = phase(timing.sendEnd, timing.receiveHeadersEnd);
+  if (record.endTime) {
+    timings.receive = Math.max(0, (record.endTime - timing.requestTime) *
+                                  1000 - timing.receiveHeadersEnd);
+  }
+
+  total = 0;
+  for (let key in timings) {
+    timings[key] = Math.round(timings[key]);
+    total += timings[key];
+  }
+
+  return { timings: timings, totalTime: total };
+}
+
+const SECURITY_STATES = {
+  "secure": "secure",
+  "insecure": "broken",
+  "neutral": "insecure",
+  "unknown": "insecure"
+};
+
+var ChromiumNetworkEventActor = protocol.ActorClass({
+  typeName: "chromium_networkevent",
+
+  events: {
+    "update": {
+      type: "networkEventUpdate",
+      updateType: Arg(0, "string"),
+      headers: Option(1, "number"),
+      headersSize: Option(1, "number"),
+      cookies: Option(1, "number"),
+      dataSize: Option(1, "number"),
+      discardRequestBody: Option(1, "boolean"),
+      response: Option(1, "json"),
+      state: Option(1, "string"),
+      mimeType: Option(1, "string"),
+      contentSize: Option(1, "number"),
+      transferredSize: Option(1, "number"),
+      discardResponseBody: Option(1, "boolean"),
+      totalTime: Option(1, "number")
+    }
+  },
+
+  initialize: function(console, record) {
+    this.console = console;
+    this.record = record;
+    Actor.prototype.initialize.call(this, console.conn);
+
+    this.requestHeaders = toHeaderArray(record.request.headers);
+    this.responseHeaders = [];
+    this.content = null;
+    this.timings = {};
+    this.totalTime = 0;
+  },
+
+  get rpc() { return this.console.rpc; },
+
+  /**
+   * Bodies are kept unless the client turned that off, as fetching them is
+   * cheap compared to Firefox where they have to be recorded up front.
+   */
+  get discardBodies() {
+    let prefs = this.console.prefs;
+    return prefs["NetworkMonitor.saveRequestAndResponseBodies"] === false;
+  },
+
+  form: function(detail) {
+    if (detail === "actorid") {
+      return this.actorID;
+    }
+    let request = this.record.request;
+    return {
+      actor: this.actorID,
+      startedDateTime: new Date(this.record.wallTime).toISOString(),
+      timeStamp: this.record.wallTime,
+      url: request.url,
+      method: request.method,
+      isXHR: this.record.type == "XHR",
+      fromCache: this.record.fromCache,
+      private: false
+    };
+  },
+
+  get httpVersion() {
+    let response = this.record.response;
+    if (response && response.protocol) {
+      return response.protocol.toUpperCase();
+    }
+    return "HTTP/1.1";
+  },
+
+  /**
+   * Send the updates available as soon as the request is made.
+   */
+  requestStarted: function() {
+    let request = this.record.request;
+
+    emit(this, "update", "requestHeaders", {
+      headers: this.requestHeaders.length,
+      headersSize: this.requestHeadersText().length
+    });
+    emit(this, "update", "requestCookies", {
+      cookies: this.requestCookies().length
+    });
+    if (request.postData) {
+      emit(this, "update", "requestPostData", {
+        dataSize: request.postData.length,
+        discardRequestBody: false
+      });
+    }
+  },
+
+  /**
+   * Send the updates available once the response headers arrived.
+   */
+  responseStarted: function() {
+    let response = this.record.response;
+
+    // The request headers sent on the wire are more accurate than the ones
+    // announced in requestWillBeSent.
+    if (response.requestHeaders) {
+      this.requestHeaders = toHeaderArray(response.requestHeaders);
+    }
+    this.responseHeaders = toHeaderArray(response.headers);
+
+    emit(this, "update", "responseStart", {
+      response: {
+        httpVersion: this.httpVersion,
+        remoteAddress: response.remoteIPAddress,
+        remotePort: response.remotePort,
+        status: String(response.status),
+        statusText: response.statusText,
+        headersSize: this.responseHeadersText().length,
+        discardResponseBody: this.discardBodies
+      }
+    });
+    emit(this, "update", "securityInfo", {
+      state: this.securityInfo().state
+    });
+    emit(this, "update", "responseHeaders", {
+      headers: this.responseHeaders.length,
+      headersSize: this.responseHeadersText().length
+    });
+    emit(this, "update", "responseCookies", {
+      cookies: this.responseCookies().length
+    });
+  },
+
+  /**
+   * Fetch the body of the response and send the final updates. Redirects
+   * have no content: their request id already belongs to the next hop, so
+   * the body fetched would be the one of another response.
+   */
+  requestFinished: task.async(function*() {
+    let record = this.record;
+    let mimeType = record.response ? record.response.mimeType : "";
+    let text = "";
+    let encoding;
+
+    if (!record.errorText && !record.redirected && record.response &&
+        !this.discardBodies) {
+      try {
+        let body = yield this.console.network.responseBody(record.requestId);
+        text = body.body;
+        if (body.base64Encoded) {
+          encoding = "base64";
+        }
+      } catch (e) {
+        // Some cached responses have no body to fetch.
+      }
+    }
+
+    if (!this.actorID) {
+      // The actor was released while we were waiting for the body.
+      return;
+    }
+
+    this.content = {
+      mimeType: mimeType,
+      size: record.dataLength || text.length,
+      encoding: encoding,
+      text: LongStringActor(this.conn, text)
+    };
+
+    emit(this, "update", "responseContent", {
+      mimeType: mimeType,
+      contentSize: this.content.size,
+      transferredSize: record.encodedDataLength,
+      discardResponseBody: this.discardBodies
+    });
+
+    let {timings, totalTime} = toEventTimings(record);
+    this.timings = timings;
+    this.totalTime = totalTime;
+    emit(this, "update", "eventTimings", {
+      totalTime: totalTime
+    });
+  }),
+
+  requestHeadersText: function() {
+    let response = this.record.response;
+    if (response && response.requestHeadersText) {
+      return response.requestHeadersText;
+    }
+    let request = this.record.request;
+    return rawHeaders(request.method + " " + request.url + " " +
+                      this.httpVersion, this.requestHeaders);
+  },
+
+  responseHeadersText: function() {
+    let response = this.record.response;
+    if (!response) {
+      return "";
+    }
+    if (response.headersText) {
+      return response.headersText;
+    }
+    return rawHeaders(this.httpVersion + " " + response.status + " " +
+                      response.statusText, this.responseHeaders);
+  },
+
+  requestCookies: function() {
+    let header = findHeader(this.requestHeaders, "Cookie");
+    return header ? NetworkHelper.parseCookieHeader(header) : [];
+  },
+
+  responseCookies: function() {
+    let cookies = [];
+    for (let header of this.responseHeaders) {
+      if (header.name.toLowerCase() == "set-cookie") {
+        cookies = cookies.concat(NetworkHelper.parseSetCookieHeader(
+          header.value));
+      }
+    }
+    return cookies;
+  },
+
+  securityInfo: function() {
+    let response = this.record.response || {};
+    let info = {
+      state: SECURITY_STATES[response.securityState] || "insecure"
+    };
+    let details = response.securityDetails;
+    if (details) {
+      info.protocolVersion = details.protocol;
+      info.cipherSuite = details.cipher;
+    }
+    return info;
+  },
+
+  getRequestHeaders: method(function() {
+    return {
+      headers: this.requestHeaders,
+      headersSize: this.requestHeadersText().length,
+      rawHeaders: this.requestHeadersText()
+    };
+  }, {
+    request: {},
+    response: RetVal("json")
+  }),
+
+  getRequestCookies: method(function() {
+    return {
+      cookies: this.requestCookies()
+    };
+  }, {
+    request: {},
+    response: RetVal("json")
+  }),
+
+  getRequestPostData: method(function() {
+    let postData = this.record.request.postData;
+    return {
+      postData: postData ? { text: LongStringActor(this.conn, postData) } : {},
+      postDataDiscarded: false
+    };
+  }, {
+    request: {},
+    response: RetVal("chromium_netpostdataResponse")
+  }),
+
+  getResponseHeaders: method(function() {
+    return {
+      headers: this.responseHeaders,
+      headersSize: this.responseHeadersText().length,
+      rawHeaders: this.responseHeadersText()
+    };
+  }, {
+    request: {},
+    response: RetVal("json")
+  }),
+
+  getResponseCookies: method(function() {
+    return {
+      cookies: this.responseCookies()
+    };
+  }, {
+    request: {},
+    response: RetVal("json")
+  }),
+
+  getResponseContent: method(function() {
+    return {
+      content: this.content || {},
+      contentDiscarded: this.discardBodies
+    };
+  }, {
+    request: {},
+    response: RetVal("chromium_netcontentResponse")
+  }),
+
+  getEventTimings: method(function() {
+    return {
+      timings: this.timings,
+      totalTime: this.totalTime
+    };
+  }, {
+    request: {},
+    response: RetVal("json")
+  }),
+
+  getSecurityInfo: method(function() {
+    return {
+      securityInfo: this.securityInfo()
+    };
+  }, {
+    request: {},
+    response: RetVal("json")
+  }),
+
+  release: method(function() {}, {
+    release: true
+  })
+});
+
+exports.ChromiumNetworkEventActor = ChromiumNetworkEventActor;
@@ -13,6 +13,7 @@ const {ChromiumConsoleActor} = require("./webconsole");
 const {ChromiumInspectorActor} = require("./inspector");
 const {ChromiumReflowActor} = require("./reflow");
 const {ChromiumStyleSheetsActor} = require("./styles");
+const {ChromiumStorageActor} = require("./storage");
 const {ChromiumThreadActor} = require("./thread")
 
 const sheets = require("./sheet-store");
@@ -62,13 +63,13 @@ var ChromiumRootActor = protocol.ActorClass({
         editOuterHTML: true,
         highlightable: true,
         urlToImageDataResolver: true,
-        networkMonitor: false,
-        storageInspector: false,
+        networkMonitor: true,
+        storageInspector: true,
         storageInspectorReadOnly: false,
-        conditionalBreakpoints: false,
+        conditionalBreakpoints: true,
         addNewRule: true,
-        noBlackBoxing: true,
-        noPrettyPrinting: true
+        noBlackBoxing: false,
+        noPrettyPrinting: false
       }
     });
   },
@@ -177,6 +178,9 @@ var ChromiumTabActor = protocol.ActorClass({
     this.styleSheetsActorID = conn.manageLazy(this, conn.allocID(), () => {
       return ChromiumStyleSheetsActor(this);
     });
+    this.storageActorID = conn.manageLazy(this, conn.allocID(), () => {
+      return ChromiumStorageActor(this);
+    });
   },
 
   form: function(detail) {
@@ -189,7 +193,8 @@ var ChromiumTabActor = protocol.ActorClass({
       consoleActor: this.consoleActorID,
       inspectorActor: this.inspectorActorID,
       reflowActor: this.reflowActorID,
-      styleSheetsActor: this.styleSheetsActorID
+      styleSheetsActor: this.styleSheetsActorID,
+      storageActor: this.storageActorID
     }
   },
 
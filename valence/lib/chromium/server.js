@@ -1,6 +1,7 @@
 const {Class} = require("sdk/core/heritage");
 //const {prefs} = require("sdk/simple-prefs");
-const prefs = { logDevToolsProtocolTraffic: true };
+// The packets exchanged with the toolbox are shown by its RDP monitor.
+const prefs = { logDevToolsProtocolTraffic: false };
 const task = require("../util/task");
 const {Pool} = require("devtools/server/protocol");
 const {DebuggerTransport, LocalDebuggerTransport} = require("devtools/shared/transport/transport");
@@ -0,0 +1,1043 @@
+/**
+ * Implementation of the storage actor for the Chromium debugging server.
+ *
+ * This mirrors devtools/server/actors/storage.js: one child actor per
+ * storage type, each keeping a map of host -> store name -> store object,
+ * and a parent actor that lists them and batches change notifications.
+ */
+
+const task = require("../util/task");
+
+const protocol = require("devtools/server/protocol");
+const {asyncMethod, types} = require("../util/protocol-extra");
+const {Actor, Arg, RetVal, emit} = protocol;
+const {LongStringActor} = require("devtools/server/actors/string");
+const {getNetworkStore} = require("./network-store");
+
+// Maximum number of store objects returned by a single getStoreObjects call.
+const MAX_STORE_OBJECT_COUNT = 50;
+// Delay before sending the batched update notifications to the client.
+const BATCH_DELAY = 200;
+
+// The store objects have the same shape as the ones of the Firefox storage
+// actor, see devtools/server/actors/storage.js.
+types.addDictType("chromium_cookieobject", {
+  name: "string",
+  value: "longstring",
+  path: "nullable:string",
+  host: "string",
+  isDomain: "boolean",
+  isSecure: "boolean",
+  isHttpOnly: "boolean",
+  creationTime: "number",
+  lastAccessed: "number",
+  expires: "number"
+});
+types.addDictType("chromium_cookiestoreobject", {
+  total: "number",
+  offset: "number",
+  data: "array:nullable:chromium_cookieobject"
+});
+types.addDictType("chromium_storageobject", {
+  name: "string",
+  value: "longstring"
+});
+types.addDictType("chromium_storagestoreobject", {
+  total: "number",
+  offset: "number",
+  data: "array:nullable:chromium_storageobject"
+});
+types.addDictType("chromium_idbobject", {
+  name: "nullable:string",
+  db: "nullable:string",
+  objectStore: "nullable:string",
+  origin: "nullable:string",
+  version: "nullable:number",
+  objectStores: "nullable:number",
+  keyPath: "nullable:string",
+  autoIncrement: "nullable:boolean",
+  indexes: "nullable:string",
+  value: "nullable:longstring"
+});
+types.addDictType("chromium_idbstoreobject", {
+  total: "number",
+  offset: "number",
+  data: "array:nullable:chromium_idbobject"
+});
+types.addDictType("chromium_storeUpdateObject", {
+  changed: "nullable:json",
+  deleted: "nullable:json",
+  added: "nullable:json"
+});
+
+// A map of storage type names to the actor class handling them.
+var storageTypePool = new Map();
+
+function hostFromURL(url) {
+  try {
+    let parsed = new URL(url);
+    return parsed.hostname || url;
+  } catch (e) {
+    return url;
+  }
+}
+
+function originFromURL(url) {
+  try {
+    let parsed = new URL(url);
+    if (!parsed.host) {
+      return url;
+    }
+    return parsed.protocol + "//" + parsed.host;
+  } catch (e) {
+    return url;
+  }
+}
+
+function compareOn(property) {
+  return (a, b) => {
+    if (a[property] < b[property]) {
+      return -1;
+    }
+    return a[property] > b[property] ? 1 : 0;
+  };
+}
+
+var ChromiumStorageActors = {};
+
+/**
+ * The initialize and destroy methods common to all the Chromium storage
+ * actors, for the actors adding to them to call.
+ */
+ChromiumStorageActors.initialize = function(storageActor) {
+  Actor.prototype.initialize.call(this, null);
+  this.storageActor = storageActor;
+  this.hostVsStores = new Map();
+  this.hostVsFrames = new Map();
+};
+
+ChromiumStorageActors.destroy = function() {
+  this.hostVsStores = null;
+  this.hostVsFrames = null;
+  this.storageActor = null;
+  Actor.prototype.destroy.call(this);
+};
+
+/**
+ * Creates a default object with the common methods required by all
+ * Chromium storage actors. Each actor must implement:
+ *   - getHostName : Given a frame, return the host it belongs to.
+ *   - populateStoresForHost : Given a host and its frame, asynchronously
+ *                             fill `hostVsStores` for it.
+ *   - toStoreObject : Convert a store object to its over-the-wire form.
+ *   - removeStoreObject : Remove a store object from the page.
+ *
+ * @param {string} typeName
+ *        The name of the storage type, as used by the client.
+ * @param {string} storeObjectType
+ *        The RetVal type of the store object of this actor.
+ */
+ChromiumStorageActors.defaults = function(typeName, storeObjectType) {
+  return {
+    typeName: "chromium_" + typeName,
+
+    get conn() { return this.storageActor.conn; },
+    get rpc() { return this.storageActor.rpc; },
+
+    initialize: ChromiumStorageActors.initialize,
+
+    destroy: ChromiumStorageActors.destroy,
+
+    get hosts() {
+      return new Set(this.hostVsStores.keys());
+    },
+
+    getNamesForHost: function(host) {
+      return [...this.hostVsStores.get(host).keys()];
+    },
+
+    getValuesForHost: function(host, name) {
+      let stores = this.hostVsStores.get(host);
+      if (!stores) {
+        return [];
+      }
+      if (name) {
+        return stores.has(name) ? [stores.get(name)] : [];
+      }
+      return [...stores.values()];
+    },
+
+    /**
+     * Rebuild `hostVsStores` from the current frames of the page, and notify
+     * the client of hosts that appeared or went away.
+     */
+    populateStoresForHosts: task.async(function*(frames, notify) {
+      let previous = this.hosts;
+
+      this.hostVsFrames = new Map();
+      for (let frame of frames) {
+        let host = this.getHostName(frame);
+        if (!this.hostVsFrames.has(host)) {
+          this.hostVsFrames.set(host, frame);
+        }
+      }
+
+      this.hostVsStores = new Map();
+      for (let [host, frame] of this.hostVsFrames) {
+        yield this.populateStoresForHost(host, frame);
+      }
+
+      if (!notify) {
+        return;
+      }
+
+      for (let host of previous) {
+        if (!this.hostVsStores.has(host)) {
+          this.storageActor.update("deleted", typeName, { [host]: [] });
+        }
+      }
+      for (let host of this.hostVsStores.keys()) {
+        if (!previous.has(host)) {
+          this.storageActor.update("added", typeName, {
+            [host]: this.getNamesForHost(host)
+          });
+        }
+      }
+    }),
+
+    form: function(detail) {
+      if (detail === "actorid") {
+        return this.actorID;
+      }
+
+      let hosts = {};
+      for (let host of this.hosts) {
+        hosts[host] = [];
+      }
+
+      return {
+        actor: this.actorID,
+        hosts: hosts
+      };
+    },
+
+    /**
+     * Returns a list of requested store objects, paginated the same way as
+     * the Firefox storage actors.
+     *
+     * @see StorageActors.defaults in devtools/server/actors/storage.js
+     */
+    getStoreObjects: asyncMethod(function*(host, names, options = {}) {
+      let offset = options.offset || 0;
+      let size = Math.min(options.size || MAX_STORE_OBJECT_COUNT,
+                          MAX_STORE_OBJECT_COUNT);
+      let sortOn = options.sortOn || "name";
+
+      let values = [];
+      if (names) {
+        for (let name of names) {
+          values.push(...(yield this.getValuesForHost(host, name, options)));
+        }
+      } else {
+        values = yield this.getValuesForHost(host, undefined, options);
+      }
+
+      let total = values.length;
+      if (offset > total) {
+        return { offset: total, total: total, data: [] };
+      }
+
+      return {
+        offset: offset,
+        total: total,
+        data: values.sort(compareOn(sortOn))
+                    .slice(offset, offset + size)
+                    .map(value => this.toStoreObject(value))
+      };
+    }, {
+      request: {
+        host: Arg(0),
+        names: Arg(1, "nullable:array:string"),
+        options: Arg(2, "nullable:json")
+      },
+      response: RetVal(storeObjectType)
+    }),
+
+    /**
+     * Remove a single store object from the page.
+     */
+    removeItem: asyncMethod(function*(host, name) {
+      if (!this.hostVsStores.has(host)) {
+        throw new Error("Unknown host: " + host);
+      }
+      yield this.removeStoreObject(host, name);
+    }, {
+      request: {
+        host: Arg(0, "string"),
+        name: Arg(1, "string")
+      },
+      response: {}
+    })
+  };
+};
+
+/**
+ * Creates a storage actor class and registers it with the storage actor.
+ *
+ * @param {object} options
+ *         - typeName {string} The name of the storage type.
+ *         - storeObjectType {string} The RetVal type of the store object.
+ * @param {object} overrides
+ *        The methods which differ from ChromiumStorageActors.defaults.
+ */
+ChromiumStorageActors.createActor = function(options, overrides) {
+  let actorObject = ChromiumStorageActors.defaults(options.typeName,
+                                                   options.storeObjectType);
+  for (let key of Object.getOwnPropertyNames(overrides)) {
+    Object.defineProperty(actorObject, key,
+                          Object.getOwnPropertyDescriptor(overrides, key));
+  }
+
+  storageTypePool.set(options.typeName, protocol.ActorClass(actorObject));
+};
+
+/**
+ * The cookies actor.
+ *
+ * The protocol doesn't notify us about cookie changes, so the cookies are
+ * fetched again whenever a response sets some.
+ */
+ChromiumStorageActors.createActor({
+  typeName: "cookies",
+  storeObjectType: "chromium_cookiestoreobject"
+}, {
+  initialize: function(storageActor) {
+    ChromiumStorageActors.initialize.call(this, storageActor);
+
+    this.network = getNetworkStore(this.rpc);
+    this.onResponse = this.onResponse.bind(this);
+    this.network.on("response", this.onResponse);
+    this.network.init().then(null, console.error);
+  },
+
+  destroy: function() {
+    this.network.off("response", this.onResponse);
+    this.network.destroy();
+    ChromiumStorageActors.destroy.call(this);
+  },
+
+  getHostName: function(frame) {
+    return hostFromURL(frame.url);
+  },
+
+  isCookieAtHost: function(cookie, host) {
+    if (cookie.domain.startsWith(".")) {
+      return ("." + host).endsWith(cookie.domain);
+    }
+    return cookie.domain == host;
+  },
+
+  getCookies: task.async(function*() {
+    let response;
+    try {
+      response = yield this.rpc.request("Network.getCookies");
+    } catch (e) {
+      // Older versions of the protocol only have this in the Page domain.
+      response = yield this.rpc.request("Page.getCookies");
+    }
+    return response.cookies;
+  }),
+
+  populateStoresForHost: task.async(function*(host) {
+    let stores = new Map();
+    for (let cookie of yield this.getCookies()) {
+      if (this.isCookieAtHost(cookie, host)) {
+        stores.set(cookie.name, cookie);
+      }
+    }
+    this.hostVsStores.set(host, stores);
+  }),
+
+  /**
+   * Fetch the cookies again after a response that sets some.
+   */
+  onResponse: function(record) {
+    let headers = record.response.headers || {};
+    let setsCookie = Object.keys(headers).some(name => {
+      return name.toLowerCase() == "set-cookie";
+    });
+    if (setsCookie && this.storageActor) {
+      this.refreshCookies().then(null, console.error);
+    }
+  },
+
+  /**
+   * Fetch the cookies again and notify the client of what changed.
+   */
+  refreshCookies: task.async(function*() {
+    let cookies = yield this.getCookies();
+    if (!this.storageActor) {
+      return;
+    }
+
+    for (let [host, stores] of this.hostVsStores) {
+      let added = [];
+      let changed = [];
+      let current = new Map();
+      for (let cookie of cookies) {
+        if (!this.isCookieAtHost(cookie, host)) {
+          continue;
+        }
+        current.set(cookie.name, cookie);
+        let old = stores.get(cookie.name);
+        if (!old) {
+          added.push(cookie.name);
+        } else if (old.value !== cookie.value ||
+                   old.expires !== cookie.expires) {
+          changed.push(cookie.name);
+        }
+      }
+      let deleted = [...stores.keys()].filter(name => !current.has(name));
+      this.hostVsStores.set(host, current);
+
+      if (added.length) {
+        this.storageActor.update("added", "cookies", { [host]: added });
+      }
+      if (changed.length) {
+        this.storageActor.update("changed", "cookies", { [host]: changed });
+      }
+      if (deleted.length) {
+        this.storageActor.update("deleted", "cookies", { [host]: deleted });
+      }
+    }
+  }),
+
+  toStoreObject: function(cookie) {
+    if (!cookie) {
+      return null;
+    }
+
+    return {
+      name: cookie.name,
+      path: cookie.path || "",
+      host: cookie.domain || "",
+      // Session cookies don't expire, which the client shows as 0.
+      expires: cookie.session ? 0 : cookie.expires,
+      // Chromium doesn't tell us about these.
+      creationTime: 0,
+      lastAccessed: 0,
+      value: LongStringActor(this.conn, cookie.value || ""),
+      isDomain: cookie.domain.startsWith("."),
+      isSecure: cookie.secure,
+      isHttpOnly: cookie.httpOnly
+    };
+  },
+
+  /**
+   * Edit the value or the expiry date of a cookie.
+   *
+   * @see the cookies actor in devtools/server/actors/storage.js
+   */
+  editCookie: asyncMethod(function*(host, name, field, value) {
+    let cookie = this.hostVsStores.has(host) &&
+                 this.hostVsStores.get(host).get(name);
+    if (!cookie) {
+      throw new Error("No cookie named " + name + " at " + host);
+    }
+
+    let domain = cookie.domain.replace(/^\./, "");
+    let params = {
+      url: (cookie.secure ? "https://" : "http://") + domain + cookie.path,
+      name: name,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly
+    };
+    if (!cookie.session) {
+      params.expirationDate = cookie.expires / 1000;
+    }
+
+    switch (field) {
+      case "value":
+        params.value = value;
+        break;
+      case "expires": {
+        let expires = Number(value);
+        if (isNaN(expires)) {
+          throw new Error("Invalid expiry date: " + value);
+        }
+        // Cookies without an expiry date are session cookies.
+        delete params.expirationDate;
+        if (expires > 0) {
+          params.expirationDate = expires / 1000;
+        }
+        break;
+      }
+      default:
+        throw new Error("Cookies can't have their " + field + " edited");
+    }
+
+    yield this.rpc.request("Network.setCookie", params);
+    yield this.refreshCookies();
+  }, {
+    request: {
+      host: Arg(0, "string"),
+      name: Arg(1, "string"),
+      field: Arg(2, "string"),
+      value: Arg(3, "string")
+    },
+    response: {}
+  }),
+
+  removeStoreObject: task.async(function*(host, name) {
+    let cookie = this.hostVsStores.get(host).get(name);
+    if (!cookie) {
+      return;
+    }
+
+    let domain = cookie.domain.replace(/^\./, "");
+    let url = (cookie.secure ? "https://" : "http://") + domain + cookie.path;
+    try {
+      yield this.rpc.request("Network.deleteCookie", {
+        cookieName: name,
+        url: url
+      });
+    } catch (e) {
+      yield this.rpc.request("Page.deleteCookie", {
+        cookieName: name,
+        url: url
+      });
+    }
+
+    this.hostVsStores.get(host).delete(name);
+    this.storageActor.update("deleted", "cookies", { [host]: [name] });
+  })
+});
+
+/**
+ * Creates the overrides shared by the localStorage and sessionStorage
+ * actors, which sit on top of the DOMStorage domain.
+ */
+function getObjectForLocalOrSessionStorage(type) {
+  let isLocalStorage = type == "localStorage";
+
+  return {
+    initialize: function(storageActor) {
+      ChromiumStorageActors.initialize.call(this, storageActor);
+
+      this.onItemsCleared = this.onItemsCleared.bind(this);
+      this.onItemRemoved = this.onItemRemoved.bind(this);
+      this.onItemAdded = this.onItemAdded.bind(this);
+      this.onItemUpdated = this.onItemUpdated.bind(this);
+      this.rpc.on("DOMStorage.domStorageItemsCleared", this.onItemsCleared);
+      this.rpc.on("DOMStorage.domStorageItemRemoved", this.onItemRemoved);
+      this.rpc.on("DOMStorage.domStorageItemAdded", this.onItemAdded);
+      this.rpc.on("DOMStorage.domStorageItemUpdated", this.onItemUpdated);
+    },
+
+    destroy: function() {
+      this.rpc.off("DOMStorage.domStorageItemsCleared", this.onItemsCleared);
+      this.rpc.off("DOMStorage.domStorageItemRemoved", this.onItemRemoved);
+      this.rpc.off("DOMStorage.domStorageItemAdded", this.onItemAdded);
+      this.rpc.off("DOMStorage.domStorageItemUpdated", this.onItemUpdated);
+      ChromiumStorageActors.destroy.call(this);
+    },
+
+    getHostName: function(frame) {
+      return hostFromURL(frame.url);
+    },
+
+    storageId: function(host) {
+      let frame = this.hostVsFrames.get(host);
+      return {
+        securityOrigin: frame.securityOrigin || originFromURL(frame.url),
+        isLocalStorage: isLocalStorage
+      };
+    },
+
+    /**
+     * Find the host a DOMStorage event is about, if we know about it.
+     */
+    hostForStorageId: function(storageId) {
+      if (storageId.isLocalStorage !== isLocalStorage) {
+        return null;
+      }
+      for (let host of this.hostVsStores.keys()) {
+        if (this.storageId(host).securityOrigin == storageId.securityOrigin) {
+          return host;
+        }
+      }
+      return null;
+    },
+
+    populateStoresForHost: task.async(function*(host) {
+      let stores = new Map();
+      let {entries} = yield this.rpc.request("DOMStorage.getDOMStorageItems", {
+        storageId: this.storageId(host)
+      });
+      for (let [name, value] of entries) {
+        stores.set(name, { name: name, value: value });
+      }
+      this.hostVsStores.set(host, stores);
+    }),
+
+    onItemsCleared: function({storageId}) {
+      let host = this.hostForStorageId(storageId);
+      if (host) {
+        this.hostVsStores.set(host, new Map());
+        this.storageActor.update("cleared", type, [host]);
+      }
+    },
+
+    onItemRemoved: function({storageId, key}) {
+      let host = this.hostForStorageId(storageId);
+      if (host) {
+        this.hostVsStores.get(host).delete(key);
+        this.storageActor.update("deleted", type, { [host]: [key] });
+      }
+    },
+
+    onItemAdded: function({storageId, key, newValue}) {
+      let host = this.hostForStorageId(storageId);
+      if (host) {
+        this.hostVsStores.get(host).set(key, { name: key, value: newValue });
+        this.storageActor.update("added", type, { [host]: [key] });
+      }
+    },
+
+    onItemUpdated: function({storageId, key, newValue}) {
+      let host = this.hostForStorageId(storageId);
+      if (host) {
+        this.hostVsStores.get(host).set(key, { name: key, value: newValue });
+        this.storageActor.update("changed", type, { [host]: [key] });
+      }
+    },
+
+    toStoreObject: function(item) {
+      if (!item) {
+        return null;
+      }
+
+      return {
+        name: item.name,
+        value: LongStringActor(this.conn, item.value || "")
+      };
+    },
+
+    /**
+     * Add or edit an item. The page notifies us of the change through
+     * domStorageItemAdded or domStorageItemUpdated.
+     */
+    setItem: asyncMethod(function*(host, name, value) {
+      if (!this.hostVsStores.has(host)) {
+        throw new Error("Unknown host: " + host);
+      }
+      yield this.rpc.request("DOMStorage.setDOMStorageItem", {
+        storageId: this.storageId(host),
+        key: name,
+        value: value
+      });
+    }, {
+      request: {
+        host: Arg(0, "string"),
+        name: Arg(1, "string"),
+        value: Arg(2, "string")
+      },
+      response: {}
+    }),
+
+    // The page notifies us of the removal through domStorageItemRemoved.
+    removeStoreObject: task.async(function*(host, name) {
+      yield this.rpc.request("DOMStorage.removeDOMStorageItem", {
+        storageId: this.storageId(host),
+        key: name
+      });
+    })
+  };
+}
+
+/**
+ * The localStorage actor.
+ */
+ChromiumStorageActors.createActor({
+  typeName: "localStorage",
+  storeObjectType: "chromium_storagestoreobject"
+}, getObjectForLocalOrSessionStorage("localStorage"));
+
+/**
+ * The sessionStorage actor.
+ */
+ChromiumStorageActors.createActor({
+  typeName: "sessionStorage",
+  storeObjectType: "chromium_storagestoreobject"
+}, getObjectForLocalOrSessionStorage("sessionStorage"));
+
+/**
+ * Convert a value read from an object store back into an IndexedDB `Key`.
+ */
+function toIDBKey(value) {
+  if (Array.isArray(value)) {
+    return { type: "array", array: value.map(toIDBKey) };
+  }
+  if (typeof value == "number") {
+    return { type: "number", number: value };
+  }
+  return { type: "string", string: String(value) };
+}
+
+/**
+ * The IndexedDB actor.
+ *
+ * Store names are stringified arrays, as in the Firefox actor: [db] for a
+ * database, [db, objectStore] for an object store and
+ * [db, objectStore, key] for a single record.
+ *
+ * The protocol has no notifications for IndexedDB changes, so only the
+ * changes made through this actor are reported to the client.
+ */
+ChromiumStorageActors.createActor({
+  typeName: "indexedDB",
+  storeObjectType: "chromium_idbstoreobject"
+}, {
+  getHostName: function(frame) {
+    return frame.securityOrigin || originFromURL(frame.url);
+  },
+
+  populateStoresForHost: task.async(function*(host) {
+    let stores = new Map();
+    let {databaseNames} = yield this.rpc.request(
+      "IndexedDB.requestDatabaseNames", { securityOrigin: host });
+
+    for (let name of databaseNames) {
+      let {databaseWithObjectStores: db} = yield this.rpc.request(
+        "IndexedDB.requestDatabase", {
+          securityOrigin: host,
+          databaseName: name
+        });
+      stores.set(name, db);
+    }
+    this.hostVsStores.set(host, stores);
+  }),
+
+  getNamesForHost: function(host) {
+    let names = [];
+    for (let [dbName, db] of this.hostVsStores.get(host)) {
+      for (let objectStore of db.objectStores) {
+        names.push(JSON.stringify([dbName, objectStore.name]));
+      }
+    }
+    return names;
+  },
+
+  form: function(detail) {
+    if (detail === "actorid") {
+      return this.actorID;
+    }
+
+    let hosts = {};
+    for (let host of this.hosts) {
+      hosts[host] = this.getNamesForHost(host);
+    }
+
+    return {
+      actor: this.actorID,
+      hosts: hosts
+    };
+  },
+
+  getValuesForHost: task.async(function*(host, name) {
+    let dbs = this.hostVsStores.get(host);
+    if (!dbs) {
+      return [];
+    }
+    if (!name) {
+      return [...dbs.values()].map(db => ({
+        db: db.name,
+        origin: host,
+        version: db.version,
+        objectStores: db.objectStores.length
+      }));
+    }
+
+    let [dbName, storeName, key] = JSON.parse(name);
+    let db = dbs.get(dbName);
+    if (!db) {
+      return [];
+    }
+    if (!storeName) {
+      return db.objectStores.map(store => ({
+        objectStore: store.name,
+        keyPath: JSON.stringify(store.keyPath.string || store.keyPath.array ||
+                                null),
+        autoIncrement: store.autoIncrement,
+        indexes: JSON.stringify(store.indexes)
+      }));
+    }
+
+    let records = yield this.getObjectStoreData(host, dbName, storeName);
+    if (key !== undefined) {
+      records = records.filter(record => {
+        return JSON.stringify(record.name) == JSON.stringify(key);
+      });
+    }
+    return records;
+  }),
+
+  getObjectStoreData: task.async(function*(host, dbName, storeName) {
+    let records = [];
+    let hasMore = true;
+    while (hasMore) {
+      let response = yield this.rpc.request("IndexedDB.requestData", {
+        securityOrigin: host,
+        databaseName: dbName,
+        objectStoreName: storeName,
+        indexName: "",
+        skipCount: records.length,
+        pageSize: MAX_STORE_OBJECT_COUNT
+      });
+      for (let entry of response.objectStoreDataEntries) {
+        records.push({
+          name: yield this.entryValue(entry.primaryKey),
+          value: yield this.entryValue(entry.value)
+        });
+      }
+      hasMore = response.hasMore;
+    }
+    return records;
+  }),
+
+  /**
+   * Older versions of the protocol send entries as JSON strings, newer ones
+   * as remote objects.
+   */
+  entryValue: task.async(function*(handle) {
+    if (typeof handle == "string") {
+      return JSON.parse(handle);
+    }
+    if (!handle.objectId) {
+      return handle.value;
+    }
+    let response = yield this.rpc.request("Runtime.callFunctionOn", {
+      objectId: handle.objectId,
+      functionDeclaration: "function() { return JSON.stringify(this); }",
+      returnByValue: true
+    });
+    yield this.rpc.request("Runtime.releaseObject", {
+      objectId: handle.objectId
+    });
+    return JSON.parse(response.result.value);
+  }),
+
+  toStoreObject: function(item) {
+    if (!item) {
+      return null;
+    }
+    if ("objectStore" in item || "db" in item) {
+      // Database or object store metadata.
+      return item;
+    }
+
+    return {
+      name: JSON.stringify(item.name),
+      value: LongStringActor(this.conn, JSON.stringify(item.value))
+    };
+  },
+
+  removeStoreObject: task.async(function*(host, name) {
+    let [dbName, storeName, key] = JSON.parse(name);
+
+    if (key !== undefined) {
+      yield this.rpc.request("IndexedDB.deleteObjectStoreEntries", {
+        securityOrigin: host,
+        databaseName: dbName,
+        objectStoreName: storeName,
+        keyRange: {
+          lower: toIDBKey(key),
+          upper: toIDBKey(key),
+          lowerOpen: false,
+          upperOpen: false
+        }
+      });
+    } else if (storeName !== undefined) {
+      yield this.rpc.request("IndexedDB.clearObjectStore", {
+        securityOrigin: host,
+        databaseName: dbName,
+        objectStoreName: storeName
+      });
+    } else {
+      yield this.rpc.request("IndexedDB.deleteDatabase", {
+        securityOrigin: host,
+        databaseName: dbName
+      });
+      this.hostVsStores.get(host).delete(dbName);
+    }
+
+    this.storageActor.update("deleted", "indexedDB", { [host]: [name] });
+  })
+});
+
+types.addDictType("chromium_storelist", (() => {
+  let list = {};
+  for (let [name, actor] of storageTypePool) {
+    list[name] = actor.prototype.typeName;
+  }
+  return list;
+})());
+
+/**
+ * The main Chromium storage actor.
+ */
+var ChromiumStorageActor = protocol.ActorClass({
+  typeName: "chromium_storage",
+
+  events: {
+    "stores-update": {
+      type: "storesUpdate",
+      data: Arg(0, "chromium_storeUpdateObject")
+    },
+    "stores-cleared": {
+      type: "storesCleared",
+      data: Arg(0, "json")
+    },
+    "stores-reloaded": {
+      type: "storesRelaoded",
+      data: Arg(0, "json")
+    }
+  },
+
+  initialize: function(tab) {
+    Actor.prototype.initialize.call(this, tab.conn);
+    this.tab = tab;
+    this.rpc = tab.rpc;
+
+    this.childActorPool = new Map();
+    for (let [name, actor] of storageTypePool) {
+      let child = actor(this);
+      this.manage(child);
+      this.childActorPool.set(name, child);
+    }
+
+    this.boundUpdate = {};
+    this.onTabNavigated = this.onTabNavigated.bind(this);
+    tab.on("tab-navigated", this.onTabNavigated);
+  },
+
+  destroy: function() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+    this.tab.off("tab-navigated", this.onTabNavigated);
+    Actor.prototype.destroy.call(this);
+    this.childActorPool = null;
+  },
+
+  /**
+   * Get the frames currently in the page, along with their origins.
+   */
+  getFrames: task.async(function*() {
+    let {frameTree} = yield this.rpc.request("Page.getResourceTree");
+    let frames = [];
+    let trees = [frameTree];
+    while (trees.length) {
+      let tree = trees.shift();
+      frames.push(tree.frame);
+      trees.push(...(tree.childFrames || []));
+    }
+    return frames;
+  }),
+
+  populateStores: task.async(function*(notify) {
+    let frames = yield this.getFrames();
+    for (let actor of this.childActorPool.values()) {
+      yield actor.populateStoresForHosts(frames, notify);
+    }
+  }),
+
+  init: task.async(function*() {
+    if (!this.initialized) {
+      this.initialized = true;
+      yield this.rpc.request("DOMStorage.enable");
+      yield this.rpc.request("IndexedDB.enable");
+    }
+  }),
+
+  onTabNavigated: function(url, state) {
+    if (state == "stop" && this.initialized) {
+      this.populateStores(true).then(null, console.error);
+    }
+  },
+
+  listStores: asyncMethod(function*() {
+    yield this.init();
+    yield this.populateStores(false);
+
+    let toReturn = {};
+    for (let [name, actor] of this.childActorPool) {
+      toReturn[name] = actor;
+    }
+    return toReturn;
+  }, {
+    request: {},
+    response: RetVal("chromium_storelist")
+  }),
+
+  /**
+   * Called by the storage type actors to tell the client about changes.
+   * Updates are batched and sent every BATCH_DELAY ms.
+   *
+   * @see StorageActor.update in devtools/server/actors/storage.js
+   */
+  update: function(action, storeType, data) {
+    if (action == "cleared" || action == "reloaded") {
+      emit(this, "stores-" + action, { [storeType]: data });
+      return;
+    }
+
+    let updates = this.boundUpdate[action] = this.boundUpdate[action] || {};
+    let stores = updates[storeType] = updates[storeType] || {};
+    for (let host in data) {
+      if (!stores[host] || action == "deleted") {
+        stores[host] = data[host];
+      } else {
+        stores[host] = stores[host].concat(data[host]);
+      }
+    }
+
+    if (action == "added" || action == "deleted") {
+      // An item added and deleted in the same batch only needs its latest
+      // state sent.
+      let other = action == "added" ? "deleted" : "added";
+      this.removeNamesFromUpdateList(other, storeType, data);
+      this.removeNamesFromUpdateList("changed", storeType, data);
+    }
+
+    if (this.batchTimer) {
+      clearTimeout(this.batchTimer);
+    }
+    this.batchTimer = setTimeout(() => {
+      this.batchTimer = null;
+      emit(this, "stores-update", this.boundUpdate);
+      this.boundUpdate = {};
+    }, BATCH_DELAY);
+  },
+
+  removeNamesFromUpdateList: function(action, storeType, data) {
+    let updates = this.boundUpdate[action];
+    if (!updates || !updates[storeType]) {
+      return;
+    }
+    for (let host in data) {
+      let names = updates[storeType][host];
+      if (!names) {
+        continue;
+      }
+      updates[storeType][host] = names.filter(n => !data[host].includes(n));
+      if (!updates[storeType][host].length) {
+        delete updates[storeType][host];
+      }
+    }
+  }
+});
+
+exports.ChromiumStorageActor = ChromiumStorageActor;
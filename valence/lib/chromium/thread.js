@@ -7,6 +7,8 @@ const {asyncMethod, types} = require("../util/protocol-extra");
 const {Actor, Pool, method, Arg, Option, RetVal, emit} = protocol;
 const {LongStringActor} = require("devtools/server/actors/string");
 const {fetch} = require("devtools/shared/DevToolsUtils");
+const prettyFast = require("devtools/shared/pretty-fast/pretty-fast");
+const {SourceMapConsumer} = require("source-map");
 
 const values = require("./value");
 const preview = require("./preview");
@@ -229,6 +231,10 @@ var SourceActor = protocol.ActorClass({
     this.url = url;
     Actor.prototype.initialize.call(this);
     this.scripts = new Map();
+    // Maps locations in the pretty printed source (the generated side) to
+    // locations in the source Chrome knows about (the original side).
+    this.prettyMap = null;
+    this.prettySource = null;
   },
 
   get conn() { return this.thread.conn; },
@@ -240,8 +246,8 @@ var SourceActor = protocol.ActorClass({
     return {
       actor: this.actorID,
       url: this.url,
-      isBlackBoxed: false,
-      isPrettyPrinted: false
+      isBlackBoxed: this.thread.isBlackBoxed(this.url),
+      isPrettyPrinted: !!this.prettyMap
     }
   },
 
@@ -253,11 +259,60 @@ var SourceActor = protocol.ActorClass({
     let scriptId = params.scriptId;
     let scriptHandle = this.scripts.get(scriptId);
 
-    return {
+    return this.toPrettyLocation({
       url: this.url,
       line: params.lineNumber + (scriptHandle.sourceLine || 1),
       column: params.columnNumber
+    });
+  },
+
+  /**
+   * Translate a location in the source as Chrome sees it to the matching
+   * location in the pretty printed source, if this source is pretty printed.
+   */
+  toPrettyLocation: function(location) {
+    if (!this.prettyMap) {
+      return location;
     }
+
+    let pretty = this.prettyMap.generatedPositionFor({
+      source: this.url,
+      line: location.line,
+      column: location.column || 0,
+      bias: SourceMapConsumer.LEAST_UPPER_BOUND
+    });
+    if (pretty.line === null) {
+      return location;
+    }
+    return {
+      url: location.url,
+      line: pretty.line,
+      column: pretty.column
+    };
+  },
+
+  /**
+   * Translate a location in the pretty printed source back to the location
+   * Chrome knows about, if this source is pretty printed.
+   */
+  fromPrettyLocation: function(location) {
+    if (!this.prettyMap) {
+      return location;
+    }
+
+    let original = this.prettyMap.originalPositionFor({
+      line: location.line,
+      column: location.column || 0,
+      bias: SourceMapConsumer.LEAST_UPPER_BOUND
+    });
+    if (original.line === null) {
+      return location;
+    }
+    return {
+      url: location.url,
+      line: original.line,
+      column: original.column
+    };
   },
 
   cacheSource: task.async(function*() {
@@ -305,7 +360,7 @@ var SourceActor = protocol.ActorClass({
   source: asyncMethod(function*() {
     let cachedSource = yield this.cacheSource();
     return {
-      source: LongStringActor(this.conn, cachedSource),
+      source: LongStringActor(this.conn, this.prettySource || cachedSource),
       contentType: this.contentType
     };
   }, {
@@ -315,26 +370,57 @@ var SourceActor = protocol.ActorClass({
     }))
   }),
 
-  blackbox: method(function() {
-  }, {
-  }),
+  blackbox: asyncMethod(function*() {
+    yield this.thread.blackBox(this.url);
 
-  unblackbox: method(function() {
+    let frame = this.thread.stack.getYoungestFrame();
+    let source = frame ?
+      this.thread.scriptSources.get(frame.frame.location.scriptId) : null;
+    return this.thread.state == "paused" && source === this;
   }, {
+    request: {},
+    response: {
+      pausedInSource: RetVal("boolean")
+    }
   }),
 
-  prettyPrint: method(function() {
+  unblackbox: asyncMethod(function*() {
+    yield this.thread.unblackBox(this.url);
   }, {
+    request: {},
+    response: {}
   }),
 
-  disablePrettyPrint: method(function() {
+  prettyPrint: asyncMethod(function*({ indent = 2 }) {
+    let cachedSource = yield this.cacheSource();
+    if (!isJavaScriptContentType(this.contentType)) {
+      throw new Error("Can only pretty print JavaScript sources.");
+    }
+
+    let {code, map} = prettyFast(cachedSource, {
+      url: this.url,
+      indent: " ".repeat(indent)
+    });
+    this.prettySource = code;
+    this.prettyMap = SourceMapConsumer.fromSourceMap(map);
+
+    return this.source();
   }, {
+    request: {
+      indent: Option(0, "number")
+    },
+    response: RetVal("chromium_sourceResponse")
   }),
 
-  // Rewrite a chromium frame in this source as an RDP packet.
-  frame: function(chromiumFrame) {
-    let frame = {};
-  }
+  disablePrettyPrint: asyncMethod(function*() {
+    this.prettySource = null;
+    this.prettyMap = null;
+
+    return this.source();
+  }, {
+    request: {},
+    response: RetVal("chromium_sourceResponse")
+  })
 });
 
 var ChromiumThreadActor = protocol.ActorClass({
@@ -381,6 +467,7 @@ var ChromiumThreadActor = protocol.ActorClass({
     this._rawScripts = new Map();
 
     this._breakpoints = new Map();
+    this._blackBoxed = new Set();
     this.scriptSources = new Map();
     this.stack = new Stack(this);
 
@@ -429,6 +516,17 @@ var ChromiumThreadActor = protocol.ActorClass({
       return;
     }
 
+    let top = params.callFrames[0];
+    let source = top ? this.scriptSources.get(top.location.scriptId) : null;
+    if (source && this.isBlackBoxed(source.url) && !this.pauseOutstanding &&
+        params.reason != "exception") {
+      // Older Chromes can't skip blackboxed sources themselves, so step out
+      // of them, and ignore breakpoints and debugger statements in them.
+      yield this.rpc.request(this.stepping ? "Debugger.stepOut" :
+                                             "Debugger.resume");
+      return;
+    }
+
     params.callFrames.reverse();
     this.stack.updateFrames(params.callFrames);
 
@@ -513,6 +611,49 @@ var ChromiumThreadActor = protocol.ActorClass({
     emit(this, "resumed");
   },
 
+  isBlackBoxed: function(url) {
+    return this._blackBoxed.has(url);
+  },
+
+  blackBox: task.async(function*(url) {
+    this._blackBoxed.add(url);
+    yield this.updateBlackBoxPatterns();
+  }),
+
+  unblackBox: task.async(function*(url) {
+    this._blackBoxed.delete(url);
+    yield this.updateBlackBoxPatterns();
+  }),
+
+  /**
+   * Tell Chrome which sources to skip while stepping. Newer versions of the
+   * protocol have `setBlackboxPatterns`, older ones the hidden
+   * `skipStackFrames`. If neither is there, `onPaused` steps out of
+   * blackboxed sources by itself.
+   */
+  updateBlackBoxPatterns: task.async(function*() {
+    let patterns = [...this._blackBoxed].map(url => {
+      return "^" + url.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + "$";
+    });
+
+    try {
+      yield this.rpc.request("Debugger.setBlackboxPatterns", {
+        patterns: patterns
+      });
+      return;
+    } catch (e) {
+      // Not supported by this version of the protocol.
+    }
+
+    try {
+      yield this.rpc.request("Debugger.skipStackFrames", {
+        script: patterns.length ? patterns.join("|") : undefined
+      });
+    } catch (e) {
+      // Not supported either, we'll do it ourselves.
+    }
+  }),
+
   clearSources: function(opts = {}) {
     this._sources = new Map();
 
@@ -606,6 +747,7 @@ var ChromiumThreadActor = protocol.ActorClass({
     }
 
     let resumeCommand = "Debugger.resume";
+    this.stepping = !!options.resumeLimit;
     if (options.resumeLimit) {
       resumeCommand = {
         "next": "Debugger.stepOver",
@@ -677,11 +819,23 @@ var ChromiumThreadActor = protocol.ActorClass({
   }),
 
   setBreakpoint: asyncMethod(function*(location, condition=undefined) {
-    let response = yield this.rpc.request("Debugger.setBreakpointByUrl", {
-      url: location.url,
-      lineNumber: location.line - 1,
-      columnNumber: location.column
-    });
+    let source = this._sources.get(normalize(location.url));
+    let requested = source ? source.fromPrettyLocation(location) : location;
+
+    let params = {
+      url: requested.url,
+      lineNumber: requested.line - 1,
+      columnNumber: requested.column
+    };
+
+    // The client edits a condition by deleting the breakpoint and setting
+    // it again, so an empty condition means the condition was removed.
+    if (condition) {
+      params.condition = condition;
+    }
+
+    let response = yield this.rpc.request("Debugger.setBreakpointByUrl",
+                                          params);
 
     let bp = this.breakpointRef(response.breakpointId);
     let setLocation = response.locations[0];
@@ -691,6 +845,9 @@ var ChromiumThreadActor = protocol.ActorClass({
       line: setLocation.lineNumber + 1,
       column: setLocation.columnNumber
     };
+    if (source) {
+      actualLocation = source.toPrettyLocation(actualLocation);
+    }
 
     // Yeah, this only responds with the breakpoint and actual location
     // of one of the potentially many breakpoints, but that's because the
@@ -720,6 +877,7 @@ var ChromiumThreadActor = protocol.ActorClass({
 
 });
 exports.ChromiumThreadActor = ChromiumThreadActor;
+exports.SourceActor = SourceActor;
 
 function trimUrlQuery(url) {
   let length = url.length;
@@ -732,3 +890,17 @@ function trimUrlQuery(url) {
 
   return url.slice(0, q);
 }
+
+const JS_CONTENT_TYPES = new Set([
+  "text/javascript",
+  "text/ecmascript",
+  "application/javascript",
+  "application/ecmascript",
+  "application/x-javascript"
+]);
+
+// Content types can have parameters, e.g. "text/javascript; charset=utf-8".
+function isJavaScriptContentType(contentType) {
+  let type = (contentType || "").split(";")[0].trim().toLowerCase();
+  return JS_CONTENT_TYPES.has(type);
+}
@@ -8,12 +8,20 @@ const values = require("./value");
 const preview = require("./preview");
 
 const {JSTermHelpers, JSPropertyProvider} = require("./console-utils");
+const {ChromiumNetworkEventActor} = require("./network");
+const {getNetworkStore} = require("./network-store");
+
+// How long sendHTTPRequest waits for Chrome to report the request it sent.
+const SEND_HTTP_REQUEST_TIMEOUT = 10000; // ms
 
 types.addDictType("chromium_consolemsg", {
   "arguments": "array:chromium_grip",
   "stacktrace": "array:json",
   "styles": "array:chromium_grip"
 });
+types.addDictType("chromium_helperResult", {
+  "object": "nullable:chromium_grip"
+});
 types.addDictType("chromium_pageerror", {
   // XXX: should be longstring, but it doesn't get properly marshalled on reload
   "errorMessage": "string",
@@ -32,6 +40,10 @@ var ChromiumConsoleActor = protocol.ActorClass({
     "PageError": {
       type: "pageError",
       pageError: Arg(0, "chromium_pageerror")
+    },
+    "NetworkActivity": {
+      type: "networkEvent",
+      eventActor: Arg(0, "chromium_networkevent")
     }
   },
 
@@ -44,8 +56,15 @@ var ChromiumConsoleActor = protocol.ActorClass({
       this.onMessageCountUpdated.bind(this));
 
     this.enabledListeners = new Set();
+    this.prefs = {};
     this.messageCache = {};
     this.clearMessagesCache();
+
+    this.network = getNetworkStore(this.rpc);
+    this.networkEvents = new Map();
+    this.onNetworkRequest = this.onNetworkRequest.bind(this);
+    this.onNetworkResponse = this.onNetworkResponse.bind(this);
+    this.onNetworkFinished = this.onNetworkFinished.bind(this);
   },
 
   cacheOrSend: task.async(function*(type, payload) {
@@ -193,8 +212,52 @@ var ChromiumConsoleActor = protocol.ActorClass({
     }
   },
 
+  onNetworkRequest: function(record) {
+    let actor = ChromiumNetworkEventActor(this, record);
+    this.manage(actor);
+    this.networkEvents.set(record, actor);
+    emit(this, "NetworkActivity", actor);
+    actor.requestStarted();
+  },
+
+  onNetworkResponse: function(record) {
+    let actor = this.networkEvents.get(record);
+    if (actor && actor.actorID) {
+      actor.responseStarted();
+    }
+  },
+
+  onNetworkFinished: function(record) {
+    let actor = this.networkEvents.get(record);
+    this.networkEvents.delete(record);
+    if (actor && actor.actorID) {
+      actor.requestFinished();
+    }
+  },
+
+  startNetworkListener: task.async(function*() {
+    this.network.on("request", this.onNetworkRequest);
+    this.network.on("response", this.onNetworkResponse);
+    this.network.on("finished", this.onNetworkFinished);
+    this.network.on("failed", this.onNetworkFinished);
+    yield this.network.init();
+  }),
+
+  stopNetworkListener: task.async(function*() {
+    this.network.off("request", this.onNetworkRequest);
+    this.network.off("response", this.onNetworkResponse);
+    this.network.off("finished", this.onNetworkFinished);
+    this.network.off("failed", this.onNetworkFinished);
+    this.networkEvents.clear();
+    yield this.network.destroy();
+  }),
+
   startListeners: asyncMethod(function*(listeners) {
     for (let listener of listeners) {
+      if (listener == "NetworkActivity" &&
+          !this.enabledListeners.has(listener)) {
+        yield this.startNetworkListener();
+      }
       this.enabledListeners.add(listener);
     }
 
@@ -216,6 +279,10 @@ var ChromiumConsoleActor = protocol.ActorClass({
 
   stopListeners: asyncMethod(function*(listeners) {
     for (let listener of listeners) {
+      if (listener == "NetworkActivity" &&
+          this.enabledListeners.has(listener)) {
+        yield this.stopNetworkListener();
+      }
       this.enabledListeners.delete(listener);
     }
 
@@ -256,11 +323,77 @@ var ChromiumConsoleActor = protocol.ActorClass({
     response: {},
   }),
 
-  evaluateJS: asyncMethod(function*(expression) {
-    let response = yield this.rpc.request("Runtime.evaluate", {
+  /**
+   * Find the frame actor the debugger has selected, if any.
+   */
+  getFrame: function(frameActorID) {
+    if (!frameActorID) {
+      return null;
+    }
+    let frame = this.conn.getActor(frameActorID);
+    if (!frame || !frame.callFrameId) {
+      throw new Error("The frame actor was not found: " + frameActorID);
+    }
+    return frame;
+  },
+
+  /**
+   * Evaluate an expression in the page, or in the given frame if the
+   * debugger is paused. Using the "console" object group makes Chrome
+   * remember the result as `$_`.
+   */
+  evaluate: function(expression, frame) {
+    let params = {
       expression: expression,
-      includeCommandLineAPI: true, // XXX: hrm?
-    });
+      objectGroup: "console",
+      includeCommandLineAPI: true
+    };
+    if (frame) {
+      params.callFrameId = frame.callFrameId;
+      return this.rpc.request("Debugger.evaluateOnCallFrame", params);
+    }
+    return this.rpc.request("Runtime.evaluate", params);
+  },
+
+  evaluateJS: asyncMethod(function*(expression, options) {
+    let frame = this.getFrame(options.frameActor);
+
+    // Chrome implements the console helpers itself, and tells us about the
+    // ones that need the client's help through events.
+    let helperResult = null;
+    let onInspect = ({object, hints}) => {
+      if (hints.copyToClipboard) {
+        helperResult = {
+          type: "copyValueToClipboard",
+          value: object.value
+        };
+      } else {
+        helperResult = {
+          type: "inspectObject",
+          input: expression,
+          object: object
+        };
+      }
+    };
+    let onCleared = () => {
+      helperResult = {
+        type: "clearOutput"
+      };
+    };
+
+    this.rpc.on("Inspector.inspect", onInspect);
+    this.rpc.on("Console.messagesCleared", onCleared);
+    let response;
+    try {
+      response = yield this.evaluate(expression, frame);
+    } finally {
+      this.rpc.off("Inspector.inspect", onInspect);
+      this.rpc.off("Console.messagesCleared", onCleared);
+    }
+
+    if (helperResult && helperResult.object) {
+      yield preview.loadPreview(this.rpc, helperResult.object);
+    }
 
     yield preview.loadPreview(this.rpc, response.result);
 
@@ -288,25 +421,32 @@ var ChromiumConsoleActor = protocol.ActorClass({
       timestamp: Date.now(),
       exception: exception,
       exceptionMessage: exceptionMessage,
-      helperResult: null,
+      helperResult: helperResult,
       result: result,
     }
   }, {
     request: {
-      text: Arg(0, "string")
+      text: Arg(0, "string"),
+      frameActor: Option(1, "nullable:string")
     },
     response: RetVal(types.addDictType("chromium_evalJSResponse", {
       result: "nullable:chromium_grip",
-      exception: "nullable:chromium_grip"
+      exception: "nullable:chromium_grip",
+      helperResult: "nullable:chromium_helperResult"
     }))
   }),
 
-  autocomplete: asyncMethod(function*(text, cursor) {
-    // TODO: support the case of a paused debugger.
-    let { result: handle } = yield this.rpc.request("Runtime.evaluate", {
-      expression: "this"
-    });
-    let obj = values.grip(handle, this);
+  autocomplete: asyncMethod(function*(text, cursor, frameActorID) {
+    let frame = this.getFrame(frameActorID);
+    let obj;
+    if (frame) {
+      obj = new ScopeChainGrip(this, frame.frame.scopeChain);
+    } else {
+      let { result: handle } = yield this.rpc.request("Runtime.evaluate", {
+        expression: "this"
+      });
+      obj = values.grip(handle, this);
+    }
     let result = (yield JSPropertyProvider(this, obj, text, cursor)) || {};
     let matches = result.matches || [];
     let reqText = text.substr(0, cursor);
@@ -332,25 +472,170 @@ var ChromiumConsoleActor = protocol.ActorClass({
   }, {
     request: {
       text: Arg(0, "string"),
-      cursor: Arg(1, "number")
+      cursor: Arg(1, "number"),
+      frameActor: Arg(2, "nullable:string")
     },
     response: RetVal("json")
   }),
 
-  getPreferences: method(function() {}, {
-    request: {},
-    response: {}
+  getPreferences: method(function(preferences) {
+    let prefs = Object.create(null);
+    for (let key of preferences) {
+      prefs[key] = key in this.prefs ? this.prefs[key] : null;
+    }
+    return prefs;
+  }, {
+    request: {
+      preferences: Arg(0, "array:string")
+    },
+    response: {
+      preferences: RetVal("json")
+    }
   }),
 
-  setPreferences: method(function() {}, {
-    request: {},
-    response: {}
+  setPreferences: method(function(preferences) {
+    for (let key in preferences) {
+      this.prefs[key] = preferences[key];
+    }
+    return Object.keys(preferences);
+  }, {
+    request: {
+      preferences: Arg(0, "json")
+    },
+    response: {
+      updated: RetVal("array:string")
+    }
   }),
 
-  sendHTTPRequest: method(function() {}, {
-    request: {},
-    response: {}
+  /**
+   * Send a request from the page, as the netmonitor's "Edit and Resend"
+   * does, and return the network event actor tracking it.
+   */
+  sendHTTPRequest: asyncMethod(function*(request) {
+    if (!this.enabledListeners.has("NetworkActivity")) {
+      throw new Error("The network listener must be started to send requests.");
+    }
+
+    // Chrome doesn't tell us which request the page is about to make, so
+    // pick the first one matching the request we're sending. Chrome reports
+    // the URL normalized, and older versions don't report the request type.
+    let url = normalizeUrl(request.url);
+    let method = request.method.toUpperCase();
+    let onRequest, timer;
+    let stopWaiting = () => {
+      clearTimeout(timer);
+      this.network.off("request", onRequest);
+    };
+    let sent = new Promise((resolve, reject) => {
+      onRequest = record => {
+        if (normalizeUrl(record.request.url) == url &&
+            record.request.method.toUpperCase() == method) {
+          stopWaiting();
+          resolve(this.networkEvents.get(record));
+        }
+      };
+      timer = setTimeout(() => {
+        stopWaiting();
+        reject(new Error("The request sent to " + url + " wasn't reported."));
+      }, SEND_HTTP_REQUEST_TIMEOUT);
+      this.network.on("request", onRequest);
+    });
+
+    let response;
+    try {
+      response = yield this.rpc.request("Runtime.evaluate", {
+        expression: "(" + sendRequest + ")(" + JSON.stringify(request) + ")"
+      });
+    } catch (e) {
+      stopWaiting();
+      throw e;
+    }
+    if (response.wasThrown) {
+      stopWaiting();
+      throw new Error(response.result.description);
+    }
+
+    return yield sent;
+  }, {
+    request: {
+      request: Arg(0, "json")
+    },
+    response: {
+      eventActor: RetVal("chromium_networkevent")
+    }
   })
 });
 
 exports.ChromiumConsoleActor = ChromiumConsoleActor;
+
+/**
+ * Normalize a URL the way Chrome reports request URLs, without its hash.
+ */
+function normalizeUrl(url) {
+  try {
+    let normalized = new URL(url);
+    normalized.hash = "";
+    return normalized.href;
+  } catch (e) {
+    return url.split("#")[0];
+  }
+}
+
+/**
+ * Send an XHR with the given details. This is evaluated in the page, so it
+ * can't use anything from this module.
+ */
+function sendRequest(details) {
+  let xhr = new XMLHttpRequest();
+  xhr.open(details.method, details.url, true);
+  for (let header of details.headers || []) {
+    xhr.setRequestHeader(header.name, header.value);
+  }
+  xhr.send(details.body);
+}
+
+/**
+ * Stands in for the global object when completing in a paused frame. Its
+ * own properties are the variables in scope, innermost scope first, and
+ * its prototype is the one of the global object.
+ *
+ * Values found through it are gripped by the console actor.
+ */
+var ScopeChainGrip = Class({
+  initialize: function(console, scopeChain) {
+    this.console = console;
+    this.scopes = scopeChain.map(scope => {
+      return {
+        type: scope.type,
+        object: values.grip(scope.object, console)
+      };
+    });
+    this.handle = { type: "object" };
+  },
+
+  get actorID() { return this.console.actorID; },
+  get conn() { return this.console.conn; },
+  get rpc() { return this.console.rpc; },
+
+  has: function(actorID) { return this.console.has(actorID); },
+  get: function(actorID) { return this.console.get(actorID); },
+  marshallPool: function() { return this.console.marshallPool(); },
+
+  prototypeAndProperties: task.async(function*() {
+    let ret = {
+      prototype: null,
+      ownProperties: {}
+    };
+
+    // Walk outwards in, so that inner variables shadow outer ones.
+    for (let scope of this.scopes.slice().reverse()) {
+      let props = yield scope.object.prototypeAndProperties();
+      Object.assign(ret.ownProperties, props.ownProperties);
+      if (scope.type == "global") {
+        ret.prototype = props.prototype;
+      }
+    }
+
+    return ret;
+  })
+});
@@ -49,6 +49,14 @@ module.exports = {
       "babel-polyfill",
       path.join(__dirname, "tools", "connect", "index.js"),
     ],
+    "connect-screen": [
+      "babel-polyfill",
+      path.join(__dirname, "client", "framework", "connect", "connect.js"),
+    ],
+    "protocol-schema": [
+      "babel-polyfill",
+      path.join(__dirname, "tools", "protocol-schema", "index.js"),
+    ],
   },
   output: {
     path: path.join(__dirname, "built"),
@@ -62,6 +70,7 @@ module.exports = {
       l10n: path.join(__dirname, "client", "locales", "en-US"),
       sdk: path.join(__dirname, "sdk"),
       acorn: path.join(__dirname, "shared", "acorn"),
+      "source-map": path.join(__dirname, "shared", "sourcemap", "source-map.js"),
     },
   },
   module: {